@@ -0,0 +1,102 @@
+class TileCoverageControl {
+    constructor(options) {
+      this.url = options["url"];
+      this.minzoom = options["minzoom"] || 0;
+      this.maxzoom = options["maxzoom"];
+      this.visible = false;
+      this.onMoveEnd = () => this.update();
+    }
+
+    getDefaultPosition() {
+      const defaultPosition = "bottom-left";
+      return defaultPosition;
+    }
+
+    onAdd(map) {
+      this.map = map;
+      this.controlContainer = document.createElement("div");
+      this.controlContainer.classList.add("maplibregl-ctrl");
+      this.controlContainer.classList.add("maplibregl-ctrl-group");
+      this.controlContainer.classList.add("maplibre-ctrl-tile-coverage");
+
+      this.button = document.createElement("button");
+      this.button.type = "button";
+      this.button.style.width = "auto";
+      this.button.style.padding = "0 6px";
+      this.button.textContent = "Show tile coverage";
+      this.button.addEventListener("click", () => this.toggle());
+      this.controlContainer.appendChild(this.button);
+      return this.controlContainer;
+    }
+
+    toggle() {
+      this.visible = !this.visible;
+      if (this.visible) {
+        this.map.on("moveend", this.onMoveEnd);
+        this.update();
+      } else {
+        this.map.off("moveend", this.onMoveEnd);
+        this.removeLayers();
+        this.button.textContent = "Show tile coverage";
+      }
+    }
+
+    update() {
+      const z = Math.max(
+        this.minzoom,
+        Math.min(this.maxzoom, Math.floor(this.map.getZoom()))
+      );
+      const url = this.url.replace(/{z}/g, z);
+      let request = new XMLHttpRequest();
+      request.open("GET", url, true);
+      request.onload = () => {
+        if (!this.visible || request.status !== 200) {
+          return;
+        }
+        const data = JSON.parse(request.responseText);
+        const source = this.map.getSource("tile-coverage");
+        if (source) {
+          source.setData(data);
+        } else {
+          this.map.addSource("tile-coverage", { type: "geojson", data: data });
+          this.map.addLayer({
+            id: "tile-coverage-fill",
+            source: "tile-coverage",
+            type: "fill",
+            paint: { "fill-color": "#e0457b", "fill-opacity": 0.15 }
+          });
+          this.map.addLayer({
+            id: "tile-coverage-line",
+            source: "tile-coverage",
+            type: "line",
+            paint: { "line-color": "#e0457b", "line-width": 1 }
+          });
+        }
+        this.button.textContent =
+          `Hide tile coverage (z${z}: ${data.features.length}${data.truncated ? "+" : ""} tiles)`;
+      };
+      request.send();
+    }
+
+    removeLayers() {
+      if (this.map.getSource("tile-coverage")) {
+        this.map.removeLayer("tile-coverage-line");
+        this.map.removeLayer("tile-coverage-fill");
+        this.map.removeSource("tile-coverage");
+      }
+    }
+
+    onRemove() {
+      if (
+        !this.controlContainer ||
+        !this.controlContainer.parentNode ||
+        !this.map
+      ) {
+        return;
+      }
+      this.map.off("moveend", this.onMoveEnd);
+      this.removeLayers();
+      this.controlContainer.parentNode.removeChild(this.controlContainer);
+      this.map = undefined;
+    }
+  };
@@ -0,0 +1,469 @@
+'use strict';
+
+import { GeoTIFF, fromFile, fromUrl } from 'geotiff';
+import proj4 from 'proj4';
+import sharp from 'sharp';
+
+import { S3Source } from './pmtiles_adapter.js';
+import { encodeElevation, terrainEncodings } from './terrain.js';
+import { isS3Url, isValidHttpUrl } from './utils.js';
+
+const EARTH_CIRCUMFERENCE = 2 * Math.PI * 6378137;
+
+// EPSG codes of web mercator
+const MERCATOR_CODES = [3857, 3785, 900913, 102100, 102113];
+
+// output pixels between the exactly reprojected points, the others are interpolated
+const GRID_STEP = 16;
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+/**
+ * Returns the proj4 definition of the coordinate reference system of a GeoTIFF.
+ * @param {object|null} geoKeys - The GeoKeys of the first image.
+ * @param {string} inputFile - The file (used for error messages).
+ * @returns {string} - The proj4 definition or name.
+ * @throws {Error} If the system is not known without a configured definition.
+ */
+function getProjection(geoKeys, inputFile) {
+  const code = geoKeys?.ProjectedCSTypeGeoKey;
+  if (
+    geoKeys?.GTModelTypeGeoKey === 2 ||
+    (code == null && geoKeys?.GeographicTypeGeoKey != null)
+  ) {
+    // longitudes and latitudes, datum differences do not matter at tile resolution
+    return 'EPSG:4326';
+  }
+  if (MERCATOR_CODES.includes(code)) {
+    return 'EPSG:3857';
+  }
+  // WGS 84 / UTM zones
+  if (code >= 32601 && code <= 32660) {
+    return `+proj=utm +zone=${code - 32600} +datum=WGS84 +units=m +no_defs`;
+  }
+  if (code >= 32701 && code <= 32760) {
+    return `+proj=utm +zone=${code - 32700} +south +datum=WGS84 +units=m +no_defs`;
+  }
+  throw new Error(
+    `Unsupported coordinate reference system ${code != null ? `EPSG:${code}` : '(unknown)'} of "${inputFile}". Set the proj4 option of the data source.`,
+  );
+}
+
+/**
+ * Returns the zoom level at which a tile pixel has the given size.
+ * @param {number} resolution - Pixel size in web mercator meters.
+ * @param {number} tileSize - Tile size in pixels.
+ * @returns {number} - The fractional zoom level.
+ */
+function getZoom(resolution, tileSize) {
+  return Math.log2(EARTH_CIRCUMFERENCE / (tileSize * resolution));
+}
+
+/**
+ * Opens a GeoTIFF from a local file, an HTTP(S) URL or an S3 URL.
+ * Remote files are read with range requests.
+ * @param {string} inputFile - The path or URL.
+ * @param {object} options - The S3 options (see `openCOGSource`).
+ * @returns {Promise<GeoTIFF>} - The GeoTIFF.
+ */
+function openGeoTIFF(inputFile, options) {
+  if (isS3Url(inputFile)) {
+    const s3 = new S3Source(
+      inputFile,
+      options.s3Profile,
+      options.requestPayer,
+      options.s3Region,
+      options.s3UrlFormat,
+      options.verbose,
+    );
+    return GeoTIFF.fromSource({
+      fetch: (slices, signal) =>
+        Promise.all(
+          slices.map(
+            async ({ offset, length }) =>
+              (await s3.getBytes(offset, length, signal)).data,
+          ),
+        ),
+    });
+  } else if (isValidHttpUrl(inputFile)) {
+    return fromUrl(inputFile);
+  }
+  return fromFile(inputFile);
+}
+
+/**
+ * Cloud Optimized GeoTIFF reprojected into web mercator raster tiles. Single-band elevation
+ * models are served as terrain RGB tiles.
+ */
+class COGSource {
+  /**
+   * Creates a COGSource instance, use `openCOGSource` to get one.
+   * @param {GeoTIFF} tiff - The GeoTIFF.
+   * @param {Array<object>} images - The full resolution image and its overviews, finest first.
+   * @param {object} options - The source options.
+   * @param {string} options.projection - The proj4 definition of the GeoTIFF.
+   * @param {string} options.format - Format of the tiles, `png` or `webp`.
+   * @param {number} options.tileSize - Size of the tiles in pixels.
+   * @param {string|undefined} options.encoding - Terrain encoding of elevation tiles.
+   * @param {number|null} options.noData - The value of pixels without data.
+   */
+  constructor(tiff, images, options) {
+    this.tiff = tiff;
+    this.images = images;
+    this.format = options.format;
+    this.tileSize = options.tileSize;
+    this.encoding = options.encoding;
+    this.noData = options.noData;
+    this.toSource = proj4('EPSG:3857', options.projection).forward;
+    this.toLonLat = proj4(options.projection, 'EPSG:4326').forward;
+    this.toMercator = proj4(options.projection, 'EPSG:3857').forward;
+    [this.originX, this.originY] = images[0].getOrigin();
+    [this.resolutionX, this.resolutionY] = images[0].getResolution();
+    this.width = images[0].getWidth();
+    this.height = images[0].getHeight();
+    this.info = this.computeInfo();
+  }
+
+  /**
+   * Computes the TileJSON fields from the georeferencing of the images.
+   * @returns {object} - The format, tile size, encoding, zoom levels and bounds.
+   */
+  computeInfo() {
+    const { originX, originY, resolutionX, resolutionY, width, height } = this;
+    // the edges are sampled as they are curved in other projections
+    const min = [Infinity, Infinity];
+    const max = [-Infinity, -Infinity];
+    const steps = 16;
+    for (let i = 0; i <= steps; i++) {
+      for (const [col, row] of [
+        [(width * i) / steps, 0],
+        [(width * i) / steps, height],
+        [0, (height * i) / steps],
+        [width, (height * i) / steps],
+      ]) {
+        const [lon, lat] = this.toLonLat([
+          originX + col * resolutionX,
+          originY + row * resolutionY,
+        ]);
+        min[0] = Math.min(min[0], lon);
+        min[1] = Math.min(min[1], lat);
+        max[0] = Math.max(max[0], lon);
+        max[1] = Math.max(max[1], lat);
+      }
+    }
+
+    // pixel size in mercator meters at the center of the image
+    const center = [
+      originX + (width / 2) * resolutionX,
+      originY + (height / 2) * resolutionY,
+    ];
+    const [x, y] = this.toMercator(center);
+    const [x1, y1] = this.toMercator([center[0] + resolutionX, center[1]]);
+    const [x2, y2] = this.toMercator([center[0], center[1] + resolutionY]);
+    const resolution = Math.min(
+      Math.hypot(x1 - x, y1 - y),
+      Math.hypot(x2 - x, y2 - y),
+    );
+    const coarsest = this.images[this.images.length - 1];
+    const maxzoom = Math.min(
+      24,
+      Math.max(0, Math.ceil(getZoom(resolution, this.tileSize) - 0.05)),
+    );
+    const minzoom = Math.min(
+      maxzoom,
+      Math.max(
+        0,
+        Math.floor(
+          getZoom((resolution * width) / coarsest.getWidth(), this.tileSize),
+        ),
+      ),
+    );
+
+    const info = {
+      format: this.format,
+      tileSize: this.tileSize,
+      minzoom,
+      maxzoom,
+      bounds: [
+        Math.max(min[0], -180),
+        Math.max(min[1], -85.0511),
+        Math.min(max[0], 180),
+        Math.min(max[1], 85.0511),
+      ],
+    };
+    if (this.encoding) {
+      info.encoding = this.encoding;
+    }
+    return info;
+  }
+
+  /**
+   * Returns the metadata of the tiles.
+   * @returns {object} - The TileJSON fields derived from the GeoTIFF.
+   */
+  getInfo() {
+    return structuredClone(this.info);
+  }
+
+  /**
+   * Computes the position of every pixel of a tile in the full resolution image. The
+   * corners of a grid are reprojected exactly, the pixels in between are interpolated.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Float64Array} - Column and row of every pixel center (NaN if not projectable).
+   */
+  getPixelPositions(z, x, y) {
+    const size = this.tileSize;
+    const pixelSize = EARTH_CIRCUMFERENCE / Math.pow(2, z) / size;
+    const left = -EARTH_CIRCUMFERENCE / 2 + x * size * pixelSize;
+    const top = EARTH_CIRCUMFERENCE / 2 - y * size * pixelSize;
+
+    const cells = Math.ceil(size / GRID_STEP);
+    const grid = new Float64Array((cells + 1) * (cells + 1) * 2);
+    for (let j = 0; j <= cells; j++) {
+      for (let i = 0; i <= cells; i++) {
+        let point;
+        try {
+          point = this.toSource([
+            left + i * GRID_STEP * pixelSize,
+            top - j * GRID_STEP * pixelSize,
+          ]);
+        } catch {
+          point = [NaN, NaN];
+        }
+        const index = (j * (cells + 1) + i) * 2;
+        // eslint-disable-next-line security/detect-object-injection -- index is within the grid
+        grid[index] = (point[0] - this.originX) / this.resolutionX;
+        grid[index + 1] = (point[1] - this.originY) / this.resolutionY;
+      }
+    }
+
+    const positions = new Float64Array(size * size * 2);
+    for (let row = 0; row < size; row++) {
+      const gy = (row + 0.5) / GRID_STEP;
+      const j = Math.min(cells - 1, Math.floor(gy));
+      const fy = gy - j;
+      for (let col = 0; col < size; col++) {
+        const gx = (col + 0.5) / GRID_STEP;
+        const i = Math.min(cells - 1, Math.floor(gx));
+        const fx = gx - i;
+        const a = (j * (cells + 1) + i) * 2;
+        const b = a + 2;
+        const c = a + (cells + 1) * 2;
+        const d = c + 2;
+        const index = (row * size + col) * 2;
+        for (let k = 0; k < 2; k++) {
+          positions[index + k] =
+            (grid[a + k] * (1 - fx) + grid[b + k] * fx) * (1 - fy) +
+            (grid[c + k] * (1 - fx) + grid[d + k] * fx) * fy;
+        }
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Renders a tile from the overview matching its resolution.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{data: Buffer, headers: object}|null>} - The tile or null if it has no data.
+   */
+  async getTile(z, x, y) {
+    const size = this.tileSize;
+    const positions = this.getPixelPositions(z, x, y);
+
+    let minCol = Infinity;
+    let minRow = Infinity;
+    let maxCol = -Infinity;
+    let maxRow = -Infinity;
+    for (let i = 0; i < positions.length; i += 2) {
+      // eslint-disable-next-line security/detect-object-injection -- i is within the positions
+      const col = positions[i];
+      const row = positions[i + 1];
+      if (!Number.isFinite(col) || !Number.isFinite(row)) continue;
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+    }
+    if (
+      !(maxCol > 0 && maxRow > 0) ||
+      minCol >= this.width ||
+      minRow >= this.height
+    ) {
+      return null;
+    }
+
+    // the coarsest overview still having at least the resolution of the tile
+    const pixelsPerPixel = Math.max(maxCol - minCol, maxRow - minRow) / size;
+    let image = this.images[0];
+    for (const overview of this.images) {
+      if (this.width / overview.getWidth() > pixelsPerPixel * 1.01) break;
+      image = overview;
+    }
+    const scaleX = image.getWidth() / this.width;
+    const scaleY = image.getHeight() / this.height;
+    const imageWindow = [
+      Math.max(0, Math.floor(minCol * scaleX)),
+      Math.max(0, Math.floor(minRow * scaleY)),
+      Math.min(image.getWidth(), Math.ceil(maxCol * scaleX)),
+      Math.min(image.getHeight(), Math.ceil(maxRow * scaleY)),
+    ];
+    const windowWidth = imageWindow[2] - imageWindow[0];
+    const windowHeight = imageWindow[3] - imageWindow[1];
+    if (windowWidth <= 0 || windowHeight <= 0) {
+      return null;
+    }
+
+    const raster = this.encoding
+      ? await image.readRasters({
+          window: imageWindow,
+          samples: [0],
+          interleave: true,
+        })
+      : await image.readRGB({
+          window: imageWindow,
+          interleave: true,
+          enableAlpha: true,
+        });
+    const channels = raster.length / (windowWidth * windowHeight);
+    // 16 bit imagery is scaled to 8 bits
+    const scale =
+      this.encoding || raster instanceof Uint8Array
+        ? 1
+        : 255 / (Math.pow(2, image.getBitsPerSample(0)) - 1);
+
+    const pixels = Buffer.alloc(size * size * 4);
+    let empty = true;
+    for (let i = 0; i < size * size; i++) {
+      const col = Math.floor(positions[i * 2] * scaleX) - imageWindow[0];
+      const row = Math.floor(positions[i * 2 + 1] * scaleY) - imageWindow[1];
+      if (!(col >= 0 && row >= 0 && col < windowWidth && row < windowHeight)) {
+        continue;
+      }
+      const offset = (row * windowWidth + col) * channels;
+      // eslint-disable-next-line security/detect-object-injection -- offset is within the raster window
+      const value = raster[offset];
+      if (this.encoding) {
+        if (Number.isNaN(value) || value === this.noData) continue;
+        const [red, green, blue] = encodeElevation(value, this.encoding);
+        pixels.set([red, green, blue, 255], i * 4);
+      } else {
+        const green = raster[offset + 1];
+        const blue = raster[offset + 2];
+        const noData =
+          value === this.noData &&
+          green === this.noData &&
+          blue === this.noData;
+        const alpha =
+          channels > 3
+            ? Math.round(raster[offset + 3] * scale)
+            : noData
+              ? 0
+              : 255;
+        if (alpha === 0) continue;
+        pixels.set(
+          [
+            Math.round(value * scale),
+            Math.round(green * scale),
+            Math.round(blue * scale),
+            alpha,
+          ],
+          i * 4,
+        );
+      }
+      empty = false;
+    }
+    if (empty) {
+      return null;
+    }
+
+    const tile = sharp(pixels, {
+      raw: { width: size, height: size, channels: 4 },
+    });
+    // elevations must be stored losslessly
+    const data =
+      this.format === 'webp'
+        ? await tile.webp({ lossless: !!this.encoding }).toBuffer()
+        : await tile.png().toBuffer();
+    return { data, headers: { 'Content-Type': CONTENT_TYPES[this.format] } };
+  }
+
+  /**
+   * Closes the file of a local GeoTIFF.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.tiff.close();
+  }
+}
+
+/**
+ * Opens a Cloud Optimized GeoTIFF. Single-band GeoTIFFs with 16 bit or floating point
+ * values are treated as elevation models and served as `terrarium` tiles by default.
+ * @param {string} inputFile - Path, HTTP(S) URL or S3 URL of the GeoTIFF.
+ * @param {object} [options] - Options of the source.
+ * @param {string} [options.format] - Format of the tiles, `png` (default) or `webp`.
+ * @param {number} [options.tileSize] - Size of the tiles, `256` (default) or `512`.
+ * @param {string} [options.encoding] - Terrain encoding, `terrarium` or `mapbox`, to serve the
+ *   first band as elevations.
+ * @param {string} [options.proj4] - proj4 definition of the coordinate reference system,
+ *   required unless it is geographic, web mercator or a WGS 84 UTM zone.
+ * @param {string} [options.s3Profile] - AWS credential profile of S3 URLs.
+ * @param {boolean} [options.requestPayer] - Whether the S3 bucket is requester pays.
+ * @param {string} [options.s3Region] - AWS region of S3 URLs.
+ * @param {string} [options.s3UrlFormat] - S3 URL format, `aws` or `custom`.
+ * @param {number} [options.verbose] - Verbosity level.
+ * @returns {Promise<COGSource>} - The source.
+ * @throws {Error} If an option is invalid or the GeoTIFF is not georeferenced.
+ */
+export async function openCOGSource(inputFile, options = {}) {
+  const format = options.format ?? 'png';
+  if (!Object.hasOwn(CONTENT_TYPES, format)) {
+    throw new Error('Invalid format. Must be png or webp.');
+  }
+  const tileSize = options.tileSize ?? 256;
+  if (tileSize !== 256 && tileSize !== 512) {
+    throw new Error('Invalid tileSize. Must be 256 or 512.');
+  }
+  if (
+    options.encoding != null &&
+    !terrainEncodings.includes(options.encoding)
+  ) {
+    throw new Error('Invalid encoding. Must be terrarium or mapbox.');
+  }
+
+  const tiff = await openGeoTIFF(inputFile, options);
+  const images = [];
+  const imageCount = await tiff.getImageCount();
+  for (let i = 0; i < imageCount; i++) {
+    const image = await tiff.getImage(i);
+    // reduced resolution images, but no masks
+    const subfileType = image.fileDirectory.getValue('NewSubfileType') ?? 0;
+    if (i === 0 || ((subfileType & 1) !== 0 && (subfileType & 4) === 0)) {
+      images.push(image);
+    }
+  }
+  images.sort((a, b) => b.getWidth() - a.getWidth());
+
+  const first = images[0];
+  const projection =
+    options.proj4 ?? getProjection(first.getGeoKeys(), inputFile);
+  const sampleFormat = first.getSampleFormat(0);
+  const isElevation =
+    first.getSamplesPerPixel() === 1 &&
+    first.fileDirectory.getValue('PhotometricInterpretation') !== 3 &&
+    (sampleFormat === 3 || first.getBitsPerSample(0) > 8);
+  return new COGSource(tiff, images, {
+    projection,
+    format,
+    tileSize,
+    encoding: options.encoding ?? (isElevation ? 'terrarium' : undefined),
+    noData: first.getGDALNoData(),
+  });
+}
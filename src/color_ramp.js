@@ -0,0 +1,175 @@
+'use strict';
+
+import Color from 'color';
+
+// built-in color ramps, elevations in meters or 8-bit values of single-band rasters
+export const namedColorRamps = {
+  hypsometric: [
+    [-10000, '#08306b'],
+    [-200, '#4292c6'],
+    [-1, '#c6dbef'],
+    [0, '#5a9e55'],
+    [200, '#a8c66c'],
+    [500, '#e8d88c'],
+    [1000, '#d2a56e'],
+    [2000, '#a0734a'],
+    [3000, '#8c8c8c'],
+    [4500, '#ffffff'],
+  ],
+  bathymetry: [
+    [-10000, '#081d58'],
+    [-4000, '#253494'],
+    [-1000, '#1d91c0'],
+    [-100, '#7fcdbb'],
+    [0, '#edf8b1'],
+  ],
+  grayscale: [
+    [0, '#000000'],
+    [255, '#ffffff'],
+  ],
+  viridis: [
+    [0, '#440154'],
+    [64, '#3b528b'],
+    [128, '#21918c'],
+    [191, '#5ec962'],
+    [255, '#fde725'],
+  ],
+};
+
+export const colorRampModes = ['linear', 'discrete'];
+
+/**
+ * Parses a color ramp, given as an array of `[value, color]` stops with CSS colors.
+ * @param {Array<Array<number|string>>} stops - The stops, e.g. `[[0, '#000'], [1, 'rgba(255,255,255,0.5)']]`.
+ * @param {string} [mode] - 'linear' to interpolate between the stops or 'discrete' for classes
+ *   starting at each stop (e.g. hypsometric tints).
+ * @returns {{values: number[], colors: number[][], mode: string}} - The stops sorted by value, with colors
+ *   as [r, g, b, a] (0-255).
+ * @throws {Error} If the ramp is invalid.
+ */
+export function parseColorRamp(stops, mode = 'linear') {
+  if (!colorRampModes.includes(mode)) {
+    throw new Error('Invalid color ramp mode. Must be linear or discrete.');
+  }
+  if (!Array.isArray(stops) || stops.length === 0) {
+    throw new Error('A color ramp needs at least one [value, color] stop');
+  }
+  const parsed = stops
+    .map((stop) => {
+      if (!Array.isArray(stop) || !Number.isFinite(Number(stop[0]))) {
+        throw new Error(`Invalid color ramp stop: ${JSON.stringify(stop)}`);
+      }
+      let color;
+      try {
+        color = new Color(stop[1]);
+      } catch {
+        throw new Error(`Invalid color in color ramp: ${stop[1]}`);
+      }
+      const [r, g, b] = color.rgb().array();
+      return [
+        Number(stop[0]),
+        [r, g, b, Math.round(color.alpha() * 255)].map(Math.round),
+      ];
+    })
+    .sort((a, b) => a[0] - b[0]);
+  return {
+    values: parsed.map((stop) => stop[0]),
+    colors: parsed.map((stop) => stop[1]),
+    mode,
+  };
+}
+
+/**
+ * Resolves a color ramp given by name, as stops or as an object with `stops` (or a
+ * ramp `name`) and `mode`.
+ * @param {string|Array|object} spec - The color ramp.
+ * @param {object} [customRamps] - Additional named ramps (stops by name), taking precedence over the built-in ones.
+ * @returns {{values: number[], colors: number[][], mode: string}} - The parsed color ramp.
+ * @throws {Error} If the ramp is unknown or invalid.
+ */
+export function resolveColorRamp(spec, customRamps = {}) {
+  let stops = spec;
+  let mode;
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    stops = spec.stops ?? spec.name;
+    mode = spec.mode;
+  }
+  if (typeof stops === 'string') {
+    const name = stops;
+    if (Object.hasOwn(customRamps, name)) {
+      // eslint-disable-next-line security/detect-object-injection -- name is checked with hasOwn
+      stops = customRamps[name];
+    } else if (Object.hasOwn(namedColorRamps, name)) {
+      // eslint-disable-next-line security/detect-object-injection -- name is checked with hasOwn
+      stops = namedColorRamps[name];
+    } else {
+      throw new Error(`Unknown color ramp: ${name}`);
+    }
+  }
+  return parseColorRamp(stops, mode);
+}
+
+/**
+ * Parses color ramp stops from a query parameter like `0:green|500:#ffff00|2000:white`.
+ * Hex colors may be given without `#`.
+ * @param {string} value - The query parameter.
+ * @returns {Array<Array<number|string>>} - The stops.
+ * @throws {Error} If the parameter is invalid.
+ */
+export function parseStopsParam(value) {
+  return String(value)
+    .split('|')
+    .map((stop) => {
+      const separator = stop.indexOf(':');
+      if (separator < 0) {
+        throw new Error(`Invalid color ramp stop: ${stop}`);
+      }
+      const color = stop.slice(separator + 1).trim();
+      return [
+        Number(stop.slice(0, separator)),
+        /^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)
+          ? `#${color}`
+          : color,
+      ];
+    });
+}
+
+/**
+ * Writes the color of a value into an RGBA pixel buffer. Values between two stops
+ * are interpolated linearly (or get the color of the lower stop in discrete mode),
+ * values outside of the ramp get the first or last color.
+ * @param {{values: number[], colors: number[][], mode: string}} ramp - The parsed color ramp.
+ * @param {number} value - The value.
+ * @param {Uint8Array} pixels - The RGBA pixel buffer.
+ * @param {number} offset - Index of the pixel's red channel in the buffer.
+ * @returns {void}
+ */
+export function applyColorRamp(ramp, value, pixels, offset) {
+  const { values, colors, mode } = ramp;
+  let upper = 0;
+  // eslint-disable-next-line security/detect-object-injection -- upper is an index within the stops
+  while (upper < values.length && values[upper] < value) {
+    upper++;
+  }
+  if (mode === 'discrete') {
+    // the class of the highest stop not above the value
+    // eslint-disable-next-line security/detect-object-injection -- upper is an index within the stops
+    const index = values[upper] === value ? upper : upper - 1;
+    pixels.set(colors[Math.max(0, index)], offset);
+    return;
+  }
+  if (upper === 0 || upper === values.length) {
+    const color = colors[Math.min(upper, values.length - 1)];
+    pixels.set(color, offset);
+    return;
+  }
+  const lower = upper - 1;
+  // eslint-disable-next-line security/detect-object-injection -- lower and upper are indices within the stops
+  const t = (value - values[lower]) / (values[upper] - values[lower]);
+  for (let c = 0; c < 4; c++) {
+    pixels[offset + c] = Math.round(
+      // eslint-disable-next-line security/detect-object-injection -- lower, upper and c are indices within the stops and channels
+      colors[lower][c] + (colors[upper][c] - colors[lower][c]) * t,
+    );
+  }
+}
@@ -0,0 +1,291 @@
+'use strict';
+
+import { fromGeojsonVt } from '@maplibre/vt-pbf';
+
+const EXTENT = 4096;
+
+// minor and major contour intervals in meters by minimum zoom level
+const DEFAULT_THRESHOLDS = {
+  9: [500, 1000],
+  10: [200, 1000],
+  11: [100, 500],
+  12: [50, 250],
+  13: [20, 100],
+  14: [10, 50],
+};
+
+// corners of a grid cell in clockwise order, as [dx, dy]
+const CORNERS = [
+  [0, 0],
+  [1, 0],
+  [1, 1],
+  [0, 1],
+];
+
+/**
+ * Resolves the contour options of a terrain data source.
+ * @param {object|boolean|undefined} contours - The `contours` option of the data source.
+ * @param {object} tileJSON - The TileJSON of the data source.
+ * @returns {{thresholds: object, layer: string, minzoom: number, maxzoom: number}|null} - The options
+ *   or null if contours are disabled.
+ */
+export function getContourOptions(contours, tileJSON) {
+  if (contours === false) {
+    return null;
+  }
+  const thresholds = contours?.thresholds ?? DEFAULT_THRESHOLDS;
+  const zooms = Object.keys(thresholds).map(Number);
+  return {
+    thresholds,
+    layer: contours?.layer ?? 'contours',
+    minzoom: Math.max(tileJSON.minzoom ?? 0, Math.min(...zooms)),
+    maxzoom: contours?.maxzoom ?? (tileJSON.maxzoom ?? 14) + 2,
+  };
+}
+
+/**
+ * Returns the contour intervals of a zoom level, i.e. the entry of the thresholds
+ * with the highest zoom level not above it.
+ * @param {object} thresholds - Minor and major intervals by minimum zoom level.
+ * @param {number} z - The zoom level.
+ * @returns {number[]|null} - The minor and major interval or null if there are no contours.
+ */
+export function getContourIntervals(thresholds, z) {
+  let best = null;
+  for (const [zoom, intervals] of Object.entries(thresholds)) {
+    if (Number(zoom) <= z && (best == null || Number(zoom) > best[0])) {
+      best = [Number(zoom), intervals];
+    }
+  }
+  if (best == null) {
+    return null;
+  }
+  const [minor, major = minor] = [].concat(best[1]).map(Number);
+  return minor > 0 ? [minor, major] : null;
+}
+
+/**
+ * Creates a contour line vector tile from the DEM tiles of a terrain source. The
+ * grid is extended by one pixel of the neighboring tiles, so the lines of
+ * adjacent tiles meet at the tile edges. Above the maxzoom of the source, the
+ * DEM tile is cut into smaller pieces.
+ * @param {import('./terrain.js').DemTileCache} dem - The DEM tiles of the terrain source.
+ * @param {object} options - The contour options (see `getContourOptions`).
+ * @param {number} z - Zoom level of the contour tile.
+ * @param {number} x - X coordinate of the contour tile.
+ * @param {number} y - Y coordinate of the contour tile.
+ * @returns {Promise<Buffer|null>} - The uncompressed tile or null if the source has no data.
+ */
+export async function createContourTile(dem, options, z, x, y) {
+  const intervals = getContourIntervals(options.thresholds, z);
+  if (!intervals) {
+    return Buffer.from(fromGeojsonVt({}, { version: 2, extent: EXTENT }));
+  }
+  const demZ = Math.min(z, dem.item.tileJSON.maxzoom);
+  const dz = z - demZ;
+  const tile = await dem.getTile(demZ, x >> dz, y >> dz);
+  if (!tile) {
+    return null;
+  }
+
+  const n = tile.size >> dz; // DEM pixels covered by the contour tile
+  if (n < 2) {
+    return null;
+  }
+  const width = n + 2;
+  const grid = await dem.getWindow(
+    demZ,
+    x * n - 1,
+    y * n - 1,
+    width,
+    width,
+    tile.size,
+  );
+  const [minor, major] = intervals;
+  const lines = traceContours(grid, width, minor);
+
+  const features = [];
+  for (const [elevation, elevationLines] of lines) {
+    const geometry = [];
+    for (const line of elevationLines) {
+      const points = [];
+      for (const [gx, gy] of line) {
+        // grid points are the pixel centers, starting one pixel outside of the tile
+        const point = [
+          Math.round(((gx - 0.5) / n) * EXTENT),
+          Math.round(((gy - 0.5) / n) * EXTENT),
+        ];
+        const last = points[points.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+          points.push(point);
+        }
+      }
+      if (points.length >= 2) {
+        geometry.push(points);
+      }
+    }
+    if (geometry.length > 0) {
+      features.push({
+        type: 2,
+        geometry,
+        tags: {
+          elevation,
+          major: elevation % major === 0,
+        },
+      });
+    }
+  }
+
+  return Buffer.from(
+    fromGeojsonVt(
+      { [options.layer]: { features } },
+      { version: 2, extent: EXTENT },
+    ),
+  );
+}
+
+/**
+ * Traces contour lines through a grid of elevations (marching squares). The lines
+ * are oriented so that higher ground is on their left.
+ * @param {Float32Array} grid - The elevations row by row, NaN where there is no data.
+ * @param {number} width - Width (and height) of the grid.
+ * @param {number} interval - The contour interval.
+ * @returns {Map<number, number[][][]>} - The lines in grid coordinates by elevation.
+ */
+export function traceContours(grid, width, interval) {
+  // segments by elevation, as a map from the start to the end edge of each
+  // segment, and the crossing points by edge
+  const levels = new Map();
+  const corners = new Array(4);
+
+  for (let j = 0; j < width - 1; j++) {
+    for (let i = 0; i < width - 1; i++) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (let k = 0; k < 4; k++) {
+        // eslint-disable-next-line security/detect-object-injection -- k is a corner index
+        const value = grid[(j + CORNERS[k][1]) * width + i + CORNERS[k][0]];
+        // eslint-disable-next-line security/detect-object-injection -- k is a corner index
+        corners[k] = value;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+      if (!(min < max)) continue; // flat or missing data
+
+      const last = Math.floor(max / interval);
+      for (let l = Math.floor(min / interval) + 1; l <= last; l++) {
+        const level = l * interval;
+        if (!levels.has(level)) {
+          levels.set(level, { segments: new Map(), points: new Map() });
+        }
+        const { segments, points } = levels.get(level);
+        const crossings = [];
+        for (let k = 0; k < 4; k++) {
+          // eslint-disable-next-line security/detect-object-injection -- k is a corner index
+          const from = corners[k];
+          const to = corners[(k + 1) % 4];
+          if (from >= level === to >= level) continue;
+          const key = edgeKey(i, j, k);
+          if (!points.has(key)) {
+            points.set(key, crossingPoint(i, j, k, from, to, level));
+          }
+          crossings.push({ key, entering: from < level });
+        }
+
+        // 2 crossings, or 4 for saddles: connect each crossing entering the
+        // higher ground to the next crossing leaving it, which is the next one
+        // clockwise if the cell center is low and the previous one otherwise
+        const center = (corners[0] + corners[1] + corners[2] + corners[3]) / 4;
+        const step = crossings.length === 4 && center >= level ? -1 : 1;
+        for (let c = 0; c < crossings.length; c++) {
+          // eslint-disable-next-line security/detect-object-injection -- c is a crossing index
+          if (!crossings[c].entering) continue;
+          const next =
+            crossings[(c + step + crossings.length) % crossings.length];
+          // eslint-disable-next-line security/detect-object-injection -- c is a crossing index
+          segments.set(crossings[c].key, next.key);
+        }
+      }
+    }
+  }
+
+  const lines = new Map();
+  for (const [level, { segments, points }] of levels) {
+    lines.set(level, joinSegments(segments, points));
+  }
+  return lines;
+}
+
+/**
+ * Joins segments into lines, open lines first, then closed rings.
+ * @param {Map<string, string>} segments - Map from the start to the end edge of each segment.
+ * @param {Map<string, number[]>} points - The crossing points by edge.
+ * @returns {number[][][]} - The lines.
+ */
+function joinSegments(segments, points) {
+  const ends = new Set(segments.values());
+  const starts = [...segments.keys()].filter((key) => !ends.has(key));
+  starts.push(...segments.keys()); // remaining segments form rings
+
+  const lines = [];
+  for (const start of starts) {
+    if (!segments.has(start)) continue;
+    const line = [points.get(start)];
+    let key = start;
+    while (segments.has(key)) {
+      const next = segments.get(key);
+      segments.delete(key);
+      line.push(points.get(next));
+      key = next;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Returns a key identifying a cell edge, shared by the two cells it separates.
+ * @param {number} i - Column of the cell.
+ * @param {number} j - Row of the cell.
+ * @param {number} k - Index of the edge (0 top, 1 right, 2 bottom, 3 left).
+ * @returns {string} - The key.
+ */
+function edgeKey(i, j, k) {
+  switch (k) {
+    case 0:
+      return `h${i},${j}`;
+    case 1:
+      return `v${i + 1},${j}`;
+    case 2:
+      return `h${i},${j + 1}`;
+    default:
+      return `v${i},${j}`;
+  }
+}
+
+/**
+ * Interpolates the point where a contour crosses a cell edge. The result does not
+ * depend on the direction of the edge, so both cells get the same point.
+ * @param {number} i - Column of the cell.
+ * @param {number} j - Row of the cell.
+ * @param {number} k - Index of the edge (0 top, 1 right, 2 bottom, 3 left).
+ * @param {number} from - Elevation at the start of the edge (clockwise).
+ * @param {number} to - Elevation at the end of the edge (clockwise).
+ * @param {number} level - Elevation of the contour.
+ * @returns {number[]} - The point in grid coordinates.
+ */
+function crossingPoint(i, j, k, from, to, level) {
+  // edges 2 and 3 run against the grid axes
+  const [a, b] = k < 2 ? [from, to] : [to, from];
+  const t = (level - a) / (b - a);
+  switch (k) {
+    case 0:
+      return [i + t, j];
+    case 1:
+      return [i + 1, j + t];
+    case 2:
+      return [i + t, j + 1];
+    default:
+      return [i, j + t];
+  }
+}
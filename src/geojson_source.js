@@ -0,0 +1,243 @@
+'use strict';
+
+import fsp from 'node:fs/promises';
+import path from 'path';
+
+import chokidar from 'chokidar';
+import geojsonvt from 'geojson-vt';
+import { fromGeojsonVt } from '@maplibre/vt-pbf';
+
+const EXTENT = 4096;
+
+/**
+ * Resolves the `tiling` option of a GeoJSON data source.
+ * @param {object|undefined} config - The `tiling` option of the data source.
+ * @param {string} defaultLayer - Name of the layer if none is configured.
+ * @returns {{layer: string, minzoom: number, maxzoom: number, tolerance: number, buffer: number}} - The options.
+ * @throws {Error} If an option is invalid.
+ */
+export function getGeoJSONTilingOptions(config, defaultLayer) {
+  const options = {
+    layer: config?.layer ?? defaultLayer,
+    minzoom: config?.minzoom ?? 0,
+    maxzoom: config?.maxzoom ?? 14,
+    tolerance: config?.tolerance ?? 3,
+    buffer: config?.buffer ?? 64,
+  };
+  if (typeof options.layer !== 'string' || options.layer.length === 0) {
+    throw new Error('Invalid tiling.layer. Must be a non-empty string.');
+  }
+  if (
+    !Number.isInteger(options.minzoom) ||
+    !Number.isInteger(options.maxzoom) ||
+    options.minzoom < 0 ||
+    options.maxzoom > 24 ||
+    options.minzoom > options.maxzoom
+  ) {
+    throw new Error(
+      'Invalid tiling.minzoom or maxzoom. Must be integers between 0 and 24.',
+    );
+  }
+  if (!(options.tolerance >= 0) || !(options.buffer >= 0)) {
+    throw new Error(
+      'Invalid tiling.tolerance or buffer. Must be non-negative numbers.',
+    );
+  }
+  return options;
+}
+
+/**
+ * Returns the bounds of the coordinates of a GeoJSON object.
+ * @param {object} geojson - The GeoJSON object.
+ * @returns {number[]|null} - The bounds as [west, south, east, north] or null if there are no coordinates.
+ */
+function getGeoJSONBounds(geojson) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      bounds[0] = Math.min(bounds[0], coordinates[0]);
+      bounds[1] = Math.min(bounds[1], coordinates[1]);
+      bounds[2] = Math.max(bounds[2], coordinates[0]);
+      bounds[3] = Math.max(bounds[3], coordinates[1]);
+    } else {
+      coordinates.forEach(visit);
+    }
+  };
+  const visitGeometry = (geometry) => {
+    if (geometry == null) return;
+    if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach(visitGeometry);
+    } else {
+      visit(geometry.coordinates);
+    }
+  };
+  if (geojson.type === 'FeatureCollection') {
+    geojson.features.forEach((feature) => visitGeometry(feature.geometry));
+  } else if (geojson.type === 'Feature') {
+    visitGeometry(geojson.geometry);
+  } else {
+    visitGeometry(geojson);
+  }
+  if (!Number.isFinite(bounds[0])) {
+    return null;
+  }
+  // mercator tiles end at about 85 degrees
+  return [
+    Math.max(bounds[0], -180),
+    Math.max(bounds[1], -85.0511),
+    Math.min(bounds[2], 180),
+    Math.min(bounds[3], 85.0511),
+  ];
+}
+
+/**
+ * Returns the fields of the features of a GeoJSON object as named in `vector_layers`.
+ * @param {object} geojson - The GeoJSON object.
+ * @returns {object} - The type (String, Number, Boolean or Mixed) by property name.
+ */
+function getGeoJSONFields(geojson) {
+  const features =
+    geojson.type === 'FeatureCollection'
+      ? geojson.features
+      : geojson.type === 'Feature'
+        ? [geojson]
+        : [];
+  const fields = new Map();
+  for (const feature of features) {
+    for (const [name, value] of Object.entries(feature.properties ?? {})) {
+      if (value == null) continue;
+      const type =
+        typeof value === 'number'
+          ? 'Number'
+          : typeof value === 'boolean'
+            ? 'Boolean'
+            : 'String';
+      const known = fields.get(name);
+      fields.set(name, known == null || known === type ? type : 'Mixed');
+    }
+  }
+  return Object.fromEntries(fields);
+}
+
+/**
+ * GeoJSON file tiled in memory into vector tiles, rebuilt when the file changes.
+ */
+class GeoJSONSource {
+  /**
+   * Creates a GeoJSONSource instance, `load` must be called before tiles are requested.
+   * @param {string} inputFile - Path of the GeoJSON file.
+   * @param {object} options - The tiling options (see `getGeoJSONTilingOptions`).
+   */
+  constructor(inputFile, options) {
+    this.inputFile = inputFile;
+    this.options = options;
+    this.index = null;
+    this.info = null;
+    this.lastModified = null;
+    this.watcher = null;
+  }
+
+  /**
+   * Reads and tiles the file. The previous tiles are kept if this fails.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const stats = await fsp.stat(this.inputFile);
+    const geojson = JSON.parse(await fsp.readFile(this.inputFile, 'utf8'));
+    const { layer, minzoom, maxzoom, tolerance, buffer } = this.options;
+    const bounds = getGeoJSONBounds(geojson) ?? [-180, -85.0511, 180, 85.0511];
+    // zoom level fitting the bounds into 1024 pixels, within the zoom levels of the tiles
+    const fitZoom = Math.round(-Math.log2((bounds[2] - bounds[0]) / 360 / 4));
+    this.index = geojsonvt(geojson, {
+      maxZoom: maxzoom,
+      indexMaxZoom: Math.min(maxzoom, 5),
+      tolerance,
+      buffer,
+      extent: EXTENT,
+    });
+    this.info = {
+      format: 'pbf',
+      minzoom,
+      maxzoom,
+      bounds,
+      center: [
+        (bounds[0] + bounds[2]) / 2,
+        (bounds[1] + bounds[3]) / 2,
+        Math.max(minzoom, Math.min(maxzoom, fitZoom)),
+      ],
+      vector_layers: [
+        {
+          id: layer,
+          description: '',
+          minzoom,
+          maxzoom,
+          fields: getGeoJSONFields(geojson),
+        },
+      ],
+    };
+    this.lastModified = stats.mtime;
+  }
+
+  /**
+   * Returns the metadata of the tiles.
+   * @returns {object} - The format, zoom levels, bounds, center and vector layers.
+   */
+  getInfo() {
+    return structuredClone(this.info);
+  }
+
+  /**
+   * Returns a vector tile. The tiles are cut on demand and kept in memory.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Buffer|null} - The (uncompressed) vector tile or null if it has no features.
+   */
+  getTile(z, x, y) {
+    if (z < this.options.minzoom || z > this.options.maxzoom) {
+      return null;
+    }
+    const tile = this.index.getTile(z, x, y);
+    if (tile == null || tile.features.length === 0) {
+      return null;
+    }
+    return Buffer.from(
+      fromGeojsonVt({ [this.options.layer]: tile }, { version: 2 }),
+    );
+  }
+
+  /**
+   * Reloads the file whenever it changes.
+   * @param {(err: Error|null) => void} onReload - Called after every reload attempt.
+   */
+  watch(onReload) {
+    this.watcher = chokidar.watch(this.inputFile, { ignoreInitial: true });
+    this.watcher.on('change', () => {
+      this.load().then(
+        () => onReload(null),
+        (err) => onReload(err),
+      );
+    });
+  }
+
+  /**
+   * Stops watching the file.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+/**
+ * Opens the given GeoJSON file and tiles it.
+ * @param {string} inputFile - Path of the GeoJSON file.
+ * @param {object} options - The tiling options (see `getGeoJSONTilingOptions`).
+ * @returns {Promise<GeoJSONSource>} - The loaded source.
+ */
+export async function openGeoJSONSource(inputFile, options) {
+  const source = new GeoJSONSource(path.resolve(inputFile), options);
+  await source.load();
+  return source;
+}
@@ -0,0 +1,144 @@
+'use strict';
+
+const GEOMETRY_TYPES = [
+  null,
+  'Point',
+  'LineString',
+  'Polygon',
+  'MultiPoint',
+  'MultiLineString',
+  'MultiPolygon',
+  'GeometryCollection',
+];
+
+// sizes of the envelope of a GeoPackage geometry by envelope indicator
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+/**
+ * Reads a WKB geometry (ISO and EWKB variants with Z and M, which are dropped).
+ * @param {Buffer} buffer - The buffer.
+ * @param {number} offset - Offset of the geometry in the buffer.
+ * @returns {{geometry: object|null, offset: number}} - The GeoJSON geometry (null if empty)
+ *   and the offset after it.
+ * @throws {Error} If the geometry type is unknown.
+ */
+function readWKB(buffer, offset) {
+  const littleEndian = buffer.readUInt8(offset) === 1;
+  const readUInt32 = (at) =>
+    littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at);
+  const readDouble = (at) =>
+    littleEndian ? buffer.readDoubleLE(at) : buffer.readDoubleBE(at);
+
+  let type = readUInt32(offset + 1);
+  offset += 5;
+  // EWKB flags
+  let dimensions = 2;
+  if (type & 0x80000000) dimensions++;
+  if (type & 0x40000000) dimensions++;
+  if (type & 0x20000000) offset += 4;
+  type &= 0x0fffffff;
+  // ISO offsets: 1000 Z, 2000 M, 3000 ZM
+  const variant = Math.floor(type / 1000);
+  dimensions += variant === 3 ? 2 : variant > 0 ? 1 : 0;
+  const geometryType = GEOMETRY_TYPES[type % 1000];
+  if (!geometryType) {
+    throw new Error(`Unsupported WKB geometry type ${type}`);
+  }
+
+  const readPoint = () => {
+    const point = [readDouble(offset), readDouble(offset + 8)];
+    offset += dimensions * 8;
+    return point;
+  };
+  const readPoints = () => {
+    const count = readUInt32(offset);
+    offset += 4;
+    return Array.from({ length: count }, readPoint);
+  };
+  const readRings = () => {
+    const count = readUInt32(offset);
+    offset += 4;
+    return Array.from({ length: count }, readPoints);
+  };
+  const readParts = () => {
+    const count = readUInt32(offset);
+    offset += 4;
+    return Array.from({ length: count }, () => {
+      const part = readWKB(buffer, offset);
+      offset = part.offset;
+      return part.geometry;
+    });
+  };
+
+  let geometry;
+  if (geometryType === 'Point') {
+    const coordinates = readPoint();
+    // empty points have NaN coordinates
+    geometry = Number.isNaN(coordinates[0])
+      ? null
+      : { type: geometryType, coordinates };
+  } else if (geometryType === 'LineString') {
+    geometry = { type: geometryType, coordinates: readPoints() };
+  } else if (geometryType === 'Polygon') {
+    geometry = { type: geometryType, coordinates: readRings() };
+  } else if (geometryType === 'GeometryCollection') {
+    geometry = {
+      type: geometryType,
+      geometries: readParts().filter((part) => part != null),
+    };
+  } else {
+    geometry = {
+      type: geometryType,
+      coordinates: readParts()
+        .filter((part) => part != null)
+        .map((part) => part.coordinates),
+    };
+  }
+  return { geometry, offset };
+}
+
+/**
+ * Parses a geometry of a GeoPackage feature table (GeoPackage binary header followed by WKB).
+ * @param {Buffer} blob - The geometry blob.
+ * @returns {{srsId: number, geometry: object}|null} - The spatial reference system id and the
+ *   GeoJSON geometry (in the coordinates of the table), null if the geometry is empty.
+ * @throws {Error} If the blob is not a GeoPackage geometry.
+ */
+export function parseGeoPackageGeometry(blob) {
+  if (blob == null || blob.length < 8) {
+    return null;
+  }
+  if (blob[0] !== 0x47 || blob[1] !== 0x50) {
+    throw new Error('Invalid GeoPackage geometry. Missing GP magic number.');
+  }
+  const flags = blob[3];
+  const srsId = flags & 0x01 ? blob.readInt32LE(4) : blob.readInt32BE(4);
+  if (flags & 0x10) {
+    return null;
+  }
+  const envelopeSize = ENVELOPE_SIZES[(flags >> 1) & 0x07];
+  if (envelopeSize == null) {
+    throw new Error('Invalid GeoPackage geometry. Unknown envelope.');
+  }
+  const { geometry } = readWKB(blob, 8 + envelopeSize);
+  return geometry ? { srsId, geometry } : null;
+}
+
+/**
+ * Transforms the coordinates of a GeoJSON geometry.
+ * @param {object} geometry - The GeoJSON geometry, modified in place.
+ * @param {(point: number[]) => number[]} transform - Transforms an [x, y] point.
+ * @returns {object} - The geometry.
+ */
+export function transformGeometry(geometry, transform) {
+  const visit = (coordinates) =>
+    typeof coordinates[0] === 'number'
+      ? transform(coordinates)
+      : coordinates.map(visit);
+  if (geometry.type === 'GeometryCollection') {
+    geometry.geometries.forEach((part) => transformGeometry(part, transform));
+  } else {
+    geometry.coordinates = visit(geometry.coordinates);
+  }
+  return geometry;
+}
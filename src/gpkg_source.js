@@ -0,0 +1,530 @@
+'use strict';
+
+import util from 'node:util';
+
+import geojsonvt from 'geojson-vt';
+import proj4 from 'proj4';
+import sqlite3 from 'sqlite3';
+import { fromGeojsonVt } from '@maplibre/vt-pbf';
+
+import { parseGeoPackageGeometry, transformGeometry } from './gpkg_geometry.js';
+
+// half of the extent of web mercator in meters
+const WORLD_EXTENT = 20037508.342789244;
+const EXTENT = 4096;
+
+const CONTENT_TYPES = {
+  pbf: 'application/x-protobuf',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+/**
+ * Quotes an SQL identifier.
+ * @param {string} name - The table or column name.
+ * @returns {string} - The quoted name.
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Detects the format of a tile from its first bytes.
+ * @param {Buffer} data - The tile data.
+ * @returns {string} - png, jpeg, webp or pbf.
+ */
+function detectTileFormat(data) {
+  if (data.slice(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) {
+    return 'png';
+  }
+  if (data.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+    return 'jpeg';
+  }
+  if (
+    data.slice(0, 4).toString('latin1') === 'RIFF' &&
+    data.slice(8, 12).toString('latin1') === 'WEBP'
+  ) {
+    return 'webp';
+  }
+  return 'pbf';
+}
+
+/**
+ * Returns the `vector_layers` field type of an SQLite column type.
+ * @param {string} type - The declared column type.
+ * @returns {string} - String, Number or Boolean.
+ */
+function getFieldType(type) {
+  const upper = String(type).toUpperCase();
+  if (upper === 'BOOLEAN') return 'Boolean';
+  if (/INT|REAL|FLOAT|DOUBLE|NUMERIC/.test(upper)) return 'Number';
+  return 'String';
+}
+
+/**
+ * Opens a GeoPackage read-only.
+ * @param {string} inputFile - Path of the GeoPackage.
+ * @returns {Promise<{all: (sql: string, ...params: Array<string|number>) => Promise<object[]>, close: () => Promise<void>}>} -
+ *   The query and close functions.
+ */
+function openDatabase(inputFile) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(inputFile, sqlite3.OPEN_READONLY, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({
+        all: util.promisify(db.all.bind(db)),
+        close: util.promisify(db.close.bind(db)),
+      });
+    });
+  });
+}
+
+/**
+ * Creates the transformation of a spatial reference system of the GeoPackage to WGS84.
+ * @param {object} db - The database.
+ * @param {number} srsId - The srs_id of `gpkg_spatial_ref_sys`.
+ * @returns {Promise<(point: number[]) => number[]>} - Transforms an [x, y] point to [lon, lat].
+ * @throws {Error} If the spatial reference system is not supported.
+ */
+async function getTransform(db, srsId) {
+  const [srs] = await db.all(
+    'SELECT organization, organization_coordsys_id AS code, definition ' +
+      'FROM gpkg_spatial_ref_sys WHERE srs_id = ?',
+    srsId,
+  );
+  const code =
+    String(srs?.organization).toUpperCase() === 'EPSG' ? srs.code : null;
+  // 0 is the undefined geographic reference system
+  if (srsId === 0 || code === 4326) {
+    return (point) => point;
+  }
+  if (code === 3857 || code === 900913) {
+    return proj4('EPSG:3857', 'EPSG:4326').forward;
+  }
+  try {
+    return proj4(srs.definition, 'EPSG:4326').forward;
+  } catch {
+    throw new Error(`Unsupported spatial reference system ${srsId}`);
+  }
+}
+
+/**
+ * Converts the extent of a table in `gpkg_contents` to TileJSON bounds.
+ * @param {object} db - The database.
+ * @param {object} contents - The row of `gpkg_contents`.
+ * @returns {Promise<number[]|null>} - The bounds as [west, south, east, north] or null if unknown.
+ */
+async function getContentsBounds(db, contents) {
+  if (contents.min_x == null || contents.max_y == null) {
+    return null;
+  }
+  const transform = await getTransform(db, contents.srs_id);
+  const [west, south] = transform([contents.min_x, contents.min_y]);
+  const [east, north] = transform([contents.max_x, contents.max_y]);
+  return [
+    Math.max(west, -180),
+    Math.max(south, -85.0511),
+    Math.min(east, 180),
+    Math.min(north, 85.0511),
+  ];
+}
+
+/**
+ * Returns the union of bounds.
+ * @param {Array<number[]|null>} boundsList - The bounds.
+ * @returns {number[]|undefined} - The union or undefined if no bounds are known.
+ */
+function unionBounds(boundsList) {
+  const known = boundsList.filter((bounds) => bounds != null);
+  if (known.length === 0) {
+    return undefined;
+  }
+  return [
+    Math.min(...known.map((bounds) => bounds[0])),
+    Math.min(...known.map((bounds) => bounds[1])),
+    Math.max(...known.map((bounds) => bounds[2])),
+    Math.max(...known.map((bounds) => bounds[3])),
+  ];
+}
+
+/**
+ * Reads the layers of the GeoPackage vector tiles extension, if present.
+ * @param {object} db - The database.
+ * @param {string} table - The vector tile table.
+ * @returns {Promise<object[]|undefined>} - The `vector_layers` or undefined if not described.
+ */
+async function readVectorTileLayers(db, table) {
+  const tables = await db.all(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('gpkgext_vt_layers', 'gpkgext_vt_fields')",
+  );
+  if (tables.length < 2) {
+    return undefined;
+  }
+  const layers = await db.all(
+    'SELECT id, name, description, minzoom, maxzoom FROM gpkgext_vt_layers WHERE table_name = ?',
+    table,
+  );
+  const vectorLayers = [];
+  for (const layer of layers) {
+    const fields = await db.all(
+      'SELECT name, type FROM gpkgext_vt_fields WHERE layer_id = ?',
+      layer.id,
+    );
+    vectorLayers.push({
+      id: layer.name,
+      description: layer.description ?? '',
+      minzoom: layer.minzoom ?? undefined,
+      maxzoom: layer.maxzoom ?? undefined,
+      fields: Object.fromEntries(
+        fields.map((field) => [field.name, field.type]),
+      ),
+    });
+  }
+  return vectorLayers.length > 0 ? vectorLayers : undefined;
+}
+
+/**
+ * Tiles of a tile table (raster or vector) of a GeoPackage.
+ */
+class GeoPackageTileSource {
+  /**
+   * Creates a GeoPackageTileSource instance, use `openGeoPackageSource` to get one.
+   * @param {object} db - The database.
+   * @param {string} table - The tile table.
+   * @param {Map<number, {zoomLevel: number, offsetX: number, offsetY: number}>} levels - The tile matrix
+   *   of every web mercator zoom level.
+   * @param {object} info - The TileJSON fields.
+   */
+  constructor(db, table, levels, info) {
+    this.db = db;
+    this.table = table;
+    this.levels = levels;
+    this.info = info;
+  }
+
+  /**
+   * Returns the metadata of the tiles.
+   * @returns {object} - The TileJSON fields.
+   */
+  getInfo() {
+    return structuredClone(this.info);
+  }
+
+  /**
+   * Reads a tile.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{data: Buffer, headers: object}|null>} - The tile or null if there is none.
+   */
+  async getTile(z, x, y) {
+    const level = this.levels.get(z);
+    if (!level) {
+      return null;
+    }
+    const [row] = await this.db.all(
+      `SELECT tile_data FROM ${quoteIdentifier(this.table)} ` +
+        'WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+      level.zoomLevel,
+      x - level.offsetX,
+      y - level.offsetY,
+    );
+    if (!row?.tile_data) {
+      return null;
+    }
+    const data = row.tile_data;
+    const headers = { 'Content-Type': CONTENT_TYPES[this.info.format] };
+    if (data.slice(0, 2).indexOf(Buffer.from([0x1f, 0x8b])) === 0) {
+      headers['Content-Encoding'] = 'gzip';
+    }
+    return { data, headers };
+  }
+
+  /**
+   * Closes the database.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.db.close();
+  }
+}
+
+/**
+ * Vector tiles cut in memory from the feature tables of a GeoPackage, one layer per table.
+ */
+class GeoPackageFeatureSource {
+  /**
+   * Creates a GeoPackageFeatureSource instance, use `openGeoPackageSource` to get one.
+   * @param {Map<string, object>} indexes - The geojson-vt index of every layer.
+   * @param {object} options - The tiling options.
+   * @param {object} info - The TileJSON fields.
+   */
+  constructor(indexes, options, info) {
+    this.indexes = indexes;
+    this.options = options;
+    this.info = info;
+  }
+
+  /**
+   * Returns the metadata of the tiles.
+   * @returns {object} - The TileJSON fields.
+   */
+  getInfo() {
+    return structuredClone(this.info);
+  }
+
+  /**
+   * Returns a vector tile with the features of all layers.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{data: Buffer, headers: object}|null>} - The tile or null if it has no features.
+   */
+  async getTile(z, x, y) {
+    if (z < this.options.minzoom || z > this.options.maxzoom) {
+      return null;
+    }
+    const layers = {};
+    for (const [name, index] of this.indexes) {
+      const tile = index.getTile(z, x, y);
+      if (tile != null && tile.features.length > 0) {
+        // eslint-disable-next-line security/detect-object-injection -- name is a feature table name
+        layers[name] = tile;
+      }
+    }
+    if (Object.keys(layers).length === 0) {
+      return null;
+    }
+    return {
+      data: Buffer.from(fromGeojsonVt(layers, { version: 2 })),
+      headers: { 'Content-Type': CONTENT_TYPES.pbf },
+    };
+  }
+}
+
+/**
+ * Opens a tile table of a GeoPackage. Only tile matrix sets in web mercator are supported,
+ * zoom levels whose tiles do not match the web mercator tiles are left out.
+ * @param {object} db - The database.
+ * @param {object} contents - The row of `gpkg_contents` of the table.
+ * @returns {Promise<GeoPackageTileSource>} - The source.
+ * @throws {Error} If the tile matrix set is not in web mercator.
+ */
+async function openTileTable(db, contents) {
+  const table = contents.table_name;
+  const [matrixSet] = await db.all(
+    'SELECT m.min_x, m.max_y, m.max_x, s.organization, s.organization_coordsys_id AS code ' +
+      'FROM gpkg_tile_matrix_set m JOIN gpkg_spatial_ref_sys s ON s.srs_id = m.srs_id ' +
+      'WHERE m.table_name = ?',
+    table,
+  );
+  if (
+    !matrixSet ||
+    String(matrixSet.organization).toUpperCase() !== 'EPSG' ||
+    (matrixSet.code !== 3857 && matrixSet.code !== 900913)
+  ) {
+    throw new Error(
+      `Unsupported tile matrix set of "${table}". Must be in EPSG:3857.`,
+    );
+  }
+  const matrices = await db.all(
+    'SELECT zoom_level, matrix_width FROM gpkg_tile_matrix WHERE table_name = ?',
+    table,
+  );
+  const levels = new Map();
+  for (const matrix of matrices) {
+    const tileSpan = (matrixSet.max_x - matrixSet.min_x) / matrix.matrix_width;
+    const z = Math.log2((2 * WORLD_EXTENT) / tileSpan);
+    if (Math.abs(z - Math.round(z)) > 1e-6) {
+      continue;
+    }
+    levels.set(Math.round(z), {
+      zoomLevel: matrix.zoom_level,
+      offsetX: Math.round((matrixSet.min_x + WORLD_EXTENT) / tileSpan),
+      offsetY: Math.round((WORLD_EXTENT - matrixSet.max_y) / tileSpan),
+    });
+  }
+  if (levels.size === 0) {
+    throw new Error(`No web mercator zoom levels in "${table}"`);
+  }
+
+  let format = 'pbf';
+  if (contents.data_type === 'tiles') {
+    const [sample] = await db.all(
+      `SELECT tile_data FROM ${quoteIdentifier(table)} LIMIT 1`,
+    );
+    format = sample?.tile_data ? detectTileFormat(sample.tile_data) : 'png';
+  }
+  const zooms = [...levels.keys()];
+  const info = {
+    name: contents.identifier || table,
+    description: contents.description || undefined,
+    format,
+    minzoom: Math.min(...zooms),
+    maxzoom: Math.max(...zooms),
+    bounds: (await getContentsBounds(db, contents)) ?? undefined,
+  };
+  if (format === 'pbf') {
+    info.vector_layers = await readVectorTileLayers(db, table);
+  }
+  return new GeoPackageTileSource(db, table, levels, info);
+}
+
+/**
+ * Loads feature tables of a GeoPackage and tiles them in memory.
+ * @param {object} db - The database.
+ * @param {object[]} contentsList - The rows of `gpkg_contents` of the tables.
+ * @param {object} options - The tiling options (see `getGeoJSONTilingOptions`).
+ * @returns {Promise<GeoPackageFeatureSource>} - The source.
+ */
+async function openFeatureTables(db, contentsList, options) {
+  const { minzoom, maxzoom, tolerance, buffer } = options;
+  const indexes = new Map();
+  const vectorLayers = [];
+  const boundsList = [];
+  for (const contents of contentsList) {
+    const table = contents.table_name;
+    const [geometryColumn] = await db.all(
+      'SELECT column_name, srs_id FROM gpkg_geometry_columns WHERE table_name = ?',
+      table,
+    );
+    if (!geometryColumn) {
+      throw new Error(`Missing geometry column of "${table}"`);
+    }
+    const transform = await getTransform(db, geometryColumn.srs_id);
+    const columns = await db.all(
+      `PRAGMA table_info(${quoteIdentifier(table)})`,
+    );
+    const primaryKey = columns.find((column) => column.pk === 1)?.name;
+    const propertyColumns = columns.filter(
+      (column) =>
+        column.name !== geometryColumn.column_name &&
+        column.name !== primaryKey &&
+        String(column.type).toUpperCase() !== 'BLOB',
+    );
+
+    const features = [];
+    const rows = await db.all(`SELECT * FROM ${quoteIdentifier(table)}`);
+    for (const row of rows) {
+      const parsed = parseGeoPackageGeometry(row[geometryColumn.column_name]);
+      if (!parsed) continue;
+      const properties = {};
+      for (const column of propertyColumns) {
+        const value = row[column.name];
+        if (value != null) {
+          properties[column.name] = value;
+        }
+      }
+      features.push({
+        type: 'Feature',
+        // eslint-disable-next-line security/detect-object-injection -- primaryKey is a column name of the table
+        id: primaryKey != null ? row[primaryKey] : undefined,
+        properties,
+        geometry: transformGeometry(parsed.geometry, transform),
+      });
+    }
+
+    indexes.set(
+      table,
+      geojsonvt(
+        { type: 'FeatureCollection', features },
+        {
+          maxZoom: maxzoom,
+          indexMaxZoom: Math.min(maxzoom, 5),
+          tolerance,
+          buffer,
+          extent: EXTENT,
+        },
+      ),
+    );
+    vectorLayers.push({
+      id: table,
+      description: contents.description || '',
+      minzoom,
+      maxzoom,
+      fields: Object.fromEntries(
+        propertyColumns.map((column) => [
+          column.name,
+          getFieldType(column.type),
+        ]),
+      ),
+    });
+    boundsList.push(await getContentsBounds(db, contents));
+  }
+  const info = {
+    name: contentsList
+      .map((contents) => contents.identifier || contents.table_name)
+      .join(', '),
+    format: 'pbf',
+    minzoom,
+    maxzoom,
+    bounds: unionBounds(boundsList),
+    vector_layers: vectorLayers,
+  };
+  return new GeoPackageFeatureSource(indexes, options, info);
+}
+
+/**
+ * Opens a GeoPackage as a tile source, either one of its tile tables or its feature
+ * tables tiled into vector tiles in memory.
+ * @param {string} inputFile - Path of the GeoPackage.
+ * @param {object} [options] - Options of the source.
+ * @param {string} [options.table] - The tile table, defaults to the first one.
+ * @param {boolean|string[]} [options.features] - Tile the feature tables (all or the given ones) instead.
+ * @param {object} [options.tiling] - The tiling options of feature tables (see `getGeoJSONTilingOptions`).
+ * @returns {Promise<GeoPackageTileSource|GeoPackageFeatureSource>} - The source.
+ * @throws {Error} If the GeoPackage has no matching tables.
+ */
+export async function openGeoPackageSource(inputFile, options = {}) {
+  const db = await openDatabase(inputFile);
+  const contents = await db.all(
+    'SELECT table_name, data_type, identifier, description, min_x, min_y, max_x, max_y, srs_id ' +
+      'FROM gpkg_contents ORDER BY table_name',
+  );
+
+  if (options.features) {
+    const names = Array.isArray(options.features) ? options.features : null;
+    const tables = contents.filter(
+      (row) =>
+        row.data_type === 'features' &&
+        (names == null || names.includes(row.table_name)),
+    );
+    const missing = (names ?? []).filter(
+      (name) => !tables.some((row) => row.table_name === name),
+    );
+    if (missing.length > 0 || tables.length === 0) {
+      await db.close();
+      throw new Error(
+        `Missing feature tables in "${inputFile}": ${missing.join(', ') || 'none found'}`,
+      );
+    }
+    // the features are tiled in memory, the database is not needed anymore
+    try {
+      return await openFeatureTables(db, tables, options.tiling);
+    } finally {
+      await db.close();
+    }
+  }
+
+  const tables = contents.filter(
+    (row) =>
+      (row.data_type === 'tiles' || row.data_type === 'vector-tiles') &&
+      (options.table == null || row.table_name === options.table),
+  );
+  if (tables.length === 0) {
+    await db.close();
+    throw new Error(
+      `Missing tile table ${options.table ? `"${options.table}" ` : ''}in "${inputFile}"`,
+    );
+  }
+  try {
+    return await openTileTable(db, tables[0]);
+  } catch (err) {
+    await db.close();
+    throw err;
+  }
+}
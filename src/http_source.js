@@ -0,0 +1,398 @@
+'use strict';
+
+import fsp from 'node:fs/promises';
+import path from 'path';
+import fnv1a from '@sindresorhus/fnv1a';
+import { CONTENT_TYPES, getExtensionFormat } from './xyz_source.js';
+import { isValidHttpUrl } from './utils.js';
+
+// upstream errors on which stale tiles may be served (RFC 5861)
+const STALE_STATUSES = [500, 502, 503, 504];
+
+let tempFileCounter = 0;
+
+/**
+ * Parses a Cache-Control header.
+ * @param {string|null} value - The header value.
+ * @returns {Map<string, string|true>} - The directives in lower case with their arguments.
+ */
+function parseCacheControl(value) {
+  const directives = new Map();
+  for (const part of (value ?? '').split(',')) {
+    const [name, argument] = part.split('=');
+    if (name.trim().length > 0) {
+      directives.set(
+        name.trim().toLowerCase(),
+        argument?.trim().replace(/^"|"$/g, '') ?? true,
+      );
+    }
+  }
+  return directives;
+}
+
+/**
+ * Computes how long a response may be cached from its Cache-Control, Expires and Age
+ * headers, falling back to the configured time to live.
+ * @param {Headers} headers - The response headers.
+ * @param {{ttl: number, staleIfError: number}} cache - The cache options in seconds.
+ * @param {number} now - The time of the request in milliseconds.
+ * @returns {{expires: number, staleUntil: number}|null} - Until when the response is fresh and
+ *   until when it may be served on upstream errors, null if it must not be cached.
+ */
+function getFreshness(headers, cache, now) {
+  const cacheControl = parseCacheControl(headers.get('cache-control'));
+  if (cacheControl.has('no-store') || cacheControl.has('private')) {
+    return null;
+  }
+  let maxAge;
+  if (cacheControl.has('no-cache')) {
+    maxAge = 0;
+  } else if (cacheControl.has('s-maxage') || cacheControl.has('max-age')) {
+    maxAge =
+      (Number(cacheControl.get('s-maxage') ?? cacheControl.get('max-age')) ||
+        0) - (Number(headers.get('age')) || 0);
+  } else if (headers.has('expires')) {
+    // invalid dates mean the response is already expired
+    const date = Date.parse(headers.get('date')) || now;
+    maxAge = (Date.parse(headers.get('expires')) - date) / 1000 || 0;
+  } else {
+    maxAge = cache.ttl;
+  }
+  let staleIfError = cache.staleIfError;
+  if (
+    cacheControl.has('must-revalidate') ||
+    cacheControl.has('proxy-revalidate')
+  ) {
+    staleIfError = 0;
+  } else if (cacheControl.has('stale-if-error')) {
+    staleIfError = Number(cacheControl.get('stale-if-error')) || 0;
+  }
+  const expires = now + Math.max(0, maxAge) * 1000;
+  return { expires, staleUntil: expires + staleIfError * 1000 };
+}
+
+/**
+ * Reads a cached tile. Entries start with the length of their JSON metadata (UInt32BE),
+ * followed by the metadata and the tile data.
+ * @param {string} file - The cache file.
+ * @returns {Promise<{meta: object, data: Buffer}|null>} - The entry or null if it is not cached or unreadable.
+ */
+async function readEntry(file) {
+  try {
+    const buffer = await fsp.readFile(file);
+    const length = buffer.readUInt32BE(0);
+    return {
+      meta: JSON.parse(buffer.subarray(4, 4 + length).toString('utf8')),
+      data: buffer.subarray(4 + length),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes a cached tile, replacing the previous entry atomically.
+ * @param {string} file - The cache file.
+ * @param {object} meta - The metadata of the entry.
+ * @param {Buffer} data - The tile data.
+ * @returns {Promise<void>}
+ */
+async function writeEntry(file, meta, data) {
+  const json = Buffer.from(JSON.stringify(meta), 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(json.length);
+  const tempFile = `${file}.${process.pid}.${tempFileCounter++}.tmp`;
+  try {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(tempFile, Buffer.concat([length, json, data]));
+    await fsp.rename(tempFile, file);
+  } catch (err) {
+    console.error(`WARN: Failed to cache tile "${file}": ${err.message}`);
+    await fsp.rm(tempFile, { force: true });
+  }
+}
+
+/**
+ * Tiles of a remote `{z}/{x}/{y}` tile service, cached on disk as allowed by the
+ * caching headers of the service.
+ */
+class HTTPSource {
+  /**
+   * Creates an HTTPSource instance, use `openHTTPSource` to get one.
+   * @param {string} template - The tile url template.
+   * @param {object} info - The TileJSON fields of the tiles.
+   * @param {object} options - Options of the source.
+   * @param {object} options.headers - Headers of the upstream requests.
+   * @param {number} options.timeout - Timeout of the upstream requests in milliseconds.
+   * @param {{ttl: number, staleIfError: number}|null} options.cache - Cache options, null if disabled.
+   * @param {string|null} options.cacheDir - Directory of the cached tiles.
+   * @param {string} options.id - ID of the data source (used in warnings).
+   */
+  constructor(template, info, options) {
+    this.template = template;
+    this.info = info;
+    this.headers = options.headers;
+    this.timeout = options.timeout;
+    this.cache = options.cache;
+    this.cacheDir = options.cacheDir;
+    this.id = options.id;
+    // concurrent requests of a tile share one upstream request
+    this.pending = new Map();
+  }
+
+  /**
+   * Returns the metadata of the tiles.
+   * @returns {object} - The format, zoom levels and bounds.
+   */
+  getInfo() {
+    return structuredClone(this.info);
+  }
+
+  /**
+   * Fetches a tile from the cache, or from the tile service if it is not cached or expired.
+   * Cached tiles are revalidated with their ETag or Last-Modified date, and served stale
+   * when the service fails (see `staleIfError`).
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{data: Buffer, headers: object}|null>} - The tile or null if the service has none.
+   * @throws {Error} If the service fails and no usable cached tile exists.
+   */
+  async getTile(z, x, y) {
+    const key = `${z}/${x}/${y}`;
+    let promise = this.pending.get(key);
+    if (promise == null) {
+      promise = this.loadTile(z, x, y).finally(() => {
+        this.pending.delete(key);
+      });
+      this.pending.set(key, promise);
+    }
+    return promise;
+  }
+
+  /**
+   * Loads a tile, see `getTile`.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{data: Buffer, headers: object}|null>} - The tile or null if the service has none.
+   */
+  async loadTile(z, x, y) {
+    const file =
+      this.cacheDir &&
+      path.join(this.cacheDir, String(z), String(x), `${y}.tile`);
+    const cached = file ? await readEntry(file) : null;
+    const now = Date.now();
+    if (cached && now < cached.meta.expires) {
+      return this.toTile(cached.meta, cached.data);
+    }
+
+    const headers = { ...this.headers };
+    if (cached?.meta.etag) {
+      headers['If-None-Match'] = cached.meta.etag;
+    }
+    if (cached?.meta.lastModified) {
+      headers['If-Modified-Since'] = cached.meta.lastModified;
+    }
+    let response;
+    try {
+      response = await fetch(this.getTileUrl(z, x, y), {
+        headers,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      if (STALE_STATUSES.includes(response.status)) {
+        await response.body?.cancel();
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (err) {
+      if (cached && now < cached.meta.staleUntil) {
+        console.error(
+          `WARN: Serving stale tile ${z}/${x}/${y} of "${this.id}": ${err.message}`,
+        );
+        return this.toTile(cached.meta, cached.data);
+      }
+      throw new Error(
+        `Failed to fetch tile ${z}/${x}/${y} of "${this.id}": ${err.message}`,
+      );
+    }
+
+    if (response.status === 304 && cached) {
+      const freshness = getFreshness(response.headers, this.cache, now);
+      if (freshness) {
+        await writeEntry(file, { ...cached.meta, ...freshness }, cached.data);
+      }
+      return this.toTile(cached.meta, cached.data);
+    }
+
+    let data;
+    if (response.status === 404 || response.status === 204) {
+      // missing tiles are cached as well, tile services of sparse data have many of them
+      await response.body?.cancel();
+      data = null;
+    } else if (response.ok) {
+      data = Buffer.from(await response.arrayBuffer());
+    } else {
+      await response.body?.cancel();
+      throw new Error(
+        `Failed to fetch tile ${z}/${x}/${y} of "${this.id}": HTTP ${response.status}`,
+      );
+    }
+
+    const meta = {
+      empty: data == null,
+      etag: response.headers.get('etag') ?? undefined,
+      lastModified: response.headers.get('last-modified') ?? undefined,
+    };
+    const freshness = file && getFreshness(response.headers, this.cache, now);
+    if (freshness) {
+      await writeEntry(
+        file,
+        { ...meta, ...freshness },
+        data ?? Buffer.alloc(0),
+      );
+    }
+    return this.toTile(meta, data);
+  }
+
+  /**
+   * Builds the upstream url of a tile.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {string} - The url.
+   */
+  getTileUrl(z, x, y) {
+    return this.template
+      .replaceAll('{z}', String(z))
+      .replaceAll('{x}', String(x))
+      .replaceAll('{y}', String(y))
+      .replaceAll('{-y}', String(Math.pow(2, z) - 1 - y));
+  }
+
+  /**
+   * Returns a tile with its headers. Gzip compressed tiles are detected and reported in the headers.
+   * @param {object} meta - The metadata of the tile.
+   * @param {Buffer|null} data - The tile data.
+   * @returns {{data: Buffer, headers: object}|null} - The tile or null if it is empty.
+   */
+  toTile(meta, data) {
+    if (meta.empty || data == null) {
+      return null;
+    }
+    const headers = { 'Content-Type': CONTENT_TYPES[this.info.format] };
+    if (data.slice(0, 2).indexOf(Buffer.from([0x1f, 0x8b])) === 0) {
+      headers['Content-Encoding'] = 'gzip';
+    }
+    return { data, headers };
+  }
+}
+
+/**
+ * Opens a remote tile service.
+ * @param {string} template - The tile url template with `{z}`, `{x}` and `{y}` (or `{-y}` for TMS rows).
+ * @param {object} options - Options of the source.
+ * @param {string} [options.format] - The format of the tiles. Default: from the extension of the template
+ * @param {object} [options.headers] - Headers of the upstream requests.
+ * @param {object} [options.auth] - `username` and `password` for basic or `token` for bearer authentication.
+ * @param {object|boolean} [options.cache] - `path` (relative to `root`), `ttl` and `staleIfError`
+ *   in seconds of the disk cache, or true for the defaults. Default: no cache
+ * @param {number} [options.minzoom] - Lowest zoom level of the tiles. Default: 0
+ * @param {number} [options.maxzoom] - Highest zoom level of the tiles. Default: 22
+ * @param {number} [options.timeout] - Timeout of the upstream requests in milliseconds. Default: 15000
+ * @param {string} options.root - The root path.
+ * @param {string} options.id - ID of the data source.
+ * @returns {Promise<HTTPSource>} - The source.
+ * @throws {Error} If an option is invalid.
+ */
+export async function openHTTPSource(template, options) {
+  if (
+    !isValidHttpUrl(template) ||
+    !template.includes('{z}') ||
+    !template.includes('{x}') ||
+    !(template.includes('{y}') || template.includes('{-y}'))
+  ) {
+    throw new Error(
+      'Invalid http url. Must be a tile url template with {z}, {x} and {y} or {-y}.',
+    );
+  }
+  const extension = /\.(\w+)$/.exec(template.split('?')[0])?.[1];
+  const format = options.format ?? (extension && getExtensionFormat(extension));
+  if (!Object.hasOwn(CONTENT_TYPES, format ?? '')) {
+    throw new Error('Invalid format. Must be pbf, png, jpeg, webp or avif.');
+  }
+
+  if (
+    options.headers != null &&
+    (typeof options.headers !== 'object' ||
+      Object.values(options.headers).some((value) => typeof value !== 'string'))
+  ) {
+    throw new Error('Invalid headers. Must be an object of strings.');
+  }
+  const headers = { ...options.headers };
+  const { auth } = options;
+  if (auth?.token != null) {
+    headers['Authorization'] = `Bearer ${auth.token}`;
+  } else if (auth?.username != null && auth?.password != null) {
+    const credentials = Buffer.from(`${auth.username}:${auth.password}`);
+    headers['Authorization'] = `Basic ${credentials.toString('base64')}`;
+  } else if (auth != null) {
+    throw new Error('Invalid auth. Must have username and password, or token.');
+  }
+
+  const minzoom = options.minzoom ?? 0;
+  const maxzoom = options.maxzoom ?? 22;
+  if (
+    !Number.isInteger(minzoom) ||
+    !Number.isInteger(maxzoom) ||
+    minzoom < 0 ||
+    maxzoom > 30 ||
+    minzoom > maxzoom
+  ) {
+    throw new Error(
+      'Invalid minzoom or maxzoom. Must be integers from 0 to 30, minzoom at most maxzoom.',
+    );
+  }
+
+  // the disk cache is opt-in, it is not cleaned up
+  let cache = null;
+  let cacheDir = null;
+  if (options.cache != null && options.cache !== false) {
+    cache = {
+      ttl: options.cache?.ttl ?? 3600,
+      staleIfError: options.cache?.staleIfError ?? 86400,
+    };
+    if (
+      typeof cache.ttl !== 'number' ||
+      typeof cache.staleIfError !== 'number' ||
+      !(cache.ttl >= 0) ||
+      !(cache.staleIfError >= 0)
+    ) {
+      throw new Error(
+        'Invalid cache. ttl and staleIfError must be non-negative numbers of seconds.',
+      );
+    }
+    // changing the template starts a new cache
+    cacheDir = path.join(
+      path.resolve(
+        options.root,
+        options.cache?.path ?? path.join('http_cache', options.id),
+      ),
+      fnv1a(template).toString(36),
+    );
+    await fsp.mkdir(cacheDir, { recursive: true });
+  }
+
+  const info = {
+    format,
+    minzoom,
+    maxzoom,
+    bounds: [-180, -85.0511, 180, 85.0511],
+  };
+  return new HTTPSource(template, info, {
+    headers,
+    timeout: options.timeout ?? 15000,
+    cache,
+    cacheDir,
+    id: options.id,
+  });
+}
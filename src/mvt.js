@@ -0,0 +1,582 @@
+'use strict';
+
+import Pbf from 'pbf';
+import { VectorTile, VectorTileFeature } from '@mapbox/vector-tile';
+import { fromVectorTileJs } from '@maplibre/vt-pbf';
+
+/**
+ * Parses a comma-separated list query parameter (e.g. `?layers=water,roads`).
+ * Repeated parameters are combined.
+ * @param {string|string[]|undefined} value - The query parameter value.
+ * @returns {string[]|null} - The list of names or null if the parameter is not set.
+ */
+export function parseListParam(value) {
+  if (value == null) {
+    return null;
+  }
+  const names = []
+    .concat(value)
+    .flatMap((part) => String(part).split(','))
+    .map((name) => name.trim())
+    .filter((name) => name.length > 0);
+  return names.length > 0 ? [...new Set(names)] : null;
+}
+
+/**
+ * Wraps a vector tile feature, exposing only the allowed properties.
+ * @param {object} feature - The VectorTileFeature.
+ * @param {string[]|null} fields - Names of the properties to keep, or null to keep all.
+ * @returns {object} - A feature usable by `fromVectorTileJs`.
+ */
+function filterFeature(feature, fields) {
+  if (!fields) {
+    return feature;
+  }
+  const properties = {};
+  for (const field of fields) {
+    if (Object.prototype.hasOwnProperty.call(feature.properties, field)) {
+      // eslint-disable-next-line security/detect-object-injection -- field is checked to be an own property
+      properties[field] = feature.properties[field];
+    }
+  }
+  return {
+    id: feature.id,
+    type: feature.type,
+    properties,
+    loadGeometry: () => feature.loadGeometry(),
+  };
+}
+
+/**
+ * Re-encodes a vector tile, keeping only the requested layers and properties and
+ * optionally cutting out a descendant tile (overzoom).
+ * @param {Buffer|Uint8Array} data - The uncompressed vector tile (MVT).
+ * @param {object} options - Transformation options.
+ * @param {string[]|null} [options.layers] - Names of the layers to keep, or null to keep all.
+ * @param {string[]|null} [options.fields] - Names of the properties to keep, or null to keep all.
+ * @param {{dz: number, dx: number, dy: number, buffer?: number}} [options.overzoom] - Descendant tile
+ *   to cut out of the tile: zoom difference, x/y offset within the tile and clipping buffer in 1/4096 tile units (default 64).
+ * @returns {Buffer} - The transformed, uncompressed vector tile.
+ */
+export function transformVectorTile(data, { layers, fields, overzoom } = {}) {
+  const tile = new VectorTile(new Pbf(data));
+  const transformed = { layers: {} };
+  for (const name of Object.keys(tile.layers)) {
+    if (layers && !layers.includes(name)) {
+      continue;
+    }
+    // eslint-disable-next-line security/detect-object-injection -- name is from Object.keys of the decoded tile layers
+    const layer = tile.layers[name];
+    let features = [];
+    for (let i = 0; i < layer.length; i++) {
+      features.push(filterFeature(layer.feature(i), fields));
+    }
+    if (overzoom) {
+      features = features
+        .map((feature) => overzoomFeature(feature, layer.extent, overzoom))
+        .filter((feature) => feature != null);
+    }
+    // eslint-disable-next-line security/detect-object-injection -- name is from Object.keys of the decoded tile layers
+    transformed.layers[name] = {
+      name,
+      version: layer.version,
+      extent: layer.extent,
+      length: features.length,
+      feature: (i) => features[i], // eslint-disable-line security/detect-object-injection -- i is an index below length
+    };
+  }
+  return Buffer.from(fromVectorTileJs(transformed));
+}
+
+/**
+ * Scales the geometry of a feature into a descendant tile and clips it to its bounds.
+ * @param {object} feature - The vector tile feature.
+ * @param {number} extent - Extent of the layer.
+ * @param {object} overzoom - Descendant tile, see `transformVectorTile`.
+ * @returns {object|null} - The transformed feature or null if nothing is left after clipping.
+ */
+function overzoomFeature(feature, extent, overzoom) {
+  const { dz, dx, dy, buffer = 64 } = overzoom;
+  const scale = 1 << dz;
+  const min = -(buffer * extent) / 4096;
+  const max = extent - min;
+  const bounds = [min, min, max, max];
+  const geometry = feature.loadGeometry().map((line) =>
+    line.map((p) => ({
+      x: p.x * scale - dx * extent,
+      y: p.y * scale - dy * extent,
+    })),
+  );
+
+  const clipped = clipGeometry(feature.type, geometry, bounds);
+  if (clipped == null || clipped.length === 0) {
+    return null;
+  }
+  return {
+    id: feature.id,
+    type: feature.type,
+    properties: feature.properties,
+    loadGeometry: () => clipped,
+  };
+}
+
+/**
+ * Clips the geometry of a feature to a rectangle.
+ * @param {number} type - Type of the feature (1 point, 2 line, 3 polygon).
+ * @param {Array<Array<{x: number, y: number}>>} geometry - The geometry.
+ * @param {number[]} bounds - The rectangle as [minX, minY, maxX, maxY].
+ * @returns {Array<Array<{x: number, y: number}>>|null} - The clipped geometry or null for unknown types.
+ */
+function clipGeometry(type, geometry, bounds) {
+  const [minX, minY, maxX, maxY] = bounds;
+  if (type === 1) {
+    return geometry
+      .map((points) =>
+        points.filter(
+          (p) => p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY,
+        ),
+      )
+      .filter((points) => points.length > 0);
+  } else if (type === 2) {
+    return geometry
+      .flatMap((line) => clipLine(line, bounds))
+      .map(roundLine)
+      .filter((line) => line.length > 1);
+  } else if (type === 3) {
+    return clipPolygon(geometry, bounds);
+  }
+  return null;
+}
+
+/**
+ * Clips a line to a rectangle, splitting it where it leaves the rectangle.
+ * @param {Array<{x: number, y: number}>} line - The line.
+ * @param {number[]} bounds - The rectangle as [minX, minY, maxX, maxY].
+ * @returns {Array<Array<{x: number, y: number}>>} - The parts of the line within the rectangle.
+ */
+function clipLine(line, bounds) {
+  const parts = [];
+  let current = [];
+  for (let i = 0; i < line.length - 1; i++) {
+    // eslint-disable-next-line security/detect-object-injection -- i is a loop index within the line
+    const start = line[i];
+    const end = line[i + 1];
+    const segment = clipSegment(start, end, bounds);
+    if (!segment) {
+      if (current.length > 1) parts.push(current);
+      current = [];
+      continue;
+    }
+    if (current.length === 0) {
+      current.push(segment[0]);
+    }
+    current.push(segment[1]);
+    if (segment[1].x !== end.x || segment[1].y !== end.y) {
+      // the line leaves the rectangle
+      parts.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 1) parts.push(current);
+  return parts;
+}
+
+/**
+ * Clips a line segment to a rectangle (Liang-Barsky).
+ * @param {{x: number, y: number}} a - Start of the segment.
+ * @param {{x: number, y: number}} b - End of the segment.
+ * @param {number[]} bounds - The rectangle as [minX, minY, maxX, maxY].
+ * @returns {Array<{x: number, y: number}>|null} - The clipped segment or null if it is outside.
+ */
+function clipSegment(a, b, bounds) {
+  const [minX, minY, maxX, maxY] = bounds;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of [
+    [-dx, a.x - minX],
+    [dx, maxX - a.x],
+    [-dy, a.y - minY],
+    [dy, maxY - a.y],
+  ]) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const r = q / p;
+    if (p < 0) {
+      if (r > t1) return null;
+      if (r > t0) t0 = r;
+    } else {
+      if (r < t0) return null;
+      if (r < t1) t1 = r;
+    }
+  }
+  return [
+    t0 === 0 ? a : { x: a.x + t0 * dx, y: a.y + t0 * dy },
+    t1 === 1 ? b : { x: a.x + t1 * dx, y: a.y + t1 * dy },
+  ];
+}
+
+/**
+ * Clips the rings of a polygon feature to a rectangle (Sutherland-Hodgman).
+ * Holes of exterior rings that are clipped away are dropped as well.
+ * @param {Array<Array<{x: number, y: number}>>} rings - Closed rings of the feature.
+ * @param {number[]} bounds - The rectangle as [minX, minY, maxX, maxY].
+ * @returns {Array<Array<{x: number, y: number}>>} - The clipped, closed rings.
+ */
+function clipPolygon(rings, bounds) {
+  const [minX, minY, maxX, maxY] = bounds;
+  const result = [];
+  let exteriorSign = 0;
+  let keepHoles = false;
+  for (const ring of rings) {
+    const area = signedArea(ring);
+    if (area === 0) continue;
+    if (exteriorSign === 0) exteriorSign = Math.sign(area);
+    const isExterior = Math.sign(area) === exteriorSign;
+    if (!isExterior && !keepHoles) continue;
+
+    let points = ring.slice(0, -1);
+    points = clipEdge(
+      points,
+      (p) => p.x >= minX,
+      (a, b) => intersectX(a, b, minX),
+    );
+    points = clipEdge(
+      points,
+      (p) => p.x <= maxX,
+      (a, b) => intersectX(a, b, maxX),
+    );
+    points = clipEdge(
+      points,
+      (p) => p.y >= minY,
+      (a, b) => intersectY(a, b, minY),
+    );
+    points = clipEdge(
+      points,
+      (p) => p.y <= maxY,
+      (a, b) => intersectY(a, b, maxY),
+    );
+    points = roundLine(points);
+    if (points.length > 1 && samePoint(points[0], points[points.length - 1])) {
+      points.pop();
+    }
+    const valid =
+      points.length >= 3 && signedArea([...points, points[0]]) !== 0;
+    if (isExterior) keepHoles = valid;
+    if (valid) result.push([...points, { ...points[0] }]);
+  }
+  return result;
+}
+
+/**
+ * Clips an open ring against one edge of the clipping rectangle.
+ * @param {Array<{x: number, y: number}>} points - The ring (without closing point).
+ * @param {(p: {x: number, y: number}) => boolean} inside - Tests whether a point is inside.
+ * @param {(a: {x: number, y: number}, b: {x: number, y: number}) => {x: number, y: number}} intersect - Intersection with the edge.
+ * @returns {Array<{x: number, y: number}>} - The clipped ring.
+ */
+function clipEdge(points, inside, intersect) {
+  const output = [];
+  for (let i = 0; i < points.length; i++) {
+    // eslint-disable-next-line security/detect-object-injection -- i is a loop index within the ring
+    const current = points[i];
+    const previous = points[(i + points.length - 1) % points.length];
+    if (inside(current)) {
+      if (!inside(previous)) output.push(intersect(previous, current));
+      output.push(current);
+    } else if (inside(previous)) {
+      output.push(intersect(previous, current));
+    }
+  }
+  return output;
+}
+
+/**
+ * Intersects a segment with a vertical line.
+ * @param {{x: number, y: number}} a - Start of the segment.
+ * @param {{x: number, y: number}} b - End of the segment.
+ * @param {number} x - X coordinate of the line.
+ * @returns {{x: number, y: number}} - The intersection point.
+ */
+function intersectX(a, b, x) {
+  return { x, y: a.y + ((b.y - a.y) * (x - a.x)) / (b.x - a.x) };
+}
+
+/**
+ * Intersects a segment with a horizontal line.
+ * @param {{x: number, y: number}} a - Start of the segment.
+ * @param {{x: number, y: number}} b - End of the segment.
+ * @param {number} y - Y coordinate of the line.
+ * @returns {{x: number, y: number}} - The intersection point.
+ */
+function intersectY(a, b, y) {
+  return { x: a.x + ((b.x - a.x) * (y - a.y)) / (b.y - a.y), y };
+}
+
+/**
+ * Rounds the coordinates of a line to integers and removes repeated points.
+ * @param {Array<{x: number, y: number}>} line - The line.
+ * @returns {Array<{x: number, y: number}>} - The rounded line.
+ */
+function roundLine(line) {
+  const result = [];
+  for (const p of line) {
+    const point = { x: Math.round(p.x), y: Math.round(p.y) };
+    if (result.length === 0 || !samePoint(result[result.length - 1], point)) {
+      result.push(point);
+    }
+  }
+  return result;
+}
+
+/**
+ * Checks whether two points are equal.
+ * @param {{x: number, y: number}} a - First point.
+ * @param {{x: number, y: number}} b - Second point.
+ * @returns {boolean} - True if both points have the same coordinates.
+ */
+function samePoint(a, b) {
+  return a.x === b.x && a.y === b.y;
+}
+
+/**
+ * Calculates the signed area of a closed ring (shoelace formula).
+ * @param {Array<{x: number, y: number}>} ring - The closed ring.
+ * @returns {number} - The signed area (twice the actual area).
+ */
+function signedArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    // eslint-disable-next-line security/detect-object-injection -- i and j are loop indices within the ring
+    sum += (ring[j].x - ring[i].x) * (ring[i].y + ring[j].y);
+  }
+  return sum;
+}
+
+/**
+ * Filters the `vector_layers` of a TileJSON the same way as `transformVectorTile`.
+ * @param {object[]|undefined} vectorLayers - The `vector_layers` of the TileJSON.
+ * @param {string[]|null} layers - Names of the layers to keep, or null to keep all.
+ * @param {string[]|null} fields - Names of the properties to keep, or null to keep all.
+ * @returns {object[]|undefined} - The filtered `vector_layers`.
+ */
+export function filterVectorLayers(vectorLayers, layers, fields) {
+  if (!Array.isArray(vectorLayers)) {
+    return vectorLayers;
+  }
+  return vectorLayers
+    .filter((layer) => !layers || layers.includes(layer.id))
+    .map((layer) => {
+      if (!fields || !layer.fields) {
+        return layer;
+      }
+      return {
+        ...layer,
+        fields: Object.fromEntries(
+          Object.entries(layer.fields).filter(([field]) =>
+            fields.includes(field),
+          ),
+        ),
+      };
+    });
+}
+
+/**
+ * Finds the features of a vector tile at or near a point: polygons containing it and
+ * points and lines within the radius (and polygons whose outline is).
+ * @param {Buffer|Uint8Array} data - The uncompressed vector tile (MVT).
+ * @param {number} z - Zoom level of the tile.
+ * @param {number} x - X coordinate of the tile.
+ * @param {number} y - Y coordinate of the tile.
+ * @param {number[]} point - The point as [x, y] relative to the tile (0-1 within the tile).
+ * @param {number} radius - The search radius relative to the tile size.
+ * @param {string[]|null} layers - Names of the layers to search, or null to search all.
+ * @returns {Array<{layer: string, feature: object, distance: number}>} - The matching features as
+ *   GeoJSON with the distance from the point relative to the tile size (0 within polygons).
+ */
+export function queryVectorTile(data, z, x, y, point, radius, layers) {
+  const tile = new VectorTile(new Pbf(data));
+  const results = [];
+  for (const [name, layer] of Object.entries(tile.layers)) {
+    if (layers && !layers.includes(name)) continue;
+    const p = { x: point[0] * layer.extent, y: point[1] * layer.extent };
+    for (let i = 0; i < layer.length; i++) {
+      const feature = layer.feature(i);
+      const geometry = feature.loadGeometry();
+      let distance = Infinity;
+      if (feature.type === 3 && insideRings(p, geometry)) {
+        distance = 0;
+      } else {
+        for (const part of geometry) {
+          distance = Math.min(distance, distanceToLine(p, part));
+        }
+      }
+      distance /= layer.extent;
+      if (distance <= radius) {
+        results.push({
+          layer: name,
+          feature: feature.toGeoJSON(x, y, z),
+          distance,
+        });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Tests whether a point lies within polygon rings (even-odd rule, so holes and
+ * multiple outer rings are handled without knowing the ring orientation).
+ * @param {{x: number, y: number}} p - The point.
+ * @param {Array<Array<{x: number, y: number}>>} rings - The closed rings.
+ * @returns {boolean} - True if the point is inside.
+ */
+function insideRings(p, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      // eslint-disable-next-line security/detect-object-injection -- i and j are loop indices within the ring
+      const [a, b] = [ring[i], ring[j]];
+      if (
+        a.y > p.y !== b.y > p.y &&
+        p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+/**
+ * Calculates the distance of a point to a line (or to a single point).
+ * @param {{x: number, y: number}} p - The point.
+ * @param {Array<{x: number, y: number}>} line - The line.
+ * @returns {number} - The distance.
+ */
+function distanceToLine(p, line) {
+  let distance = Infinity;
+  for (let i = 0; i < line.length; i++) {
+    // eslint-disable-next-line security/detect-object-injection -- i is a loop index within the line
+    const a = line[i];
+    const b = line[Math.min(i + 1, line.length - 1)];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+      lengthSquared > 0
+        ? Math.min(
+            1,
+            Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared),
+          )
+        : 0;
+    distance = Math.min(
+      distance,
+      Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy)),
+    );
+  }
+  return distance;
+}
+
+/**
+ * Extracts the features of a vector tile as GeoJSON, clipped to a rectangle within the
+ * tile, so that the tile buffer is not exported twice.
+ * @param {Buffer|Uint8Array} data - The uncompressed vector tile (MVT).
+ * @param {number} z - Zoom level of the tile.
+ * @param {number} x - X coordinate of the tile.
+ * @param {number} y - Y coordinate of the tile.
+ * @param {number[]} bounds - The rectangle as [minX, minY, maxX, maxY] relative to the tile (0-1 within the tile).
+ * @param {string[]|null} layers - Names of the layers to extract, or null to extract all.
+ * @returns {Array<{layer: string, feature: object}>} - The clipped features.
+ */
+export function extractVectorTileFeatures(data, z, x, y, bounds, layers) {
+  const tile = new VectorTile(new Pbf(data));
+  const results = [];
+  for (const [name, layer] of Object.entries(tile.layers)) {
+    if (layers && !layers.includes(name)) continue;
+    const layerBounds = bounds.map((value) => value * layer.extent);
+    for (let i = 0; i < layer.length; i++) {
+      const feature = layer.feature(i);
+      const clipped = clipGeometry(
+        feature.type,
+        feature.loadGeometry(),
+        layerBounds,
+      );
+      if (clipped == null || clipped.length === 0) continue;
+      const geojson = VectorTileFeature.prototype.toGeoJSON.call(
+        {
+          id: feature.id,
+          type: feature.type,
+          extent: layer.extent,
+          properties: feature.properties,
+          loadGeometry: () => clipped,
+        },
+        x,
+        y,
+        z,
+      );
+      results.push({ layer: name, feature: geojson });
+    }
+  }
+  return results;
+}
+
+/**
+ * Merges the geometry of a part of a GeoJSON feature (e.g. from a neighboring tile)
+ * into the feature. Points are de-duplicated and lines meeting at their ends are
+ * joined, polygons are combined into a MultiPolygon.
+ * @param {object} feature - The feature, changed in place.
+ * @param {object} part - The other part of the feature.
+ * @returns {object} - The feature.
+ */
+export function mergeFeatureParts(feature, part) {
+  const type = feature.geometry.type.replace(/^Multi/, '');
+  if (part.geometry.type.replace(/^Multi/, '') !== type) {
+    return feature;
+  }
+  const parts = (geometry) =>
+    geometry.type.startsWith('Multi')
+      ? geometry.coordinates
+      : [geometry.coordinates];
+  let coordinates = [...parts(feature.geometry), ...parts(part.geometry)];
+  if (type === 'Point') {
+    const seen = new Set();
+    coordinates = coordinates.filter((point) => {
+      const key = point.join(',');
+      return !seen.has(key) && seen.add(key);
+    });
+  } else if (type === 'LineString') {
+    coordinates = joinLines(coordinates);
+  }
+  feature.geometry =
+    coordinates.length === 1
+      ? { type, coordinates: coordinates[0] }
+      : { type: `Multi${type}`, coordinates };
+  return feature;
+}
+
+/**
+ * Joins lines whose end is the start of another line.
+ * @param {number[][][]} lines - The lines as arrays of [lon, lat].
+ * @returns {number[][][]} - The joined lines.
+ */
+function joinLines(lines) {
+  const result = lines.map((line) => [...line]);
+  const same = (a, b) => a[0] === b[0] && a[1] === b[1];
+  for (let i = 0; i < result.length; i++) {
+    for (let j = 0; j < result.length; j++) {
+      // eslint-disable-next-line security/detect-object-injection -- i and j are indices of the lines
+      const [a, b] = [result[i], result[j]];
+      if (i === j || !same(a[a.length - 1], b[0])) continue;
+      a.push(...b.slice(1));
+      result.splice(j, 1);
+      // start over with the joined line, which may continue again
+      i = -1;
+      break;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+// channels of a pixel a raw value can be read from, `rgb` as a 24-bit integer
+const CHANNELS = ['r', 'g', 'b', 'a', 'rgb'];
+
+/**
+ * Validates the `valueMapping` option of a raster data source, which decodes the
+ * pixels into values either through a class table or with a linear scale and offset.
+ * @param {object|undefined} config - The `valueMapping` option of the data source.
+ * @returns {{channel: string, classes: object|null, scale: number, offset: number, nodata: number|null}|null} - The
+ *   mapping or null if none is configured.
+ * @throws {Error} If the mapping is invalid.
+ */
+export function getValueMapping(config) {
+  if (config == null) {
+    return null;
+  }
+  const channel = config.channel ?? 'r';
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(
+      `Invalid valueMapping.channel. Must be one of ${CHANNELS.join(', ')}.`,
+    );
+  }
+  if (
+    config.classes != null &&
+    (typeof config.classes !== 'object' || Array.isArray(config.classes))
+  ) {
+    throw new Error(
+      'Invalid valueMapping.classes. Must be an object of values by class.',
+    );
+  }
+  const mapping = {
+    channel,
+    classes: config.classes ?? null,
+    scale: Number(config.scale ?? 1),
+    offset: Number(config.offset ?? 0),
+    nodata: config.nodata ?? null,
+  };
+  if (!Number.isFinite(mapping.scale) || !Number.isFinite(mapping.offset)) {
+    throw new Error('Invalid valueMapping.scale or offset. Must be numbers.');
+  }
+  return mapping;
+}
+
+/**
+ * Decodes the value of a pixel. Transparent pixels and the nodata value have no value,
+ * as do raw values missing in the class table.
+ * @param {object} mapping - The value mapping (see `getValueMapping`).
+ * @param {number[]} rgba - The pixel as [r, g, b, a] (0-255).
+ * @returns {{raw: number, value: number|string|object|null}} - The raw value of the channel and the decoded value
+ *   (the class or the scaled number), null if there is none.
+ */
+export function mapPixelValue(mapping, rgba) {
+  const [r, g, b, a] = rgba;
+  const raw =
+    mapping.channel === 'rgb'
+      ? r * 65536 + g * 256 + b
+      : rgba[CHANNELS.indexOf(mapping.channel)];
+  if (a === 0 || raw === mapping.nodata) {
+    return { raw, value: null };
+  }
+  if (mapping.classes) {
+    return {
+      raw,
+      value: Object.hasOwn(mapping.classes, String(raw))
+        ? mapping.classes[String(raw)]
+        : null,
+    };
+  }
+  return { raw, value: raw * mapping.scale + mapping.offset };
+}
@@ -5,12 +5,12 @@ import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
 import { fromIni } from '@aws-sdk/credential-provider-ini';
 
 /**
- * S3 Source for PMTiles
+ * S3 Source for PMTiles and Cloud Optimized GeoTIFFs
  * Supports:
  * - AWS S3: s3://bucket-name/path/to/file.pmtiles
  * - S3-compatible with endpoint: s3://endpoint-url/bucket/path/to/file.pmtiles
  */
-class S3Source {
+export class S3Source {
   /**
    * Creates an S3Source instance.
    * @param {string} s3Url - The S3 URL in one of the supported formats.
@@ -232,7 +232,7 @@ class S3Source {
       }
 
       if (error.name === 'NoSuchKey') {
-        throw new Error(`PMTiles file not found: ${this.bucket}/${this.key}`);
+        throw new Error(`File not found: ${this.bucket}/${this.key}`);
       }
 
       if (error.name === 'AccessDenied') {
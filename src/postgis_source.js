@@ -0,0 +1,284 @@
+'use strict';
+
+import pg from 'pg';
+
+const EXTENT = 4096;
+
+// type OIDs of PostgreSQL numbers (int8, int2, int4, oid, float4, float8, numeric) and booleans
+const NUMBER_TYPES = [20, 21, 23, 26, 700, 701, 1700];
+const BOOLEAN_TYPE = 16;
+
+/**
+ * Quotes an SQL identifier.
+ * @param {string} name - The identifier.
+ * @returns {string} - The quoted identifier.
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quotes an SQL string literal.
+ * @param {string} value - The string.
+ * @returns {string} - The quoted literal.
+ */
+function quoteLiteral(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Resolves the `layers` option of a PostGIS data source.
+ * @param {Array<object>} config - The `layers` option of the data source.
+ * @returns {Array<object>} - The layers with defaults (`id`, `table` or `sql`, `geometry`,
+ *   `columns`, `idColumn`, `srid`, `minzoom`, `maxzoom`, `buffer`).
+ * @throws {Error} If an option is invalid.
+ */
+export function getPostGISLayers(config) {
+  if (!Array.isArray(config) || config.length === 0) {
+    throw new Error('Invalid layers. Must be a non-empty array.');
+  }
+  const ids = new Set();
+  return config.map((layer) => {
+    if (typeof layer?.id !== 'string' || layer.id.length === 0) {
+      throw new Error('Invalid layer id. Must be a non-empty string.');
+    }
+    if (ids.has(layer.id)) {
+      throw new Error(`Invalid layer "${layer.id}". Duplicate id.`);
+    }
+    ids.add(layer.id);
+    if ((layer.table == null) === (layer.sql == null)) {
+      throw new Error(
+        `Invalid layer "${layer.id}". Must have either table or sql.`,
+      );
+    }
+    const options = {
+      id: layer.id,
+      table: layer.table,
+      sql: layer.sql,
+      geometry: layer.geometry,
+      columns: layer.columns,
+      idColumn: layer.idColumn,
+      srid: layer.srid,
+      minzoom: layer.minzoom ?? 0,
+      maxzoom: layer.maxzoom ?? 14,
+      buffer: layer.buffer ?? 64,
+    };
+    if (
+      !Number.isInteger(options.minzoom) ||
+      !Number.isInteger(options.maxzoom) ||
+      options.minzoom < 0 ||
+      options.maxzoom > 24 ||
+      options.minzoom > options.maxzoom
+    ) {
+      throw new Error(
+        `Invalid layer "${layer.id}". minzoom and maxzoom must be integers between 0 and 24.`,
+      );
+    }
+    if (
+      options.columns != null &&
+      (!Array.isArray(options.columns) ||
+        options.columns.some((column) => typeof column !== 'string'))
+    ) {
+      throw new Error(
+        `Invalid layer "${layer.id}". columns must be an array of names.`,
+      );
+    }
+    return options;
+  });
+}
+
+/**
+ * Reads the columns and the spatial reference system of a layer and builds its tile query.
+ * @param {pg.Pool} pool - The connection pool.
+ * @param {object} layer - The layer options (see `getPostGISLayers`).
+ * @param {number[]} geometryTypes - The type OIDs of geometry and geography.
+ * @returns {Promise<{layer: object, query: string, fields: object}>} - The layer, its tile query
+ *   (parameters z, x and y) and its fields as named in `vector_layers`.
+ * @throws {Error} If a configured column does not exist.
+ */
+export async function prepareLayer(pool, layer, geometryTypes) {
+  const source = layer.sql
+    ? `(${layer.sql})`
+    : layer.table.split('.').map(quoteIdentifier).join('.');
+  const { fields: columns } = await pool.query(
+    `SELECT * FROM ${source} AS t LIMIT 0`,
+  );
+
+  const geometry =
+    layer.geometry ??
+    columns.find((column) => geometryTypes.includes(column.dataTypeID))?.name;
+  if (geometry == null || !columns.some(({ name }) => name === geometry)) {
+    throw new Error(
+      `Layer "${layer.id}" has no geometry column${layer.geometry ? ` "${layer.geometry}"` : ''}`,
+    );
+  }
+  const names = [
+    ...(layer.columns ??
+      columns
+        .filter((column) => !geometryTypes.includes(column.dataTypeID))
+        .map(({ name }) => name)),
+  ];
+  if (layer.idColumn != null && !names.includes(layer.idColumn)) {
+    names.push(layer.idColumn);
+  }
+  const fields = {};
+  for (const name of names) {
+    const column = columns.find((candidate) => candidate.name === name);
+    if (column == null) {
+      throw new Error(`Layer "${layer.id}" has no column "${name}"`);
+    }
+    if (name === layer.idColumn) continue;
+    // eslint-disable-next-line security/detect-object-injection -- name is a column of the layer
+    fields[name] = NUMBER_TYPES.includes(column.dataTypeID)
+      ? 'Number'
+      : column.dataTypeID === BOOLEAN_TYPE
+        ? 'Boolean'
+        : 'String';
+  }
+
+  let srid = layer.srid;
+  if (srid == null) {
+    const { rows } = await pool.query(
+      `SELECT ST_SRID(${quoteIdentifier(geometry)}) AS srid FROM ${source} AS t ` +
+        `WHERE ${quoteIdentifier(geometry)} IS NOT NULL LIMIT 1`,
+    );
+    // empty tables and geometries without SRID are assumed to be in WGS84
+    srid = rows[0]?.srid || 4326;
+  }
+  if (!Number.isInteger(srid)) {
+    throw new Error(`Invalid srid of layer "${layer.id}". Must be an integer.`);
+  }
+
+  // geography columns are handled as geometries in WGS84
+  const column = `t.${quoteIdentifier(geometry)}::geometry`;
+  const tile = 'ST_TileEnvelope($1, $2, $3)';
+  const margin = `ST_TileEnvelope($1, $2, $3, margin => ${layer.buffer / EXTENT})`;
+  const mvtArguments = [
+    quoteLiteral(layer.id),
+    EXTENT,
+    quoteLiteral('mvt_geometry'),
+  ];
+  if (layer.idColumn != null) {
+    mvtArguments.push(quoteLiteral(layer.idColumn));
+  }
+  const query =
+    `SELECT ST_AsMVT(q, ${mvtArguments.join(', ')}) AS mvt FROM (` +
+    `SELECT ST_AsMVTGeom(${srid === 3857 ? column : `ST_Transform(${column}, 3857)`}, ${tile}, ${EXTENT}, ${layer.buffer}, true) AS mvt_geometry` +
+    names.map((name) => `, t.${quoteIdentifier(name)}`).join('') +
+    ` FROM ${source} AS t` +
+    ` WHERE ${column} && ${srid === 3857 ? margin : `ST_Transform(${margin}, ${srid})`}` +
+    `) AS q`;
+  return { layer, query, fields };
+}
+
+/**
+ * Vector tiles of PostGIS tables or queries, encoded by the database with `ST_AsMVT` on request.
+ */
+class PostGISSource {
+  /**
+   * Creates a PostGISSource instance, use `openPostGISSource` to get one.
+   * @param {pg.Pool} pool - The connection pool.
+   * @param {Array<{layer: object, query: string, fields: object}>} layers - The prepared layers.
+   */
+  constructor(pool, layers) {
+    this.pool = pool;
+    this.layers = layers;
+    const minzoom = Math.min(...layers.map(({ layer }) => layer.minzoom));
+    const maxzoom = Math.max(...layers.map(({ layer }) => layer.maxzoom));
+    this.info = {
+      format: 'pbf',
+      minzoom,
+      maxzoom,
+      bounds: [-180, -85.0511, 180, 85.0511],
+      vector_layers: layers.map(({ layer, fields }) => ({
+        id: layer.id,
+        description: '',
+        minzoom: layer.minzoom,
+        maxzoom: layer.maxzoom,
+        fields,
+      })),
+    };
+  }
+
+  /**
+   * Returns the metadata of the tiles.
+   * @returns {object} - The format, zoom levels, bounds and vector layers.
+   */
+  getInfo() {
+    return structuredClone(this.info);
+  }
+
+  /**
+   * Queries a vector tile, the layers are queried in parallel.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{data: Buffer, headers: object}|null>} - The tile or null if it has no features.
+   */
+  async getTile(z, x, y) {
+    const layers = this.layers.filter(
+      ({ layer }) => z >= layer.minzoom && z <= layer.maxzoom,
+    );
+    const results = await Promise.all(
+      layers.map(({ query }) => this.pool.query(query, [z, x, y])),
+    );
+    // the layers of vector tiles are independent messages which can be concatenated
+    const data = Buffer.concat(
+      results.map(({ rows }) => rows[0]?.mvt).filter((mvt) => mvt?.length),
+    );
+    if (data.length === 0) {
+      return null;
+    }
+    return { data, headers: { 'Content-Type': 'application/x-protobuf' } };
+  }
+
+  /**
+   * Closes the connections of the pool.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Connects to a PostGIS database and prepares the tile queries of the layers.
+ * @param {string} connectionString - The PostgreSQL connection string.
+ * @param {object} options - Options of the source.
+ * @param {Array<object>} options.layers - The layers (see `getPostGISLayers`).
+ * @param {number} [options.poolSize] - Maximum number of connections. Default: 10
+ * @param {number} [options.queryTimeout] - Timeout of the tile queries in milliseconds. Default: 5000
+ * @param {string} [options.id] - ID of the data source (used in warnings).
+ * @returns {Promise<PostGISSource>} - The source.
+ * @throws {Error} If the database cannot be queried or a layer is invalid.
+ */
+export async function openPostGISSource(connectionString, options) {
+  const layers = getPostGISLayers(options.layers);
+  const queryTimeout = options.queryTimeout ?? 5000;
+  const pool = new pg.Pool({
+    connectionString,
+    max: options.poolSize ?? 10,
+    statement_timeout: queryTimeout,
+    connectionTimeoutMillis: queryTimeout,
+  });
+  // idle connections can fail when the database restarts, they are replaced on the next query
+  pool.on('error', (err) => {
+    console.error(
+      `WARN: PostGIS connection of "${options.id}" failed: ${err.message}`,
+    );
+  });
+  try {
+    const { rows } = await pool.query(
+      "SELECT oid FROM pg_type WHERE typname IN ('geometry', 'geography')",
+    );
+    const geometryTypes = rows.map(({ oid }) => oid);
+    const prepared = [];
+    for (const layer of layers) {
+      prepared.push(await prepareLayer(pool, layer, geometryTypes));
+    }
+    return new PostGISSource(pool, prepared);
+  } catch (err) {
+    await pool.end();
+    throw err;
+  }
+}
@@ -4,6 +4,11 @@ import zlib from 'zlib';
 
 export const gzipP = util.promisify(zlib.gzip);
 export const gunzipP = util.promisify(zlib.gunzip);
+export const brotliCompressP = util.promisify(zlib.brotliCompress);
+// zstd is only available in newer Node.js versions
+export const zstdCompressP = zlib.zstdCompress
+  ? util.promisify(zlib.zstdCompress)
+  : null;
 export const existsP = async (path) => {
   try {
     await fsp.access(path); // Defaults to F_OK: indicating that the file is visible to the calling process
@@ -0,0 +1,430 @@
+'use strict';
+
+// WGS84 ellipsoid
+const RADIUS = 6378137;
+const POLAR_RADIUS = 6356752.314245179;
+const ECCENTRICITY_SQUARED = 0.0066943799901413165;
+
+// the DEM tiles (web mercator) do not cover the poles
+const MAX_LATITUDE = 85.0511287798066;
+
+// u, v and heights are quantized to 0-32767
+const QUANTIZED_MAX = 32767;
+
+// extensions in the order they are written to the tiles
+export const quantizedMeshExtensions = ['octvertexnormals'];
+
+/**
+ * Resolves the quantized-mesh options of a terrain data source.
+ * @param {object|boolean|undefined} config - The `quantizedMesh` option of the data source.
+ * @param {object} tileJSON - The TileJSON of the data source.
+ * @returns {{gridSize: number, maxzoom: number, bounds: number[]}|null} - The options or null if disabled.
+ * @throws {Error} If the grid size is invalid.
+ */
+export function getQuantizedMeshOptions(config, tileJSON) {
+  if (config === false) {
+    return null;
+  }
+  const gridSize = config?.gridSize ?? 65;
+  if (!Number.isInteger(gridSize) || gridSize < 2 || gridSize > 256) {
+    throw new Error(
+      'Invalid quantizedMesh.gridSize. Must be an integer between 2 and 256.',
+    );
+  }
+  return {
+    gridSize,
+    maxzoom: config?.maxzoom ?? tileJSON.maxzoom,
+    bounds: tileJSON.bounds ?? [-180, -90, 180, 90],
+  };
+}
+
+/**
+ * Returns the bounds of a tile of the geographic tiling scheme used by Cesium
+ * (EPSG:4326, two tiles at level 0, rows counted from the south).
+ * @param {number} z - Level of the tile.
+ * @param {number} x - Column of the tile.
+ * @param {number} y - Row of the tile.
+ * @returns {number[]} - The bounds as [west, south, east, north] in degrees.
+ */
+export function getGeographicTileBounds(z, x, y) {
+  const size = 180 / Math.pow(2, z);
+  const west = -180 + x * size;
+  const south = -90 + y * size;
+  return [west, south, west + size, south + size];
+}
+
+/**
+ * Creates the `layer.json` of the quantized-mesh tiles of a terrain source, with the
+ * available tile ranges of each level derived from the bounds of the source.
+ * @param {object} tileJSON - The TileJSON of the data source.
+ * @param {object} options - The quantized-mesh options (see `getQuantizedMeshOptions`).
+ * @returns {object} - The layer description.
+ */
+export function createLayerJson(tileJSON, options) {
+  const [west, south, east, north] = options.bounds;
+  const available = [];
+  for (let z = 0; z <= options.maxzoom; z++) {
+    const size = 180 / Math.pow(2, z);
+    const maxX = Math.pow(2, z + 1) - 1;
+    const maxY = Math.pow(2, z) - 1;
+    const clamp = (value, max) => Math.min(max, Math.max(0, value));
+    available.push([
+      {
+        startX: clamp(Math.floor((west + 180) / size), maxX),
+        startY: clamp(Math.floor((south + 90) / size), maxY),
+        endX: clamp(Math.ceil((east + 180) / size) - 1, maxX),
+        endY: clamp(Math.ceil((north + 90) / size) - 1, maxY),
+      },
+    ]);
+  }
+  return {
+    tilejson: '2.1.0',
+    name: tileJSON.name,
+    description: tileJSON.description ?? '',
+    version: '1.0.0',
+    format: 'quantized-mesh-1.0',
+    attribution: tileJSON.attribution ?? '',
+    scheme: 'tms',
+    extensions: quantizedMeshExtensions,
+    tiles: ['{z}/{x}/{y}.terrain'],
+    projection: 'EPSG:4326',
+    bounds: options.bounds,
+    minzoom: 0,
+    maxzoom: options.maxzoom,
+    available,
+  };
+}
+
+/**
+ * Creates a quantized-mesh tile from the DEM tiles of a terrain source. The mesh is a
+ * regular grid of `gridSize` x `gridSize` vertices with elevations interpolated from
+ * the DEM tiles one zoom level above the tile level, which have a similar
+ * resolution. Areas without data and levels far above the minzoom of the source
+ * are flat.
+ * @param {import('./terrain.js').DemTileCache} dem - The DEM tiles of the terrain source.
+ * @param {object} options - The quantized-mesh options (see `getQuantizedMeshOptions`).
+ * @param {number} z - Level of the tile.
+ * @param {number} x - Column of the tile.
+ * @param {number} y - Row of the tile, counted from the south.
+ * @param {string[]} [extensions] - Extensions to include (see `quantizedMeshExtensions`).
+ * @returns {Promise<Buffer>} - The uncompressed tile.
+ */
+export async function createQuantizedMesh(
+  dem,
+  options,
+  z,
+  x,
+  y,
+  extensions = [],
+) {
+  const n = options.gridSize;
+  const [west, south, east, north] = getGeographicTileBounds(z, x, y);
+  const coordinates = [];
+  for (let j = 0; j < n; j++) {
+    const lat = south + ((north - south) * j) / (n - 1);
+    for (let i = 0; i < n; i++) {
+      coordinates.push([west + ((east - west) * i) / (n - 1), lat]);
+    }
+  }
+
+  const { minzoom = 0, maxzoom } = dem.item.tileJSON;
+  const demZ = Math.min(z + 1, maxzoom);
+  let heights = new Array(coordinates.length).fill(0);
+  if (demZ >= minzoom) {
+    const samples = await dem.sampleMany(
+      coordinates.map(([lon, lat]) => [
+        lon,
+        Math.min(MAX_LATITUDE, Math.max(-MAX_LATITUDE, lat)),
+      ]),
+      demZ,
+      'bilinear',
+    );
+    heights = samples.map((height) => height ?? 0);
+  }
+
+  // two counter-clockwise triangles per grid cell, rows from south to north
+  const triangles = [];
+  for (let j = 0; j < n - 1; j++) {
+    for (let i = 0; i < n - 1; i++) {
+      const sw = j * n + i;
+      triangles.push(sw, sw + 1, sw + n, sw + 1, sw + n + 1, sw + n);
+    }
+  }
+
+  return encodeQuantizedMesh(
+    { coordinates, heights, triangles, gridSize: n, west, south, east, north },
+    extensions,
+  );
+}
+
+/**
+ * Converts geodetic coordinates to earth-centered, earth-fixed coordinates.
+ * @param {number} lon - Longitude in degrees.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} height - Height above the ellipsoid in meters.
+ * @returns {number[]} - The position as [x, y, z] in meters.
+ */
+function toCartesian(lon, lat, height) {
+  const lambda = (lon * Math.PI) / 180;
+  const phi = (lat * Math.PI) / 180;
+  const normal =
+    RADIUS / Math.sqrt(1 - ECCENTRICITY_SQUARED * Math.sin(phi) ** 2);
+  return [
+    (normal + height) * Math.cos(phi) * Math.cos(lambda),
+    (normal + height) * Math.cos(phi) * Math.sin(lambda),
+    (normal * (1 - ECCENTRICITY_SQUARED) + height) * Math.sin(phi),
+  ];
+}
+
+/**
+ * Calculates the horizon occlusion point of a set of positions, a point which is
+ * hidden behind the ellipsoid only if all the positions are. The calculation is
+ * done in the scaled space where the ellipsoid is a unit sphere.
+ * @param {number[][]} positions - The positions as [x, y, z].
+ * @param {number[]} center - The direction of the point.
+ * @returns {number[]} - The point in the scaled space.
+ */
+function horizonOcclusionPoint(positions, center) {
+  const scale = (p) => [p[0] / RADIUS, p[1] / RADIUS, p[2] / POLAR_RADIUS];
+  const direction = scale(center);
+  const length = Math.hypot(...direction);
+  const unit = direction.map((value) => value / length);
+
+  let magnitude = 0;
+  for (const position of positions) {
+    const p = scale(position);
+    const pLength = Math.hypot(...p);
+    const pUnit = p.map((value) => value / pLength);
+    const cosAlpha =
+      pUnit[0] * unit[0] + pUnit[1] * unit[1] + pUnit[2] * unit[2];
+    const sinAlpha = Math.hypot(
+      pUnit[1] * unit[2] - pUnit[2] * unit[1],
+      pUnit[2] * unit[0] - pUnit[0] * unit[2],
+      pUnit[0] * unit[1] - pUnit[1] * unit[0],
+    );
+    const cosBeta = 1 / Math.max(1, pLength);
+    const sinBeta = Math.sqrt(Math.max(1, pLength) ** 2 - 1) * cosBeta;
+    const denominator = cosAlpha * cosBeta - sinAlpha * sinBeta;
+    // positions beyond the horizon of any point in the direction (large tiles)
+    // cannot be occluded together, use a point far out instead
+    magnitude =
+      denominator > 0 ? Math.max(magnitude, 1 / denominator) : Infinity;
+  }
+  magnitude = Math.min(magnitude, 1e6);
+  return unit.map((value) => value * magnitude);
+}
+
+/**
+ * Encodes a normal with oct encoding (2 bytes).
+ * @param {number[]} normal - The unit normal as [x, y, z].
+ * @returns {number[]} - The two bytes.
+ */
+function octEncode(normal) {
+  const sum = Math.abs(normal[0]) + Math.abs(normal[1]) + Math.abs(normal[2]);
+  let x = normal[0] / sum;
+  let y = normal[1] / sum;
+  if (normal[2] < 0) {
+    const ox = x;
+    x = (1 - Math.abs(y)) * (ox >= 0 ? 1 : -1);
+    y = (1 - Math.abs(ox)) * (y >= 0 ? 1 : -1);
+  }
+  const toByte = (value) =>
+    Math.round((Math.min(1, Math.max(-1, value)) * 0.5 + 0.5) * 255);
+  return [toByte(x), toByte(y)];
+}
+
+/**
+ * Calculates the vertex normals of a mesh as the area-weighted average of the
+ * normals of the adjacent triangles.
+ * @param {number[][]} positions - The vertex positions as [x, y, z].
+ * @param {number[]} triangles - The vertex indices of the triangles.
+ * @returns {number[][]} - The unit normals.
+ */
+function vertexNormals(positions, triangles) {
+  const normals = positions.map(() => [0, 0, 0]);
+  for (let t = 0; t < triangles.length; t += 3) {
+    const [a, b, c] = [0, 1, 2].map((k) => positions[triangles[t + k]]);
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const normal = [
+      u[1] * v[2] - u[2] * v[1],
+      u[2] * v[0] - u[0] * v[2],
+      u[0] * v[1] - u[1] * v[0],
+    ];
+    for (let k = 0; k < 3; k++) {
+      const sum = normals[triangles[t + k]];
+      sum[0] += normal[0];
+      sum[1] += normal[1];
+      sum[2] += normal[2];
+    }
+  }
+  return normals.map((normal, index) => {
+    const length = Math.hypot(...normal);
+    if (length > 0) {
+      return normal.map((value) => value / length);
+    }
+    // degenerate triangles only, use the direction of the position
+    // eslint-disable-next-line security/detect-object-injection -- index is a vertex index
+    const position = positions[index];
+    const positionLength = Math.hypot(...position);
+    return position.map((value) => value / positionLength);
+  });
+}
+
+/**
+ * Encodes a grid mesh in the quantized-mesh-1.0 format. The vertices are reordered by
+ * their first use in the triangles, as required by the high water mark encoding of
+ * the indices.
+ * @param {object} mesh - The vertex `coordinates` ([lon, lat]) and `heights` row by row
+ *   from the south-west corner, the vertex indices of the `triangles`, the `gridSize`
+ *   and the bounds (`west`, `south`, `east`, `north`) of the tile.
+ * @param {string[]} extensions - Extensions to include.
+ * @returns {Buffer} - The tile.
+ */
+function encodeQuantizedMesh(mesh, extensions) {
+  const { coordinates, heights, gridSize: n } = mesh;
+  const vertexCount = coordinates.length;
+
+  const order = new Int32Array(vertexCount).fill(-1);
+  const vertices = [];
+  const triangles = mesh.triangles.map((index) => {
+    // eslint-disable-next-line security/detect-object-injection -- index is a vertex index
+    if (order[index] < 0) {
+      // eslint-disable-next-line security/detect-object-injection -- index is a vertex index
+      order[index] = vertices.length;
+      vertices.push(index);
+    }
+    // eslint-disable-next-line security/detect-object-injection -- index is a vertex index
+    return order[index];
+  });
+
+  const minHeight = Math.min(...heights);
+  const maxHeight = Math.max(...heights);
+  const positions = vertices.map((index) =>
+    // eslint-disable-next-line security/detect-object-injection -- index is a vertex index
+    toCartesian(...coordinates[index], heights[index]),
+  );
+
+  const center = toCartesian(
+    (mesh.west + mesh.east) / 2,
+    (mesh.south + mesh.north) / 2,
+    (minHeight + maxHeight) / 2,
+  );
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const position of positions) {
+    for (let k = 0; k < 3; k++) {
+      // eslint-disable-next-line security/detect-object-injection -- k is an axis index
+      min[k] = Math.min(min[k], position[k]);
+      // eslint-disable-next-line security/detect-object-injection -- k is an axis index
+      max[k] = Math.max(max[k], position[k]);
+    }
+  }
+  // eslint-disable-next-line security/detect-object-injection -- k is an axis index
+  const sphereCenter = min.map((value, k) => (value + max[k]) / 2);
+  let sphereRadius = 0;
+  for (const position of positions) {
+    sphereRadius = Math.max(
+      sphereRadius,
+      Math.hypot(
+        position[0] - sphereCenter[0],
+        position[1] - sphereCenter[1],
+        position[2] - sphereCenter[2],
+      ),
+    );
+  }
+  const occlusionPoint = horizonOcclusionPoint(positions, sphereCenter);
+
+  const edges = { west: [], south: [], east: [], north: [] };
+  for (let v = 0; v < vertexCount; v++) {
+    // eslint-disable-next-line security/detect-object-injection -- v is a vertex index
+    const index = vertices[v];
+    const i = index % n;
+    const j = Math.floor(index / n);
+    if (i === 0) edges.west.push(v);
+    if (j === 0) edges.south.push(v);
+    if (i === n - 1) edges.east.push(v);
+    if (j === n - 1) edges.north.push(v);
+  }
+  const edgeCount =
+    edges.west.length +
+    edges.south.length +
+    edges.east.length +
+    edges.north.length;
+
+  const withNormals = extensions.includes('octvertexnormals');
+  const buffer = Buffer.alloc(
+    88 +
+      4 +
+      vertexCount * 6 +
+      4 +
+      triangles.length * 2 +
+      16 +
+      edgeCount * 2 +
+      (withNormals ? 5 + vertexCount * 2 : 0),
+  );
+  let offset = 0;
+  for (const value of center) {
+    offset = buffer.writeDoubleLE(value, offset);
+  }
+  offset = buffer.writeFloatLE(minHeight, offset);
+  offset = buffer.writeFloatLE(maxHeight, offset);
+  for (const value of [...sphereCenter, sphereRadius, ...occlusionPoint]) {
+    offset = buffer.writeDoubleLE(value, offset);
+  }
+
+  // u, v and heights, each zig-zag encoded as deltas of the previous value
+  offset = buffer.writeUInt32LE(vertexCount, offset);
+  const quantize = [
+    (index) => Math.round(((index % n) / (n - 1)) * QUANTIZED_MAX),
+    (index) => Math.round((Math.floor(index / n) / (n - 1)) * QUANTIZED_MAX),
+    (index) =>
+      maxHeight > minHeight
+        ? Math.round(
+            // eslint-disable-next-line security/detect-object-injection -- index is a vertex index
+            ((heights[index] - minHeight) / (maxHeight - minHeight)) *
+              QUANTIZED_MAX,
+          )
+        : 0,
+  ];
+  for (const quantizeValue of quantize) {
+    let previous = 0;
+    for (const index of vertices) {
+      const value = quantizeValue(index);
+      const delta = value - previous;
+      offset = buffer.writeUInt16LE(
+        ((delta << 1) ^ (delta >> 31)) & 0xffff,
+        offset,
+      );
+      previous = value;
+    }
+  }
+
+  // indices with high water mark encoding
+  offset = buffer.writeUInt32LE(triangles.length / 3, offset);
+  let highest = 0;
+  for (const index of triangles) {
+    offset = buffer.writeUInt16LE(highest - index, offset);
+    if (index === highest) {
+      highest++;
+    }
+  }
+
+  for (const edge of [edges.west, edges.south, edges.east, edges.north]) {
+    offset = buffer.writeUInt32LE(edge.length, offset);
+    for (const index of edge) {
+      offset = buffer.writeUInt16LE(index, offset);
+    }
+  }
+
+  if (withNormals) {
+    offset = buffer.writeUInt8(1, offset);
+    offset = buffer.writeUInt32LE(vertexCount * 2, offset);
+    for (const normal of vertexNormals(positions, triangles)) {
+      const [x, y] = octEncode(normal);
+      offset = buffer.writeUInt8(x, offset);
+      offset = buffer.writeUInt8(y, offset);
+    }
+  }
+  return buffer;
+}
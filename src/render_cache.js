@@ -0,0 +1,445 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import fsp from 'node:fs/promises';
+import path from 'path';
+import fnv1a from '@sindresorhus/fnv1a';
+import { SphericalMercator } from '@mapbox/sphericalmercator';
+
+const mercator = new SphericalMercator();
+
+const cacheableFormats = ['png', 'jpeg', 'webp'];
+
+/**
+ * Two-tier (memory LRU + disk) cache for rendered tiles and static images.
+ */
+export class RenderCache {
+  /**
+   * Creates a RenderCache instance.
+   * @param {object} config - The `renderCache` configuration object.
+   * @param {number} [config.ttl] - Default time to live in seconds (0 = never expires).
+   * @param {object} [config.memory] - Memory tier options (`maxItems`, `maxSize` in bytes).
+   * @param {object|false} [config.disk] - Disk tier options (`path`), or false to disable.
+   * @param {string} rootPath - Path used to resolve a relative disk cache path.
+   * @param {number} [verbose] - Verbosity level (1-3). 1=important, 2=detailed, 3=debug/all requests.
+   */
+  constructor(config, rootPath, verbose = 0) {
+    const memory = config.memory || {};
+    this.ttl = config.ttl ?? 3600;
+    this.maxItems = memory.maxItems ?? 1000;
+    this.maxSize = memory.maxSize ?? 64 * 1024 * 1024;
+    this.diskPath = config.disk?.path
+      ? path.resolve(rootPath, config.disk.path)
+      : null;
+    this.verbose = verbose;
+    this.entries = new Map();
+    this.size = 0;
+    // newest cached version of every style, older versions are removed from the disk
+    this.versions = new Map();
+  }
+
+  /**
+   * Builds the cache key for a rendered tile.
+   * @param {string} styleId - ID of the style.
+   * @param {string} lastModified - Last modification date of the style.
+   * @param {number} tileSize - Tile size in pixels.
+   * @param {number} scale - Scale factor.
+   * @param {string} format - Image format.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {object|null} The cache key, or null if the format is not cacheable.
+   */
+  tileKey(styleId, lastModified, tileSize, scale, format, z, x, y) {
+    format = format === 'jpg' ? 'jpeg' : format;
+    if (!cacheableFormats.includes(format)) {
+      return null;
+    }
+    const version = getVersion(lastModified);
+    return {
+      styleId,
+      version,
+      modified: Date.parse(lastModified) || 0,
+      z,
+      x,
+      y,
+      format,
+      file: path.join(
+        styleId,
+        `${tileSize}@${scale}x-${version}`,
+        String(z),
+        String(x),
+        `${y}.${format}`,
+      ),
+    };
+  }
+
+  /**
+   * Builds the cache key for a static image.
+   * @param {string} styleId - ID of the style.
+   * @param {string} lastModified - Last modification date of the style.
+   * @param {string} requestUrl - The request URL (path and query string).
+   * @param {string} format - Image format.
+   * @returns {object|null} The cache key, or null if the format is not cacheable.
+   */
+  staticKey(styleId, lastModified, requestUrl, format) {
+    format = format === 'jpg' ? 'jpeg' : format;
+    if (!cacheableFormats.includes(format)) {
+      return null;
+    }
+    const version = getVersion(lastModified);
+    const hash = fnv1a(`${lastModified}|${requestUrl}`, { size: 64 });
+    return {
+      styleId,
+      version,
+      modified: Date.parse(lastModified) || 0,
+      format,
+      file: path.join(
+        styleId,
+        'static',
+        version,
+        `${hash.toString(36)}.${format}`,
+      ),
+    };
+  }
+
+  /**
+   * Looks up an entry, first in memory and then on disk.
+   * @param {object} key - Key created by `tileKey` or `staticKey`.
+   * @param {number} [ttl] - Time to live in seconds, overrides the default.
+   * @returns {Promise<Buffer|null>} The cached image or null on a miss.
+   */
+  async get(key, ttl = this.ttl) {
+    const entry = this.entries.get(key.file);
+    if (entry) {
+      this.entries.delete(key.file);
+      if (!ttl || entry.created + ttl * 1000 > Date.now()) {
+        this.entries.set(key.file, entry);
+        return entry.data;
+      }
+      this.size -= entry.data.length;
+    }
+
+    if (!this.diskPath) {
+      return null;
+    }
+    const file = path.join(this.diskPath, key.file);
+    try {
+      const stats = await fsp.stat(file);
+      if (ttl && stats.mtimeMs + ttl * 1000 <= Date.now()) {
+        await fsp.unlink(file);
+        return null;
+      }
+      const data = await fsp.readFile(file);
+      this.remember(key, data, stats.mtimeMs);
+      return data;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores an entry in memory and on disk. The first entry of a newer version of a style
+   * removes the older versions from the disk.
+   * @param {object} key - Key created by `tileKey` or `staticKey`.
+   * @param {Buffer} data - The encoded image.
+   * @returns {Promise<void>}
+   */
+  async set(key, data) {
+    this.remember(key, data, Date.now());
+
+    if (!this.diskPath) {
+      return;
+    }
+    const current = this.versions.get(key.styleId);
+    if (current?.version !== key.version) {
+      if (current && key.modified < current.modified) {
+        // rendered before the style was reloaded, its version is already removed
+        return;
+      }
+      this.versions.set(key.styleId, {
+        version: key.version,
+        modified: key.modified,
+      });
+      await this.prune(key.styleId, key.version);
+    }
+    const file = path.join(this.diskPath, key.file);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(tmpFile, data);
+      await fsp.rename(tmpFile, file);
+      if (this.verbose >= 3) {
+        console.log(`Stored rendered image in cache: ${file}`);
+      }
+    } catch (err) {
+      console.error(`Error writing render cache file ${file}:`, err.message);
+    }
+  }
+
+  /**
+   * Removes the cached images of other versions of a style from the disk, also those
+   * left behind by previous runs.
+   * @param {string} styleId - ID of the style.
+   * @param {string} version - The version to keep.
+   * @returns {Promise<void>}
+   */
+  async prune(styleId, version) {
+    const styleDir = path.join(this.diskPath, styleId);
+    const outdated = [];
+    for (const variant of await readDir(styleDir)) {
+      if (variant === 'static') {
+        for (const staticVersion of await readDir(
+          path.join(styleDir, variant),
+        )) {
+          if (staticVersion !== version) {
+            outdated.push(path.join(styleDir, variant, staticVersion));
+          }
+        }
+      } else if (!variant.endsWith(`-${version}`)) {
+        outdated.push(path.join(styleDir, variant));
+      }
+    }
+    for (const dir of outdated) {
+      try {
+        await fsp.rm(dir, { recursive: true, force: true });
+        if (this.verbose >= 2) {
+          console.log(`Removed outdated render cache: ${dir}`);
+        }
+      } catch (err) {
+        console.error(`Error removing render cache ${dir}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Adds an entry to the memory tier, evicting the least recently used entries.
+   * @param {object} key - Key created by `tileKey` or `staticKey`.
+   * @param {Buffer} data - The encoded image.
+   * @param {number} created - Creation time in milliseconds.
+   * @returns {void}
+   */
+  remember(key, data, created) {
+    if (this.maxItems <= 0 || data.length > this.maxSize) {
+      return;
+    }
+    const previous = this.entries.get(key.file);
+    if (previous) {
+      this.entries.delete(key.file);
+      this.size -= previous.data.length;
+    }
+    this.entries.set(key.file, { ...key, data, created });
+    this.size += data.length;
+
+    while (this.entries.size > this.maxItems || this.size > this.maxSize) {
+      const [oldestFile, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestFile);
+      this.size -= oldest.data.length;
+    }
+  }
+
+  /**
+   * Removes entries of a style, optionally limited to a zoom range and/or bbox.
+   * Static images are only removed when neither a zoom range nor a bbox is given.
+   * @param {string} styleId - ID of the style.
+   * @param {object} [filter] - Optional filter.
+   * @param {number} [filter.minzoom] - Minimum zoom level (inclusive).
+   * @param {number} [filter.maxzoom] - Maximum zoom level (inclusive).
+   * @param {Array<number>} [filter.bbox] - Bounding box as [minx, miny, maxx, maxy].
+   * @returns {Promise<number>} Number of removed entries.
+   */
+  async purge(styleId, { minzoom, maxzoom, bbox } = {}) {
+    const filtered = minzoom != null || maxzoom != null || bbox != null;
+    const matches = (z, x, y) => {
+      if (z == null) {
+        return !filtered;
+      }
+      if (
+        (minzoom != null && z < minzoom) ||
+        (maxzoom != null && z > maxzoom)
+      ) {
+        return false;
+      }
+      if (bbox) {
+        const range = mercator.xyz(bbox, z);
+        return (
+          x >= range.minX &&
+          x <= range.maxX &&
+          y >= range.minY &&
+          y <= range.maxY
+        );
+      }
+      return true;
+    };
+
+    let removed = 0;
+    for (const [file, entry] of this.entries) {
+      if (entry.styleId === styleId && matches(entry.z, entry.x, entry.y)) {
+        this.entries.delete(file);
+        this.size -= entry.data.length;
+        removed++;
+      }
+    }
+
+    // memory entries are also on disk, so the disk count is authoritative
+    if (!this.diskPath) {
+      return removed;
+    }
+    removed = 0;
+    const styleDir = path.join(this.diskPath, styleId);
+    if (!filtered) {
+      removed = await countFiles(styleDir);
+      await fsp.rm(styleDir, { recursive: true, force: true });
+      return removed;
+    }
+
+    for (const variant of await readDir(styleDir)) {
+      if (variant === 'static') {
+        continue;
+      }
+      for (const zDir of await readDir(path.join(styleDir, variant))) {
+        const z = parseInt(zDir, 10);
+        for (const xDir of await readDir(path.join(styleDir, variant, zDir))) {
+          const x = parseInt(xDir, 10);
+          const dir = path.join(styleDir, variant, zDir, xDir);
+          for (const yFile of await readDir(dir)) {
+            const y = parseInt(yFile, 10);
+            if (matches(z, x, y)) {
+              await fsp.rm(path.join(dir, yFile), { force: true });
+              removed++;
+            }
+          }
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Checks the bearer token of a render cache purge request.
+ * @param {object} req Express request object.
+ * @param {string} token The configured purge token.
+ * @returns {number|null} 401 without credentials, 403 with other credentials, null if authorized.
+ */
+function getPurgeAuthError(req, token) {
+  const authorization = req.get('authorization');
+  if (!authorization) {
+    return 401;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const provided = Buffer.from(authorization);
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    return 403;
+  }
+  return null;
+}
+
+/**
+ * Creates the handler of requests purging the cached images of a style (`DELETE /:id/cache`).
+ * @param {RenderCache} renderCache - The render cache.
+ * @param {object} repo - The rendered styles by ID.
+ * @param {string} token - The token the requests must carry as bearer token.
+ * @param {number} [verbose] - Verbosity level (1-3). 1=important, 2=detailed, 3=debug/all requests.
+ * @returns {(req: object, res: object, next: (err: Error) => void) => Promise<void>} The Express handler.
+ */
+export function createPurgeHandler(renderCache, repo, token, verbose = 0) {
+  /**
+   * Handles requests to purge cached tiles and static images of a style.
+   * @param {object} req - Express request object.
+   * @param {string} req.params.id - The id of the style.
+   * @param {string} [req.query.minzoom] - Minimum zoom level to purge.
+   * @param {string} [req.query.maxzoom] - Maximum zoom level to purge.
+   * @param {string} [req.query.bbox] - Bounding box to purge as minx,miny,maxx,maxy.
+   * @param {object} res - Express response object.
+   * @param {object} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  return async (req, res, next) => {
+    try {
+      const authError = getPurgeAuthError(req, token);
+      if (authError === 401) {
+        return res.set('WWW-Authenticate', 'Bearer').sendStatus(401);
+      } else if (authError) {
+        return res.sendStatus(authError);
+      }
+      if (!Object.hasOwn(repo, req.params.id)) {
+        return res.sendStatus(404);
+      }
+      const filter = {};
+      if (req.query.minzoom !== undefined) {
+        filter.minzoom = parseInt(req.query.minzoom, 10);
+      }
+      if (req.query.maxzoom !== undefined) {
+        filter.maxzoom = parseInt(req.query.maxzoom, 10);
+      }
+      if (req.query.bbox !== undefined) {
+        filter.bbox = String(req.query.bbox).split(',').map(parseFloat);
+      }
+      if (
+        Number.isNaN(filter.minzoom) ||
+        Number.isNaN(filter.maxzoom) ||
+        (filter.bbox && (filter.bbox.length !== 4 || filter.bbox.some(isNaN)))
+      ) {
+        return res.status(400).send('Invalid purge filter');
+      }
+      const removed = await renderCache.purge(req.params.id, filter);
+      if (verbose >= 1) {
+        console.log(
+          `Purged %d cached images of style %s`,
+          removed,
+          String(req.params.id).replace(/\n|\r/g, ''),
+        );
+      }
+      return res.send({ removed });
+    } catch (e) {
+      return next(e);
+    }
+  };
+}
+
+/**
+ * Returns the version of the cached images of a style.
+ * @param {string} lastModified - Last modification date of the style.
+ * @returns {string} The version, a hash of the date.
+ */
+function getVersion(lastModified) {
+  return fnv1a(String(lastModified)).toString(36);
+}
+
+/**
+ * Lists a directory, returning an empty list if it does not exist.
+ * @param {string} dir - The directory path.
+ * @returns {Promise<string[]>} The names of the directory entries.
+ */
+async function readDir(dir) {
+  try {
+    return await fsp.readdir(dir);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Recursively counts the files within a directory.
+ * @param {string} dir - The directory path.
+ * @returns {Promise<number>} The number of files.
+ */
+async function countFiles(dir) {
+  let count = 0;
+  try {
+    const entries = await fsp.readdir(dir, {
+      withFileTypes: true,
+      recursive: true,
+    });
+    for (const entry of entries) {
+      if (entry.isFile()) count++;
+    }
+  } catch {
+    // directory does not exist
+  }
+  return count;
+}
@@ -8,16 +8,80 @@ import express from 'express';
 import Pbf from 'pbf';
 import { VectorTile } from '@mapbox/vector-tile';
 import { SphericalMercator } from '@mapbox/sphericalmercator';
+import polyline from '@mapbox/polyline';
 
 import {
   fixTileJSONCenter,
   getTileUrls,
   isValidRemoteUrl,
   fetchTileData,
+  closeSource,
+  createETag,
+  encodeData,
+  negotiateEncoding,
+  respondNotModified,
+  sendEncoded,
 } from './utils.js';
 import { getPMtilesInfo, openPMtiles } from './pmtiles_adapter.js';
-import { gunzipP, gzipP } from './promises.js';
+import { gunzipP } from './promises.js';
 import { openMbTilesWrapper } from './mbtiles_wrapper.js';
+import {
+  getGeoJSONTilingOptions,
+  openGeoJSONSource,
+} from './geojson_source.js';
+import { openXYZSource } from './xyz_source.js';
+import { openGeoPackageSource } from './gpkg_source.js';
+import { openCOGSource } from './cog_source.js';
+import { openPostGISSource } from './postgis_source.js';
+import { openHTTPSource } from './http_source.js';
+import {
+  DemTileCache,
+  convertTerrainEncoding,
+  encodeElevation,
+  groundResolution,
+  lineLength,
+  lonLatToWorld,
+  sampleLine,
+  terrainEncodings,
+  worldToLonLat,
+} from './terrain.js';
+import {
+  filterVectorLayers,
+  extractVectorTileFeatures,
+  mergeFeatureParts,
+  parseListParam,
+  queryVectorTile,
+  transformVectorTile,
+} from './mvt.js';
+import { createContourTile, getContourOptions } from './contours.js';
+import { getValueMapping, mapPixelValue } from './pixel_value.js';
+import {
+  createLayerJson,
+  createQuantizedMesh,
+  getQuantizedMeshOptions,
+  quantizedMeshExtensions,
+} from './quantized_mesh.js';
+import {
+  getTileStats,
+  listTiles,
+  tileIndexMaxzoom,
+  tileIndexSourceTypes,
+} from './tile_stats.js';
+import {
+  applyInferredMetadata,
+  getInferMetadataOptions,
+  inferVectorMetadata,
+  isMetadataMissing,
+} from './vector_metadata.js';
+import {
+  applyColorizedQuery,
+  applyTerrainRasterQuery,
+  createColorizedTile,
+  createTerrainRasterTile,
+  getColorizedOptions,
+  getTerrainRasterOptions,
+  terrainRasterProducts,
+} from './terrain_raster.js';
 
 import fs from 'node:fs';
 import { fileURLToPath } from 'url';
@@ -30,6 +94,201 @@ const packageJson = JSON.parse(
 );
 
 const isLight = packageJson.name.slice(-6) === '-light';
+
+const rasterFormats = ['png', 'jpeg', 'webp', 'avif'];
+const interpolations = ['nearest', 'bilinear'];
+// smallest part of a raster tile at maxzoom that is scaled up to an overzoomed tile
+const minOverzoomPixels = 8;
+// tiles per coverage response, enough to inspect a zoom level without huge responses
+const maxCoverageTiles = 10000;
+
+/**
+ * Checks whether a data source contains terrain RGB tiles that can be decoded.
+ * @param {object} item - The data source repository item.
+ * @returns {string|null} - An error message or null if the source is usable.
+ */
+function getTerrainError(item) {
+  const { encoding, format } = item.tileJSON;
+  if (encoding == null) {
+    return 'Missing tileJSON.encoding';
+  } else if (encoding !== 'terrarium' && encoding !== 'mapbox') {
+    return 'Invalid encoding. Must be terrarium or mapbox.';
+  }
+  if (format !== 'webp' && format !== 'png') {
+    return 'Invalid format. Must be webp or png.';
+  }
+  return null;
+}
+
+/**
+ * Checks whether the tiles of a data source can be converted to a terrain encoding.
+ * @param {object} item - The data source.
+ * @param {string} encoding - The requested encoding.
+ * @returns {string|null} - The error message or null if the conversion is possible.
+ */
+function getEncodingError(item, encoding) {
+  if (!terrainEncodings.includes(encoding)) {
+    return 'Invalid encoding. Must be terrarium or mapbox.';
+  }
+  return getTerrainError(item);
+}
+
+/**
+ * Returns the quantized-mesh extensions requested with the `extensions` query parameter
+ * or, like Cesium does, the `Accept` header (e.g.
+ * `application/vnd.quantized-mesh;extensions=octvertexnormals-watermask`).
+ * @param {object} req - Express request object.
+ * @returns {string[]} - The supported extensions among the requested ones.
+ */
+function getMeshExtensions(req) {
+  const requested = [];
+  const match = /extensions=([\w-]+)/.exec(req.get('Accept') || '');
+  if (match) {
+    requested.push(...match[1].split('-'));
+  }
+  if (typeof req.query.extensions === 'string') {
+    requested.push(...req.query.extensions.split(/[,-]/));
+  }
+  return quantizedMeshExtensions.filter((extension) =>
+    requested.includes(extension),
+  );
+}
+
+/**
+ * Reads the coordinates of a line from a request body.
+ * @param {object} body - GeoJSON LineString or Feature, or an object with `geometry` or `polyline`.
+ * @returns {number[][]} - The coordinates as an array of [lon, lat].
+ * @throws {Error} If the body does not contain a valid line.
+ */
+function parseLine(body) {
+  let coordinates;
+  if (typeof body.polyline === 'string') {
+    // encoded polylines are in [lat, lon] order
+    coordinates = polyline
+      .decode(body.polyline)
+      .map(([lat, lon]) => [lon, lat]);
+  } else {
+    let geometry = body.geometry ?? body;
+    if (geometry.type === 'Feature') {
+      geometry = geometry.geometry;
+    }
+    if (geometry?.type !== 'LineString') {
+      throw new Error('Expected a GeoJSON LineString or an encoded polyline');
+    }
+    coordinates = geometry.coordinates;
+  }
+  const valid =
+    Array.isArray(coordinates) &&
+    coordinates.length >= 2 &&
+    coordinates.every(isValidCoordinate);
+  if (!valid) {
+    throw new Error('The line needs at least two valid coordinates');
+  }
+  return coordinates;
+}
+
+/**
+ * Checks whether a coordinate is a valid [lon, lat] pair.
+ * @param {Array<number>} coordinate - The coordinate.
+ * @returns {boolean} - True if the coordinate is valid.
+ */
+function isValidCoordinate(coordinate) {
+  return (
+    Array.isArray(coordinate) &&
+    Number.isFinite(coordinate[0]) &&
+    Number.isFinite(coordinate[1]) &&
+    Math.abs(coordinate[0]) <= 180 &&
+    Math.abs(coordinate[1]) <= 90
+  );
+}
+
+/**
+ * Reads the coordinates of points from a request body.
+ * @param {object|string} body - GeoJSON MultiPoint, Point Feature(Collection), an object with `geometry`
+ *   or a CSV string with one `lon,lat` pair per line (`,`, `;` or tab separated, optional header).
+ * @returns {number[][]} - The coordinates as an array of [lon, lat].
+ * @throws {Error} If the body does not contain valid points.
+ */
+function parsePoints(body) {
+  let coordinates;
+  if (typeof body === 'string') {
+    coordinates = [];
+    const lines = body.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      // eslint-disable-next-line security/detect-object-injection -- i is a loop index within the lines
+      const line = lines[i].trim();
+      if (line === '') continue;
+      const values = line.split(/[,;\t]/).map((v) => Number(v.trim()));
+      if (i === 0 && !values.every(Number.isFinite)) continue; // header
+      coordinates.push(values);
+    }
+  } else {
+    let geometry = body.geometry ?? body;
+    if (geometry?.type === 'Feature') {
+      geometry = geometry.geometry;
+    }
+    if (geometry?.type === 'MultiPoint') {
+      coordinates = geometry.coordinates;
+    } else if (geometry?.type === 'Point') {
+      coordinates = [geometry.coordinates];
+    } else if (
+      geometry?.type === 'FeatureCollection' &&
+      Array.isArray(geometry.features)
+    ) {
+      coordinates = geometry.features.map((feature) => {
+        if (feature?.geometry?.type !== 'Point') {
+          throw new Error('Every feature must have a Point geometry');
+        }
+        return feature.geometry.coordinates;
+      });
+    } else {
+      throw new Error(
+        'Expected a GeoJSON MultiPoint, a FeatureCollection of Points or CSV',
+      );
+    }
+  }
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    throw new Error('No points given');
+  }
+  const invalid = coordinates.findIndex((c) => !isValidCoordinate(c));
+  if (invalid >= 0) {
+    throw new Error(`Invalid coordinate at index ${invalid}`);
+  }
+  return coordinates;
+}
+
+/**
+ * Rounds a number to two decimals.
+ * @param {number} value - The number.
+ * @returns {number} - The rounded number.
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parses a requested zoom level and clamps it to the zoom levels of a source.
+ * @param {string|number|undefined} value - The requested zoom level.
+ * @param {number} minzoom - The minzoom of the source.
+ * @param {number} maxzoom - The maxzoom of the source, also used if no valid zoom level was requested.
+ * @returns {number} - The zoom level.
+ */
+function parseZoom(value, minzoom, maxzoom) {
+  const zoom = parseInt(value, 10);
+  if (Number.isNaN(zoom)) {
+    return maxzoom;
+  }
+  return Math.min(maxzoom, Math.max(minzoom, zoom));
+}
+
+/**
+ * Normalizes the name of an image format (jpg -> jpeg).
+ * @param {string} format - The format name.
+ * @returns {string} - The normalized format name.
+ */
+function normalizeFormat(format) {
+  return format === 'jpg' ? 'jpeg' : format;
+}
 const { serve_rendered } = await import(
   `${!isLight ? `./serve_rendered.js` : `./serve_light.js`}`
 );
@@ -46,6 +305,89 @@ export const serve_data = {
     const { verbose } = programOpts;
     const app = express().disable('x-powered-by');
 
+    /**
+     * Handles requests for the pixel of a raster data source at a coordinate, decoded
+     * through the `valueMapping` of the source if one is configured. Registered before
+     * the tile route, which would match coordinates like `/pixel/8.5/47.3` too.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the raster data source.
+     * @param {string} req.params.lon - Longitude of the point.
+     * @param {string} req.params.lat - Latitude of the point.
+     * @param {string} [req.query.zoom] - Zoom level of the tile to read, defaults to the maxzoom of the source.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/pixel/:lon/:lat', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling pixel request for: /data/%s/pixel/%s/%s`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+          String(req.params.lon).replace(/\n|\r/g, ''),
+          String(req.params.lat).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item) {
+        return res.sendStatus(404);
+      }
+      const { format, minzoom, maxzoom } = item.tileJSON;
+      if (!rasterFormats.includes(normalizeFormat(format))) {
+        return res
+          .status(400)
+          .send('Invalid format. Pixels can only be queried in raster tiles.');
+      }
+      const lon = Number(req.params.lon);
+      const lat = Number(req.params.lat);
+      if (!isValidCoordinate([lon, lat])) {
+        return res.status(400).send('Invalid lon/lat.');
+      }
+      let zoom = maxzoom;
+      if (req.query.zoom != null) {
+        zoom = Number(req.query.zoom);
+        if (!Number.isInteger(zoom) || zoom < 0) {
+          return res.status(400).send('Invalid zoom.');
+        }
+        zoom = Math.min(Math.max(zoom, minzoom), maxzoom);
+      }
+
+      const tiles = Math.pow(2, zoom);
+      const [worldX, worldY] = lonLatToWorld(lon, lat, zoom);
+      const x = Math.min(tiles - 1, Math.floor(worldX));
+      const y = Math.min(tiles - 1, Math.max(0, Math.floor(worldY)));
+      try {
+        const fetchTile = await fetchTileData(
+          item.source,
+          item.sourceType,
+          zoom,
+          x,
+          y,
+        );
+        if (fetchTile == null) {
+          return res.status(item.sparse ? 404 : 204).send();
+        }
+        const { width, height, data } = await serve_rendered.decodeRasterTile(
+          fetchTile.data,
+        );
+        const pixelX = Math.min(width - 1, Math.floor((worldX - x) * width));
+        const pixelY = Math.min(
+          height - 1,
+          Math.max(0, Math.floor((worldY - y) * height)),
+        );
+        const offset = (pixelY * width + pixelX) * 4;
+        const rgba = [...data.subarray(offset, offset + 4)];
+        const result = { long: lon, lat, z: zoom, x, y, pixelX, pixelY, rgba };
+        if (item.valueMapping) {
+          Object.assign(result, mapPixelValue(item.valueMapping, rgba));
+        }
+        return res.status(200).send(result);
+      } catch (err) {
+        return res
+          .status(500)
+          .header('Content-Type', 'text/plain')
+          .send(err.message);
+      }
+    });
+
     /**
      * Handles requests for tile data, responding with the tile image.
      * @param {object} req - Express request object.
@@ -55,6 +397,9 @@ export const serve_data = {
      * @param {string} req.params.x - X coordinate of the tile.
      * @param {string} req.params.y - Y coordinate of the tile.
      * @param {string} req.params.format - Format of the tile.
+     * @param {string} [req.query.layers] - Comma-separated names of the layers to include (vector tiles only).
+     * @param {string} [req.query.fields] - Comma-separated names of the properties to include (vector tiles only).
+     * @param {string} [req.query.encoding] - Terrain encoding to convert the tile to, 'mapbox' or 'terrarium' (terrain tiles only).
      * @returns {Promise<void>}
      */
     app.get('/:id/:z/:x/:y.:format', async (req, res) => {
@@ -85,29 +430,54 @@ export const serve_data = {
       if (format === options.pbfAlias) {
         format = 'pbf';
       }
+      // raster tiles can be transcoded, encoded terrain data only losslessly to png
+      const transcode =
+        normalizeFormat(format) !== normalizeFormat(tileJSONFormat) &&
+        rasterFormats.includes(normalizeFormat(format)) &&
+        rasterFormats.includes(normalizeFormat(tileJSONFormat)) &&
+        (!item.tileJSON.encoding || format === 'png');
       if (
-        format !== tileJSONFormat &&
+        normalizeFormat(format) !== normalizeFormat(tileJSONFormat) &&
+        !transcode &&
         !(format === 'geojson' && tileJSONFormat === 'pbf')
       ) {
         return res.status(404).send('Invalid format');
       }
+      const maxzoom = item.overzoom ?? item.tileJSON.maxzoom;
       if (
         z < item.tileJSON.minzoom ||
         x < 0 ||
         y < 0 ||
-        z > item.tileJSON.maxzoom ||
+        z > maxzoom ||
         x >= Math.pow(2, z) ||
         y >= Math.pow(2, z)
       ) {
         return res.status(404).send('Out of bounds');
       }
 
+      // terrain tiles can be converted to the other encoding
+      const targetEncoding = req.query.encoding;
+      if (targetEncoding != null) {
+        const encodingError = getEncodingError(item, targetEncoding);
+        if (encodingError) {
+          return res.status(400).send(encodingError);
+        }
+      }
+      const reencode =
+        targetEncoding != null && targetEncoding !== item.tileJSON.encoding;
+
+      // above the source maxzoom, the tile is cut out of its ancestor at maxzoom
+      const dz = Math.max(0, z - item.tileJSON.maxzoom);
+      const sourceZ = z - dz;
+      const sourceX = x >> dz;
+      const sourceY = y >> dz;
+
       const fetchTile = await fetchTileData(
         item.source,
         item.sourceType,
-        z,
-        x,
-        y,
+        sourceZ,
+        sourceX,
+        sourceY,
       );
       if (fetchTile == null) {
         // sparse=true (default) -> 404 (allows overzoom)
@@ -116,24 +486,133 @@ export const serve_data = {
       }
 
       let data = fetchTile.data;
-      let headers = fetchTile.headers;
+      const headers = { ...fetchTile.headers };
+      delete headers['ETag'];
+      delete headers['Last-Modified'];
+      delete headers['Content-Encoding'];
+
+      // raster tiles are already compressed, only vector data is encoded
+      const compressible = format === 'pbf' || format === 'geojson';
+      const encoding = compressible ? negotiateEncoding(req) : 'identity';
+      if (compressible) {
+        res.vary('Accept-Encoding');
+      }
+      const layers =
+        tileJSONFormat === 'pbf' ? parseListParam(req.query.layers) : null;
+      const fields =
+        tileJSONFormat === 'pbf' ? parseListParam(req.query.fields) : null;
+      const filtered = layers != null || fields != null;
+
+      const etagParts = [data];
+      if (filtered) {
+        etagParts.push(`|${layers}|${fields}`);
+      }
+      if (dz > 0) {
+        etagParts.push(`|${z}/${x}/${y}`);
+      }
+      if (transcode) {
+        etagParts.push(`|${format}`);
+      }
+      if (reencode) {
+        etagParts.push(`|${targetEncoding}`);
+      }
+      const etag = createETag(etagParts, encoding);
+      if (respondNotModified(req, res, etag, item.lastModified)) {
+        return;
+      }
+
       let isGzipped = data.slice(0, 2).indexOf(Buffer.from([0x1f, 0x8b])) === 0;
 
-      if (isGzipped) {
+      // gzipped vector tiles can be passed through unchanged
+      const passThrough =
+        isGzipped &&
+        encoding === 'gzip' &&
+        format === 'pbf' &&
+        !filtered &&
+        dz === 0 &&
+        !options.dataDecoratorFunc;
+
+      if (isGzipped && !passThrough) {
         data = await gunzipP(data);
       }
 
-      if (tileJSONFormat === 'pbf') {
+      if (reencode) {
+        try {
+          const pixels = await serve_rendered.decodeRasterTile(data);
+          convertTerrainEncoding(
+            pixels.data,
+            item.tileJSON.encoding,
+            targetEncoding,
+          );
+          // the elevations must be stored losslessly
+          data = await serve_rendered.encodeRasterTile(
+            pixels,
+            tileJSONFormat,
+            tileJSONFormat === 'webp' ? { lossless: true } : {},
+          );
+        } catch (err) {
+          return res
+            .status(500)
+            .header('Content-Type', 'text/plain')
+            .send(err.message);
+        }
+      }
+
+      if (tileJSONFormat === 'pbf' && !passThrough) {
         if (options.dataDecoratorFunc) {
           data = options.dataDecoratorFunc(
             req.params.id,
             'data',
             data,
-            z,
-            x,
-            y,
+            sourceZ,
+            sourceX,
+            sourceY,
+          );
+        }
+        if (filtered || dz > 0) {
+          data = transformVectorTile(data, {
+            layers,
+            fields,
+            overzoom:
+              dz > 0
+                ? { dz, dx: x - (sourceX << dz), dy: y - (sourceY << dz) }
+                : null,
+          });
+        }
+      } else if (dz > 0 || transcode) {
+        const targetFormat = normalizeFormat(format);
+        const formatOptions = {
+          // eslint-disable-next-line security/detect-object-injection -- targetFormat is one of rasterFormats
+          ...(options.formatOptions || {})[targetFormat],
+          // eslint-disable-next-line security/detect-object-injection -- targetFormat is one of rasterFormats
+          ...(item.formatOptions || {})[targetFormat],
+        };
+        try {
+          data = await serve_rendered.transformRasterTile(
+            data,
+            targetFormat,
+            formatOptions,
+            dz > 0
+              ? {
+                  dz,
+                  dx: x - (sourceX << dz),
+                  dy: y - (sourceY << dz),
+                  // encoded elevation values must not be interpolated
+                  kernel: item.tileJSON.encoding ? 'nearest' : 'lanczos3',
+                }
+              : null,
           );
+        } catch (err) {
+          return res
+            .status(500)
+            .header('Content-Type', 'text/plain')
+            .send(err.message);
         }
+        if (data == null) {
+          // the tile at maxzoom is smaller than its tileSize
+          return res.status(404).send('Out of bounds');
+        }
+        headers['Content-Type'] = `image/${targetFormat}`;
       }
 
       if (format === 'pbf') {
@@ -157,17 +636,330 @@ export const serve_data = {
         }
         data = JSON.stringify(geojson);
       }
-      if (headers) {
-        delete headers['ETag'];
+      if (encoding !== 'identity') {
+        headers['Content-Encoding'] = encoding;
       }
-      headers['Content-Encoding'] = 'gzip';
       res.set(headers);
 
-      data = await gzipP(data);
+      if (!passThrough) {
+        data = await encodeData(data, encoding);
+      }
 
       return res.status(200).send(data);
     });
 
+    /**
+     * Handles requests for the features of vector data at or near a coordinate. The
+     * tiles covering the search radius are decoded and their polygons containing the
+     * point and their points and lines within the radius are returned as GeoJSON.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the vector data source.
+     * @param {string} req.query.lon - Longitude of the point.
+     * @param {string} req.query.lat - Latitude of the point.
+     * @param {string} [req.query.zoom] - Zoom level of the tiles to search, defaults to the maxzoom of the source.
+     * @param {string} [req.query.radius] - Search radius in meters, defaults to 0.
+     * @param {string} [req.query.layers] - Comma-separated names of the layers to search.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/query', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling feature query request for: /data/%s/query`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item) {
+        return res.sendStatus(404);
+      }
+      const { format, minzoom, maxzoom } = item.tileJSON;
+      if (format !== 'pbf') {
+        return res
+          .status(400)
+          .send('Invalid format. Features can only be queried in pbf tiles.');
+      }
+      const lon = Number(req.query.lon);
+      const lat = Number(req.query.lat);
+      if (
+        req.query.lon == null ||
+        req.query.lat == null ||
+        !isValidCoordinate([lon, lat])
+      ) {
+        return res.status(400).send('Invalid or missing lon/lat.');
+      }
+      let zoom = maxzoom;
+      if (req.query.zoom != null) {
+        zoom = Number(req.query.zoom);
+        if (!Number.isInteger(zoom) || zoom < 0) {
+          return res.status(400).send('Invalid zoom.');
+        }
+        zoom = Math.min(Math.max(zoom, minzoom), maxzoom);
+      }
+      const radius = req.query.radius == null ? 0 : Number(req.query.radius);
+      if (!(radius >= 0)) {
+        return res.status(400).send('Invalid radius. Must be at least 0.');
+      }
+
+      // search in tile units, mercator distances are scaled by the latitude
+      const [worldX, worldY] = lonLatToWorld(lon, lat, zoom);
+      const tileRadius = radius / groundResolution(lat, zoom, 1);
+      const minX = Math.floor(worldX - tileRadius);
+      const maxX = Math.floor(worldX + tileRadius);
+      const tiles = Math.pow(2, zoom);
+      const minY = Math.max(0, Math.floor(worldY - tileRadius));
+      const maxY = Math.min(tiles - 1, Math.floor(worldY + tileRadius));
+      if (maxX - minX > 2 || maxY - minY > 2) {
+        return res
+          .status(400)
+          .send('Invalid radius. The search area exceeds 3x3 tiles.');
+      }
+      const layers = parseListParam(req.query.layers);
+
+      const results = [];
+      try {
+        for (let ty = minY; ty <= maxY; ty++) {
+          for (let tx = minX; tx <= maxX; tx++) {
+            const x = ((tx % tiles) + tiles) % tiles; // wrap around the antimeridian
+            const fetchTile = await fetchTileData(
+              item.source,
+              item.sourceType,
+              zoom,
+              x,
+              ty,
+            );
+            if (fetchTile == null) continue;
+            let data = fetchTile.data;
+            if (data.slice(0, 2).indexOf(Buffer.from([0x1f, 0x8b])) === 0) {
+              data = await gunzipP(data);
+            }
+            results.push(
+              ...queryVectorTile(
+                data,
+                zoom,
+                x,
+                ty,
+                [worldX - tx, worldY - ty],
+                tileRadius,
+                layers,
+              ),
+            );
+          }
+        }
+      } catch (err) {
+        return res
+          .status(500)
+          .header('Content-Type', 'text/plain')
+          .send(err.message);
+      }
+
+      // features crossing tile borders are found in every tile, keep the nearest part
+      const nearest = new Map();
+      results.sort((a, b) => a.distance - b.distance);
+      results.forEach(({ layer, feature, distance }, index) => {
+        const key = feature.id != null ? `${layer}/${feature.id}` : `#${index}`;
+        if (!nearest.has(key)) {
+          feature.properties.layer = layer;
+          feature.distance = round(distance * groundResolution(lat, zoom, 1));
+          nearest.set(key, feature);
+        }
+      });
+      return res.send({
+        type: 'FeatureCollection',
+        features: [...nearest.values()],
+      });
+    });
+
+    /**
+     * Handles requests for the features of vector data within a bounding box, streamed as
+     * a GeoJSON FeatureCollection or as NDJSON (one feature per line). The covering
+     * tiles are clipped to the bounding box and features with an id found in several
+     * tiles are merged, so they are sent after all features without id.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the vector data source.
+     * @param {string} req.query.bbox - Bounding box as `minLon,minLat,maxLon,maxLat`.
+     * @param {string} [req.query.zoom] - Zoom level of the tiles to read, defaults to the maxzoom of the source.
+     * @param {string} [req.query.layers] - Comma-separated names of the layers to export.
+     * @param {string} [req.query.format] - 'geojson' (default) or 'ndjson'.
+     * @param {string} [req.query.limit] - Maximum number of features, at most `featureExport.maxFeatures`.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/features', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling feature export request for: /data/%s/features`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item) {
+        return res.sendStatus(404);
+      }
+      const { format, minzoom, maxzoom } = item.tileJSON;
+      if (format !== 'pbf') {
+        return res
+          .status(400)
+          .send(
+            'Invalid format. Features can only be exported from pbf tiles.',
+          );
+      }
+      const bbox = String(req.query.bbox ?? '')
+        .split(',')
+        .map(Number);
+      if (
+        bbox.length !== 4 ||
+        !isValidCoordinate([bbox[0], bbox[1]]) ||
+        !isValidCoordinate([bbox[2], bbox[3]]) ||
+        bbox[0] > bbox[2] ||
+        bbox[1] > bbox[3]
+      ) {
+        return res
+          .status(400)
+          .send(
+            'Invalid or missing bbox. Must be minLon,minLat,maxLon,maxLat.',
+          );
+      }
+      let zoom = maxzoom;
+      if (req.query.zoom != null) {
+        zoom = Number(req.query.zoom);
+        if (!Number.isInteger(zoom) || zoom < 0) {
+          return res.status(400).send('Invalid zoom.');
+        }
+        zoom = Math.min(Math.max(zoom, minzoom), maxzoom);
+      }
+      const outputFormat = req.query.format ?? 'geojson';
+      if (outputFormat !== 'geojson' && outputFormat !== 'ndjson') {
+        return res
+          .status(400)
+          .send('Invalid format. Must be geojson or ndjson.');
+      }
+      const maxFeatures = options.featureExport?.maxFeatures ?? 10000;
+      let limit = maxFeatures;
+      if (req.query.limit != null) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+          return res
+            .status(400)
+            .send('Invalid limit. Must be a positive integer.');
+        }
+        limit = Math.min(limit, maxFeatures);
+      }
+
+      const tiles = Math.pow(2, zoom);
+      const [minWorldX, minWorldY] = lonLatToWorld(bbox[0], bbox[3], zoom);
+      const [maxWorldX, maxWorldY] = lonLatToWorld(bbox[2], bbox[1], zoom);
+      const minX = Math.min(tiles - 1, Math.floor(minWorldX));
+      const minY = Math.min(tiles - 1, Math.max(0, Math.floor(minWorldY)));
+      const maxX = Math.max(minX, Math.ceil(maxWorldX) - 1);
+      const maxY = Math.max(
+        minY,
+        Math.min(tiles - 1, Math.ceil(maxWorldY) - 1),
+      );
+      const maxTiles = options.featureExport?.maxTiles ?? 256;
+      if ((maxX - minX + 1) * (maxY - minY + 1) > maxTiles) {
+        return res
+          .status(400)
+          .send(
+            `Too many tiles. The bbox may cover at most ${maxTiles} tiles of the zoom level.`,
+          );
+      }
+      const layers = parseListParam(req.query.layers);
+
+      const ndjson = outputFormat === 'ndjson';
+      let count = 0;
+      const write = (feature) => {
+        if (!res.headersSent) {
+          res
+            .status(200)
+            .header(
+              'Content-Type',
+              ndjson ? 'application/x-ndjson' : 'application/json',
+            );
+          if (!ndjson) {
+            res.write('{"type":"FeatureCollection","features":[');
+          }
+        }
+        if (feature) {
+          const json = JSON.stringify(feature);
+          res.write(ndjson ? `${json}\n` : `${count > 0 ? ',' : ''}${json}`);
+          count++;
+        }
+      };
+
+      // features with an id are kept until all tiles are read to merge their parts
+      const merged = new Map();
+      let truncated = false;
+      try {
+        for (let y = minY; y <= maxY && !truncated; y++) {
+          for (let x = minX; x <= maxX && !truncated; x++) {
+            if (res.destroyed) return;
+            const fetchTile = await fetchTileData(
+              item.source,
+              item.sourceType,
+              zoom,
+              x,
+              y,
+            );
+            if (fetchTile == null) continue;
+            let data = fetchTile.data;
+            if (data.slice(0, 2).indexOf(Buffer.from([0x1f, 0x8b])) === 0) {
+              data = await gunzipP(data);
+            }
+            const features = extractVectorTileFeatures(
+              data,
+              zoom,
+              x,
+              y,
+              [
+                Math.max(0, minWorldX - x),
+                Math.max(0, minWorldY - y),
+                Math.min(1, maxWorldX - x),
+                Math.min(1, maxWorldY - y),
+              ],
+              layers,
+            );
+            for (const { layer, feature } of features) {
+              feature.properties.layer = layer;
+              const key = feature.id != null ? `${layer}/${feature.id}` : null;
+              if (key != null && merged.has(key)) {
+                mergeFeatureParts(merged.get(key), feature);
+                continue;
+              }
+              if (count + merged.size >= limit) {
+                truncated = true;
+                break;
+              }
+              if (key != null) {
+                merged.set(key, feature);
+              } else {
+                write(feature);
+              }
+            }
+          }
+        }
+      } catch (err) {
+        if (res.headersSent) {
+          // the response cannot report the error anymore, abort it
+          console.error(`Feature export failed: ${err.message}`);
+          return res.destroy();
+        }
+        return res
+          .status(500)
+          .header('Content-Type', 'text/plain')
+          .send(err.message);
+      }
+
+      for (const feature of merged.values()) {
+        write(feature);
+      }
+      write(null);
+      if (!ndjson) {
+        res.write(truncated ? '],"truncated":true}' : ']}');
+      }
+      return res.end();
+    });
+
     /**
      * Handles requests for elevation data.
      * @param {object} req - Express request object.
@@ -196,24 +988,16 @@ export const serve_data = {
         if (!item.tileJSON) return res.status(404).send('Missing tileJSON');
         if (!item.sourceType) return res.status(404).send('Missing sourceType');
         const { source, tileJSON, sourceType } = item;
-        if (sourceType !== 'pmtiles' && sourceType !== 'mbtiles') {
-          return res
-            .status(400)
-            .send('Invalid sourceType. Must be pmtiles or mbtiles.');
+        const terrainError = getTerrainError(item);
+        if (terrainError) {
+          return res.status(400).send(terrainError);
         }
-        const encoding = tileJSON?.encoding;
-        if (encoding == null) {
-          return res.status(400).send('Missing tileJSON.encoding');
-        } else if (encoding !== 'terrarium' && encoding !== 'mapbox') {
+        const { encoding, format } = tileJSON;
+        const interpolation = req.query.interpolation ?? 'nearest';
+        if (!interpolations.includes(interpolation)) {
           return res
             .status(400)
-            .send('Invalid encoding. Must be terrarium or mapbox.');
-        }
-        const format = tileJSON?.format;
-        if (format == null) {
-          return res.status(400).send('Missing tileJSON.format');
-        } else if (format !== 'webp' && format !== 'png') {
-          return res.status(400).send('Invalid format. Must be webp or png.');
+            .send('Invalid interpolation. Must be nearest or bilinear.');
         }
         const z = parseInt(req.params.z, 10);
         const x = parseFloat(req.params.x);
@@ -227,6 +1011,11 @@ export const serve_data = {
         var zoom = z;
 
         if (Number.isInteger(x) && Number.isInteger(y)) {
+          if (interpolation !== 'nearest') {
+            return res
+              .status(400)
+              .send('Interpolation is only supported for coordinates.');
+          }
           const intX = parseInt(req.params.x, 10);
           const intY = parseInt(req.params.y, 10);
           if (
@@ -246,7 +1035,7 @@ export const serve_data = {
           if (zoom < tileJSON.minzoom) {
             zoom = tileJSON.minzoom;
           }
-          if (zoom > tileJSON.maxzoom) {
+          if (zoom > tileJSON.maxzoom || req.query.useMaxzoom === 'true') {
             zoom = tileJSON.maxzoom;
           }
           bbox = [x, y, x + 0.1, y + 0.1];
@@ -254,6 +1043,36 @@ export const serve_data = {
           xy = [minX, minY];
         }
 
+        var param = {
+          long: bbox[0].toFixed(7),
+          lat: bbox[1].toFixed(7),
+          encoding,
+          format,
+          tile_size: TILE_SIZE,
+          z: zoom,
+          x: xy[0],
+          y: xy[1],
+          groundResolution: round(groundResolution(bbox[1], zoom, TILE_SIZE)),
+          interpolation,
+        };
+
+        if (interpolation === 'bilinear') {
+          const dem = new DemTileCache(item, serve_rendered.decodeRasterTile);
+          const elevation = await dem.sample(x, y, zoom, interpolation);
+          if (elevation == null) {
+            return res.status(item.sparse ? 404 : 204).send();
+          }
+          // the interpolated elevation in the encoding of the source, like a pixel of a tile
+          const [red, green, blue] = encodeElevation(elevation, encoding);
+          return res.status(200).send({
+            ...param,
+            elevation: round(elevation),
+            red,
+            green,
+            blue,
+          });
+        }
+
         const fetchTile = await fetchTileData(
           source,
           sourceType,
@@ -268,17 +1087,6 @@ export const serve_data = {
         }
 
         let data = fetchTile.data;
-        var param = {
-          long: bbox[0].toFixed(7),
-          lat: bbox[1].toFixed(7),
-          encoding,
-          format,
-          tile_size: TILE_SIZE,
-          z: zoom,
-          x: xy[0],
-          y: xy[1],
-        };
-
         res
           .status(200)
           .send(await serve_rendered.getTerrainElevation(data, param));
@@ -291,55 +1099,771 @@ export const serve_data = {
     });
 
     /**
-     * Handles requests for tilejson for the data tiles.
+     * Handles requests for elevation profiles along a line.
      * @param {object} req - Express request object.
      * @param {object} res - Express response object.
-     * @param {string} req.params.id - ID of the data source.
+     * @param {string} req.params.id - ID of the elevation data.
+     * @param {object} req.body - GeoJSON LineString (or Feature), or an object with `geometry` or `polyline`
+     *   and the optional `spacing` (meters) and `zoom`.
      * @returns {Promise<void>}
      */
-    app.get('/:id.json', (req, res) => {
-      if (verbose >= 1) {
-        console.log(
-          `Handling tilejson request for: /data/%s.json`,
-          String(req.params.id).replace(/\n|\r/g, ''),
-        );
-      }
+    app.post(
+      '/:id/elevation/profile',
+      express.json({ limit: '1mb' }),
+      async (req, res) => {
+        if (verbose >= 1) {
+          console.log(
+            `Handling elevation profile request for: /data/%s/elevation/profile`,
+            String(req.params.id).replace(/\n|\r/g, ''),
+          );
+        }
+        const item = repo[req.params.id];
+        if (!item) {
+          return res.sendStatus(404);
+        }
+        const terrainError = getTerrainError(item);
+        if (terrainError) {
+          return res.status(400).send(terrainError);
+        }
 
-      const item = repo[req.params.id];
-      if (!item) {
-        return res.sendStatus(404);
-      }
-      const tileSize = undefined;
-      const info = clone(item.tileJSON);
-      info.tiles = getTileUrls(
-        req,
-        info.tiles,
-        `data/${req.params.id}`,
-        tileSize,
-        info.format,
-        item.publicUrl,
-        {
-          pbf: options.pbfAlias,
-        },
-      );
-      return res.send(info);
-    });
+        const body = req.body || {};
+        const interpolation = body.interpolation ?? 'nearest';
+        if (!interpolations.includes(interpolation)) {
+          return res
+            .status(400)
+            .send('Invalid interpolation. Must be nearest or bilinear.');
+        }
+        let coordinates;
+        try {
+          coordinates = parseLine(body);
+        } catch (err) {
+          return res.status(400).send(err.message);
+        }
 
-    return app;
-  },
-  /**
-   * Adds a new data source to the repository.
-   * @param {object} options Configuration options.
+        const { minzoom, maxzoom } = item.tileJSON;
+        const zoom = parseZoom(body.zoom, minzoom, maxzoom);
+        const length = lineLength(coordinates);
+        const maxSamples = options.elevation?.maxProfileSamples ?? 10000;
+        let spacing = Number(body.spacing);
+        if (!body.spacing) {
+          // default to the resolution of the DEM, limited by the maximum sample count
+          const lat = coordinates[0][1];
+          spacing = Math.max(
+            groundResolution(lat, zoom, item.tileJSON.tileSize || 512),
+            length / (maxSamples - 1),
+          );
+        } else if (!(spacing > 0)) {
+          return res.status(400).send('Invalid spacing');
+        }
+        if (length / spacing + 2 > maxSamples) {
+          return res
+            .status(400)
+            .send(`Too many samples, the maximum is ${maxSamples}`);
+        }
+
+        try {
+          const dem = new DemTileCache(item, serve_rendered.decodeRasterTile);
+          const samples = sampleLine(coordinates, spacing);
+          const elevations = await dem.sampleMany(
+            samples.map((sample) => sample.coordinates),
+            zoom,
+            interpolation,
+          );
+
+          let ascent = 0;
+          let descent = 0;
+          let previous = null;
+          for (const elevation of elevations) {
+            if (elevation == null) continue;
+            if (previous != null) {
+              const delta = elevation - previous;
+              if (delta > 0) ascent += delta;
+              else descent -= delta;
+            }
+            previous = elevation;
+          }
+
+          return res.send({
+            zoom,
+            spacing: round(spacing),
+            length: round(length),
+            ascent: round(ascent),
+            descent: round(descent),
+            profile: samples.map((sample, i) => [
+              round(sample.distance),
+              // eslint-disable-next-line security/detect-object-injection -- i is the index of the sample
+              elevations[i] == null ? null : round(elevations[i]),
+            ]),
+          });
+        } catch (err) {
+          return res
+            .status(500)
+            .header('Content-Type', 'text/plain')
+            .send(err.message);
+        }
+      },
+    );
+
+    /**
+     * Handles requests for the elevations of many points.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the data source.
+     * @returns {Promise<void>}
+     */
+    app.post(
+      '/:id/elevation/batch',
+      express.json({ limit: '5mb' }),
+      express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+      async (req, res) => {
+        if (verbose >= 1) {
+          console.log(
+            `Handling elevation batch request for: /data/%s/elevation/batch`,
+            String(req.params.id).replace(/\n|\r/g, ''),
+          );
+        }
+        const item = repo[req.params.id];
+        if (!item) {
+          return res.sendStatus(404);
+        }
+        const terrainError = getTerrainError(item);
+        if (terrainError) {
+          return res.status(400).send(terrainError);
+        }
+
+        const body = req.body ?? {};
+        const interpolation =
+          req.query.interpolation ?? body.interpolation ?? 'nearest';
+        if (!interpolations.includes(interpolation)) {
+          return res
+            .status(400)
+            .send('Invalid interpolation. Must be nearest or bilinear.');
+        }
+        let coordinates;
+        try {
+          coordinates = parsePoints(body);
+        } catch (err) {
+          return res.status(400).send(err.message);
+        }
+        const maxPoints = options.elevation?.maxBatchPoints ?? 10000;
+        if (coordinates.length > maxPoints) {
+          return res
+            .status(400)
+            .send(`Too many points, the maximum is ${maxPoints}`);
+        }
+
+        const { minzoom, maxzoom } = item.tileJSON;
+        const zoom = parseZoom(req.query.zoom ?? body.zoom, minzoom, maxzoom);
+
+        try {
+          const dem = new DemTileCache(item, serve_rendered.decodeRasterTile);
+          const elevations = await dem.sampleMany(
+            coordinates,
+            zoom,
+            interpolation,
+          );
+          return res.send({
+            zoom,
+            count: elevations.length,
+            elevations: elevations.map((elevation) =>
+              elevation == null ? null : round(elevation),
+            ),
+          });
+        } catch (err) {
+          return res
+            .status(500)
+            .header('Content-Type', 'text/plain')
+            .send(err.message);
+        }
+      },
+    );
+
+    /**
+     * Handles requests for contour line vector tiles of terrain sources.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the terrain data source.
+     * @param {string} req.params.z - Z coordinate of the tile.
+     * @param {string} req.params.x - X coordinate of the tile.
+     * @param {string} req.params.y - Y coordinate of the tile.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/contours/:z/:x/:y.pbf', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling contour tile request for: /data/%s/contours/%s/%s/%s.pbf`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+          String(req.params.z).replace(/\n|\r/g, ''),
+          String(req.params.x).replace(/\n|\r/g, ''),
+          String(req.params.y).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item?.contours) {
+        return res.sendStatus(404);
+      }
+      const z = parseInt(req.params.z, 10);
+      const x = parseInt(req.params.x, 10);
+      const y = parseInt(req.params.y, 10);
+      if (
+        !(z >= item.contours.minzoom && z <= item.contours.maxzoom) ||
+        !(x >= 0 && x < Math.pow(2, z) && y >= 0 && y < Math.pow(2, z))
+      ) {
+        return res.status(404).send('Out of bounds');
+      }
+
+      let data;
+      try {
+        const dem = new DemTileCache(item, serve_rendered.decodeRasterTile);
+        data = await createContourTile(dem, item.contours, z, x, y);
+      } catch (err) {
+        return res
+          .status(500)
+          .header('Content-Type', 'text/plain')
+          .send(err.message);
+      }
+      if (data == null) {
+        return res.status(item.sparse ? 404 : 204).send();
+      }
+      return sendEncoded(
+        req,
+        res,
+        data,
+        'application/x-protobuf',
+        item.lastModified,
+      );
+    });
+
+    /**
+     * Handles requests for tilejson for the contour line tiles of terrain sources.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the terrain data source.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/contours.json', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling contour tilejson request for: /data/%s/contours.json`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item?.contours) {
+        return res.sendStatus(404);
+      }
+      const { layer, minzoom, maxzoom } = item.contours;
+      const info = {
+        tilejson: '3.0.0',
+        name: `${item.tileJSON.name} contours`,
+        attribution: item.tileJSON.attribution,
+        bounds: item.tileJSON.bounds,
+        center: item.tileJSON.center,
+        minzoom,
+        maxzoom,
+        format: 'pbf',
+        tiles: getTileUrls(
+          req,
+          item.tileJSON.tiles,
+          `data/${req.params.id}/contours`,
+          undefined,
+          'pbf',
+          item.publicUrl,
+        ),
+        vector_layers: [
+          {
+            id: layer,
+            fields: { elevation: 'Number', major: 'Boolean' },
+            minzoom,
+            maxzoom,
+          },
+        ],
+      };
+      return sendEncoded(
+        req,
+        res,
+        info,
+        'application/json; charset=utf-8',
+        item.lastModified,
+      );
+    });
+
+    /**
+     * Handles requests for quantized-mesh terrain tiles of terrain sources (geographic
+     * tiling scheme, rows counted from the south).
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the terrain data source.
+     * @param {string} req.params.z - Level of the tile.
+     * @param {string} req.params.x - Column of the tile.
+     * @param {string} req.params.y - Row of the tile.
+     * @param {string} [req.query.extensions] - Extensions to include, e.g. `octvertexnormals`
+     *   (alternatively requested with the `Accept` header like Cesium does).
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/quantized-mesh/:z/:x/:y.terrain', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling quantized-mesh tile request for: /data/%s/quantized-mesh/%s/%s/%s.terrain`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+          String(req.params.z).replace(/\n|\r/g, ''),
+          String(req.params.x).replace(/\n|\r/g, ''),
+          String(req.params.y).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item?.quantizedMesh) {
+        return res.sendStatus(404);
+      }
+      const z = parseInt(req.params.z, 10);
+      const x = parseInt(req.params.x, 10);
+      const y = parseInt(req.params.y, 10);
+      if (
+        !(z >= 0 && z <= item.quantizedMesh.maxzoom) ||
+        !(x >= 0 && x < Math.pow(2, z + 1) && y >= 0 && y < Math.pow(2, z))
+      ) {
+        return res.status(404).send('Out of bounds');
+      }
+
+      res.vary('Accept');
+      const extensions = getMeshExtensions(req);
+      let data;
+      try {
+        const dem = new DemTileCache(item, serve_rendered.decodeRasterTile);
+        data = await createQuantizedMesh(
+          dem,
+          item.quantizedMesh,
+          z,
+          x,
+          y,
+          extensions,
+        );
+      } catch (err) {
+        return res
+          .status(500)
+          .header('Content-Type', 'text/plain')
+          .send(err.message);
+      }
+      return sendEncoded(
+        req,
+        res,
+        data,
+        extensions.length > 0
+          ? `application/vnd.quantized-mesh;extensions=${extensions.join('-')}`
+          : 'application/vnd.quantized-mesh',
+        item.lastModified,
+      );
+    });
+
+    /**
+     * Handles requests for the layer.json of the quantized-mesh tiles of terrain sources.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the terrain data source.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/quantized-mesh/layer.json', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling quantized-mesh layer request for: /data/%s/quantized-mesh/layer.json`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item?.quantizedMesh) {
+        return res.sendStatus(404);
+      }
+      return sendEncoded(
+        req,
+        res,
+        createLayerJson(item.tileJSON, item.quantizedMesh),
+        'application/json; charset=utf-8',
+        item.lastModified,
+      );
+    });
+
+    /**
+     * Handles requests for the tile statistics of MBTiles and PMTiles sources: the number of
+     * tiles and their sizes per zoom level, read from the tile index without reading the tiles.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the data source.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/stats', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling stats request for: /data/%s/stats`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item) {
+        return res.sendStatus(404);
+      }
+      if (!tileIndexSourceTypes.includes(item.sourceType)) {
+        return res
+          .status(400)
+          .send('Invalid sourceType. Must be pmtiles or mbtiles.');
+      }
+      try {
+        // the index of a source does not change while it is served
+        item.tileStats ??= getTileStats(item.source, item.sourceType).catch(
+          (err) => {
+            item.tileStats = undefined;
+            throw err;
+          },
+        );
+        const stats = await item.tileStats;
+        return sendEncoded(
+          req,
+          res,
+          {
+            sourceType: item.sourceType,
+            format: item.tileJSON.format,
+            ...stats,
+          },
+          'application/json; charset=utf-8',
+          item.lastModified,
+        );
+      } catch (err) {
+        return res
+          .status(500)
+          .header('Content-Type', 'text/plain')
+          .send(err.message);
+      }
+    });
+
+    /**
+     * Handles requests for the coverage of a zoom level of MBTiles and PMTiles sources, a GeoJSON
+     * FeatureCollection with the footprints of the existing tiles.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the data source.
+     * @param {string} req.params.z - Zoom level.
+     * @param {string} [req.query.minSize] - Only include tiles of at least this size in bytes.
+     * @returns {Promise<void>}
+     */
+    app.get('/:id/coverage/:z.geojson', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling coverage request for: /data/%s/coverage/%s.geojson`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+          String(req.params.z).replace(/\n|\r/g, ''),
+        );
+      }
+      const item = repo[req.params.id];
+      if (!item) {
+        return res.sendStatus(404);
+      }
+      if (!tileIndexSourceTypes.includes(item.sourceType)) {
+        return res
+          .status(400)
+          .send('Invalid sourceType. Must be pmtiles or mbtiles.');
+      }
+      const z = Number(req.params.z);
+      const maxzoom = tileIndexMaxzoom[item.sourceType];
+      if (!Number.isInteger(z) || z < 0 || z > maxzoom) {
+        return res
+          .status(400)
+          .send(`Invalid zoom. Must be an integer between 0 and ${maxzoom}.`);
+      }
+      const minSize = Number(req.query.minSize ?? 0);
+      if (!Number.isFinite(minSize) || minSize < 0) {
+        return res
+          .status(400)
+          .send('Invalid minSize. Must be a non-negative number of bytes.');
+      }
+
+      try {
+        // one more tile than the limit tells whether the coverage is truncated
+        const tiles = await listTiles(item.source, item.sourceType, z, {
+          minSize,
+          limit: maxCoverageTiles + 1,
+        });
+        const truncated = tiles.length > maxCoverageTiles;
+        const features = tiles
+          .slice(0, maxCoverageTiles)
+          .map(({ x, y, size }) => {
+            const [west, north] = worldToLonLat(x, y, z);
+            const [east, south] = worldToLonLat(x + 1, y + 1, z);
+            return {
+              type: 'Feature',
+              properties: { z, x, y, size },
+              geometry: {
+                type: 'Polygon',
+                coordinates: [
+                  [
+                    [west, south],
+                    [east, south],
+                    [east, north],
+                    [west, north],
+                    [west, south],
+                  ],
+                ],
+              },
+            };
+          });
+        const collection = { type: 'FeatureCollection', features };
+        if (truncated) {
+          collection.truncated = true;
+        }
+        return sendEncoded(
+          req,
+          res,
+          collection,
+          'application/geo+json; charset=utf-8',
+          item.lastModified,
+        );
+      } catch (err) {
+        return res
+          .status(500)
+          .header('Content-Type', 'text/plain')
+          .send(err.message);
+      }
+    });
+
+    for (const product of [...terrainRasterProducts, 'colorized']) {
+      /**
+       * Handles requests for raster tiles derived from raster sources (hillshade, slope and aspect
+       * of terrain sources, colorized elevations or single-band values).
+       * @param {object} req - Express request object.
+       * @param {object} res - Express response object.
+       * @param {string} req.params.id - ID of the terrain data source.
+       * @param {string} req.params.z - Z coordinate of the tile.
+       * @param {string} req.params.x - X coordinate of the tile.
+       * @param {string} req.params.y - Y coordinate of the tile.
+       * @param {string} req.params.format - Format of the tile (png, jpeg, webp, avif).
+       * @param {string} [req.query.azimuth] - Direction of the sun in degrees clockwise from north (hillshade only).
+       * @param {string} [req.query.altitude] - Altitude of the sun in degrees (hillshade only).
+       * @param {string} [req.query.exaggeration] - Vertical exaggeration (not colorized).
+       * @param {string} [req.query.ramp] - Name of the color ramp (colorized only).
+       * @param {string} [req.query.stops] - Color ramp stops like `0:green|1000:white` (colorized only).
+       * @param {string} [req.query.mode] - Color ramp mode, linear or discrete (colorized only).
+       * @param {string} [req.query.nodata] - Value without data, rendered transparent (colorized only).
+       * @returns {Promise<void>}
+       */
+      app.get(`/:id/${product}/:z/:x/:y.:format`, async (req, res) => {
+        if (verbose >= 1) {
+          console.log(
+            `Handling ${product} tile request for: /data/%s/${product}/%s/%s/%s.%s`,
+            String(req.params.id).replace(/\n|\r/g, ''),
+            String(req.params.z).replace(/\n|\r/g, ''),
+            String(req.params.x).replace(/\n|\r/g, ''),
+            String(req.params.y).replace(/\n|\r/g, ''),
+            String(req.params.format).replace(/\n|\r/g, ''),
+          );
+        }
+        const item = repo[req.params.id];
+        // eslint-disable-next-line security/detect-object-injection -- product is one of the derived raster products
+        const productOptions = item?.derivedRasters?.[product];
+        const format = normalizeFormat(req.params.format);
+        if (!productOptions || !rasterFormats.includes(format)) {
+          return res.sendStatus(404);
+        }
+        const { minzoom, maxzoom } = item.tileJSON;
+        const z = parseInt(req.params.z, 10);
+        const x = parseInt(req.params.x, 10);
+        const y = parseInt(req.params.y, 10);
+        if (
+          !(z >= minzoom && z <= maxzoom) ||
+          !(x >= 0 && x < Math.pow(2, z) && y >= 0 && y < Math.pow(2, z))
+        ) {
+          return res.status(404).send('Out of bounds');
+        }
+        let productQueryOptions;
+        try {
+          productQueryOptions =
+            product === 'colorized'
+              ? applyColorizedQuery(
+                  productOptions,
+                  req.query,
+                  options.colorRamps,
+                )
+              : applyTerrainRasterQuery(productOptions, req.query);
+        } catch (err) {
+          return res.status(400).send(err.message);
+        }
+
+        const formatOptions = {
+          // eslint-disable-next-line security/detect-object-injection -- format is one of rasterFormats
+          ...(options.formatOptions || {})[format],
+          // eslint-disable-next-line security/detect-object-injection -- format is one of rasterFormats
+          ...(item.formatOptions || {})[format],
+        };
+        // the tile only depends on the source version and the options, so a
+        // conditional request is answered before the tile is rendered
+        const etag = createETag([
+          String(item.lastModified),
+          `|${product}/${z}/${x}/${y}.${format}`,
+          `|${JSON.stringify(productQueryOptions)}|${JSON.stringify(formatOptions)}`,
+        ]);
+        if (respondNotModified(req, res, etag, item.lastModified)) {
+          return;
+        }
+
+        let data;
+        try {
+          const dem = new DemTileCache(item, serve_rendered.decodeRasterTile);
+          const pixels =
+            product === 'colorized'
+              ? await createColorizedTile(dem, productQueryOptions, z, x, y)
+              : await createTerrainRasterTile(
+                  dem,
+                  product,
+                  productQueryOptions,
+                  z,
+                  x,
+                  y,
+                );
+          if (pixels == null) {
+            return res.status(item.sparse ? 404 : 204).send();
+          }
+          data = await serve_rendered.encodeRasterTile(
+            pixels,
+            format,
+            formatOptions,
+          );
+        } catch (err) {
+          return res
+            .status(500)
+            .header('Content-Type', 'text/plain')
+            .send(err.message);
+        }
+        res.set('Content-Type', `image/${format}`);
+        return res.status(200).send(data);
+      });
+
+      /**
+       * Handles requests for tilejson for the raster tiles derived from raster sources.
+       * @param {object} req - Express request object.
+       * @param {object} res - Express response object.
+       * @param {string} req.params.id - ID of the terrain data source.
+       * @returns {Promise<void>}
+       */
+      app.get(`/:id/${product}.json`, async (req, res) => {
+        if (verbose >= 1) {
+          console.log(
+            `Handling ${product} tilejson request for: /data/%s/${product}.json`,
+            String(req.params.id).replace(/\n|\r/g, ''),
+          );
+        }
+        const item = repo[req.params.id];
+        // eslint-disable-next-line security/detect-object-injection -- product is one of the derived raster products
+        if (!item?.derivedRasters?.[product]) {
+          return res.sendStatus(404);
+        }
+        const { tileJSON } = item;
+        const info = {
+          tilejson: '3.0.0',
+          name: `${tileJSON.name} ${product}`,
+          attribution: tileJSON.attribution,
+          bounds: tileJSON.bounds,
+          center: tileJSON.center,
+          minzoom: tileJSON.minzoom,
+          maxzoom: tileJSON.maxzoom,
+          tileSize: tileJSON.tileSize,
+          format: 'png',
+          tiles: getTileUrls(
+            req,
+            tileJSON.tiles,
+            `data/${req.params.id}/${product}`,
+            undefined,
+            'png',
+            item.publicUrl,
+            undefined,
+            product === 'colorized'
+              ? ['ramp', 'stops', 'mode', 'nodata']
+              : ['azimuth', 'altitude', 'exaggeration'],
+          ),
+        };
+        return sendEncoded(
+          req,
+          res,
+          info,
+          'application/json; charset=utf-8',
+          item.lastModified,
+        );
+      });
+    }
+
+    /**
+     * Handles requests for tilejson for the data tiles.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {string} req.params.id - ID of the data source.
+     * @param {string} [req.query.layers] - Comma-separated names of the layers to advertise (vector tiles only).
+     * @param {string} [req.query.fields] - Comma-separated names of the properties to advertise (vector tiles only).
+     * @param {string} [req.query.encoding] - Terrain encoding of the advertised tiles, 'mapbox' or 'terrarium' (terrain tiles only).
+     * @returns {Promise<void>}
+     */
+    app.get('/:id.json', async (req, res) => {
+      if (verbose >= 1) {
+        console.log(
+          `Handling tilejson request for: /data/%s.json`,
+          String(req.params.id).replace(/\n|\r/g, ''),
+        );
+      }
+
+      const item = repo[req.params.id];
+      if (!item) {
+        return res.sendStatus(404);
+      }
+      if (req.query.encoding != null) {
+        const encodingError = getEncodingError(item, req.query.encoding);
+        if (encodingError) {
+          return res.status(400).send(encodingError);
+        }
+      }
+      const tileSize = undefined;
+      const info = clone(item.tileJSON);
+      if (req.query.encoding != null) {
+        info.encoding = req.query.encoding;
+      }
+      info.tiles = getTileUrls(
+        req,
+        info.tiles,
+        `data/${req.params.id}`,
+        tileSize,
+        info.format,
+        item.publicUrl,
+        {
+          pbf: options.pbfAlias,
+        },
+        ['layers', 'fields', 'encoding'],
+      );
+      if (info.format === 'pbf') {
+        info.vector_layers = filterVectorLayers(
+          info.vector_layers,
+          parseListParam(req.query.layers),
+          parseListParam(req.query.fields),
+        );
+      }
+      return sendEncoded(
+        req,
+        res,
+        info,
+        'application/json; charset=utf-8',
+        item.lastModified,
+      );
+    });
+
+    return app;
+  },
+  /**
+   * Adds a new data source to the repository.
+   * @param {object} options Configuration options.
    * @param {object} repo Repository object.
    * @param {object} params Parameters object.
    * @param {string} id ID of the data source.
    * @param {object} programOpts - An object containing the program options
    * @param {string} programOpts.publicUrl Public URL for the data.
    * @param {number} programOpts.verbose Verbosity level (1-3). 1=important, 2=detailed, 3=debug/all requests.
+   * @param {number} [programOpts.fetchTimeout] Timeout of remote tile requests in milliseconds.
    * @returns {Promise<void>}
    */
   add: async function (options, repo, params, id, programOpts) {
-    const { publicUrl, verbose } = programOpts;
+    const { publicUrl, verbose, fetchTimeout } = programOpts;
     let inputFile;
     let inputType;
     if (params.pmtiles) {
@@ -361,22 +1885,59 @@ export const serve_data = {
       } else {
         inputFile = path.resolve(options.paths.mbtiles, params.mbtiles);
       }
+    } else if (params.xyz) {
+      inputType = 'xyz';
+      inputFile = path.resolve(options.paths.xyz, params.xyz);
+    } else if (params.gpkg) {
+      inputType = 'gpkg';
+      inputFile = path.resolve(options.paths.gpkg, params.gpkg);
+    } else if (params.cog) {
+      inputType = 'cog';
+      // COGs are read with range requests, also from HTTP and S3 URLs
+      if (isValidRemoteUrl(params.cog)) {
+        inputFile = params.cog;
+      } else {
+        inputFile = path.resolve(options.paths.cog, params.cog);
+      }
+    } else if (params.geojson) {
+      inputType = 'geojson';
+      inputFile = path.resolve(options.paths.files, params.geojson);
+    } else if (params.postgis) {
+      inputType = 'postgis';
+      inputFile = params.postgis;
+    } else if (params.http) {
+      inputType = 'http';
+      inputFile = params.http;
     }
 
     if (verbose >= 1) {
-      console.log(`[INFO] Loading data source '${id}' from: ${inputFile}`);
+      // connection strings can contain passwords, tile urls api keys in the query
+      const location =
+        inputType === 'postgis'
+          ? 'PostGIS'
+          : inputType === 'http'
+            ? inputFile.split('?')[0]
+            : inputFile;
+      console.log(`[INFO] Loading data source '${id}' from: ${location}`);
     }
 
     let tileJSON = {
       tiles: params.domains || options.domains,
     };
 
-    // Only check file stats for local files, not remote URLs
-    if (!isValidRemoteUrl(inputFile)) {
+    // Only check file stats for local files, not remote URLs or databases
+    let lastModified = new Date();
+    if (inputType !== 'postgis' && !isValidRemoteUrl(inputFile)) {
       const inputFileStats = await fsp.stat(inputFile);
-      if (!inputFileStats.isFile() || inputFileStats.size === 0) {
+      // xyz sources are directories of tiles
+      const valid =
+        inputType === 'xyz'
+          ? inputFileStats.isDirectory()
+          : inputFileStats.isFile() && inputFileStats.size > 0;
+      if (!valid) {
         throw Error(`Not valid input file: "${inputFile}"`);
       }
+      lastModified = inputFileStats.mtime;
     }
 
     let source;
@@ -404,6 +1965,66 @@ export const serve_data = {
       const info = await mbw.getInfo();
       source = mbw.getMbTiles();
       Object.assign(tileJSON, info);
+    } else if (inputType === 'xyz') {
+      sourceType = 'xyz';
+      source = await openXYZSource(inputFile, { scheme: params.scheme });
+      Object.assign(tileJSON, source.getInfo());
+      // from the metadata.json, the directory does not change when tiles are rewritten
+      lastModified = source.lastModified;
+    } else if (inputType === 'gpkg') {
+      sourceType = 'gpkg';
+      source = await openGeoPackageSource(inputFile, {
+        table: params.table,
+        features: params.features,
+        tiling: params.features
+          ? getGeoJSONTilingOptions(params.tiling, id)
+          : undefined,
+      });
+      Object.assign(tileJSON, source.getInfo());
+    } else if (inputType === 'cog') {
+      sourceType = 'cog';
+      source = await openCOGSource(inputFile, {
+        format: params.format,
+        tileSize: params.tileSize,
+        encoding: params.encoding,
+        proj4: params.proj4,
+        s3Profile: params.s3Profile,
+        requestPayer: params.requestPayer,
+        s3Region: params.s3Region,
+        s3UrlFormat: params.s3UrlFormat,
+        verbose,
+      });
+      Object.assign(tileJSON, source.getInfo());
+    } else if (inputType === 'postgis') {
+      sourceType = 'postgis';
+      source = await openPostGISSource(inputFile, {
+        layers: params.layers,
+        poolSize: params.poolSize,
+        queryTimeout: params.queryTimeout,
+        id,
+      });
+      Object.assign(tileJSON, source.getInfo());
+    } else if (inputType === 'http') {
+      sourceType = 'http';
+      source = await openHTTPSource(inputFile, {
+        format: params.format,
+        headers: params.headers,
+        auth: params.auth,
+        cache: params.cache,
+        minzoom: params.minzoom,
+        maxzoom: params.maxzoom,
+        timeout: Number(fetchTimeout) || undefined,
+        root: options.paths.root,
+        id,
+      });
+      Object.assign(tileJSON, source.getInfo());
+    } else if (inputType === 'geojson') {
+      sourceType = 'geojson';
+      source = await openGeoJSONSource(
+        inputFile,
+        getGeoJSONTilingOptions(params.tiling, id),
+      );
+      Object.assign(tileJSON, source.getInfo());
     }
 
     delete tileJSON['filesize'];
@@ -425,13 +2046,135 @@ export const serve_data = {
     const isVector = tileJSON.format === 'pbf';
     const sparse = params.sparse ?? options.sparse ?? !isVector;
 
-    // eslint-disable-next-line security/detect-object-injection -- id is from config file data source names
-    repo[id] = {
+    // Server-side overzoom (opt-in): true -> up to zoom 22, number -> up to that zoom
+    let overzoom = null;
+    if (params.overzoom === true) {
+      overzoom = Math.max(22, tileJSON.maxzoom);
+    } else if (Number.isInteger(params.overzoom)) {
+      overzoom = Math.max(params.overzoom, tileJSON.maxzoom);
+    }
+    if (
+      overzoom != null &&
+      rasterFormats.includes(normalizeFormat(tileJSON.format))
+    ) {
+      // deeper raster tiles would be scaled up from a few pixels or none at all
+      const tileSize = tileJSON.tileSize || 256;
+      overzoom = Math.min(
+        overzoom,
+        tileJSON.maxzoom +
+          Math.max(0, Math.floor(Math.log2(tileSize / minOverzoomPixels))),
+      );
+    }
+
+    // contour lines can be derived from any decodable terrain source
+    const isTerrain = getTerrainError({ tileJSON }) == null;
+    const contours = isTerrain
+      ? getContourOptions(params.contours, tileJSON)
+      : null;
+    const derivedRasters = {
+      colorized: rasterFormats.includes(normalizeFormat(tileJSON.format))
+        ? getColorizedOptions(params.colorized, tileJSON, options.colorRamps)
+        : null,
+    };
+    for (const product of terrainRasterProducts) {
+      // eslint-disable-next-line security/detect-object-injection -- product is one of terrainRasterProducts
+      derivedRasters[product] = isTerrain
+        ? getTerrainRasterOptions(
+            product,
+            // eslint-disable-next-line security/detect-object-injection -- product is one of terrainRasterProducts
+            params[product],
+            options.colorRamps,
+          )
+        : null;
+    }
+
+    const valueMapping = rasterFormats.includes(
+      normalizeFormat(tileJSON.format),
+    )
+      ? getValueMapping(params.valueMapping)
+      : null;
+    const quantizedMesh = isTerrain
+      ? getQuantizedMeshOptions(params.quantizedMesh, tileJSON)
+      : null;
+    const inferMetadata = getInferMetadataOptions(params.inferMetadata);
+
+    const item = {
       tileJSON,
       publicUrl,
       source,
       sourceType,
       sparse,
+      overzoom,
+      formatOptions: params.formatOptions,
+      contours,
+      derivedRasters,
+      quantizedMesh,
+      valueMapping,
+      lastModified,
     };
+    // eslint-disable-next-line security/detect-object-injection -- id is from config file data source names
+    repo[id] = item;
+
+    if (sourceType === 'geojson') {
+      // the tiles are rebuilt in memory whenever the file is saved
+      source.watch((err) => {
+        // eslint-disable-next-line security/detect-object-injection -- id is from config file data source names
+        if (repo[id] !== item) {
+          // removed or replaced by a config reload while the file was loading
+          return;
+        }
+        if (err) {
+          console.error(
+            `WARN: Failed to reload data source '${id}', keeping the previous data: ${err.message}`,
+          );
+          return;
+        }
+        Object.assign(tileJSON, source.getInfo(), params.tilejson || {});
+        item.lastModified = source.lastModified;
+        if (verbose >= 1) {
+          console.log(`[INFO] Reloaded data source '${id}' from: ${inputFile}`);
+        }
+      });
+    }
+
+    if (inferMetadata && isMetadataMissing(tileJSON, sourceType)) {
+      const inference = inferVectorMetadata(
+        source,
+        sourceType,
+        tileJSON,
+        inferMetadata,
+      )
+        .then((metadata) => {
+          applyInferredMetadata(tileJSON, metadata);
+          if (verbose >= 1) {
+            console.log(
+              `[INFO] Inferred ${metadata.vector_layers.length} vector layers of data source '${id}'`,
+            );
+          }
+        })
+        .catch((err) => {
+          console.error(
+            `WARN: Failed to infer the metadata of data source '${id}': ${err.message}`,
+          );
+        });
+      if (inferMetadata.mode === 'startup') {
+        await inference;
+      }
+    }
+  },
+  /**
+   * Removes all data sources from the repository and closes them.
+   * @param {object} repo Repository object.
+   * @returns {Promise<void>}
+   */
+  clear: async function (repo) {
+    const items = Object.values(repo);
+    for (const id of Object.keys(repo)) {
+      // eslint-disable-next-line security/detect-object-injection -- id is from Object.keys() iteration
+      delete repo[id];
+    }
+    await Promise.all(
+      items.map((item) => closeSource(item.source, item.sourceType)),
+    );
   },
 };
@@ -2,7 +2,12 @@
 
 import express from 'express';
 
-import { getFontsPbf, listFonts } from './utils.js';
+import {
+  getFontsLastModified,
+  getFontsPbf,
+  listFonts,
+  sendEncoded,
+} from './utils.js';
 
 /**
  * Initializes and returns an Express app that serves font files.
@@ -15,7 +20,7 @@ export async function serve_font(options, allowedFonts, programOpts) {
   const { verbose } = programOpts;
   const app = express().disable('x-powered-by');
 
-  const lastModified = new Date().toUTCString();
+  const startupTime = new Date();
 
   const fontPath = options.paths.fonts;
 
@@ -44,16 +49,6 @@ export async function serve_font(options, allowedFonts, programOpts) {
       );
     }
 
-    const modifiedSince = req.get('if-modified-since');
-    const cc = req.get('cache-control');
-    if (modifiedSince && (!cc || cc.indexOf('no-cache') === -1)) {
-      if (
-        new Date(lastModified).getTime() === new Date(modifiedSince).getTime()
-      ) {
-        return res.sendStatus(304);
-      }
-    }
-
     try {
       const concatenated = await getFontsPbf(
         options.serveAllFonts ? null : allowedFonts,
@@ -62,9 +57,17 @@ export async function serve_font(options, allowedFonts, programOpts) {
         sRange,
         existingFonts,
       );
-      res.header('Content-type', 'application/x-protobuf');
-      res.header('Last-Modified', lastModified);
-      return res.send(concatenated);
+      // fallback fonts are not considered, startup time is used if no requested font exists
+      const lastModified =
+        (await getFontsLastModified(fontPath, sFontStack, sRange)) ||
+        startupTime;
+      return await sendEncoded(
+        req,
+        res,
+        concatenated,
+        'application/x-protobuf',
+        lastModified,
+      );
     } catch (err) {
       console.error(
         `Error serving font: %s/%s.pbf, Error: %s`,
@@ -10,4 +10,15 @@ export const serve_rendered = {
     param['elevation'] = 'not supported in light';
     return param;
   },
+  decodeRasterTile: (data) => {
+    throw new Error('Decoding raster tiles is not supported in light');
+  },
+  encodeRasterTile: (pixels, format, formatOptions) => {
+    throw new Error('Encoding raster tiles is not supported in light');
+  },
+  transformRasterTile: (data, format, formatOptions, overzoom) => {
+    throw new Error(
+      'Raster transcoding and overzoom are not supported in light',
+    );
+  },
 };
@@ -34,13 +34,37 @@ import {
   isValidRemoteUrl,
   fixTileJSONCenter,
   fetchTileData,
+  closeSource,
   readFile,
+  createETag,
+  getLatestModified,
+  respondNotModified,
+  sendEncoded,
 } from './utils.js';
 import { openPMtiles, getPMtilesInfo } from './pmtiles_adapter.js';
 import { renderOverlay, renderWatermark, renderAttribution } from './render.js';
+import { RenderCache, createPurgeHandler } from './render_cache.js';
+import { DemTileCache, decodeElevation } from './terrain.js';
+import { createContourTile, getContourOptions } from './contours.js';
+import {
+  createColorizedTile,
+  createTerrainRasterTile,
+  getColorizedOptions,
+  getTerrainRasterOptions,
+  derivedSourceProtocols,
+} from './terrain_raster.js';
 import fsp from 'node:fs/promises';
 import { existsP, gunzipP } from './promises.js';
 import { openMbTilesWrapper } from './mbtiles_wrapper.js';
+import {
+  getGeoJSONTilingOptions,
+  openGeoJSONSource,
+} from './geojson_source.js';
+import { openXYZSource } from './xyz_source.js';
+import { openGeoPackageSource } from './gpkg_source.js';
+import { openCOGSource } from './cog_source.js';
+import { openPostGISSource } from './postgis_source.js';
+import { openHTTPSource } from './http_source.js';
 
 const FLOAT_PATTERN = '[+-]?(?:\\d+|\\d*\\.\\d+)';
 
@@ -146,6 +170,20 @@ function createEmptyResponse(format, color, callback) {
   }
 }
 
+/**
+ * Closes the sources of a rendered style, which stop reloading their files then.
+ * @param {object} map The map of the style with its `sources` and `sourceTypes`.
+ * @returns {Promise<void>}
+ */
+function closeSources(map) {
+  return Promise.all(
+    Object.keys(map.sources).map((name) =>
+      // eslint-disable-next-line security/detect-object-injection -- name is from map.sources keys
+      closeSource(map.sources[name], map.sourceTypes[name]),
+    ),
+  );
+}
+
 /**
  * Parses coordinate pair provided to pair of floats and ensures the resulting
  * pair is a longitude/latitude combination depending on lnglat query parameter.
@@ -477,6 +515,7 @@ function calcZForBBox(bbox, w, h, query) {
  * @param {object} res Express response object.
  * @param {Buffer|null} overlay Optional overlay image.
  * @param {string} mode Rendering mode ('tile' or 'static').
+ * @param {object|null} cacheKey Optional render cache key to store the image under.
  * @returns {Promise<void>}
  */
 async function respondImage(
@@ -494,6 +533,7 @@ async function respondImage(
   res,
   overlay = null,
   mode = 'tile',
+  cacheKey = null,
 ) {
   if (
     Math.abs(lon) > 180 ||
@@ -736,10 +776,14 @@ async function respondImage(
 
           if (!res.headersSent) {
             res.set({
-              'Last-Modified': item.lastModified,
               'Content-Type': `image/${format}`,
             });
-            return res.status(200).send(buffer);
+            res.status(200).send(buffer);
+          }
+          if (cacheKey) {
+            renderCache.set(cacheKey, buffer).catch((err) => {
+              console.error('Render cache error:', err);
+            });
           }
         });
       });
@@ -758,6 +802,25 @@ async function respondImage(
   });
 }
 
+/**
+ * Responds with an image from the render cache, if there is one.
+ * @param {object} item Item object containing map and other information.
+ * @param {object} cacheKey Render cache key of the image.
+ * @param {object} res Express response object.
+ * @returns {Promise<boolean>} True if the response was sent from the cache.
+ */
+async function respondCachedImage(item, cacheKey, res) {
+  const data = await renderCache.get(cacheKey, item.renderCache?.ttl);
+  if (!data) {
+    return false;
+  }
+  res.set({
+    'Content-Type': `image/${cacheKey.format}`,
+  });
+  res.status(200).send(data);
+  return true;
+}
+
 /**
  * Handles requests for tile images.
  * @param {object} options - Configuration options for the server.
@@ -800,16 +863,6 @@ async function handleTileRequest(
     return res.sendStatus(404);
   }
 
-  const modifiedSince = req.get('if-modified-since');
-  const cc = req.get('cache-control');
-  if (modifiedSince && (!cc || cc.indexOf('no-cache') === -1)) {
-    if (
-      new Date(item.lastModified).getTime() ===
-      new Date(modifiedSince).getTime()
-    ) {
-      return res.sendStatus(304);
-    }
-  }
   const z = parseFloat(zParam) | 0;
   const x = parseFloat(xParam) | 0;
   const y = parseFloat(yParam) | 0;
@@ -836,6 +889,25 @@ async function handleTileRequest(
     return res.status(400).send('Out of bounds');
   }
 
+  // images of live data can change at any time
+  if (!item.live) {
+    const etag = createETag(`${item.lastModified}|${req.path}`);
+    if (respondNotModified(req, res, etag, item.lastModified)) {
+      return;
+    }
+  }
+
+  let cacheKey = null;
+  if (renderCache && item.renderCache !== false && !item.live) {
+    // prettier-ignore
+    cacheKey = renderCache.tileKey(
+      id, item.lastModified, parsedTileSize, scale, format, z, x, y,
+    );
+    if (cacheKey && (await respondCachedImage(item, cacheKey, res))) {
+      return;
+    }
+  }
+
   const tileCenter = mercator.ll(
     [((x + 0.5) / (1 << z)) * (256 << z), ((y + 0.5) / (1 << z)) * (256 << z)],
     z,
@@ -843,7 +915,7 @@ async function handleTileRequest(
 
   // prettier-ignore
   return await respondImage(
-    options, item, z, tileCenter[0], tileCenter[1], 0, 0, parsedTileSize, parsedTileSize, scale, format, res,
+    options, item, z, tileCenter[0], tileCenter[1], 0, 0, parsedTileSize, parsedTileSize, scale, format, res, null, 'tile', cacheKey,
   );
 }
 
@@ -920,6 +992,21 @@ async function handleStaticRequest(
     return res.sendStatus(404);
   }
 
+  if (!item.live) {
+    const etag = createETag(`${item.lastModified}|${req.url}`);
+    if (respondNotModified(req, res, etag, item.lastModified)) {
+      return;
+    }
+  }
+
+  let cacheKey = null;
+  if (renderCache && item.renderCache !== false && !item.live) {
+    cacheKey = renderCache.staticKey(id, item.lastModified, req.url, format);
+    if (cacheKey && (await respondCachedImage(item, cacheKey, res))) {
+      return;
+    }
+  }
+
   if (staticTypeMatch.groups.lon) {
     // Center Based Static Image
     const z = parseFloat(staticTypeMatch.groups.zoom) || 0;
@@ -950,7 +1037,7 @@ async function handleStaticRequest(
 
     // prettier-ignore
     return await respondImage(
-    options, item, z, x, y, bearing, pitch, parsedWidth, parsedHeight, scale, format, res, overlay, 'static',
+    options, item, z, x, y, bearing, pitch, parsedWidth, parsedHeight, scale, format, res, overlay, 'static', cacheKey,
      );
   } else if (staticTypeMatch.groups.minx) {
     // Area Based Static Image
@@ -990,7 +1077,7 @@ async function handleStaticRequest(
 
     // prettier-ignore
     return await respondImage(
-      options, item, z, x, y, bearing, pitch, parsedWidth, parsedHeight, scale, format, res, overlay, 'static',
+      options, item, z, x, y, bearing, pitch, parsedWidth, parsedHeight, scale, format, res, overlay, 'static', cacheKey,
      );
   } else if (staticTypeMatch.groups.auto) {
     // Area Static Image
@@ -1049,7 +1136,7 @@ async function handleStaticRequest(
 
     // prettier-ignore
     return await respondImage(
-        options, item, z, x, y, bearing, pitch, parsedWidth, parsedHeight, scale, format, res, overlay, 'static',
+        options, item, z, x, y, bearing, pitch, parsedWidth, parsedHeight, scale, format, res, overlay, 'static', cacheKey,
       );
   } else {
     return res.sendStatus(404);
@@ -1057,6 +1144,48 @@ async function handleStaticRequest(
 }
 const existingFonts = {};
 let maxScaleFactor = 2;
+let renderCache = null;
+
+/**
+ * Sets the output format of a sharp image.
+ * @param {object} image - The sharp image.
+ * @param {string} format - Output format (png, jpeg, webp, avif).
+ * @param {object} formatOptions - Sharp output options of the format (e.g. quality).
+ * @returns {object} - The sharp image.
+ */
+function toRasterFormat(image, format, formatOptions) {
+  if (format === 'png') {
+    image.png({
+      progressive: formatOptions.progressive,
+      compressionLevel: formatOptions.compressionLevel,
+      adaptiveFiltering: formatOptions.adaptiveFiltering,
+      palette: formatOptions.palette,
+      quality: formatOptions.quality,
+      effort: formatOptions.effort,
+      colors: formatOptions.colors,
+      dither: formatOptions.dither,
+    });
+  } else if (format === 'jpeg') {
+    image.jpeg({
+      quality: formatOptions.quality || 80,
+      progressive: formatOptions.progressive,
+    });
+  } else if (format === 'webp') {
+    image.webp({
+      quality: formatOptions.quality || 90,
+      lossless: formatOptions.lossless,
+    });
+  } else if (format === 'avif') {
+    image.avif({
+      quality: formatOptions.quality || 50,
+      lossless: formatOptions.lossless,
+      effort: formatOptions.effort,
+    });
+  } else {
+    throw new Error(`Unsupported raster format: ${format}`);
+  }
+  return image;
+}
 
 export const serve_rendered = {
   /**
@@ -1069,8 +1198,23 @@ export const serve_rendered = {
   init: async function (options, repo, programOpts) {
     const { verbose, tileSize: defailtTileSize = 256 } = programOpts;
     maxScaleFactor = Math.min(Math.floor(options.maxScaleFactor || 3), 9);
+    renderCache = options.renderCache
+      ? new RenderCache(options.renderCache, options.paths.root, verbose)
+      : null;
     const app = express().disable('x-powered-by');
 
+    if (renderCache && options.renderCache.purgeToken) {
+      app.delete(
+        '/:id/cache',
+        createPurgeHandler(
+          renderCache,
+          repo,
+          options.renderCache.purgeToken,
+          verbose,
+        ),
+      );
+    }
+
     /**
      * Handles requests for tile images.
      * @param {object} req - Express request object.
@@ -1173,7 +1317,13 @@ export const serve_rendered = {
         info.format,
         item.publicUrl,
       );
-      return res.send(info);
+      return sendEncoded(
+        req,
+        res,
+        info,
+        'application/json; charset=utf-8',
+        item.lastModified,
+      );
     });
 
     const fonts = await listFonts(options.paths.fonts);
@@ -1206,6 +1356,7 @@ export const serve_rendered = {
       sources: {},
       sourceTypes: {},
       sparseFlags: {},
+      derivedSources: {},
     };
 
     const { publicUrl, verbose, fetchTimeout } = programOpts;
@@ -1270,7 +1421,15 @@ export const serve_rendered = {
               } catch (err) {
                 callback(err, { data: null });
               }
-            } else if (protocol === 'mbtiles' || protocol === 'pmtiles') {
+            } else if (
+              protocol === 'mbtiles' ||
+              protocol === 'pmtiles' ||
+              protocol === 'xyz' ||
+              protocol === 'gpkg' ||
+              protocol === 'cog' ||
+              protocol === 'postgis' ||
+              protocol === 'proxy'
+            ) {
               const parts = req.url.split('/');
               const sourceId = parts[2];
               // eslint-disable-next-line security/detect-object-injection -- sourceId from internal style source names
@@ -1285,13 +1444,17 @@ export const serve_rendered = {
               const y = parts[5].split('.')[0] | 0;
               const format = parts[5].split('.')[1];
 
-              const fetchTile = await fetchTileData(
-                source,
-                sourceType,
-                z,
-                x,
-                y,
-              );
+              let fetchTile;
+              try {
+                fetchTile = await fetchTileData(source, sourceType, z, x, y);
+              } catch (err) {
+                // failing sources (database or upstream errors) are rendered like missing tiles,
+                // the callback has to be called for the render to finish
+                console.error(
+                  `Error fetching tile ${z}/${x}/${y} of source "${sourceId}": ${err.message}`,
+                );
+                fetchTile = null;
+              }
               if (fetchTile == null) {
                 if (verbose >= 2) {
                   console.log('fetchTile null on %s', req.url);
@@ -1321,26 +1484,89 @@ export const serve_rendered = {
               }
 
               if (format === 'pbf') {
-                let isGzipped =
-                  response.data
-                    .slice(0, 2)
-                    .indexOf(Buffer.from([0x1f, 0x8b])) === 0;
-                if (isGzipped) {
-                  response.data = await gunzipP(response.data);
+                try {
+                  let isGzipped =
+                    response.data
+                      .slice(0, 2)
+                      .indexOf(Buffer.from([0x1f, 0x8b])) === 0;
+                  if (isGzipped) {
+                    response.data = await gunzipP(response.data);
+                  }
+                  if (options.dataDecoratorFunc) {
+                    response.data = options.dataDecoratorFunc(
+                      sourceId,
+                      'data',
+                      response.data,
+                      z,
+                      x,
+                      y,
+                    );
+                  }
+                } catch (err) {
+                  callback(err, { data: null });
+                  return;
                 }
-                if (options.dataDecoratorFunc) {
-                  response.data = options.dataDecoratorFunc(
-                    sourceId,
-                    'data',
-                    response.data,
+              }
+
+              callback(null, response);
+            } else if (derivedSourceProtocols.includes(protocol)) {
+              const parts = req.url.split('/');
+              const sourceId = parts[2];
+              // eslint-disable-next-line security/detect-object-injection -- sourceId from internal style source names
+              const derivedSource = map.derivedSources[sourceId];
+              const dem = new DemTileCache(
+                {
+                  // eslint-disable-next-line security/detect-object-injection -- sourceId from internal style source names
+                  source: map.sources[sourceId],
+                  // eslint-disable-next-line security/detect-object-injection -- sourceId from internal style source names
+                  sourceType: map.sourceTypes[sourceId],
+                  tileJSON: derivedSource.tileJSON,
+                },
+                serve_rendered.decodeRasterTile,
+              );
+              const z = parts[3] | 0;
+              const x = parts[4] | 0;
+              const y = parts[5].split('.')[0] | 0;
+              try {
+                let data;
+                if (protocol === 'contours') {
+                  data = await createContourTile(
+                    dem,
+                    derivedSource.options,
                     z,
                     x,
                     y,
                   );
+                } else {
+                  const pixels =
+                    protocol === 'colorized'
+                      ? await createColorizedTile(
+                          dem,
+                          derivedSource.options,
+                          z,
+                          x,
+                          y,
+                        )
+                      : await createTerrainRasterTile(
+                          dem,
+                          protocol,
+                          derivedSource.options,
+                          z,
+                          x,
+                          y,
+                        );
+                  data = pixels
+                    ? await serve_rendered.encodeRasterTile(pixels, 'png')
+                    : null;
                 }
+                if (data == null) {
+                  callback();
+                  return;
+                }
+                callback(null, { data });
+              } catch (err) {
+                callback(err, { data: null });
               }
-
-              callback(null, response);
             } else if (protocol === 'http' || protocol === 'https') {
               const controller = new AbortController();
               const timeoutMs = (fetchTimeout && Number(fetchTimeout)) || 15000;
@@ -1606,12 +1832,22 @@ export const serve_rendered = {
       dataProjWGStoInternalWGS: null,
       lastModified: new Date().toUTCString(),
       watermark: params.watermark || options.watermark,
+      renderCache: params.renderCache,
       staticAttributionText:
         params.staticAttributionText || options.staticAttributionText,
     };
     // eslint-disable-next-line security/detect-object-injection -- id is from config file style names
     repo[id] = repoobj;
 
+    // local files the rendered images depend on, used for Last-Modified
+    const dependencies = [];
+    // modification times of tile directories, whose own times do not change with their tiles
+    const dependencyTimes = [];
+    let hasRemoteDependency = isValidHttpUrl(params.style);
+    if (!hasRemoteDependency) {
+      dependencies.push(path.resolve(options.paths.styles, params.style));
+    }
+
     for (const name of Object.keys(styleJSON.sources)) {
       let sourceType;
       // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
@@ -1619,12 +1855,19 @@ export const serve_rendered = {
       let url = source.url;
       if (
         url &&
-        (url.startsWith('pmtiles://') || url.startsWith('mbtiles://'))
+        (url.startsWith('pmtiles://') ||
+          url.startsWith('mbtiles://') ||
+          url.startsWith('xyz://') ||
+          url.startsWith('gpkg://') ||
+          url.startsWith('cog://') ||
+          url.startsWith('postgis://') ||
+          /^http:\/\/\{[^}]+\}$/.test(url) ||
+          derivedSourceProtocols.some((p) => url.startsWith(`${p}://`)))
       ) {
         // found pmtiles or mbtiles source, replace with info from local file
         delete source.url;
 
-        let dataId = url.replace('pmtiles://', '').replace('mbtiles://', '');
+        let dataId = url.replace(/^[a-z]+:\/\//, '');
         if (dataId.startsWith('{') && dataId.endsWith('}')) {
           dataId = dataId.slice(1, -1);
         }
@@ -1653,12 +1896,26 @@ export const serve_rendered = {
           process.exit(1);
         }
 
-        // PMTiles supports remote URLs (HTTP and S3), skip file check for those
-        if (!isValidRemoteUrl(inputFile)) {
+        if (sourceType === 'postgis') {
+          // live data, the rendered images are neither cached nor revalidated
+          repoobj.live = true;
+          hasRemoteDependency = true;
+        } else if (!isValidRemoteUrl(inputFile)) {
+          // local files, PMTiles and COGs can also be remote URLs (HTTP and S3)
           const inputFileStats = await fsp.stat(inputFile);
-          if (!inputFileStats.isFile() || inputFileStats.size === 0) {
-            throw Error(`Not valid PMTiles file: "${inputFile}"`);
+          // xyz sources are directories of tiles
+          const valid =
+            sourceType === 'xyz'
+              ? inputFileStats.isDirectory()
+              : inputFileStats.isFile() && inputFileStats.size > 0;
+          if (!valid) {
+            throw Error(`Not valid ${sourceType} source: "${inputFile}"`);
+          }
+          if (sourceType !== 'xyz') {
+            dependencies.push(inputFile);
           }
+        } else {
+          hasRemoteDependency = true;
         }
 
         if (sourceType === 'pmtiles') {
@@ -1712,6 +1969,123 @@ export const serve_rendered = {
           // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
           map.sparseFlags[name] =
             dataInfo.sparse ?? options.sparse ?? !isVector;
+        } else if (
+          sourceType === 'xyz' ||
+          sourceType === 'gpkg' ||
+          sourceType === 'cog' ||
+          sourceType === 'postgis' ||
+          sourceType === 'http'
+        ) {
+          let tileSource;
+          if (sourceType === 'xyz') {
+            tileSource = await openXYZSource(inputFile, {
+              scheme: dataInfo.scheme,
+            });
+            dependencyTimes.push(tileSource.lastModified);
+          } else if (sourceType === 'gpkg') {
+            tileSource = await openGeoPackageSource(inputFile, {
+              table: dataInfo.table,
+              features: dataInfo.features,
+              tiling: dataInfo.features
+                ? getGeoJSONTilingOptions(dataInfo.tiling, dataId)
+                : undefined,
+            });
+          } else if (sourceType === 'postgis') {
+            tileSource = await openPostGISSource(inputFile, {
+              layers: dataInfo.layers,
+              poolSize: dataInfo.poolSize,
+              queryTimeout: dataInfo.queryTimeout,
+              id: dataId,
+            });
+          } else if (sourceType === 'http') {
+            tileSource = await openHTTPSource(inputFile, {
+              format: dataInfo.format,
+              headers: dataInfo.headers,
+              auth: dataInfo.auth,
+              cache: dataInfo.cache,
+              minzoom: dataInfo.minzoom,
+              maxzoom: dataInfo.maxzoom,
+              timeout: Number(fetchTimeout) || undefined,
+              root: options.paths.root,
+              id: dataId,
+            });
+          } else {
+            tileSource = await openCOGSource(inputFile, {
+              format: dataInfo.format,
+              tileSize: dataInfo.tileSize,
+              encoding: dataInfo.derived?.encoding,
+              proj4: dataInfo.proj4,
+              s3Profile,
+              requestPayer,
+              s3Region,
+              s3UrlFormat,
+              verbose,
+            });
+          }
+          // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
+          map.sources[name] = tileSource;
+          // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
+          map.sourceTypes[name] = sourceType;
+
+          const info = tileSource.getInfo();
+          const type = source.type;
+          Object.assign(source, info);
+          source.type = type;
+          // http:// urls are fetched directly, remote tile services get their own protocol
+          const protocol = sourceType === 'http' ? 'proxy' : sourceType;
+          source.tiles = [
+            // meta url which will be detected when requested
+            `${protocol}://${name}/{z}/{x}/{y}.${info.format}`,
+          ];
+
+          if (
+            !attributionOverride &&
+            source.attribution &&
+            source.attribution.length > 0
+          ) {
+            if (!tileJSON.attribution.includes(source.attribution)) {
+              if (tileJSON.attribution.length > 0) {
+                tileJSON.attribution += ' | ';
+              }
+              tileJSON.attribution += source.attribution;
+            }
+          }
+
+          const isVector = info.format === 'pbf';
+          // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
+          map.sparseFlags[name] =
+            dataInfo.sparse ?? options.sparse ?? !isVector;
+        } else if (sourceType === 'geojson') {
+          const geojsonSource = await openGeoJSONSource(
+            inputFile,
+            getGeoJSONTilingOptions(dataInfo.tiling, dataId),
+          );
+          // re-render with the new data (and new cache keys) when the file is saved
+          geojsonSource.watch((err) => {
+            if (err) {
+              console.error(
+                `WARN: Failed to reload "${inputFile}" of style "${id}": ${err.message}`,
+              );
+              return;
+            }
+            repoobj.lastModified = geojsonSource.lastModified.toUTCString();
+          });
+          // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
+          map.sources[name] = geojsonSource;
+          // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
+          map.sourceTypes[name] = 'geojson';
+
+          const info = geojsonSource.getInfo();
+          const type = source.type;
+          Object.assign(source, info);
+          source.type = type;
+          source.tiles = [
+            // meta url which will be detected when requested
+            `mbtiles://${name}/{z}/{x}/{y}.pbf`,
+          ];
+
+          // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
+          map.sparseFlags[name] = dataInfo.sparse ?? options.sparse ?? false;
         } else {
           // MBTiles does not support remote URLs
 
@@ -1767,6 +2141,63 @@ export const serve_rendered = {
           map.sparseFlags[name] =
             dataInfo.sparse ?? options.sparse ?? !isVector;
         }
+
+        const protocol = url.split(':')[0];
+        if (derivedSourceProtocols.includes(protocol)) {
+          // derive the tiles from the raster (terrain) source
+          const demTileJSON = {
+            minzoom: source.minzoom ?? 0,
+            maxzoom: source.maxzoom ?? 22,
+            encoding: dataInfo.derived?.encoding ?? source.encoding,
+          };
+          // eslint-disable-next-line security/detect-object-injection -- protocol is one of derivedSourceProtocols
+          const config = dataInfo.derived?.[protocol];
+          let productOptions = null;
+          if (protocol === 'colorized') {
+            productOptions =
+              source.format !== 'pbf'
+                ? getColorizedOptions(config, demTileJSON, options.colorRamps)
+                : null;
+          } else if (['mapbox', 'terrarium'].includes(demTileJSON.encoding)) {
+            productOptions =
+              protocol === 'contours'
+                ? getContourOptions(config, demTileJSON)
+                : getTerrainRasterOptions(protocol, config, options.colorRamps);
+          }
+          if (!productOptions) {
+            throw Error(`Cannot derive ${protocol} tiles from "${dataId}"`);
+          }
+          // eslint-disable-next-line security/detect-object-injection -- name is from style sources object keys
+          map.derivedSources[name] = {
+            tileJSON: demTileJSON,
+            options: productOptions,
+          };
+          delete source.encoding;
+          if (protocol === 'contours') {
+            source.format = 'pbf';
+            source.minzoom = productOptions.minzoom;
+            source.maxzoom = productOptions.maxzoom;
+            source.tiles = [`contours://${name}/{z}/{x}/{y}.pbf`];
+            delete source.tileSize;
+            delete source.vector_layers;
+          } else {
+            source.format = 'png';
+            source.tiles = [`${protocol}://${name}/{z}/{x}/{y}.png`];
+          }
+        }
+      }
+    }
+
+    // remote files have no known modification time -> fall back to startup time
+    if (!hasRemoteDependency) {
+      let lastModified = await getLatestModified(dependencies);
+      for (const time of dependencyTimes) {
+        if (!lastModified || time > lastModified) {
+          lastModified = time;
+        }
+      }
+      if (lastModified) {
+        repoobj.lastModified = lastModified.toUTCString();
       }
     }
 
@@ -1807,6 +2238,7 @@ export const serve_rendered = {
       item.map.renderersStatic.forEach((pool) => {
         pool.close();
       });
+      closeSources(item.map);
     }
     // eslint-disable-next-line security/detect-object-injection -- id is function parameter for removal
     delete repo[id];
@@ -1827,6 +2259,7 @@ export const serve_rendered = {
         item.map.renderersStatic.forEach((pool) => {
           pool.close();
         });
+        closeSources(item.map);
       }
       // eslint-disable-next-line security/detect-object-injection -- id is from Object.keys() iteration
       delete repo[id];
@@ -1879,15 +2312,12 @@ export const serve_rendered = {
           const red = imgdata.data[0];
           const green = imgdata.data[1];
           const blue = imgdata.data[2];
-          let elevation;
-          if (param['encoding'] === 'mapbox') {
-            elevation = -10000 + (red * 256 * 256 + green * 256 + blue) * 0.1;
-          } else if (param['encoding'] === 'terrarium') {
-            elevation = red * 256 + green + blue / 256 - 32768;
-          } else {
-            elevation = 'invalid encoding';
-          }
-          param['elevation'] = elevation;
+          param['elevation'] = decodeElevation(
+            red,
+            green,
+            blue,
+            param['encoding'],
+          );
           param['red'] = red;
           param['green'] = green;
           param['blue'] = blue;
@@ -1913,4 +2343,68 @@ export const serve_rendered = {
       })();
     });
   },
+  /**
+   * Decodes a raster tile to RGBA pixels.
+   * @param {Buffer} data The raster tile data buffer (png, webp, jpeg, ...).
+   * @returns {Promise<{width: number, height: number, data: Buffer}>} Promise resolving to the pixels
+   */
+  decodeRasterTile: async function (data) {
+    const { data: pixels, info } = await sharp(data)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, data: pixels };
+  },
+  /**
+   * Transcodes a raster tile to another format, optionally cutting a descendant tile
+   * out of it and scaling it up to the original size (overzoom).
+   * @param {Buffer} data The raster tile data buffer.
+   * @param {string} format Output format (png, jpeg, webp, avif).
+   * @param {object} [formatOptions] Sharp output options of the format (e.g. quality).
+   * @param {object} [overzoom] Descendant tile to cut out: zoom difference `dz`, offsets `dx`/`dy`
+   *   within the tile and the sharp resize `kernel` (use 'nearest' for encoded data like terrain RGB).
+   * @returns {Promise<Buffer|null>} Promise resolving to the transformed tile, or null if the
+   *   tile is too small to cut out the descendant tile
+   */
+  transformRasterTile: async function (
+    data,
+    format,
+    formatOptions = {},
+    overzoom = null,
+  ) {
+    let image = sharp(data);
+    if (overzoom) {
+      const { dz, dx, dy, kernel = 'lanczos3' } = overzoom;
+      const { width, height } = await image.metadata();
+      const regionWidth = width >> dz;
+      const regionHeight = height >> dz;
+      if (regionWidth < 1 || regionHeight < 1) {
+        // too far beyond the source maxzoom
+        return null;
+      }
+      image = sharp(data)
+        .extract({
+          left: dx * regionWidth,
+          top: dy * regionHeight,
+          width: regionWidth,
+          height: regionHeight,
+        })
+        .resize(width, height, { kernel });
+    }
+
+    return await toRasterFormat(image, format, formatOptions).toBuffer();
+  },
+  /**
+   * Encodes RGBA pixels as a raster tile.
+   * @param {{width: number, height: number, data: Uint8Array}} pixels The RGBA pixels.
+   * @param {string} format Output format (png, jpeg, webp, avif).
+   * @param {object} [formatOptions] Sharp output options of the format (e.g. quality).
+   * @returns {Promise<Buffer>} Promise resolving to the encoded tile
+   */
+  encodeRasterTile: async function (pixels, format, formatOptions = {}) {
+    const image = sharp(pixels.data, {
+      raw: { width: pixels.width, height: pixels.height, channels: 4 },
+    });
+    return await toRasterFormat(image, format, formatOptions).toBuffer();
+  },
 };
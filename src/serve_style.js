@@ -1,5 +1,6 @@
 'use strict';
 
+import fsp from 'node:fs/promises';
 import path from 'path';
 
 import clone from 'clone';
@@ -12,7 +13,12 @@ import {
   fixUrl,
   readFile,
   isValidHttpUrl,
+  createETag,
+  getLatestModified,
+  respondNotModified,
+  sendEncoded,
 } from './utils.js';
+import { derivedSourceProtocols } from './terrain_raster.js';
 
 export const serve_style = {
   /**
@@ -33,7 +39,7 @@ export const serve_style = {
      * @param {string} req.params.id - ID of the style.
      * @returns {Promise<void>}
      */
-    app.get('/:id/style.json', (req, res, next) => {
+    app.get('/:id/style.json', async (req, res, next) => {
       const { id } = req.params;
       if (verbose >= 1) {
         console.log(
@@ -68,7 +74,13 @@ export const serve_style = {
         if (styleJSON_.glyphs) {
           styleJSON_.glyphs = fixUrl(req, styleJSON_.glyphs, item.publicUrl);
         }
-        return res.send(styleJSON_);
+        return await sendEncoded(
+          req,
+          res,
+          styleJSON_,
+          'application/json; charset=utf-8',
+          item.lastModified,
+        );
       } catch (e) {
         next(e);
       }
@@ -134,22 +146,15 @@ export const serve_style = {
           return res.status(400).send('Bad Sprite ID or Scale');
         }
 
-        const modifiedSince = req.get('if-modified-since');
-        const cc = req.get('cache-control');
-        if (modifiedSince && (!cc || cc.indexOf('no-cache') === -1)) {
-          if (
-            new Date(item.lastModified).getTime() ===
-            new Date(modifiedSince).getTime()
-          ) {
-            return res.sendStatus(304);
-          }
-        }
-
         const sanitizedSpritePath = sprite.path.replace(/^(\.\.\/)+/, '');
         const filename = `${sanitizedSpritePath}${spriteScale}.${validatedFormat}`;
         if (verbose >= 1) console.log(`Loading sprite from: %s`, filename);
         try {
           const data = await readFile(filename);
+          const lastModified = await getLatestModified([filename]);
+          if (respondNotModified(req, res, createETag(data), lastModified)) {
+            return;
+          }
 
           if (validatedFormat === 'json') {
             res.header('Content-type', 'application/json');
@@ -164,7 +169,6 @@ export const serve_style = {
               sanitizedScale,
               sanitizedFormat,
             );
-          res.set({ 'Last-Modified': item.lastModified });
           return res.send(data);
         } catch (err) {
           if (verbose >= 1) {
@@ -201,9 +205,9 @@ export const serve_style = {
    * @param {object} style pre-fetched/read StyleJSON object.
    * @param {(dataId: string, protocol: string) => string|undefined} reportTiles Function for reporting tile sources.
    * @param {(font: string) => void} reportFont Function for reporting font usage
-   * @returns {boolean} true if add is successful
+   * @returns {Promise<boolean>} true if add is successful
    */
-  add: function (
+  add: async function (
     options,
     repo,
     params,
@@ -253,11 +257,19 @@ export const serve_style = {
       let url = source.url;
       if (
         url &&
-        (url.startsWith('pmtiles://') || url.startsWith('mbtiles://'))
+        (url.startsWith('pmtiles://') ||
+          url.startsWith('mbtiles://') ||
+          url.startsWith('xyz://') ||
+          url.startsWith('gpkg://') ||
+          url.startsWith('cog://') ||
+          url.startsWith('postgis://') ||
+          // remote tile services are only referenced by id, other http urls are left alone
+          /^http:\/\/\{[^}]+\}$/.test(url) ||
+          derivedSourceProtocols.some((p) => url.startsWith(`${p}://`)))
       ) {
         const protocol = url.split(':')[0];
 
-        let dataId = url.replace('pmtiles://', '').replace('mbtiles://', '');
+        let dataId = url.replace(/^[a-z]+:\/\//, '');
         if (dataId.startsWith('{') && dataId.endsWith('}')) {
           dataId = dataId.slice(1, -1);
         }
@@ -272,7 +284,9 @@ export const serve_style = {
         if (!identifier) {
           return false;
         }
-        source.url = `local://data/${identifier}.json`;
+        source.url = derivedSourceProtocols.includes(protocol)
+          ? `local://data/${identifier}/${protocol}.json`
+          : `local://data/${identifier}.json`;
       }
 
       let data = source.data;
@@ -337,13 +351,21 @@ export const serve_style = {
       styleJSON.glyphs = 'local://fonts/{fontstack}/{range}.pbf';
     }
 
+    // styles are loaded once at startup, the file is only checked then
+    let lastModified = new Date();
+    try {
+      lastModified = (await fsp.stat(styleFile)).mtime;
+    } catch {
+      // not a local file
+    }
+
     // eslint-disable-next-line security/detect-object-injection -- id is from config file style names
     repo[id] = {
       styleJSON,
       spritePaths,
       publicUrl,
       name: styleJSON.name,
-      lastModified: new Date().toUTCString(),
+      lastModified: lastModified.toUTCString(),
     };
 
     return true;
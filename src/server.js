@@ -14,6 +14,7 @@ import { SphericalMercator } from '@mapbox/sphericalmercator';
 const mercator = new SphericalMercator();
 import morgan from 'morgan';
 import { serve_data } from './serve_data.js';
+import { tileIndexSourceTypes } from './tile_stats.js';
 import { serve_style } from './serve_style.js';
 import { serve_font } from './serve_font.js';
 import {
@@ -22,6 +23,7 @@ import {
   getPublicUrl,
   isValidHttpUrl,
   isValidRemoteUrl,
+  sendEncoded,
 } from './utils.js';
 
 import { fileURLToPath } from 'url';
@@ -97,6 +99,9 @@ async function start(opts) {
   paths.sprites = path.resolve(paths.root, paths.sprites || '');
   paths.mbtiles = path.resolve(paths.root, paths.mbtiles || '');
   paths.pmtiles = path.resolve(paths.root, paths.pmtiles || '');
+  paths.xyz = path.resolve(paths.root, paths.xyz || '');
+  paths.gpkg = path.resolve(paths.root, paths.gpkg || '');
+  paths.cog = path.resolve(paths.root, paths.cog || '');
   paths.icons = paths.icons
     ? path.resolve(paths.root, paths.icons)
     : path.resolve(__dirname, '../public/resources/images');
@@ -213,7 +218,7 @@ async function start(opts) {
     }
 
     if (item.serve_data !== false) {
-      success = serve_style.add(
+      success = await serve_style.add(
         options,
         serving.styles,
         item,
@@ -233,7 +238,10 @@ async function start(opts) {
 
               if (
                 (sourceData.pmtiles && sourceData.pmtiles === styleSourceId) ||
-                (sourceData.mbtiles && sourceData.mbtiles === styleSourceId)
+                (sourceData.mbtiles && sourceData.mbtiles === styleSourceId) ||
+                (sourceData.xyz && sourceData.xyz === styleSourceId) ||
+                (sourceData.gpkg && sourceData.gpkg === styleSourceId) ||
+                (sourceData.cog && sourceData.cog === styleSourceId)
               ) {
                 dataItemId = id;
                 break;
@@ -244,7 +252,11 @@ async function start(opts) {
             // input files exists in the data config, return found id
             return dataItemId;
           } else {
-            if (!allowMoreData) {
+            // derived sources (contours://, hillshade://, ...) need a configured terrain source
+            if (
+              !allowMoreData ||
+              !['pmtiles', 'mbtiles', 'xyz', 'gpkg', 'cog'].includes(protocol)
+            ) {
               console.log(
                 `ERROR: style "${item.style}" using unknown file "${styleSourceId}"! Skipping...`,
               );
@@ -253,7 +265,7 @@ async function start(opts) {
               let id =
                 styleSourceId.substr(0, styleSourceId.lastIndexOf('.')) ||
                 styleSourceId;
-              // PMTiles can be remote URLs (HTTP or S3), generate unique ID for remote sources
+              // PMTiles and COGs can be remote URLs (HTTP or S3), generate unique ID for remote sources
               if (isValidRemoteUrl(styleSourceId)) {
                 id =
                   fnv1a(styleSourceId) + '_' + id.replace(/^.*\/(.*)$/, '$1');
@@ -296,6 +308,22 @@ async function start(opts) {
               let resolvedS3Region;
               let resolvedS3UrlFormat;
               let resolvedSparse;
+              let resolvedDerived;
+              let resolvedTiling;
+              let resolvedScheme;
+              let resolvedTable;
+              let resolvedFeatures;
+              let resolvedFormat;
+              let resolvedTileSize;
+              let resolvedProj4;
+              let resolvedLayers;
+              let resolvedPoolSize;
+              let resolvedQueryTimeout;
+              let resolvedHeaders;
+              let resolvedAuth;
+              let resolvedCache;
+              let resolvedMinzoom;
+              let resolvedMaxzoom;
 
               // Debug logging to see what we're trying to match
               if (opts.verbose >= 3) {
@@ -320,6 +348,24 @@ async function start(opts) {
                 } else if (Object.hasOwn(sourceData, 'mbtiles')) {
                   currentFileType = 'mbtiles';
                   currentInputFileValue = sourceData.mbtiles;
+                } else if (Object.hasOwn(sourceData, 'xyz')) {
+                  currentFileType = 'xyz';
+                  currentInputFileValue = sourceData.xyz;
+                } else if (Object.hasOwn(sourceData, 'gpkg')) {
+                  currentFileType = 'gpkg';
+                  currentInputFileValue = sourceData.gpkg;
+                } else if (Object.hasOwn(sourceData, 'cog')) {
+                  currentFileType = 'cog';
+                  currentInputFileValue = sourceData.cog;
+                } else if (Object.hasOwn(sourceData, 'geojson')) {
+                  currentFileType = 'geojson';
+                  currentInputFileValue = sourceData.geojson;
+                } else if (Object.hasOwn(sourceData, 'postgis')) {
+                  currentFileType = 'postgis';
+                  currentInputFileValue = sourceData.postgis;
+                } else if (Object.hasOwn(sourceData, 'http')) {
+                  currentFileType = 'http';
+                  currentInputFileValue = sourceData.http;
                 }
 
                 if (currentFileType && currentInputFileValue) {
@@ -334,9 +380,12 @@ async function start(opts) {
                   // Match by ID, by file path, or by base filename
                   const matchById = styleSourceId === id;
                   const matchByFile = styleSourceId === currentInputFileValue;
+                  // connection strings and tile urls are no file names, PostGIS and remote tile services only match by ID
                   const matchByBasename =
-                    styleSourceId.includes(currentInputFileValue) ||
-                    currentInputFileValue.includes(styleSourceId);
+                    currentFileType !== 'postgis' &&
+                    currentFileType !== 'http' &&
+                    (styleSourceId.includes(currentInputFileValue) ||
+                      currentInputFileValue.includes(styleSourceId));
 
                   if (matchById || matchByFile || matchByBasename) {
                     if (opts.verbose >= 2) {
@@ -372,6 +421,43 @@ async function start(opts) {
                     resolvedSparse =
                       sourceData.sparse ?? options.sparse ?? true;
 
+                    // Options of the sources derived from the data (contours://, hillshade://, ...)
+                    resolvedDerived = {
+                      encoding: sourceData.encoding,
+                      contours: sourceData.contours,
+                      hillshade: sourceData.hillshade,
+                      slope: sourceData.slope,
+                      aspect: sourceData.aspect,
+                      colorized: sourceData.colorized,
+                    };
+
+                    // Row order of xyz tile directories
+                    resolvedScheme = sourceData.scheme;
+
+                    // Tile table or feature tables of GeoPackages
+                    resolvedTable = sourceData.table;
+                    resolvedFeatures = sourceData.features;
+
+                    // Tiles rendered from Cloud Optimized GeoTIFFs
+                    resolvedFormat = sourceData.format;
+                    resolvedTileSize = sourceData.tileSize;
+                    resolvedProj4 = sourceData.proj4;
+
+                    // Layers and connections of PostGIS sources
+                    resolvedLayers = sourceData.layers;
+                    resolvedPoolSize = sourceData.poolSize;
+                    resolvedQueryTimeout = sourceData.queryTimeout;
+
+                    // Requests and disk cache of remote tile services
+                    resolvedHeaders = sourceData.headers;
+                    resolvedAuth = sourceData.auth;
+                    resolvedCache = sourceData.cache;
+                    resolvedMinzoom = sourceData.minzoom;
+                    resolvedMaxzoom = sourceData.maxzoom;
+
+                    // GeoJSON sources are tiled like for the data endpoint, the layer named after the data id
+                    resolvedTiling = { layer: id, ...sourceData.tiling };
+
                     break; // Found our match, exit the outer loop
                   }
                 }
@@ -387,7 +473,7 @@ async function start(opts) {
                     .map((id) => {
                       // eslint-disable-next-line security/detect-object-injection
                       const src = data[id];
-                      return `${id} -> ${src.pmtiles || src.mbtiles || 'unknown'}`;
+                      return `${id} -> ${src.pmtiles || src.mbtiles || src.xyz || src.gpkg || src.cog || src.geojson || (src.postgis && 'PostGIS') || src.http || 'unknown'}`;
                     })
                     .join(', ')}`,
                 );
@@ -402,18 +488,24 @@ async function start(opts) {
                 };
               }
 
-              // PMTiles supports remote URLs (HTTP and S3), skip path resolution for those
-              if (!isValidRemoteUrl(resolvedInputFile)) {
-                // Ensure options.paths and options.paths[resolvedFileType] exist before trying to use them
+              // PMTiles and COGs support remote URLs (HTTP and S3), skip path resolution for those and databases
+              if (
+                resolvedFileType !== 'postgis' &&
+                !isValidRemoteUrl(resolvedInputFile)
+              ) {
+                // GeoJSON files are read from the files directory
+                const pathType =
+                  resolvedFileType === 'geojson' ? 'files' : resolvedFileType;
+                // Ensure options.paths and options.paths[pathType] exist before trying to use them
                 if (
                   options &&
                   options.paths &&
-                  // eslint-disable-next-line security/detect-object-injection -- resolvedFileType is either 'pmtiles' or 'mbtiles'
-                  options.paths[resolvedFileType]
+                  // eslint-disable-next-line security/detect-object-injection -- pathType is a source type or 'files'
+                  options.paths[pathType]
                 ) {
                   resolvedInputFile = path.resolve(
-                    // eslint-disable-next-line security/detect-object-injection -- resolvedFileType is either 'pmtiles' or 'mbtiles'
-                    options.paths[resolvedFileType],
+                    // eslint-disable-next-line security/detect-object-injection -- pathType is a source type or 'files'
+                    options.paths[pathType],
                     resolvedInputFile,
                   );
                 } else {
@@ -431,6 +523,22 @@ async function start(opts) {
                 s3Region: resolvedS3Region,
                 s3UrlFormat: resolvedS3UrlFormat,
                 sparse: resolvedSparse,
+                derived: resolvedDerived,
+                tiling: resolvedTiling,
+                scheme: resolvedScheme,
+                table: resolvedTable,
+                features: resolvedFeatures,
+                format: resolvedFormat,
+                tileSize: resolvedTileSize,
+                proj4: resolvedProj4,
+                layers: resolvedLayers,
+                poolSize: resolvedPoolSize,
+                queryTimeout: resolvedQueryTimeout,
+                headers: resolvedHeaders,
+                auth: resolvedAuth,
+                cache: resolvedCache,
+                minzoom: resolvedMinzoom,
+                maxzoom: resolvedMaxzoom,
               };
             },
           ),
@@ -463,9 +571,18 @@ async function start(opts) {
         // eslint-disable-next-line security/detect-object-injection -- id is from Object.keys of data config
         const item = data[id];
 
-        if (!item.pmtiles && !item.mbtiles) {
+        if (
+          !item.pmtiles &&
+          !item.mbtiles &&
+          !item.xyz &&
+          !item.gpkg &&
+          !item.cog &&
+          !item.geojson &&
+          !item.postgis &&
+          !item.http
+        ) {
           console.log(
-            `Missing "pmtiles" or "mbtiles" property for ${id} data source`,
+            `Missing "pmtiles", "mbtiles", "xyz", "gpkg", "cog", "geojson", "postgis" or "http" property for ${id} data source`,
           );
           continue;
         }
@@ -596,7 +713,12 @@ async function start(opts) {
    */
   app.get('{/:tileSize}/rendered.json', (req, res, next) => {
     const tileSize = allowedTileSizes(req.params['tileSize']);
-    res.send(addTileJSONs([], req, 'rendered', parseInt(tileSize, 10)));
+    return sendEncoded(
+      req,
+      res,
+      addTileJSONs([], req, 'rendered', parseInt(tileSize, 10)),
+      'application/json; charset=utf-8',
+    );
   });
 
   /**
@@ -606,7 +728,12 @@ async function start(opts) {
    * @returns {void}
    */
   app.get('/data.json', (req, res) => {
-    res.send(addTileJSONs([], req, 'data', undefined));
+    return sendEncoded(
+      req,
+      res,
+      addTileJSONs([], req, 'data', undefined),
+      'application/json; charset=utf-8',
+    );
   });
 
   /**
@@ -619,13 +746,16 @@ async function start(opts) {
    */
   app.get('{/:tileSize}/index.json', (req, res, next) => {
     const tileSize = allowedTileSizes(req.params['tileSize']);
-    res.send(
+    return sendEncoded(
+      req,
+      res,
       addTileJSONs(
         addTileJSONs([], req, 'rendered', parseInt(tileSize, 10)),
         req,
         'data',
         undefined,
       ),
+      'application/json; charset=utf-8',
     );
   });
 
@@ -898,6 +1028,8 @@ async function start(opts) {
       is_terrainrgb: data.tileJSON.encoding === 'mapbox',
       terrain_encoding: data.tileJSON.encoding,
       is_light: isLight,
+      has_colorized: !isLight && !!data.derivedRasters?.colorized,
+      has_coverage: tileIndexSourceTypes.includes(data.sourceType),
     };
   });
 
@@ -1004,6 +1136,7 @@ export async function server(opts) {
       if (!isLight) {
         serve_rendered.clear(running.serving.rendered);
       }
+      await serve_data.clear(running.serving.data);
       running.server = restarted.server;
       running.app = restarted.app;
       running.startupPromise = restarted.startupPromise;
@@ -0,0 +1,445 @@
+'use strict';
+
+import { fetchTileData } from './utils.js';
+
+const EARTH_RADIUS = 6378137;
+
+export const terrainEncodings = ['mapbox', 'terrarium'];
+
+/**
+ * Decodes the elevation of a terrain RGB pixel.
+ * @param {number} red - Red channel value (0-255).
+ * @param {number} green - Green channel value (0-255).
+ * @param {number} blue - Blue channel value (0-255).
+ * @param {string} encoding - Terrain encoding, 'mapbox' or 'terrarium'.
+ * @returns {number} - The elevation in meters.
+ */
+export function decodeElevation(red, green, blue, encoding) {
+  if (encoding === 'mapbox') {
+    return -10000 + (red * 256 * 256 + green * 256 + blue) * 0.1;
+  } else if (encoding === 'terrarium') {
+    return red * 256 + green + blue / 256 - 32768;
+  }
+  throw new Error(`Invalid terrain encoding: ${encoding}`);
+}
+
+/**
+ * Encodes an elevation as a terrain RGB pixel, clamped to the range of the encoding.
+ * @param {number} elevation - The elevation in meters.
+ * @param {string} encoding - Terrain encoding, 'mapbox' or 'terrarium'.
+ * @returns {number[]} - The red, green and blue channel values (0-255).
+ */
+export function encodeElevation(elevation, encoding) {
+  if (encoding === 'mapbox') {
+    const value = Math.min(
+      0xffffff,
+      Math.max(0, Math.round((elevation + 10000) * 10)),
+    );
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+  } else if (encoding === 'terrarium') {
+    const value = Math.min(
+      0xffff + 255 / 256,
+      Math.max(0, Math.round((elevation + 32768) * 256) / 256),
+    );
+    const integer = Math.floor(value);
+    return [integer >> 8, integer & 0xff, Math.round((value - integer) * 256)];
+  }
+  throw new Error(`Invalid terrain encoding: ${encoding}`);
+}
+
+/**
+ * Converts the pixels of a terrain RGB tile from one encoding to another in place.
+ * Transparent pixels (no data) are left unchanged.
+ * @param {Uint8Array|Buffer} pixels - The RGBA pixels.
+ * @param {string} from - Encoding of the pixels, 'mapbox' or 'terrarium'.
+ * @param {string} to - Target encoding, 'mapbox' or 'terrarium'.
+ * @returns {Uint8Array|Buffer} - The pixels.
+ */
+export function convertTerrainEncoding(pixels, from, to) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] === 0) continue;
+    const elevation = decodeElevation(
+      // eslint-disable-next-line security/detect-object-injection -- i is a pixel offset within the buffer
+      pixels[i],
+      pixels[i + 1],
+      pixels[i + 2],
+      from,
+    );
+    pixels.set(encodeElevation(elevation, to), i);
+  }
+  return pixels;
+}
+
+/**
+ * Calculates the great-circle distance between two coordinates (haversine formula).
+ * @param {number[]} from - The first coordinate as [lon, lat].
+ * @param {number[]} to - The second coordinate as [lon, lat].
+ * @returns {number} - The distance in meters.
+ */
+export function distance(from, to) {
+  const toRad = Math.PI / 180;
+  const dLat = (to[1] - from[1]) * toRad;
+  const dLon = (to[0] - from[0]) * toRad;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(from[1] * toRad) *
+      Math.cos(to[1] * toRad) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Calculates the ground resolution of a tile pixel.
+ * @param {number} lat - The latitude.
+ * @param {number} z - The zoom level.
+ * @param {number} tileSize - The tile size in pixels.
+ * @returns {number} - The ground resolution in meters per pixel.
+ */
+export function groundResolution(lat, z, tileSize) {
+  return (
+    (Math.cos((lat * Math.PI) / 180) * 2 * Math.PI * EARTH_RADIUS) /
+    (tileSize * Math.pow(2, z))
+  );
+}
+
+/**
+ * Loads and decodes the DEM tiles of a terrain data source. Every tile is
+ * fetched and decoded at most once, so one instance should be used per request.
+ * Sources without `encoding` are read as single-band rasters (the value of the
+ * first channel), transparent pixels have no data.
+ */
+export class DemTileCache {
+  /**
+   * Creates a DemTileCache instance.
+   * @param {object} item - The data source repository item (source, sourceType, tileJSON).
+   * @param {(data: Buffer) => Promise<{width: number, height: number, data: Uint8Array}>} decodeRaster - Decodes
+   *   an image to RGBA pixels (`serve_rendered.decodeRasterTile`).
+   */
+  constructor(item, decodeRaster) {
+    this.item = item;
+    this.encoding = item.tileJSON.encoding;
+    this.decodeRaster = decodeRaster;
+    this.tiles = new Map();
+  }
+
+  /**
+   * Returns the decoded elevations of a tile.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{size: number, elevations: Float32Array}|null>} - The tile or null if it does not exist.
+   */
+  getTile(z, x, y) {
+    const tiles = 1 << z;
+    x = ((x % tiles) + tiles) % tiles; // wrap around the antimeridian
+    const key = `${z}/${x}/${y}`;
+    if (!this.tiles.has(key)) {
+      this.tiles.set(key, this.loadTile(z, x, y));
+    }
+    return this.tiles.get(key);
+  }
+
+  /**
+   * Fetches and decodes a tile.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile.
+   * @returns {Promise<{size: number, elevations: Float32Array}|null>} - The tile or null if it does not exist.
+   */
+  async loadTile(z, x, y) {
+    if (y < 0 || y >= 1 << z) {
+      return null;
+    }
+    const fetchTile = await fetchTileData(
+      this.item.source,
+      this.item.sourceType,
+      z,
+      x,
+      y,
+    );
+    if (fetchTile == null) {
+      return null;
+    }
+    const { width, data } = await this.decodeRaster(fetchTile.data);
+    const elevations = new Float32Array(data.length / 4);
+    for (let i = 0; i < elevations.length; i++) {
+      if (data[i * 4 + 3] === 0) {
+        // eslint-disable-next-line security/detect-object-injection -- i is a pixel index within the decoded tile
+        elevations[i] = NaN; // transparent -> no data
+      } else if (this.encoding) {
+        // eslint-disable-next-line security/detect-object-injection -- i is a pixel index within the decoded tile
+        elevations[i] = decodeElevation(
+          data[i * 4],
+          data[i * 4 + 1],
+          data[i * 4 + 2],
+          this.encoding,
+        );
+      } else {
+        // eslint-disable-next-line security/detect-object-injection -- i is a pixel index within the decoded tile
+        elevations[i] = data[i * 4]; // single-band raster
+      }
+    }
+    return { size: width, elevations };
+  }
+
+  /**
+   * Samples the elevation at a coordinate.
+   * @param {number} lon - The longitude.
+   * @param {number} lat - The latitude.
+   * @param {number} z - The zoom level of the DEM tiles to use.
+   * @param {string} [interpolation] - 'nearest' (pixel) or 'bilinear' (between the four surrounding
+   *   pixel centers, using the neighboring tiles at tile edges).
+   * @returns {Promise<number|null>} - The elevation in meters or null if there is no data.
+   */
+  async sample(lon, lat, z, interpolation = 'nearest') {
+    const [worldX, worldY] = lonLatToWorld(lon, lat, z);
+    const tileX = Math.floor(worldX);
+    const tileY = Math.floor(worldY);
+    const tile = await this.getTile(z, tileX, tileY);
+    if (!tile) {
+      return null;
+    }
+    const size = tile.size;
+    if (interpolation !== 'bilinear') {
+      const px = Math.min(size - 1, Math.floor((worldX - tileX) * size));
+      const py = Math.min(size - 1, Math.floor((worldY - tileY) * size));
+      const value = tile.elevations[py * size + px];
+      return Number.isNaN(value) ? null : value;
+    }
+
+    // global pixel coordinates relative to the pixel centers
+    const x = worldX * size - 0.5;
+    const y = worldY * size - 0.5;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const neighbors = [
+      [x0, y0, (1 - fx) * (1 - fy)],
+      [x0 + 1, y0, fx * (1 - fy)],
+      [x0, y0 + 1, (1 - fx) * fy],
+      [x0 + 1, y0 + 1, fx * fy],
+    ];
+    let sum = 0;
+    let weights = 0;
+    for (const [px, py, weight] of neighbors) {
+      if (weight === 0) continue;
+      const value = await this.getPixel(z, px, py, size);
+      if (value == null) continue; // missing neighbor tile, use the others
+      sum += value * weight;
+      weights += weight;
+    }
+    return weights > 0 ? sum / weights : null;
+  }
+
+  /**
+   * Returns the elevation of a pixel addressed by global pixel coordinates.
+   * @param {number} z - Zoom level.
+   * @param {number} px - Global x coordinate of the pixel.
+   * @param {number} py - Global y coordinate of the pixel.
+   * @param {number} size - Size of the tiles in pixels.
+   * @returns {Promise<number|null>} - The elevation or null if there is no data.
+   */
+  async getPixel(z, px, py, size) {
+    const tileX = Math.floor(px / size);
+    const tileY = Math.floor(py / size);
+    const tile = await this.getTile(z, tileX, tileY);
+    if (!tile || tile.size !== size) {
+      return null;
+    }
+    const value =
+      tile.elevations[(py - tileY * size) * size + (px - tileX * size)];
+    return Number.isNaN(value) ? null : value;
+  }
+
+  /**
+   * Reads a rectangular window of elevations addressed by global pixel coordinates,
+   * which may span several tiles (e.g. a tile plus a border from its neighbors).
+   * @param {number} z - Zoom level.
+   * @param {number} x0 - Global x coordinate of the first pixel.
+   * @param {number} y0 - Global y coordinate of the first pixel.
+   * @param {number} width - Width of the window in pixels.
+   * @param {number} height - Height of the window in pixels.
+   * @param {number} size - Size of the tiles in pixels.
+   * @returns {Promise<Float32Array>} - The elevations row by row, NaN where there is no data.
+   */
+  async getWindow(z, x0, y0, width, height, size) {
+    const minTileX = Math.floor(x0 / size);
+    const minTileY = Math.floor(y0 / size);
+    const maxTileX = Math.floor((x0 + width - 1) / size);
+    const maxTileY = Math.floor((y0 + height - 1) / size);
+    const tiles = new Map();
+    const loading = [];
+    for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+      for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+        const key = `${tileX}/${tileY}`;
+        loading.push(
+          this.getTile(z, tileX, tileY).then((tile) => tiles.set(key, tile)),
+        );
+      }
+    }
+    await Promise.all(loading);
+
+    const values = new Float32Array(width * height).fill(NaN);
+    for (let j = 0; j < height; j++) {
+      const py = y0 + j;
+      const tileY = Math.floor(py / size);
+      for (let i = 0; i < width; i++) {
+        const px = x0 + i;
+        const tileX = Math.floor(px / size);
+        const tile = tiles.get(`${tileX}/${tileY}`);
+        if (tile && tile.size === size) {
+          values[j * width + i] =
+            tile.elevations[(py - tileY * size) * size + (px - tileX * size)];
+        }
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Samples the elevations of many coordinates. The coordinates are grouped by
+   * tile and a decoded tile is released once no remaining group needs it, so every
+   * tile is fetched and decoded once and memory use does not grow with the number
+   * of tiles.
+   * @param {number[][]} coordinates - The coordinates as an array of [lon, lat].
+   * @param {number} z - The zoom level of the DEM tiles to use.
+   * @param {string} [interpolation] - 'nearest' or 'bilinear', see `sample`.
+   * @returns {Promise<Array<number|null>>} - The elevations in input order.
+   */
+  async sampleMany(coordinates, z, interpolation = 'nearest') {
+    const tiles = 1 << z;
+    const groups = new Map();
+    coordinates.forEach(([lon, lat], i) => {
+      const [worldX, worldY] = lonLatToWorld(lon, lat, z);
+      const tileX = Math.floor(worldX);
+      const tileY = Math.floor(worldY);
+      const key = `${tileX}/${tileY}`;
+      if (!groups.has(key)) {
+        // bilinear interpolation can read the neighbors of the tile at its edges
+        const range = interpolation === 'bilinear' ? [-1, 0, 1] : [0];
+        const needs = [];
+        for (const dy of range) {
+          for (const dx of range) {
+            const x = (((tileX + dx) % tiles) + tiles) % tiles;
+            needs.push(`${z}/${x}/${tileY + dy}`);
+          }
+        }
+        groups.set(key, { indices: [], needs });
+      }
+      groups.get(key).indices.push(i);
+    });
+
+    // number of remaining groups needing a tile
+    const remaining = new Map();
+    for (const { needs } of groups.values()) {
+      for (const key of needs) {
+        remaining.set(key, (remaining.get(key) ?? 0) + 1);
+      }
+    }
+
+    const elevations = new Array(coordinates.length).fill(null);
+    for (const { indices, needs } of groups.values()) {
+      for (const i of indices) {
+        // eslint-disable-next-line security/detect-object-injection -- i is an index of the coordinates
+        const [lon, lat] = coordinates[i];
+        // eslint-disable-next-line security/detect-object-injection -- i is an index of the coordinates
+        elevations[i] = await this.sample(lon, lat, z, interpolation);
+      }
+      for (const key of needs) {
+        remaining.set(key, remaining.get(key) - 1);
+      }
+      for (const key of this.tiles.keys()) {
+        if (!remaining.get(key)) {
+          this.tiles.delete(key);
+        }
+      }
+    }
+    return elevations;
+  }
+}
+
+/**
+ * Samples points along a line at a regular spacing. The vertices of the line are
+ * not included unless they fall on the spacing, except for the first and last one.
+ * @param {number[][]} coordinates - The line as an array of [lon, lat].
+ * @param {number} spacing - Distance between the samples in meters.
+ * @returns {Array<{coordinates: number[], distance: number}>} - The samples with their distance from the start.
+ */
+export function sampleLine(coordinates, spacing) {
+  const samples = [{ coordinates: coordinates[0], distance: 0 }];
+  let travelled = 0;
+  let next = spacing;
+  for (let i = 1; i < coordinates.length; i++) {
+    const from = coordinates[i - 1];
+    // eslint-disable-next-line security/detect-object-injection -- i is a loop index within the line
+    const to = coordinates[i];
+    const length = distance(from, to);
+    while (length > 0 && next <= travelled + length) {
+      const t = (next - travelled) / length;
+      samples.push({
+        coordinates: [
+          from[0] + (to[0] - from[0]) * t,
+          from[1] + (to[1] - from[1]) * t,
+        ],
+        distance: next,
+      });
+      next += spacing;
+    }
+    travelled += length;
+  }
+  if (samples[samples.length - 1].distance < travelled) {
+    samples.push({
+      coordinates: coordinates[coordinates.length - 1],
+      distance: travelled,
+    });
+  }
+  return samples;
+}
+
+/**
+ * Calculates the length of a line.
+ * @param {number[][]} coordinates - The line as an array of [lon, lat].
+ * @returns {number} - The length in meters.
+ */
+export function lineLength(coordinates) {
+  let length = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    // eslint-disable-next-line security/detect-object-injection -- i is a loop index within the line
+    length += distance(coordinates[i - 1], coordinates[i]);
+  }
+  return length;
+}
+
+/**
+ * Converts a coordinate to fractional tile coordinates at a zoom level.
+ * @param {number} lon - The longitude.
+ * @param {number} lat - The latitude.
+ * @param {number} z - The zoom level.
+ * @returns {number[]} - The fractional tile coordinates as [x, y].
+ */
+export function lonLatToWorld(lon, lat, z) {
+  const tiles = Math.pow(2, z);
+  // limit the latitude to the extent of web mercator
+  const sinLat = Math.min(
+    Math.max(Math.sin((lat * Math.PI) / 180), -0.9999),
+    0.9999,
+  );
+  return [
+    ((lon + 180) / 360) * tiles,
+    (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * tiles,
+  ];
+}
+
+/**
+ * Converts fractional tile coordinates at a zoom level to a coordinate.
+ * @param {number} x - The fractional x tile coordinate.
+ * @param {number} y - The fractional y tile coordinate.
+ * @param {number} z - The zoom level.
+ * @returns {number[]} - The coordinate as [lon, lat].
+ */
+export function worldToLonLat(x, y, z) {
+  const tiles = Math.pow(2, z);
+  const n = Math.PI * (1 - (2 * y) / tiles);
+  return [(x / tiles) * 360 - 180, (Math.atan(Math.sinh(n)) * 180) / Math.PI];
+}
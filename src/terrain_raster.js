@@ -0,0 +1,271 @@
+'use strict';
+
+import {
+  applyColorRamp,
+  colorRampModes,
+  parseColorRamp,
+  parseStopsParam,
+  resolveColorRamp,
+} from './color_ramp.js';
+import { groundResolution, worldToLonLat } from './terrain.js';
+
+export const terrainRasterProducts = ['hillshade', 'slope', 'aspect'];
+
+// protocols of style sources derived from raster data, e.g. `hillshade://{id}`
+export const derivedSourceProtocols = [
+  'contours',
+  ...terrainRasterProducts,
+  'colorized',
+];
+
+const DEFAULT_OPTIONS = {
+  // shading from 0 (shadow) to 1 (facing the sun)
+  hillshade: {
+    azimuth: 315,
+    altitude: 45,
+    exaggeration: 1,
+    colorRamp: [
+      [0, '#000000'],
+      [1, '#ffffff'],
+    ],
+  },
+  // slope in degrees
+  slope: {
+    exaggeration: 1,
+    colorRamp: [
+      [0, 'rgba(255,255,255,0)'],
+      [15, '#ffff00'],
+      [30, '#ff8000'],
+      [45, '#ff0000'],
+      [60, '#800080'],
+    ],
+  },
+  // direction the slope faces in degrees clockwise from north, flat areas are transparent
+  aspect: {
+    exaggeration: 1,
+    colorRamp: [
+      [0, '#ff0000'],
+      [90, '#ffff00'],
+      [180, '#00ff00'],
+      [270, '#0000ff'],
+      [360, '#ff0000'],
+    ],
+  },
+};
+
+/**
+ * Resolves the options of a raster product derived from a terrain data source.
+ * @param {string} product - 'hillshade', 'slope' or 'aspect'.
+ * @param {object|boolean|undefined} config - The option of the data source with the same name.
+ * @param {object} [customRamps] - Named color ramps of the configuration (`options.colorRamps`).
+ * @returns {object|null} - The options with the parsed `ramp` or null if the product is disabled.
+ * @throws {Error} If the color ramp is invalid.
+ */
+export function getTerrainRasterOptions(product, config, customRamps) {
+  if (config === false) {
+    return null;
+  }
+  // eslint-disable-next-line security/detect-object-injection -- product is one of terrainRasterProducts
+  const options = { ...DEFAULT_OPTIONS[product], ...config };
+  options.ramp = resolveColorRamp(
+    { stops: options.colorRamp, mode: options.mode },
+    customRamps,
+  );
+  return options;
+}
+
+/**
+ * Resolves the options of the colorized tiles of a raster data source.
+ * @param {object|boolean|undefined} config - The `colorized` option of the data source.
+ * @param {object} tileJSON - The TileJSON of the data source.
+ * @param {object} [customRamps] - Named color ramps of the configuration (`options.colorRamps`).
+ * @returns {{ramp: object, nodata: number|null}|null} - The options or null if disabled.
+ * @throws {Error} If the color ramp is invalid.
+ */
+export function getColorizedOptions(config, tileJSON, customRamps) {
+  if (config === false) {
+    return null;
+  }
+  const colorRamp =
+    config?.colorRamp ?? (tileJSON.encoding ? 'hypsometric' : 'grayscale');
+  return {
+    ramp: resolveColorRamp(
+      { stops: colorRamp, mode: config?.mode },
+      customRamps,
+    ),
+    nodata: config?.nodata ?? null,
+  };
+}
+
+/**
+ * Overrides the color ramp and nodata value of colorized tiles with query parameters.
+ * @param {object} options - The options of the colorized tiles.
+ * @param {object} query - The query parameters (`ramp`, `stops`, `mode`, `nodata`).
+ * @param {object} [customRamps] - Named color ramps of the configuration (`options.colorRamps`).
+ * @returns {object} - The options.
+ * @throws {Error} If a parameter is invalid.
+ */
+export function applyColorizedQuery(options, query, customRamps) {
+  const result = { ...options };
+  if (query.stops != null) {
+    result.ramp = parseColorRamp(parseStopsParam(query.stops), query.mode);
+  } else if (query.ramp != null) {
+    result.ramp = resolveColorRamp(
+      { name: String(query.ramp), mode: query.mode },
+      customRamps,
+    );
+  } else if (query.mode != null) {
+    if (!colorRampModes.includes(query.mode)) {
+      throw new Error('Invalid color ramp mode. Must be linear or discrete.');
+    }
+    result.ramp = { ...options.ramp, mode: query.mode };
+  }
+  if (query.nodata != null) {
+    result.nodata = Number(query.nodata);
+    if (!Number.isFinite(result.nodata)) {
+      throw new Error('Invalid nodata. Must be a number.');
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates a raster tile mapping the elevations (or single-band values) of a tile
+ * through a color ramp. Pixels without data or with the nodata value are transparent.
+ * @param {import('./terrain.js').DemTileCache} dem - The tiles of the data source.
+ * @param {object} options - The options of the colorized tiles (see `getColorizedOptions`).
+ * @param {number} z - Zoom level.
+ * @param {number} x - X coordinate of the tile.
+ * @param {number} y - Y coordinate of the tile.
+ * @returns {Promise<{width: number, height: number, data: Uint8Array}|null>} - The RGBA pixels or
+ *   null if the source has no data.
+ */
+export async function createColorizedTile(dem, options, z, x, y) {
+  const tile = await dem.getTile(z, x, y);
+  if (!tile) {
+    return null;
+  }
+  const { size, elevations } = tile;
+  const pixels = new Uint8Array(size * size * 4);
+  for (let i = 0; i < elevations.length; i++) {
+    // eslint-disable-next-line security/detect-object-injection -- i is a pixel index within the tile
+    const value = elevations[i];
+    if (Number.isNaN(value) || value === options.nodata) continue;
+    applyColorRamp(options.ramp, value, pixels, i * 4);
+  }
+  return { width: size, height: size, data: pixels };
+}
+
+/**
+ * Overrides the light and exaggeration of raster product options with query parameters.
+ * @param {object} options - The options of the product.
+ * @param {object} query - The query parameters (`azimuth`, `altitude`, `exaggeration`).
+ * @returns {object} - The options.
+ * @throws {Error} If a parameter is invalid.
+ */
+export function applyTerrainRasterQuery(options, query) {
+  const result = { ...options };
+  const limits = {
+    azimuth: [0, 360],
+    altitude: [0, 90],
+    exaggeration: [0, 100],
+  };
+  for (const [name, [min, max]] of Object.entries(limits)) {
+    // eslint-disable-next-line security/detect-object-injection -- name is one of the fixed parameter names
+    const value = query[name];
+    if (value == null) continue;
+    const number = Number(value);
+    if (!(number >= min && number <= max)) {
+      throw new Error(`Invalid ${name}. Must be between ${min} and ${max}.`);
+    }
+    // eslint-disable-next-line security/detect-object-injection -- name is one of the fixed parameter names
+    result[name] = number;
+  }
+  return result;
+}
+
+/**
+ * Creates a raster tile of a terrain product (hillshade, slope or aspect) with the
+ * same size as the DEM tile. The gradients are calculated with Horn's method, using
+ * the neighboring tiles at the tile edges.
+ * @param {import('./terrain.js').DemTileCache} dem - The DEM tiles of the terrain source.
+ * @param {string} product - 'hillshade', 'slope' or 'aspect'.
+ * @param {object} options - The options of the product (see `getTerrainRasterOptions`).
+ * @param {number} z - Zoom level.
+ * @param {number} x - X coordinate of the tile.
+ * @param {number} y - Y coordinate of the tile.
+ * @returns {Promise<{width: number, height: number, data: Uint8Array}|null>} - The RGBA pixels or
+ *   null if the source has no data.
+ */
+export async function createTerrainRasterTile(dem, product, options, z, x, y) {
+  const tile = await dem.getTile(z, x, y);
+  if (!tile) {
+    return null;
+  }
+  const size = tile.size;
+  const width = size + 2;
+  const grid = await dem.getWindow(
+    z,
+    x * size - 1,
+    y * size - 1,
+    width,
+    width,
+    size,
+  );
+
+  const { exaggeration, ramp } = options;
+  // the sun, only used for hillshades
+  const zenith = ((90 - (options.altitude ?? 45)) * Math.PI) / 180;
+  const azimuth = ((options.azimuth ?? 315) * Math.PI) / 180;
+  const pixels = new Uint8Array(size * size * 4);
+  for (let j = 0; j < size; j++) {
+    const lat = worldToLonLat(x, y + (j + 0.5) / size, z)[1];
+    const cellSize = groundResolution(lat, z, size) * 8;
+    for (let i = 0; i < size; i++) {
+      const index = (j + 1) * width + i + 1;
+      // eslint-disable-next-line security/detect-object-injection -- index is within the grid
+      const center = grid[index];
+      if (Number.isNaN(center)) continue; // no data -> transparent
+
+      // 3x3 neighborhood, missing values are replaced by the center
+      const value = (di, dj) => {
+        const v = grid[index + dj * width + di];
+        return Number.isNaN(v) ? center : v;
+      };
+      const dzdx =
+        ((value(1, -1) +
+          2 * value(1, 0) +
+          value(1, 1) -
+          (value(-1, -1) + 2 * value(-1, 0) + value(-1, 1))) /
+          cellSize) *
+        exaggeration;
+      // rows run from north to south
+      const dzds =
+        ((value(-1, 1) +
+          2 * value(0, 1) +
+          value(1, 1) -
+          (value(-1, -1) + 2 * value(0, -1) + value(1, -1))) /
+          cellSize) *
+        exaggeration;
+
+      const slope = Math.atan(Math.hypot(dzdx, dzds));
+      // direction of the steepest descent, clockwise from north
+      const aspect = Math.atan2(-dzdx, dzds);
+      let result;
+      if (product === 'slope') {
+        result = (slope * 180) / Math.PI;
+      } else if (product === 'aspect') {
+        if (dzdx === 0 && dzds === 0) continue; // flat -> transparent
+        result = ((aspect * 180) / Math.PI + 360) % 360;
+      } else {
+        result = Math.max(
+          0,
+          Math.cos(zenith) * Math.cos(slope) +
+            Math.sin(zenith) * Math.sin(slope) * Math.cos(azimuth - aspect),
+        );
+      }
+      applyColorRamp(ramp, result, pixels, (j * size + i) * 4);
+    }
+  }
+  return { width: size, height: size, data: pixels };
+}
@@ -0,0 +1,286 @@
+'use strict';
+
+import util from 'node:util';
+import { tileIdToZxy } from 'pmtiles';
+import sqlite3 from 'sqlite3';
+
+// source types whose tile index can be read without fetching tiles
+export const tileIndexSourceTypes = ['mbtiles', 'pmtiles'];
+
+// highest zoom level of the tile index by source type, PMTiles tile ids are exact up to zoom 26
+export const tileIndexMaxzoom = { mbtiles: 30, pmtiles: 26 };
+
+/**
+ * Returns the first PMTiles tile id of a zoom level.
+ * @param {number} z - Zoom level.
+ * @returns {number} - The tile id of 0/0/0 of the zoom level.
+ */
+function firstTileId(z) {
+  return (Math.pow(4, z) - 1) / 3;
+}
+
+/**
+ * Opens the file of an MBTiles source read-only for the duration of a callback. The
+ * tile index is queried through a separate sqlite3 handle, `@mapbox/mbtiles` has no
+ * public API for queries.
+ * @param {object} source - The MBTiles instance.
+ * @param {(all: (sql: string, ...params: Array<number|string>) => Promise<object[]>) => Promise<unknown>} callback -
+ *   Called with the query function of the database.
+ * @returns {Promise<unknown>} - The result of the callback.
+ * @throws {Error} If the file of the source is not accessible.
+ */
+async function withMBTilesDatabase(source, callback) {
+  if (typeof source?.filename !== 'string') {
+    throw new Error('The tile index of the MBTiles source is not accessible');
+  }
+  const db = await new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(
+      source.filename,
+      sqlite3.OPEN_READONLY,
+      (err) => (err ? reject(err) : resolve(db)),
+    );
+  });
+  try {
+    return await callback(util.promisify(db.all.bind(db)));
+  } finally {
+    await util.promisify(db.close.bind(db))();
+  }
+}
+
+/**
+ * Walks the tile entries of the directories of a PMTiles archive. Leaf directories
+ * without tiles in the id range are skipped. `pmtiles` exports no directory parser, the
+ * directories are read through `getDirectory` of its exported `Cache` interface.
+ * @param {object} pmtiles - The PMTiles instance.
+ * @param {number[]} range - Tile ids to walk as [first, end) (end exclusive).
+ * @param {(entry: {tileId: number, length: number, runLength: number}) => boolean|void} onEntry - Called
+ *   with every tile entry intersecting the range, returning true stops the walk.
+ * @returns {Promise<void>}
+ * @throws {Error} If the directories of the archive are not accessible.
+ */
+async function walkPMTilesEntries(pmtiles, range, onEntry) {
+  if (typeof pmtiles?.cache?.getDirectory !== 'function') {
+    throw new Error('The tile index of the PMTiles source is not accessible');
+  }
+  const header = await pmtiles.getHeader();
+  let stopped = false;
+  const visit = async (offset, length) => {
+    const entries = await pmtiles.cache.getDirectory(
+      pmtiles.source,
+      offset,
+      length,
+      header,
+    );
+    for (let i = 0; i < entries.length && !stopped; i++) {
+      // eslint-disable-next-line security/detect-object-injection -- i is an index of the entries
+      const entry = entries[i];
+      if (entry.runLength === 0) {
+        // a leaf directory holds the ids up to the next entry
+        const end = i + 1 < entries.length ? entries[i + 1].tileId : Infinity;
+        if (end > range[0] && entry.tileId < range[1]) {
+          await visit(header.leafDirectoryOffset + entry.offset, entry.length);
+        }
+      } else if (
+        entry.tileId + entry.runLength > range[0] &&
+        entry.tileId < range[1]
+      ) {
+        stopped = onEntry(entry) === true;
+      }
+    }
+  };
+  await visit(header.rootDirectoryOffset, header.rootDirectoryLength);
+}
+
+/**
+ * Reads the tile sizes of an MBTiles or PMTiles source from its tile index (the
+ * `tiles` table or the PMTiles directories), without reading the tiles themselves.
+ * @param {object} source - The MBTiles or PMTiles instance.
+ * @param {string} sourceType - 'mbtiles' or 'pmtiles'.
+ * @returns {Promise<Map<number, Map<number, number>>>} - Number of tiles by size in bytes by zoom level.
+ */
+async function readTileSizes(source, sourceType) {
+  const histograms = new Map();
+  const add = (z, size, count) => {
+    if (!histograms.has(z)) {
+      histograms.set(z, new Map());
+    }
+    const histogram = histograms.get(z);
+    histogram.set(size, (histogram.get(size) ?? 0) + count);
+  };
+
+  if (sourceType === 'mbtiles') {
+    const rows = await withMBTilesDatabase(source, (all) =>
+      all(
+        'SELECT zoom_level AS z, length(tile_data) AS size, COUNT(*) AS count ' +
+          'FROM tiles GROUP BY zoom_level, size',
+      ),
+    );
+    for (const { z, size, count } of rows) {
+      add(z, size, count);
+    }
+  } else {
+    await walkPMTilesEntries(source, [0, Infinity], (entry) => {
+      // runs of identical tiles may continue on the next zoom level
+      let id = entry.tileId;
+      let remaining = entry.runLength;
+      while (remaining > 0) {
+        const [z] = tileIdToZxy(id);
+        const count = Math.min(remaining, firstTileId(z + 1) - id);
+        add(z, entry.length, count);
+        id += count;
+        remaining -= count;
+      }
+    });
+  }
+  return histograms;
+}
+
+/**
+ * Calculates the statistics of the tile sizes of an MBTiles or PMTiles source.
+ * @param {object} source - The MBTiles or PMTiles instance.
+ * @param {string} sourceType - 'mbtiles' or 'pmtiles'.
+ * @returns {Promise<object>} - Tile count and total size, and count, total, min, max, mean and
+ *   percentiles (50, 90, 95, 99) of the sizes in bytes by zoom level.
+ */
+export async function getTileStats(source, sourceType) {
+  const histograms = await readTileSizes(source, sourceType);
+  const zooms = [...histograms.keys()]
+    .sort((a, b) => a - b)
+    .map((zoom) => {
+      const sizes = [...histograms.get(zoom)].sort((a, b) => a[0] - b[0]);
+      let count = 0;
+      let totalBytes = 0;
+      for (const [size, n] of sizes) {
+        count += n;
+        totalBytes += size * n;
+      }
+      // nearest-rank percentiles
+      const percentile = (p) => {
+        const rank = Math.ceil((p / 100) * count);
+        let seen = 0;
+        for (const [size, n] of sizes) {
+          seen += n;
+          if (seen >= rank) return size;
+        }
+        return sizes[sizes.length - 1][0];
+      };
+      return {
+        zoom,
+        count,
+        totalBytes,
+        minBytes: sizes[0][0],
+        maxBytes: sizes[sizes.length - 1][0],
+        meanBytes: Math.round(totalBytes / count),
+        p50Bytes: percentile(50),
+        p90Bytes: percentile(90),
+        p95Bytes: percentile(95),
+        p99Bytes: percentile(99),
+      };
+    });
+  return {
+    count: zooms.reduce((sum, zoom) => sum + zoom.count, 0),
+    totalBytes: zooms.reduce((sum, zoom) => sum + zoom.totalBytes, 0),
+    zooms,
+  };
+}
+
+/**
+ * Lists the existing tiles of a zoom level of an MBTiles or PMTiles source, ordered by
+ * column and from the south for MBTiles and by tile id for PMTiles.
+ * @param {object} source - The MBTiles or PMTiles instance.
+ * @param {string} sourceType - 'mbtiles' or 'pmtiles'.
+ * @param {number} z - Zoom level.
+ * @param {object} [options] - Listing options.
+ * @param {number} [options.minSize] - Only list tiles of at least this size in bytes.
+ * @param {number} [options.limit] - Stop after this many tiles.
+ * @returns {Promise<Array<{x: number, y: number, size: number}>>} - The tiles (xyz scheme).
+ */
+export async function listTiles(source, sourceType, z, options = {}) {
+  const { minSize = 0, limit = Infinity } = options;
+  const tiles = [];
+  if (sourceType === 'mbtiles') {
+    const rows = await withMBTilesDatabase(source, (all) =>
+      all(
+        'SELECT tile_column AS x, tile_row AS row, length(tile_data) AS size ' +
+          'FROM tiles WHERE zoom_level = ? AND length(tile_data) >= ? ' +
+          'ORDER BY tile_column, tile_row LIMIT ?',
+        z,
+        minSize,
+        Number.isFinite(limit) ? limit : -1,
+      ),
+    );
+    for (const { x, row, size } of rows) {
+      // MBTiles rows are counted from the south (TMS)
+      tiles.push({ x, y: Math.pow(2, z) - 1 - row, size });
+    }
+  } else {
+    const range = [firstTileId(z), firstTileId(z + 1)];
+    await walkPMTilesEntries(source, range, (entry) => {
+      if (entry.length < minSize) return false;
+      const first = Math.max(entry.tileId, range[0]);
+      const end = Math.min(entry.tileId + entry.runLength, range[1]);
+      for (let id = first; id < end; id++) {
+        if (tiles.length >= limit) return true;
+        const [, x, y] = tileIdToZxy(id);
+        tiles.push({ x, y, size: entry.length });
+      }
+      return tiles.length >= limit;
+    });
+  }
+  return tiles;
+}
+
+/**
+ * Samples the existing tiles of a zoom level of an MBTiles or PMTiles source: the first
+ * tile at or after each of `count` positions spread evenly over the columns (MBTiles) or
+ * the tile ids (PMTiles) of the zoom level, instead of the first tiles of the index.
+ * @param {object} source - The MBTiles or PMTiles instance.
+ * @param {string} sourceType - 'mbtiles' or 'pmtiles'.
+ * @param {number} z - Zoom level.
+ * @param {number} count - Number of positions to sample.
+ * @returns {Promise<Array<{x: number, y: number, size: number}>>} - The distinct sampled
+ *   tiles (xyz scheme), at most `count`.
+ */
+export async function sampleTiles(source, sourceType, z, count) {
+  const tiles = new Map();
+  if (sourceType === 'mbtiles') {
+    await withMBTilesDatabase(source, async (all) => {
+      // separate queries, SQLite only reads a single MIN or MAX from the index
+      const [{ column: min }] = await all(
+        'SELECT MIN(tile_column) AS column FROM tiles WHERE zoom_level = ?',
+        z,
+      );
+      const [{ column: max }] = await all(
+        'SELECT MAX(tile_column) AS column FROM tiles WHERE zoom_level = ?',
+        z,
+      );
+      if (min == null) return;
+      for (let i = 0; i < count; i++) {
+        const column = min + Math.floor(((max - min + 1) * i) / count);
+        const rows = await all(
+          'SELECT tile_column AS x, tile_row AS row, length(tile_data) AS size ' +
+            'FROM tiles WHERE zoom_level = ? AND tile_column >= ? ' +
+            'ORDER BY tile_column, tile_row LIMIT 1',
+          z,
+          column,
+        );
+        for (const { x, row, size } of rows) {
+          const y = Math.pow(2, z) - 1 - row;
+          tiles.set(`${x}/${y}`, { x, y, size });
+        }
+      }
+    });
+  } else {
+    const [first, end] = [firstTileId(z), firstTileId(z + 1)];
+    for (let i = 0; i < count; i++) {
+      const start = first + Math.floor(((end - first) * i) / count);
+      await walkPMTilesEntries(source, [start, end], (entry) => {
+        const id = Math.max(entry.tileId, start);
+        const [, x, y] = tileIdToZxy(id);
+        tiles.set(`${x}/${y}`, { x, y, size: entry.length });
+        return true;
+      });
+    }
+  }
+  return [...tiles.values()];
+}
@@ -1,11 +1,13 @@
 'use strict';
 
 import path from 'path';
+import crypto from 'node:crypto';
 import fsPromises from 'fs/promises';
 import fs from 'node:fs';
+import zlib from 'node:zlib';
 import clone from 'clone';
 import { combine } from '@jsse/pbfont';
-import { existsP } from './promises.js';
+import { brotliCompressP, existsP, gzipP, zstdCompressP } from './promises.js';
 import { getPMtilesTile } from './pmtiles_adapter.js';
 
 export const allowedSpriteFormats = allowedOptions(['png', 'json']);
@@ -141,6 +143,7 @@ export function getPublicUrl(publicUrl, req) {
  * @param {string} format - The format of the tiles (e.g., 'png', 'jpg').
  * @param {string} publicUrl - The public URL to use (if not using domains).
  * @param {object} [aliases] - Aliases for format extensions.
+ * @param {string[]} [forwardedParams] - Names of additional query parameters to pass on to the tile URLs.
  * @returns {string[]} An array of tile URL strings.
  */
 export function getTileUrls(
@@ -151,6 +154,7 @@ export function getTileUrls(
   format,
   publicUrl,
   aliases,
+  forwardedParams = [],
 ) {
   const urlObject = getUrlObject(req);
   if (domains) {
@@ -186,6 +190,13 @@ export function getTileUrls(
   if (req.query.style) {
     queryParams.push(`style=${encodeURIComponent(req.query.style)}`);
   }
+  for (const name of forwardedParams) {
+    // eslint-disable-next-line security/detect-object-injection -- name is from the fixed list of the caller
+    const value = req.query[name];
+    if (typeof value === 'string' && value.length > 0) {
+      queryParams.push(`${name}=${encodeURIComponent(value)}`);
+    }
+  }
   const query = queryParams.length > 0 ? `?${queryParams.join('&')}` : '';
 
   // eslint-disable-next-line security/detect-object-injection -- format is validated format string from tileJSON
@@ -262,6 +273,158 @@ export function readFile(filename) {
   });
 }
 
+/**
+ * Creates a strong ETag from the given content.
+ * @param {Buffer|string|Array<Buffer|string>} data - The content (or a string identifying a version of it), may consist of several parts.
+ * @param {string} [encoding] - Content encoding of the response, makes the ETag unique per encoding.
+ * @returns {string} - The quoted ETag value.
+ */
+export function createETag(data, encoding) {
+  const sha1 = crypto.createHash('sha1');
+  for (const part of Array.isArray(data) ? data : [data]) {
+    sha1.update(part);
+  }
+  const hash = sha1.digest('base64url');
+  return encoding && encoding !== 'identity'
+    ? `"${hash}-${encoding}"`
+    : `"${hash}"`;
+}
+
+// dynamic responses favour speed over ratio (default quality 11 is very slow)
+const brotliOptions = {
+  params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+};
+
+// content encodings supported for compressible responses, in order of preference
+const compressors = new Map([
+  ['br', (data) => brotliCompressP(data, brotliOptions)],
+  ['zstd', zstdCompressP],
+  ['gzip', gzipP],
+]);
+if (!zstdCompressP) {
+  compressors.delete('zstd');
+}
+
+/**
+ * Selects the content encoding for a response based on the Accept-Encoding request header.
+ * The supported encoding with the highest quality value wins, ties are resolved in
+ * the order br, zstd, gzip. Falls back to identity if no compression is accepted.
+ * @param {object} req - Express request object.
+ * @returns {string} - 'br', 'zstd', 'gzip' or 'identity'.
+ */
+export function negotiateEncoding(req) {
+  const header = req.get('accept-encoding');
+  if (!header) {
+    return 'identity';
+  }
+  const weights = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    weights.set(name.trim(), q ? parseFloat(q.slice(2)) || 0 : 1);
+  }
+  const weightOf = (encoding) => weights.get(encoding) ?? weights.get('*') ?? 0;
+
+  let best = 'identity';
+  let bestWeight = 0;
+  for (const encoding of compressors.keys()) {
+    const weight = weightOf(encoding);
+    if (weight > bestWeight) {
+      best = encoding;
+      bestWeight = weight;
+    }
+  }
+  if (weights.has('identity') && weights.get('identity') > bestWeight) {
+    return 'identity';
+  }
+  return best;
+}
+
+/**
+ * Compresses data with the given content encoding.
+ * @param {Buffer|string} data - The uncompressed data.
+ * @param {string} encoding - Content encoding returned by `negotiateEncoding`.
+ * @returns {Promise<Buffer|string>} - The encoded data.
+ */
+export async function encodeData(data, encoding) {
+  const compress = compressors.get(encoding);
+  return compress ? await compress(data) : data;
+}
+
+/**
+ * Sends a compressible response (e.g. JSON or font PBFs) using the content encoding
+ * negotiated with the client, including ETag/Last-Modified handling.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Buffer|string|object} body - The response body, objects are serialized as JSON.
+ * @param {string} contentType - The Content-Type of the response.
+ * @param {Date|string} [lastModified] - The modification time of the response.
+ * @returns {Promise<void>}
+ */
+export async function sendEncoded(req, res, body, contentType, lastModified) {
+  if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+    body = JSON.stringify(body);
+  }
+  const encoding = negotiateEncoding(req);
+  res.vary('Accept-Encoding');
+  if (respondNotModified(req, res, createETag(body, encoding), lastModified)) {
+    return;
+  }
+  res.set('Content-Type', contentType);
+  if (encoding !== 'identity') {
+    res.set('Content-Encoding', encoding);
+  }
+  res.send(await encodeData(body, encoding));
+}
+
+/**
+ * Returns the latest modification time of the given local files.
+ * Files that cannot be accessed (e.g. remote URLs) are ignored.
+ * @param {string[]} files - Paths of the files.
+ * @returns {Promise<Date|null>} - The latest modification time or null if no file could be accessed.
+ */
+export async function getLatestModified(files) {
+  const times = await Promise.all(
+    files.map((file) =>
+      fsPromises.stat(file).then(
+        ({ mtime }) => mtime,
+        // not a local file
+        () => null,
+      ),
+    ),
+  );
+  let latest = null;
+  for (const mtime of times) {
+    if (mtime && (!latest || mtime > latest)) {
+      latest = mtime;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Sets the ETag and Last-Modified headers and responds with 304 Not Modified
+ * if the client's cached copy (If-None-Match / If-Modified-Since) is still fresh.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {string} [etag] - The ETag of the response.
+ * @param {Date|string} [lastModified] - The modification time of the response.
+ * @returns {boolean} - True if a 304 response was sent.
+ */
+export function respondNotModified(req, res, etag, lastModified) {
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
 /**
  * Retrieves font data for a given font and range.
  * @param {object} allowedFonts - An object of allowed fonts.
@@ -380,6 +543,24 @@ export async function getFontsPbf(
   return Buffer.from(combined.buffer, 0, combined.buffer.length);
 }
 
+/**
+ * Returns the latest modification time of the font files used for a font stack.
+ * @param {string} fontPath - The path to the font directory.
+ * @param {string} names - Comma-separated font names.
+ * @param {string} range - The range of the font (e.g., '0-255').
+ * @returns {Promise<Date|null>} - The latest modification time or null if no file was found.
+ */
+export async function getFontsLastModified(fontPath, names, range) {
+  if (!/^\d+-\d+$/.test(range)) {
+    return null;
+  }
+  const files = names
+    .split(',')
+    .filter((name) => /^[\p{L}\p{N} \-.~!*'()@&=+,#$[\]]+$/u.test(name))
+    .map((name) => path.join(fontPath, path.basename(name), `${range}.pbf`));
+  return getLatestModified(files);
+}
+
 /**
  * Lists available fonts in a given font directory.
  * @param {string} fontPath - The path to the font directory.
@@ -472,9 +653,9 @@ export function isMBTilesProtocol(string) {
 }
 
 /**
- * Fetches tile data from either PMTiles or MBTiles source.
- * @param {object} source - The source object, which may contain a mbtiles object, or pmtiles object.
- * @param {string} sourceType - The source type, which should be `pmtiles` or `mbtiles`
+ * Fetches tile data from a PMTiles, MBTiles, GeoJSON, XYZ directory, GeoPackage or remote tile service source.
+ * @param {object} source - The source object, which may contain a mbtiles object, pmtiles object, GeoJSON, XYZ or GeoPackage source.
+ * @param {string} sourceType - The source type, which should be `pmtiles`, `mbtiles`, `geojson`, `xyz`, `gpkg`, `cog`, `postgis` or `http`
  * @param {number} z - The zoom level.
  * @param {number} x - The x coordinate of the tile.
  * @param {number} y - The y coordinate of the tile.
@@ -499,5 +680,41 @@ export async function fetchTileData(source, sourceType, z, x, y) {
         resolve({ data: tileData, headers: tileHeader });
       });
     });
+  } else if (sourceType === 'geojson') {
+    const data = source.getTile(z, x, y);
+    if (data == null) return null;
+    return {
+      data,
+      headers: { 'Content-Type': 'application/x-protobuf' },
+    };
+  } else if (
+    sourceType === 'xyz' ||
+    sourceType === 'gpkg' ||
+    sourceType === 'cog' ||
+    sourceType === 'postgis' ||
+    sourceType === 'http'
+  ) {
+    return source.getTile(z, x, y);
+  }
+}
+
+/**
+ * Releases the files, database connections and file watchers of a source opened for
+ * `fetchTileData`. Sources without any (e.g. PMTiles and remote tile services) are left as they are.
+ * @param {object} source - The source object.
+ * @param {string} sourceType - The source type (see `fetchTileData`).
+ * @returns {Promise<void>}
+ */
+export async function closeSource(source, sourceType) {
+  try {
+    if (sourceType === 'mbtiles') {
+      await new Promise((resolve, reject) => {
+        source.close((err) => (err ? reject(err) : resolve()));
+      });
+    } else if (typeof source?.close === 'function') {
+      await source.close();
+    }
+  } catch (err) {
+    console.error(`WARN: Failed to close ${sourceType} source: ${err.message}`);
   }
 }
@@ -0,0 +1,237 @@
+'use strict';
+
+import Pbf from 'pbf';
+import { VectorTile } from '@mapbox/vector-tile';
+
+import { gunzipP } from './promises.js';
+import { sampleTiles, tileIndexSourceTypes } from './tile_stats.js';
+import { fetchTileData } from './utils.js';
+
+const inferModes = ['startup', 'background'];
+
+// tiles sampled per zoom level at most
+const MAX_TILES_PER_ZOOM = 1000;
+// limits of the tilestats, as used by mapbox-geostats
+const MAX_ATTRIBUTES = 1000;
+const MAX_VALUES = 100;
+
+const GEOMETRY_TYPES = ['Unknown', 'Point', 'LineString', 'Polygon'];
+
+/**
+ * Resolves the `inferMetadata` option of a data source, which generates the
+ * `vector_layers` and `tilestats` of vector sources without them from sampled tiles.
+ * @param {object|boolean|string|undefined} config - The `inferMetadata` option of the data source
+ *   (`true`, a mode or an object with `mode` and `tilesPerZoom`).
+ * @returns {{mode: string, tilesPerZoom: number}|null} - The options or null if disabled.
+ * @throws {Error} If the mode or the number of tiles is invalid.
+ */
+export function getInferMetadataOptions(config) {
+  if (config == null || config === false) {
+    return null;
+  }
+  const mode =
+    typeof config === 'string' ? config : (config.mode ?? inferModes[0]);
+  if (!inferModes.includes(mode)) {
+    throw new Error(
+      `Invalid inferMetadata.mode. Must be one of ${inferModes.join(', ')}.`,
+    );
+  }
+  const tilesPerZoom = config.tilesPerZoom ?? 8;
+  if (
+    !Number.isInteger(tilesPerZoom) ||
+    tilesPerZoom < 1 ||
+    tilesPerZoom > MAX_TILES_PER_ZOOM
+  ) {
+    throw new Error(
+      `Invalid inferMetadata.tilesPerZoom. Must be an integer between 1 and ${MAX_TILES_PER_ZOOM}.`,
+    );
+  }
+  return { mode, tilesPerZoom };
+}
+
+/**
+ * Checks whether the metadata of a data source can and should be inferred: vector
+ * sources with a tile index whose TileJSON lacks `vector_layers` or `tilestats`.
+ * @param {object} tileJSON - The TileJSON of the data source.
+ * @param {string} sourceType - The type of the source.
+ * @returns {boolean} - True if metadata is missing and can be inferred.
+ */
+export function isMetadataMissing(tileJSON, sourceType) {
+  return (
+    tileJSON.format === 'pbf' &&
+    tileIndexSourceTypes.includes(sourceType) &&
+    (!Array.isArray(tileJSON.vector_layers) ||
+      tileJSON.vector_layers.length === 0 ||
+      tileJSON.tilestats == null)
+  );
+}
+
+/**
+ * Returns the type of a property value as named in `vector_layers`.
+ * @param {string|number|boolean} value - The value.
+ * @returns {string} - String, Number or Boolean.
+ */
+function getFieldType(value) {
+  if (typeof value === 'number') return 'Number';
+  if (typeof value === 'boolean') return 'Boolean';
+  return 'String';
+}
+
+/**
+ * Adds the features of a layer of a sampled tile to the collected statistics.
+ * @param {Map<string, object>} layers - The statistics by layer name.
+ * @param {object} layer - The layer of the vector tile.
+ * @param {number} z - Zoom level of the tile.
+ */
+function collectLayer(layers, layer, z) {
+  if (!layers.has(layer.name)) {
+    layers.set(layer.name, {
+      minzoom: z,
+      maxzoom: z,
+      count: 0,
+      geometries: new Map(),
+      attributes: new Map(),
+    });
+  }
+  const stats = layers.get(layer.name);
+  stats.minzoom = Math.min(stats.minzoom, z);
+  stats.maxzoom = Math.max(stats.maxzoom, z);
+  for (let i = 0; i < layer.length; i++) {
+    const feature = layer.feature(i);
+    stats.count++;
+    const geometry = GEOMETRY_TYPES[feature.type] ?? GEOMETRY_TYPES[0];
+    stats.geometries.set(geometry, (stats.geometries.get(geometry) ?? 0) + 1);
+    for (const [name, value] of Object.entries(feature.properties)) {
+      if (!stats.attributes.has(name)) {
+        if (stats.attributes.size >= MAX_ATTRIBUTES) continue;
+        stats.attributes.set(name, {
+          types: new Set(),
+          values: new Set(),
+          min: null,
+          max: null,
+        });
+      }
+      const attribute = stats.attributes.get(name);
+      attribute.types.add(getFieldType(value));
+      if (attribute.values.size < MAX_VALUES) {
+        attribute.values.add(value);
+      }
+      if (typeof value === 'number') {
+        attribute.min =
+          attribute.min == null ? value : Math.min(attribute.min, value);
+        attribute.max =
+          attribute.max == null ? value : Math.max(attribute.max, value);
+      }
+    }
+  }
+}
+
+/**
+ * Creates the `vector_layers` and `tilestats` (in the format of mapbox-geostats) from the
+ * collected statistics.
+ * @param {Map<string, object>} layers - The statistics by layer name.
+ * @returns {{vector_layers: object[], tilestats: object}} - The metadata.
+ */
+function createMetadata(layers) {
+  const vectorLayers = [];
+  const tilestatsLayers = [];
+  for (const [id, stats] of layers) {
+    const fields = {};
+    const attributes = [];
+    for (const [name, attribute] of stats.attributes) {
+      const types = [...attribute.types];
+      const type = types.length === 1 ? types[0] : 'Mixed';
+      // eslint-disable-next-line security/detect-object-injection -- name is a property name of the tiles
+      fields[name] = type;
+      const entry = {
+        attribute: name,
+        count: attribute.values.size,
+        type: type.toLowerCase(),
+        values: [...attribute.values],
+      };
+      if (attribute.min != null) {
+        entry.min = attribute.min;
+        entry.max = attribute.max;
+      }
+      attributes.push(entry);
+    }
+    // the most frequent geometry type
+    const [geometry] = [...stats.geometries].sort((a, b) => b[1] - a[1])[0] ?? [
+      GEOMETRY_TYPES[0],
+    ];
+    vectorLayers.push({
+      id,
+      description: '',
+      minzoom: stats.minzoom,
+      maxzoom: stats.maxzoom,
+      fields,
+    });
+    tilestatsLayers.push({
+      layer: id,
+      count: stats.count,
+      geometry,
+      attributeCount: attributes.length,
+      attributes,
+    });
+  }
+  return {
+    vector_layers: vectorLayers,
+    tilestats: { layerCount: tilestatsLayers.length, layers: tilestatsLayers },
+  };
+}
+
+/**
+ * Infers the `vector_layers` and `tilestats` of a vector source by sampling tiles spread
+ * over the existing tiles of every zoom level. Counts and values only reflect the sampled tiles.
+ * @param {object} source - The MBTiles or PMTiles instance.
+ * @param {string} sourceType - 'mbtiles' or 'pmtiles'.
+ * @param {object} tileJSON - The TileJSON of the data source.
+ * @param {object} options - The options (see `getInferMetadataOptions`).
+ * @returns {Promise<{vector_layers: object[], tilestats: object}>} - The inferred metadata.
+ */
+export async function inferVectorMetadata(
+  source,
+  sourceType,
+  tileJSON,
+  options,
+) {
+  const layers = new Map();
+  const minzoom = tileJSON.minzoom ?? 0;
+  const maxzoom = tileJSON.maxzoom ?? 22;
+  for (let z = minzoom; z <= maxzoom; z++) {
+    const samples = await sampleTiles(
+      source,
+      sourceType,
+      z,
+      options.tilesPerZoom,
+    );
+    for (const { x, y } of samples) {
+      const fetchTile = await fetchTileData(source, sourceType, z, x, y);
+      if (fetchTile == null) continue;
+      let data = fetchTile.data;
+      if (data.slice(0, 2).indexOf(Buffer.from([0x1f, 0x8b])) === 0) {
+        data = await gunzipP(data);
+      }
+      const tile = new VectorTile(new Pbf(data));
+      for (const layer of Object.values(tile.layers)) {
+        collectLayer(layers, layer, z);
+      }
+    }
+  }
+  return createMetadata(layers);
+}
+
+/**
+ * Adds inferred `vector_layers` and `tilestats` to a TileJSON, keeping the ones it already has.
+ * @param {object} tileJSON - The TileJSON of the data source, modified in place.
+ * @param {{vector_layers: object[], tilestats: object}} metadata - The inferred metadata.
+ */
+export function applyInferredMetadata(tileJSON, metadata) {
+  if (
+    !Array.isArray(tileJSON.vector_layers) ||
+    tileJSON.vector_layers.length === 0
+  ) {
+    tileJSON.vector_layers = metadata.vector_layers;
+  }
+  tileJSON.tilestats ??= metadata.tilestats;
+}
@@ -0,0 +1,237 @@
+'use strict';
+
+import fsp from 'node:fs/promises';
+import path from 'path';
+
+// tile file extensions by TileJSON format, the first one is tried first
+const EXTENSIONS = {
+  pbf: ['pbf', 'mvt'],
+  png: ['png'],
+  jpeg: ['jpg', 'jpeg'],
+  webp: ['webp'],
+  avif: ['avif'],
+};
+
+export const CONTENT_TYPES = {
+  pbf: 'application/x-protobuf',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+/**
+ * Returns the format of a tile file extension.
+ * @param {string} extension - The extension without dot, e.g. `mvt`.
+ * @returns {string|undefined} - The TileJSON format or undefined if unknown.
+ */
+export function getExtensionFormat(extension) {
+  return Object.keys(EXTENSIONS).find((format) =>
+    // eslint-disable-next-line security/detect-object-injection -- format is a key of EXTENSIONS
+    EXTENSIONS[format].includes(extension.toLowerCase()),
+  );
+}
+
+/**
+ * Reads the `metadata.json` of a tile directory. Both TileJSON and the MBTiles metadata
+ * written by tippecanoe (string values and the layers in a `json` field) are understood.
+ * @param {string} directory - The tile directory.
+ * @returns {Promise<object>} - The TileJSON fields, empty if there is no metadata.json.
+ */
+async function readMetadata(directory) {
+  let metadata;
+  try {
+    metadata = JSON.parse(
+      await fsp.readFile(path.join(directory, 'metadata.json'), 'utf8'),
+    );
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Invalid metadata.json in "${directory}": ${err.message}`);
+  }
+  if (typeof metadata.json === 'string') {
+    Object.assign(metadata, JSON.parse(metadata.json));
+    delete metadata.json;
+  }
+  for (const key of ['bounds', 'center']) {
+    // eslint-disable-next-line security/detect-object-injection -- key is bounds or center
+    if (typeof metadata[key] === 'string') {
+      // eslint-disable-next-line security/detect-object-injection -- key is bounds or center
+      metadata[key] = metadata[key].split(',').map(Number);
+    }
+  }
+  for (const key of ['minzoom', 'maxzoom']) {
+    // eslint-disable-next-line security/detect-object-injection -- key is minzoom or maxzoom
+    if (metadata[key] != null) {
+      // eslint-disable-next-line security/detect-object-injection -- key is minzoom or maxzoom
+      metadata[key] = Number(metadata[key]);
+    }
+  }
+  if (metadata.format === 'jpg') {
+    metadata.format = 'jpeg';
+  }
+  return metadata;
+}
+
+/**
+ * Lists the numeric entries (zoom levels, columns) of a directory.
+ * @param {string} directory - The directory.
+ * @returns {Promise<number[]>} - The numbers in ascending order.
+ */
+async function listNumbers(directory) {
+  const entries = await fsp.readdir(directory, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isDirectory() && /^\d+$/.test(entry.name))
+    .map((entry) => Number(entry.name))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Finds the extension of the tiles by looking at the first tile file of a zoom level.
+ * @param {string} directory - The directory of the zoom level.
+ * @returns {Promise<string|undefined>} - The extension or undefined if no tile was found.
+ */
+async function findTileExtension(directory) {
+  for (const x of await listNumbers(directory)) {
+    const files = await fsp.readdir(path.join(directory, String(x)));
+    for (const file of files) {
+      const match = /^\d+\.(\w+)$/.exec(file);
+      if (match && getExtensionFormat(match[1])) {
+        return match[1];
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the modification time of the metadata.json of a directory. The tile files
+ * are not checked, a directory can hold millions of them.
+ * @param {string} directory - The tile directory.
+ * @returns {Promise<Date|null>} - The modification time or null if there is no metadata.json.
+ */
+async function getMetadataModified(directory) {
+  try {
+    return (await fsp.stat(path.join(directory, 'metadata.json'))).mtime;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tiles stored as `{z}/{x}/{y}.{ext}` files in a directory.
+ */
+class XYZSource {
+  /**
+   * Creates an XYZSource instance, use `openXYZSource` to get one.
+   * @param {string} directory - The tile directory.
+   * @param {string} extension - The extension of the tile files.
+   * @param {boolean} tms - Whether the rows are counted from the south (TMS).
+   * @param {object} info - The TileJSON fields of the tiles.
+   * @param {Date} lastModified - The modification time of the metadata.json or the directory.
+   */
+  constructor(directory, extension, tms, info, lastModified) {
+    this.directory = directory;
+    this.extension = extension;
+    this.tms = tms;
+    this.info = info;
+    this.lastModified = lastModified;
+  }
+
+  /**
+   * Returns the metadata of the tiles.
+   * @returns {object} - The TileJSON fields read from metadata.json and found in the directory.
+   */
+  getInfo() {
+    return structuredClone(this.info);
+  }
+
+  /**
+   * Reads a tile. Gzip compressed tiles are detected and reported in the headers.
+   * @param {number} z - Zoom level.
+   * @param {number} x - X coordinate of the tile.
+   * @param {number} y - Y coordinate of the tile (always counted from the north).
+   * @returns {Promise<{data: Buffer, headers: object}|null>} - The tile or null if there is no file.
+   */
+  async getTile(z, x, y) {
+    const row = this.tms ? Math.pow(2, z) - 1 - y : y;
+    const file = path.join(
+      this.directory,
+      String(z),
+      String(x),
+      `${row}.${this.extension}`,
+    );
+    let data;
+    try {
+      data = await fsp.readFile(file);
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+        return null;
+      }
+      throw err;
+    }
+    const headers = { 'Content-Type': CONTENT_TYPES[this.info.format] };
+    if (data.slice(0, 2).indexOf(Buffer.from([0x1f, 0x8b])) === 0) {
+      headers['Content-Encoding'] = 'gzip';
+    }
+    return { data, headers };
+  }
+}
+
+/**
+ * Opens a tile directory. The format and the zoom levels are taken from its
+ * `metadata.json` if available, otherwise from the files in the directory.
+ * The modification time is taken from the `metadata.json` or else the directory itself
+ * and read once, rewritten tiles are not detected.
+ * @param {string} directory - The tile directory.
+ * @param {object} [options] - Options of the source.
+ * @param {string} [options.scheme] - `xyz` (default) or `tms` if the rows are counted from the south.
+ * @returns {Promise<XYZSource>} - The source.
+ * @throws {Error} If the directory contains no tiles of a known format.
+ */
+export async function openXYZSource(directory, options = {}) {
+  const scheme = options.scheme ?? 'xyz';
+  if (scheme !== 'xyz' && scheme !== 'tms') {
+    throw new Error('Invalid scheme. Must be xyz or tms.');
+  }
+  const stats = await fsp.stat(directory);
+  if (!stats.isDirectory()) {
+    throw new Error(`Not a tile directory: "${directory}"`);
+  }
+  const metadata = await readMetadata(directory);
+  const zooms = await listNumbers(directory);
+  if (zooms.length === 0) {
+    throw new Error(`No zoom level directories in "${directory}"`);
+  }
+
+  let extension;
+  for (const z of zooms) {
+    extension = await findTileExtension(path.join(directory, String(z)));
+    if (extension) break;
+  }
+  const format =
+    metadata.format ?? (extension && getExtensionFormat(extension));
+  if (!Object.hasOwn(EXTENSIONS, format ?? '')) {
+    throw new Error(`No tiles of a known format in "${directory}"`);
+  }
+  // eslint-disable-next-line security/detect-object-injection -- format is a key of EXTENSIONS
+  extension ??= EXTENSIONS[format][0];
+
+  const info = {
+    ...metadata,
+    format,
+    minzoom: metadata.minzoom ?? zooms[0],
+    maxzoom: metadata.maxzoom ?? zooms[zooms.length - 1],
+  };
+  delete info.scheme;
+  delete info.tiles;
+  const lastModified = (await getMetadataModified(directory)) ?? stats.mtime;
+  return new XYZSource(
+    directory,
+    extension,
+    scheme === 'tms',
+    info,
+    lastModified,
+  );
+}
@@ -0,0 +1,102 @@
+import {
+  applyColorRamp,
+  parseColorRamp,
+  parseStopsParam,
+  resolveColorRamp,
+} from '../src/color_ramp.js';
+
+const color = function (ramp, value) {
+  const pixels = new Uint8Array(4);
+  applyColorRamp(ramp, value, pixels, 0);
+  return [...pixels];
+};
+
+describe('Color ramps', function () {
+  it('are sorted by value', function () {
+    expect(
+      parseColorRamp([
+        [100, 'white'],
+        [0, '#000'],
+        [50, 'rgba(255, 0, 0, 0.5)'],
+      ]),
+    ).to.deep.equal({
+      values: [0, 50, 100],
+      colors: [
+        [0, 0, 0, 255],
+        [255, 0, 0, 128],
+        [255, 255, 255, 255],
+      ],
+      mode: 'linear',
+    });
+  });
+
+  it('are rejected if invalid', function () {
+    expect(() => parseColorRamp([])).to.throw(/at least one/);
+    expect(() => parseColorRamp([['low', '#000']])).to.throw(
+      /Invalid color ramp stop/,
+    );
+    expect(() => parseColorRamp([[0, 'nocolor']])).to.throw(
+      'Invalid color in color ramp: nocolor',
+    );
+    expect(() => parseColorRamp([[0, '#000']], 'cubic')).to.throw(
+      /Invalid color ramp mode/,
+    );
+  });
+
+  it('are resolved by name', function () {
+    const custom = { grayscale: [[0, 'red']], land: [[0, 'green']] };
+    expect(resolveColorRamp('grayscale').colors).to.deep.equal([
+      [0, 0, 0, 255],
+      [255, 255, 255, 255],
+    ]);
+    expect(resolveColorRamp('grayscale', custom).colors).to.deep.equal([
+      [255, 0, 0, 255],
+    ]);
+    expect(
+      resolveColorRamp({ name: 'land', mode: 'discrete' }, custom),
+    ).to.deep.equal({
+      values: [0],
+      colors: [[0, 128, 0, 255]],
+      mode: 'discrete',
+    });
+    expect(() => resolveColorRamp('toString')).to.throw(
+      'Unknown color ramp: toString',
+    );
+  });
+
+  it('are parsed from query parameters', function () {
+    expect(parseStopsParam('0:green|500:ff0|2000:#ffffff80')).to.deep.equal([
+      [0, 'green'],
+      [500, '#ff0'],
+      [2000, '#ffffff80'],
+    ]);
+    expect(() => parseStopsParam('0:green|500')).to.throw(
+      'Invalid color ramp stop: 500',
+    );
+  });
+
+  it('interpolate between the stops', function () {
+    const ramp = parseColorRamp([
+      [0, '#000000'],
+      [100, 'rgba(200, 100, 0, 0)'],
+    ]);
+    expect(color(ramp, 25)).to.deep.equal([50, 25, 0, 191]);
+    expect(color(ramp, -50)).to.deep.equal([0, 0, 0, 255]);
+    expect(color(ramp, 150)).to.deep.equal([200, 100, 0, 0]);
+  });
+
+  it('have classes in discrete mode', function () {
+    const ramp = resolveColorRamp({
+      stops: [
+        [0, '#0000ff'],
+        [100, '#00ff00'],
+        [200, '#ff0000'],
+      ],
+      mode: 'discrete',
+    });
+    expect(color(ramp, -1)).to.deep.equal([0, 0, 255, 255]);
+    expect(color(ramp, 99)).to.deep.equal([0, 0, 255, 255]);
+    expect(color(ramp, 100)).to.deep.equal([0, 255, 0, 255]);
+    expect(color(ramp, 5000)).to.deep.equal([255, 0, 0, 255]);
+  });
+});
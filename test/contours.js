@@ -0,0 +1,91 @@
+import {
+  getContourIntervals,
+  getContourOptions,
+  traceContours,
+} from '../src/contours.js';
+
+describe('Contour lines', function () {
+  it('have intervals by zoom level', function () {
+    const thresholds = { 9: [500, 1000], 12: 50, 14: [10, 50] };
+    expect(getContourIntervals(thresholds, 8)).to.equal(null);
+    expect(getContourIntervals(thresholds, 9)).to.deep.equal([500, 1000]);
+    expect(getContourIntervals(thresholds, 11)).to.deep.equal([500, 1000]);
+    expect(getContourIntervals(thresholds, 12)).to.deep.equal([50, 50]);
+    expect(getContourIntervals(thresholds, 16)).to.deep.equal([10, 50]);
+  });
+
+  it('are available from their first threshold up to the maxzoom', function () {
+    expect(
+      getContourOptions(undefined, { minzoom: 0, maxzoom: 12 }),
+    ).to.include({ layer: 'contours', minzoom: 9, maxzoom: 14 });
+    expect(
+      getContourOptions(
+        { thresholds: { 5: [100, 500] }, layer: 'isolines', maxzoom: 10 },
+        { minzoom: 6, maxzoom: 12 },
+      ),
+    ).to.include({ layer: 'isolines', minzoom: 6, maxzoom: 10 });
+    expect(getContourOptions(false, { minzoom: 0, maxzoom: 12 })).to.equal(
+      null,
+    );
+  });
+
+  it('are traced with the higher ground on their left', function () {
+    // rising to the east
+    const lines = traceContours(new Float32Array([0, 20, 0, 20]), 2, 10);
+    expect(lines.get(10)).to.deep.equal([
+      [
+        [0.5, 0],
+        [0.5, 1],
+      ],
+    ]);
+    // rising to the west
+    const reversed = traceContours(new Float32Array([20, 0, 20, 0]), 2, 10);
+    expect(reversed.get(10)).to.deep.equal([
+      [
+        [0.5, 1],
+        [0.5, 0],
+      ],
+    ]);
+  });
+
+  it('are interpolated between the grid points', function () {
+    const lines = traceContours(new Float32Array([0, 40, 0, 40]), 2, 10);
+    expect([...lines.keys()]).to.deep.equal([10, 20, 30, 40]);
+    expect(lines.get(30)).to.deep.equal([
+      [
+        [0.75, 0],
+        [0.75, 1],
+      ],
+    ]);
+  });
+
+  it('are closed around peaks', function () {
+    const grid = new Float32Array([0, 0, 0, 0, 25, 0, 0, 0, 0]);
+    const [ring] = traceContours(grid, 3, 10).get(10);
+    expect(ring).to.deep.equal([
+      [1, 0.4],
+      [0.4, 1],
+      [1, 1.6],
+      [1.6, 1],
+      [1, 0.4],
+    ]);
+  });
+
+  it('are joined across the cells', function () {
+    // rising to the east, 3 x 3 cells
+    const grid = Float32Array.from({ length: 16 }, (_, i) => (i % 4) * 10);
+    expect(traceContours(grid, 4, 15).get(15)).to.deep.equal([
+      [
+        [1.5, 0],
+        [1.5, 1],
+        [1.5, 2],
+        [1.5, 3],
+      ],
+    ]);
+  });
+
+  it('leave out cells without data', function () {
+    const lines = traceContours(new Float32Array([0, NaN, 0, 20]), 2, 10);
+    expect(lines.size).to.equal(0);
+  });
+});
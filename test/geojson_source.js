@@ -0,0 +1,93 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { VectorTile } from '@mapbox/vector-tile';
+import Pbf from 'pbf';
+import { serve_data } from '../src/serve_data.js';
+import { createDataApp, createDataDir, parseBuffer } from './support/data.js';
+
+const writePoints = function (file, names, mtime) {
+  const geojson = {
+    type: 'FeatureCollection',
+    features: names.map((name, i) => ({
+      type: 'Feature',
+      properties: { name },
+      geometry: { type: 'Point', coordinates: [8.5 + i / 10, 47.3] },
+    })),
+  };
+  // replaced at once like editors save files, the reload must not see a partial file
+  const tempFile = `${file}.tmp`;
+  return fsp
+    .writeFile(tempFile, JSON.stringify(geojson))
+    .then(() => fsp.utimes(tempFile, mtime, mtime))
+    .then(() => fsp.rename(tempFile, file));
+};
+
+const getNames = function (dataApp) {
+  return supertest(dataApp)
+    .get('/data/points/0/0/0.pbf')
+    .buffer(true)
+    .parse(parseBuffer)
+    .expect(200)
+    .then((res) => {
+      const layer = new VectorTile(new Pbf(res.body)).layers.points;
+      const names = [];
+      for (let i = 0; i < layer.length; i++) {
+        names.push(layer.feature(i).properties.name);
+      }
+      return { names, lastModified: res.headers['last-modified'] };
+    });
+};
+
+describe('GeoJSON sources', function () {
+  let dir;
+  let file;
+  let dataApp;
+  let repo;
+
+  before(async function () {
+    dir = await createDataDir();
+    file = path.join(dir, 'points.geojson');
+    await writePoints(file, ['Zurich'], new Date('2024-01-01T00:00:00Z'));
+    ({ app: dataApp, repo } = await createDataApp(dir, {
+      points: { geojson: 'points.geojson' },
+    }));
+  });
+
+  after(async function () {
+    await serve_data.clear(repo);
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  it('are reloaded when the file changes', async function () {
+    const before = await getNames(dataApp);
+    expect(before).to.deep.equal({
+      names: ['Zurich'],
+      lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+    });
+
+    await writePoints(
+      file,
+      ['Zurich', 'Winterthur'],
+      new Date('2024-06-01T00:00:00Z'),
+    );
+    const deadline = Date.now() + 5000;
+    while (repo.points.lastModified.getTime() === Date.UTC(2024, 0, 1)) {
+      expect(Date.now()).to.be.below(deadline);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    const after = await getNames(dataApp);
+    expect(after.names).to.have.members(['Zurich', 'Winterthur']);
+    expect(after.lastModified).to.equal('Sat, 01 Jun 2024 00:00:00 GMT');
+  });
+
+  it('are not reloaded into the repository once removed', async function () {
+    const { source } = repo.points;
+    const [onChange] = source.watcher.listeners('change');
+    await serve_data.clear(repo);
+    // a change seen before the watcher was closed, with the reload still in flight
+    onChange();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(repo).to.not.have.property('points');
+  });
+});
@@ -0,0 +1,275 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { VectorTile } from '@mapbox/vector-tile';
+import Pbf from 'pbf';
+import sharp from 'sharp';
+import { openGeoPackageSource } from '../src/gpkg_source.js';
+import { serve_data } from '../src/serve_data.js';
+import {
+  createDataApp,
+  createDataDir,
+  parseBuffer,
+  writeDatabase,
+} from './support/data.js';
+
+// half of the extent of web mercator in meters
+const WORLD_EXTENT = 20037508.342789244;
+
+/**
+ * Encodes a point as a GeoPackage geometry (little endian header without envelope and WKB).
+ * @param {number} srsId - The spatial reference system id.
+ * @param {number[]} point - The [x, y] coordinates.
+ * @returns {Buffer} - The geometry blob.
+ */
+const encodePoint = function (srsId, [x, y]) {
+  const blob = Buffer.alloc(8 + 21);
+  blob.write('GP', 0, 'latin1');
+  blob.writeUInt8(0, 2);
+  blob.writeUInt8(0x01, 3);
+  blob.writeInt32LE(srsId, 4);
+  blob.writeUInt8(1, 8);
+  blob.writeUInt32LE(1, 9);
+  blob.writeDoubleLE(x, 13);
+  blob.writeDoubleLE(y, 21);
+  return blob;
+};
+
+/**
+ * Writes a GeoPackage with the tile table `imagery`, covering the north-east quarter of
+ * web mercator from zoom level 1, and the feature table `places`.
+ * @param {string} file - The path of the GeoPackage.
+ * @param {Buffer[]} tiles - The tile of zoom level 1 and of 2/3/1.
+ * @returns {Promise<void>}
+ */
+const writeGeoPackage = function (file, tiles) {
+  return writeDatabase(file, [
+    [
+      'CREATE TABLE gpkg_spatial_ref_sys (srs_name TEXT, srs_id INTEGER PRIMARY KEY, ' +
+        'organization TEXT, organization_coordsys_id INTEGER, definition TEXT, description TEXT)',
+    ],
+    [
+      'INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?)',
+      ...['WGS 84', 4326, 'EPSG', 4326, 'undefined', null],
+      ...['WGS 84 / Pseudo-Mercator', 3857, 'EPSG', 3857, 'undefined', null],
+    ],
+    [
+      'CREATE TABLE gpkg_contents (table_name TEXT PRIMARY KEY, data_type TEXT, ' +
+        'identifier TEXT, description TEXT, last_change TEXT, min_x REAL, min_y REAL, ' +
+        'max_x REAL, max_y REAL, srs_id INTEGER)',
+    ],
+    [
+      'INSERT INTO gpkg_contents VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      ...['imagery', 'tiles', 'Imagery', 'Aerial images', null],
+      ...[0, 0, WORLD_EXTENT, WORLD_EXTENT, 3857],
+      ...['places', 'features', 'Places', null, null],
+      ...[8, 47, 9, 48, 4326],
+    ],
+    [
+      'CREATE TABLE gpkg_tile_matrix_set (table_name TEXT PRIMARY KEY, srs_id INTEGER, ' +
+        'min_x REAL, min_y REAL, max_x REAL, max_y REAL)',
+    ],
+    [
+      'INSERT INTO gpkg_tile_matrix_set VALUES (?, ?, ?, ?, ?, ?)',
+      ...['imagery', 3857, 0, 0, WORLD_EXTENT, WORLD_EXTENT],
+    ],
+    [
+      'CREATE TABLE gpkg_tile_matrix (table_name TEXT, zoom_level INTEGER, ' +
+        'matrix_width INTEGER, matrix_height INTEGER, tile_width INTEGER, ' +
+        'tile_height INTEGER, pixel_x_size REAL, pixel_y_size REAL)',
+    ],
+    [
+      'INSERT INTO gpkg_tile_matrix VALUES (?, ?, ?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?, ?, ?)',
+      ...['imagery', 0, 1, 1, 256, 256, WORLD_EXTENT / 256, WORLD_EXTENT / 256],
+      ...['imagery', 1, 2, 2, 256, 256, WORLD_EXTENT / 512, WORLD_EXTENT / 512],
+    ],
+    [
+      'CREATE TABLE imagery (id INTEGER PRIMARY KEY, zoom_level INTEGER, ' +
+        'tile_column INTEGER, tile_row INTEGER, tile_data BLOB)',
+    ],
+    [
+      'INSERT INTO imagery (zoom_level, tile_column, tile_row, tile_data) ' +
+        'VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+      ...[0, 0, 0, tiles.at(0)],
+      ...[1, 1, 1, tiles.at(1)],
+    ],
+    [
+      'CREATE TABLE gpkg_geometry_columns (table_name TEXT, column_name TEXT, ' +
+        'geometry_type_name TEXT, srs_id INTEGER, z INTEGER, m INTEGER)',
+    ],
+    [
+      'INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, ?, ?)',
+      ...['places', 'geom', 'POINT', 4326, 0, 0],
+    ],
+    [
+      'CREATE TABLE places (fid INTEGER PRIMARY KEY, geom BLOB, name TEXT, population INTEGER)',
+    ],
+    [
+      'INSERT INTO places VALUES (?, ?, ?, ?)',
+      ...[7, encodePoint(4326, [8.54, 47.37]), 'Zurich', 400000],
+    ],
+  ]);
+};
+
+/**
+ * Lists the open file descriptors of the process pointing to a file (Linux only).
+ * @param {string} file - The path of the file.
+ * @returns {Promise<string[]>} - The file descriptors.
+ */
+const getOpenDescriptors = async function (file) {
+  const descriptors = [];
+  for (const fd of await fsp.readdir('/proc/self/fd')) {
+    const target = await fsp
+      .readlink(path.join('/proc/self/fd', fd))
+      .catch(() => null);
+    if (target === file) {
+      descriptors.push(fd);
+    }
+  }
+  return descriptors;
+};
+
+describe('GeoPackage sources', function () {
+  let dir;
+  let dataApp;
+  let repo;
+  let tiles;
+
+  before(async function () {
+    dir = await createDataDir();
+    tiles = await Promise.all(
+      ['#ff0000', '#0000ff'].map((background) =>
+        sharp({
+          create: { width: 256, height: 256, channels: 3, background },
+        })
+          .png()
+          .toBuffer(),
+      ),
+    );
+    await writeGeoPackage(path.join(dir, 'layers.gpkg'), tiles);
+    ({ app: dataApp, repo } = await createDataApp(dir, {
+      imagery: { gpkg: 'layers.gpkg' },
+      places: { gpkg: 'layers.gpkg', features: true },
+    }));
+  });
+
+  after(async function () {
+    await serve_data.clear(repo);
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('of tile tables', function () {
+    it('describe the tile matrix in web mercator', function (done) {
+      supertest(dataApp)
+        .get('/data/imagery.json')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({
+            name: 'Imagery',
+            description: 'Aerial images',
+            format: 'png',
+            minzoom: 1,
+            maxzoom: 2,
+          });
+          expect(res.body.bounds).to.deep.equal([0, 0, 180, 85.0511]);
+        })
+        .end(done);
+    });
+
+    it('serve the tiles at the offset of the tile matrix', async function () {
+      for (const [tile, data] of [
+        ['1/1/0', tiles.at(0)],
+        ['2/3/1', tiles.at(1)],
+      ]) {
+        await supertest(dataApp)
+          .get(`/data/imagery/${tile}.png`)
+          .buffer(true)
+          .parse(parseBuffer)
+          .expect(200)
+          .expect('Content-Type', 'image/png')
+          .expect(function (res) {
+            expect(res.body.equals(data)).to.equal(true);
+          });
+      }
+    });
+
+    it('have no tiles outside of the tile matrix', function (done) {
+      supertest(dataApp).get('/data/imagery/1/0/0.png').expect(404).end(done);
+    });
+
+    it('are closed if their tile matrix is broken', async function () {
+      if (process.platform !== 'linux') {
+        this.skip();
+      }
+      const file = path.join(dir, 'broken.gpkg');
+      await fsp.copyFile(path.join(dir, 'layers.gpkg'), file);
+      await writeDatabase(file, [['DELETE FROM gpkg_tile_matrix']]);
+      let error;
+      try {
+        await openGeoPackageSource(file);
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).to.equal(
+        'No web mercator zoom levels in "imagery"',
+      );
+      expect(await getOpenDescriptors(file)).to.deep.equal([]);
+    });
+  });
+
+  describe('of feature tables', function () {
+    it('describe the tables as vector layers', function (done) {
+      supertest(dataApp)
+        .get('/data/places.json')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({ name: 'Places', format: 'pbf' });
+          expect(res.body.bounds).to.deep.equal([8, 47, 9, 48]);
+          expect(res.body.vector_layers).to.deep.equal([
+            {
+              id: 'places',
+              description: '',
+              minzoom: 0,
+              maxzoom: 14,
+              fields: { name: 'String', population: 'Number' },
+            },
+          ]);
+        })
+        .end(done);
+    });
+
+    it('are tiled into vector tiles', function (done) {
+      supertest(dataApp)
+        .get('/data/places/0/0/0.pbf')
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200)
+        .expect('Content-Type', 'application/x-protobuf')
+        .expect(function (res) {
+          const layer = new VectorTile(new Pbf(res.body)).layers.places;
+          expect(layer.length).to.equal(1);
+          const feature = layer.feature(0).toGeoJSON(0, 0, 0);
+          expect(feature.id).to.equal(7);
+          expect(feature.properties).to.deep.equal({
+            name: 'Zurich',
+            population: 400000,
+          });
+          const [lon, lat] = feature.geometry.coordinates;
+          expect(lon).to.be.closeTo(8.54, 0.1);
+          expect(lat).to.be.closeTo(47.37, 0.1);
+        })
+        .end(done);
+    });
+
+    it('must exist', async function () {
+      let error;
+      try {
+        await openGeoPackageSource(path.join(dir, 'layers.gpkg'), {
+          features: ['roads'],
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).to.match(/^Missing feature tables in .*: roads$/);
+    });
+  });
+});
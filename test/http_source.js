@@ -0,0 +1,173 @@
+import fsp from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { openHTTPSource } from '../src/http_source.js';
+
+describe('Remote tile services', function () {
+  let upstream;
+  let template;
+  let root;
+  let requests;
+  let respond;
+
+  before(function (done) {
+    upstream = http.createServer(function (req, res) {
+      requests.push(req);
+      respond(req, res);
+    });
+    upstream.listen(0, '127.0.0.1', function () {
+      template = `http://127.0.0.1:${upstream.address().port}/{z}/{x}/{y}.png`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    upstream.close(done);
+  });
+
+  beforeEach(async function () {
+    requests = [];
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), 'http-source-'));
+  });
+
+  afterEach(async function () {
+    await fsp.rm(root, { recursive: true, force: true });
+  });
+
+  const open = function (options) {
+    return openHTTPSource(template, { root, id: 'remote', ...options });
+  };
+
+  it('caches tiles on disk only if enabled', async function () {
+    respond = function (req, res) {
+      res.writeHead(200, { 'Cache-Control': 'max-age=60' });
+      res.end(req.url);
+    };
+    const uncached = await open({});
+    await uncached.getTile(1, 0, 1);
+    await uncached.getTile(1, 0, 1);
+    expect(requests).to.have.length(2);
+    expect(await fsp.readdir(root)).to.have.length(0);
+
+    requests = [];
+    const cached = await open({ cache: true });
+    const tile = await cached.getTile(1, 0, 1);
+    const hit = await cached.getTile(1, 0, 1);
+    expect(requests).to.have.length(1);
+    expect(requests[0].url).to.equal('/1/0/1.png');
+    expect(hit.data.toString()).to.equal('/1/0/1.png');
+    expect(hit.data).to.deep.equal(tile.data);
+    expect(hit.headers['Content-Type']).to.equal('image/png');
+    expect(await fsp.readdir(path.join(root, 'http_cache'))).to.deep.equal([
+      'remote',
+    ]);
+  });
+
+  it('revalidates expired tiles with their ETag', async function () {
+    respond = function (req, res) {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304, { 'Cache-Control': 'no-cache' });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Cache-Control': 'no-cache', ETag: '"v1"' });
+      res.end('tile');
+    };
+    const source = await open({ cache: true });
+    await source.getTile(0, 0, 0);
+    const tile = await source.getTile(0, 0, 0);
+    expect(requests).to.have.length(2);
+    expect(requests[1].headers['if-none-match']).to.equal('"v1"');
+    expect(tile.data.toString()).to.equal('tile');
+  });
+
+  it('revalidates expired tiles with their Last-Modified date', async function () {
+    const lastModified = new Date(0).toUTCString();
+    respond = function (req, res) {
+      if (req.headers['if-modified-since'] === lastModified) {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      res.writeHead(200, {
+        'Cache-Control': 'max-age=0',
+        'Last-Modified': lastModified,
+      });
+      res.end('tile');
+    };
+    const source = await open({ cache: { ttl: 0 } });
+    await source.getTile(0, 0, 0);
+    const tile = await source.getTile(0, 0, 0);
+    expect(requests).to.have.length(2);
+    expect(requests[1].headers['if-modified-since']).to.equal(lastModified);
+    expect(tile.data.toString()).to.equal('tile');
+  });
+
+  it('serves stale tiles while the service fails', async function () {
+    respond = function (req, res) {
+      res.writeHead(200, { 'Cache-Control': 'max-age=0' });
+      res.end('tile');
+    };
+    const source = await open({ cache: { staleIfError: 60 } });
+    await source.getTile(0, 0, 0);
+    respond = function (req, res) {
+      res.writeHead(503);
+      res.end();
+    };
+    const tile = await source.getTile(0, 0, 0);
+    expect(requests).to.have.length(2);
+    expect(tile.data.toString()).to.equal('tile');
+  });
+
+  it('fails if the service fails without a usable cached tile', async function () {
+    respond = function (req, res) {
+      res.writeHead(200, {
+        'Cache-Control': 'max-age=0, must-revalidate',
+      });
+      res.end('tile');
+    };
+    const source = await open({ cache: true });
+    await source.getTile(0, 0, 0);
+    respond = function (req, res) {
+      res.writeHead(503);
+      res.end();
+    };
+    let error;
+    try {
+      await source.getTile(0, 0, 0);
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal(
+      'Failed to fetch tile 0/0/0 of "remote": HTTP 503',
+    );
+  });
+
+  it('returns no tile for missing tiles', async function () {
+    respond = function (req, res) {
+      res.writeHead(404);
+      res.end();
+    };
+    const source = await open({});
+    expect(await source.getTile(0, 0, 0)).to.equal(null);
+  });
+
+  it('uses the configured zoom levels', async function () {
+    const source = await open({ minzoom: 2, maxzoom: 19 });
+    expect(source.getInfo()).to.include({
+      format: 'png',
+      minzoom: 2,
+      maxzoom: 19,
+    });
+    expect((await open({})).getInfo()).to.include({ minzoom: 0, maxzoom: 22 });
+
+    let error;
+    try {
+      await open({ minzoom: 5, maxzoom: 4 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.match(/^Invalid minzoom or maxzoom/);
+  });
+});
@@ -74,4 +74,22 @@ describe('Metadata', function () {
 
   testTileJSON('/styles/test-style.json');
   testTileJSON('/data/openmaptiles.json');
+
+  describe('/data/openmaptiles.json?layers=water&fields=class', function () {
+    it('advertises the filtered vector_layers', function (done) {
+      supertest(app)
+        .get('/data/openmaptiles.json?layers=water&fields=class')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.vector_layers.length).to.be.equal(1);
+          expect(res.body.vector_layers[0].id).to.be.equal('water');
+          expect(Object.keys(res.body.vector_layers[0].fields)).to.be.eql([
+            'class',
+          ]);
+          expect(res.body.tiles[0]).to.contain('layers=water');
+          expect(res.body.tiles[0]).to.contain('fields=class');
+        })
+        .end(done);
+    });
+  });
 });
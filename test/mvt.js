@@ -0,0 +1,378 @@
+import fsp from 'node:fs/promises';
+import { VectorTile } from '@mapbox/vector-tile';
+import { fromVectorTileJs } from '@maplibre/vt-pbf';
+import Pbf from 'pbf';
+import { transformVectorTile } from '../src/mvt.js';
+import {
+  createDataApp,
+  createDataDir,
+  parseBuffer,
+  writeDataFile,
+} from './support/data.js';
+
+const POINT = 1;
+const LINE = 2;
+const POLYGON = 3;
+
+/**
+ * Encodes a vector tile with one layer `shapes` of extent 4096.
+ * @param {Array<{type: number, geometry: number[][][]}>} features - The features, with their
+ *   geometry as lists of [x, y] points in tile coordinates.
+ * @returns {Buffer} - The vector tile.
+ */
+const encodeTile = function (features) {
+  const encoded = features.map(({ type, geometry }, i) => ({
+    id: i + 1,
+    type,
+    properties: { name: `shape ${i + 1}`, kind: 'test' },
+    loadGeometry: () =>
+      geometry.map((line) => line.map(([x, y]) => ({ x, y }))),
+  }));
+  return Buffer.from(
+    fromVectorTileJs({
+      layers: {
+        shapes: {
+          name: 'shapes',
+          version: 2,
+          extent: 4096,
+          length: features.length,
+          feature: (i) => encoded.at(i),
+        },
+      },
+    }),
+  );
+};
+
+/**
+ * Decodes the features of the layer `shapes` of a vector tile.
+ * @param {Buffer} data - The vector tile.
+ * @returns {Array<{id: number, properties: object, geometry: number[][][]}>} - The features.
+ */
+const decodeTile = function (data) {
+  const layer = new VectorTile(new Pbf(data)).layers.shapes;
+  const features = [];
+  for (let i = 0; i < (layer?.length ?? 0); i++) {
+    const feature = layer.feature(i);
+    features.push({
+      id: feature.id,
+      properties: feature.properties,
+      geometry: feature
+        .loadGeometry()
+        .map((line) => line.map(({ x, y }) => [x, y])),
+    });
+  }
+  return features;
+};
+
+const square = function (min, max) {
+  return [
+    [min, min],
+    [max, min],
+    [max, max],
+    [min, max],
+    [min, min],
+  ];
+};
+
+/**
+ * Returns the points of a closed ring from its lowest point, to compare rings
+ * regardless of where the clipping started them.
+ * @param {number[][]} ring - The closed ring.
+ * @returns {number[][]} - The ring without its closing point, rotated.
+ */
+const normalizeRing = function (ring) {
+  const points = ring.slice(0, -1);
+  let start = 0;
+  points.forEach(([x, y], i) => {
+    const [minX, minY] = points.at(start);
+    if (y < minY || (y === minY && x < minX)) start = i;
+  });
+  return [...points.slice(start), ...points.slice(0, start)];
+};
+
+describe('Vector tile overzoom', function () {
+  const overzoom = function (features, dx, dy, buffer = 0) {
+    return decodeTile(
+      transformVectorTile(encodeTile(features), {
+        overzoom: { dz: 1, dx, dy, buffer },
+      }),
+    );
+  };
+
+  it('scales and keeps the points inside of the tile', function () {
+    const features = overzoom(
+      [
+        { type: POINT, geometry: [[[1000, 1000]]] },
+        { type: POINT, geometry: [[[3000, 1000]]] },
+        {
+          type: POINT,
+          geometry: [[[500, 1500]], [[2500, 500]]],
+        },
+      ],
+      0,
+      0,
+    );
+    expect(features.map((feature) => feature.geometry)).to.deep.equal([
+      [[[2000, 2000]]],
+      [[[1000, 3000]]],
+    ]);
+    expect(features.map((feature) => feature.id)).to.deep.equal([1, 3]);
+  });
+
+  it('clips lines at the edges of the tile', function () {
+    const [feature] = overzoom(
+      [
+        {
+          type: LINE,
+          geometry: [
+            [
+              [1000, 1000],
+              [3000, 1000],
+            ],
+          ],
+        },
+      ],
+      0,
+      0,
+    );
+    expect(feature.geometry).to.deep.equal([
+      [
+        [2000, 2000],
+        [4096, 2000],
+      ],
+    ]);
+  });
+
+  it('splits lines leaving and entering the tile', function () {
+    const [feature] = overzoom(
+      [
+        {
+          type: LINE,
+          geometry: [
+            [
+              [500, 500],
+              [3000, 500],
+              [3000, 1500],
+              [500, 1500],
+            ],
+          ],
+        },
+      ],
+      0,
+      0,
+    );
+    expect(feature.geometry).to.deep.equal([
+      [
+        [1000, 1000],
+        [4096, 1000],
+      ],
+      [
+        [4096, 3000],
+        [1000, 3000],
+      ],
+    ]);
+  });
+
+  it('clips diagonal lines crossing the tile', function () {
+    const [feature] = overzoom(
+      [
+        {
+          type: LINE,
+          geometry: [
+            [
+              [-1024, 1024],
+              [3072, 3072],
+            ],
+          ],
+        },
+      ],
+      0,
+      0,
+    );
+    expect(feature.geometry).to.deep.equal([
+      [
+        [0, 3072],
+        [2048, 4096],
+      ],
+    ]);
+  });
+
+  it('keeps the buffer around the tile', function () {
+    const [feature] = overzoom(
+      [
+        {
+          type: LINE,
+          geometry: [
+            [
+              [1000, 1000],
+              [3000, 1000],
+            ],
+          ],
+        },
+      ],
+      0,
+      0,
+      64,
+    );
+    expect(feature.geometry).to.deep.equal([
+      [
+        [2000, 2000],
+        [4160, 2000],
+      ],
+    ]);
+  });
+
+  it('removes lines outside of the tile', function () {
+    const features = overzoom(
+      [
+        {
+          type: LINE,
+          geometry: [
+            [
+              [3000, 3000],
+              [4000, 3500],
+            ],
+          ],
+        },
+      ],
+      0,
+      0,
+    );
+    expect(features).to.have.length(0);
+  });
+
+  it('clips polygons to closed rings', function () {
+    const [feature] = overzoom(
+      [{ type: POLYGON, geometry: [square(1000, 3000)] }],
+      0,
+      0,
+    );
+    const [ring] = feature.geometry;
+    expect(ring[0]).to.deep.equal(ring[ring.length - 1]);
+    expect(normalizeRing(ring)).to.deep.equal(
+      normalizeRing(square(2000, 4096)),
+    );
+  });
+
+  it('clips the holes of polygons', function () {
+    const [feature] = overzoom(
+      [
+        {
+          type: POLYGON,
+          geometry: [square(0, 4096), square(1000, 3000).reverse()],
+        },
+      ],
+      1,
+      1,
+    );
+    expect(feature.geometry).to.have.length(2);
+    expect(normalizeRing(feature.geometry[0])).to.deep.equal(
+      normalizeRing(square(0, 4096)),
+    );
+    expect(normalizeRing(feature.geometry[1])).to.deep.equal(
+      normalizeRing(square(0, 1904).reverse()),
+    );
+  });
+
+  it('removes holes outside of the tile', function () {
+    const [feature] = overzoom(
+      [
+        {
+          type: POLYGON,
+          geometry: [square(0, 4096), square(2500, 3500).reverse()],
+        },
+      ],
+      0,
+      0,
+    );
+    expect(feature.geometry).to.have.length(1);
+    expect(normalizeRing(feature.geometry[0])).to.deep.equal(
+      normalizeRing(square(0, 4096)),
+    );
+  });
+
+  it('removes holes of polygons outside of the tile', function () {
+    const features = overzoom(
+      [
+        {
+          type: POLYGON,
+          geometry: [square(2500, 4000), square(3000, 3500).reverse()],
+        },
+        { type: POLYGON, geometry: [square(0, 1000)] },
+      ],
+      0,
+      0,
+    );
+    expect(features).to.have.length(1);
+    expect(features[0].id).to.equal(2);
+    expect(features[0].geometry).to.have.length(1);
+  });
+
+  it('filters layers and fields', function () {
+    const data = encodeTile([{ type: POINT, geometry: [[[1000, 1000]]] }]);
+    const [feature] = decodeTile(
+      transformVectorTile(data, {
+        fields: ['name'],
+        overzoom: { dz: 1, dx: 0, dy: 0 },
+      }),
+    );
+    expect(feature.properties).to.deep.equal({ name: 'shape 1' });
+    expect(
+      decodeTile(transformVectorTile(data, { layers: ['other'] })),
+    ).to.have.length(0);
+  });
+
+  describe('of data sources', function () {
+    let dir;
+    let dataApp;
+
+    before(async function () {
+      dir = await createDataDir();
+      await writeDataFile(
+        dir,
+        'shapes/0/0/0.pbf',
+        encodeTile([
+          {
+            type: LINE,
+            geometry: [
+              [
+                [1000, 1000],
+                [3000, 1000],
+              ],
+            ],
+          },
+        ]),
+      );
+      ({ app: dataApp } = await createDataApp(dir, {
+        shapes: { xyz: 'shapes', overzoom: 2 },
+      }));
+    });
+
+    after(async function () {
+      await fsp.rm(dir, { recursive: true, force: true });
+    });
+
+    it('cut out the tiles above their maxzoom', function (done) {
+      supertest(dataApp)
+        .get('/data/shapes/1/0/0.pbf')
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200)
+        .expect('Content-Type', 'application/x-protobuf')
+        .expect(function (res) {
+          const [feature] = decodeTile(res.body);
+          expect(feature.geometry).to.deep.equal([
+            [
+              [2000, 2000],
+              [4160, 2000],
+            ],
+          ]);
+        })
+        .end(done);
+    });
+
+    it('return no tiles above the overzoom', function (done) {
+      supertest(dataApp).get('/data/shapes/3/0/0.pbf').expect(404).end(done);
+    });
+  });
+});
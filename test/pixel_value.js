@@ -0,0 +1,63 @@
+import { getValueMapping, mapPixelValue } from '../src/pixel_value.js';
+
+describe('Pixel values', function () {
+  it('have a mapping with defaults', function () {
+    expect(getValueMapping(undefined)).to.equal(null);
+    expect(getValueMapping({})).to.deep.equal({
+      channel: 'r',
+      classes: null,
+      scale: 1,
+      offset: 0,
+      nodata: null,
+    });
+  });
+
+  it('reject invalid mappings', function () {
+    expect(() => getValueMapping({ channel: 'hue' })).to.throw(
+      /^Invalid valueMapping.channel/,
+    );
+    expect(() => getValueMapping({ classes: ['water'] })).to.throw(
+      /^Invalid valueMapping.classes/,
+    );
+    expect(() => getValueMapping({ scale: 'large' })).to.throw(
+      /^Invalid valueMapping.scale/,
+    );
+  });
+
+  it('are looked up in the classes', function () {
+    const mapping = getValueMapping({
+      classes: { 10: 'Tree cover', 80: 'Permanent water bodies' },
+      nodata: 0,
+    });
+    expect(mapPixelValue(mapping, [10, 0, 0, 255])).to.deep.equal({
+      raw: 10,
+      value: 'Tree cover',
+    });
+    expect(mapPixelValue(mapping, [20, 0, 0, 255])).to.deep.equal({
+      raw: 20,
+      value: null,
+    });
+    expect(mapPixelValue(mapping, [0, 0, 0, 255])).to.deep.equal({
+      raw: 0,
+      value: null,
+    });
+  });
+
+  it('are scaled', function () {
+    const mapping = getValueMapping({ channel: 'g', scale: 0.5, offset: -10 });
+    expect(mapPixelValue(mapping, [1, 100, 3, 255])).to.deep.equal({
+      raw: 100,
+      value: 40,
+    });
+    const rgb = getValueMapping({ channel: 'rgb', scale: 0.01 });
+    expect(mapPixelValue(rgb, [1, 2, 3, 255]).raw).to.equal(65536 + 512 + 3);
+  });
+
+  it('are missing for transparent pixels', function () {
+    const mapping = getValueMapping({ channel: 'a' });
+    expect(mapPixelValue(mapping, [10, 10, 10, 0])).to.deep.equal({
+      raw: 0,
+      value: null,
+    });
+  });
+});
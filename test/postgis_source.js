@@ -0,0 +1,253 @@
+import { VectorTile } from '@mapbox/vector-tile';
+import Pbf from 'pbf';
+import pg from 'pg';
+import {
+  getPostGISLayers,
+  openPostGISSource,
+  prepareLayer,
+} from '../src/postgis_source.js';
+
+const GEOMETRY_TYPE = 90001;
+
+/**
+ * A pool answering the queries of `prepareLayer` like PostGIS would for a table with
+ * the columns id (int4), name (text), open (bool) and geom (geometry).
+ * @param {number} srid - The SRID of the geometries.
+ * @returns {{query: function(string): Promise<object>, queries: string[]}} - The pool and the queries it received.
+ */
+const createPool = function (srid) {
+  const queries = [];
+  return {
+    queries,
+    query: async function (sql) {
+      queries.push(sql);
+      if (sql.includes('LIMIT 0')) {
+        return {
+          fields: [
+            { name: 'id', dataTypeID: 23 },
+            { name: 'name', dataTypeID: 25 },
+            { name: 'open', dataTypeID: 16 },
+            { name: 'geom', dataTypeID: GEOMETRY_TYPE },
+          ],
+        };
+      }
+      return { rows: [{ srid }] };
+    },
+  };
+};
+
+const prepare = function (layer, srid = 4326) {
+  const pool = createPool(srid);
+  const [options] = getPostGISLayers([layer]);
+  return prepareLayer(pool, options, [GEOMETRY_TYPE]).then((prepared) => ({
+    ...prepared,
+    queries: pool.queries,
+  }));
+};
+
+const expectError = async function (fn, message) {
+  let error;
+  try {
+    await fn();
+  } catch (err) {
+    error = err;
+  }
+  expect(error?.message).to.match(message);
+};
+
+describe('PostGIS layers', function () {
+  it('have defaults', function () {
+    expect(getPostGISLayers([{ id: 'roads', table: 'roads' }])).to.deep.equal([
+      {
+        id: 'roads',
+        table: 'roads',
+        sql: undefined,
+        geometry: undefined,
+        columns: undefined,
+        idColumn: undefined,
+        srid: undefined,
+        minzoom: 0,
+        maxzoom: 14,
+        buffer: 64,
+      },
+    ]);
+  });
+
+  it('are rejected if invalid', async function () {
+    const invalid = [
+      [undefined, /^Invalid layers/],
+      [[], /^Invalid layers/],
+      [[{ table: 'roads' }], /^Invalid layer id/],
+      [
+        [
+          { id: 'roads', table: 'roads' },
+          { id: 'roads', table: 'streets' },
+        ],
+        /Duplicate id/,
+      ],
+      [[{ id: 'roads' }], /Must have either table or sql/],
+      [
+        [{ id: 'roads', table: 'roads', sql: 'SELECT * FROM roads' }],
+        /Must have either table or sql/,
+      ],
+      [[{ id: 'roads', table: 'roads', maxzoom: 25 }], /minzoom and maxzoom/],
+      [
+        [{ id: 'roads', table: 'roads', minzoom: 10, maxzoom: 8 }],
+        /minzoom and maxzoom/,
+      ],
+      [[{ id: 'roads', table: 'roads', columns: 'name' }], /columns must be/],
+    ];
+    for (const [config, message] of invalid) {
+      await expectError(() => getPostGISLayers(config), message);
+    }
+  });
+});
+
+describe('PostGIS tile queries', function () {
+  it('quote the names of tables and columns', async function () {
+    const { query, queries } = await prepare({
+      id: "it's",
+      table: 'my schema.ro"ads',
+    });
+    expect(queries[0]).to.equal(
+      'SELECT * FROM "my schema"."ro""ads" AS t LIMIT 0',
+    );
+    expect(query).to.include(`ST_AsMVT(q, 'it''s', 4096, 'mvt_geometry')`);
+    expect(query).to.include(', t."id", t."name", t."open" FROM');
+    expect(query).to.include(' FROM "my schema"."ro""ads" AS t WHERE ');
+  });
+
+  it('wrap sql queries', async function () {
+    const { query } = await prepare({
+      id: 'roads',
+      sql: 'SELECT * FROM roads WHERE open',
+    });
+    expect(query).to.include(' FROM (SELECT * FROM roads WHERE open) AS t ');
+  });
+
+  it('transform geometries into web mercator', async function () {
+    const { query } = await prepare({ id: 'roads', table: 'roads' }, 2056);
+    expect(query).to.include(
+      'ST_AsMVTGeom(ST_Transform(t."geom"::geometry, 3857), ST_TileEnvelope($1, $2, $3), 4096, 64, true)',
+    );
+    expect(query).to.include(
+      'WHERE t."geom"::geometry && ST_Transform(ST_TileEnvelope($1, $2, $3, margin => 0.015625), 2056)',
+    );
+  });
+
+  it('use geometries in web mercator as they are', async function () {
+    const { query, queries } = await prepare(
+      { id: 'roads', table: 'roads', buffer: 256 },
+      3857,
+    );
+    expect(queries).to.have.length(2);
+    expect(query).to.not.include('ST_Transform');
+    expect(query).to.include(
+      'ST_AsMVTGeom(t."geom"::geometry, ST_TileEnvelope($1, $2, $3), 4096, 256, true)',
+    );
+    expect(query).to.include(
+      'WHERE t."geom"::geometry && ST_TileEnvelope($1, $2, $3, margin => 0.0625)',
+    );
+  });
+
+  it('do not look up configured srids', async function () {
+    const { query, queries } = await prepare({
+      id: 'roads',
+      table: 'roads',
+      srid: 3857,
+    });
+    expect(queries).to.have.length(1);
+    expect(query).to.not.include('ST_Transform');
+  });
+
+  it('use the id column as feature id', async function () {
+    const { query, fields } = await prepare({
+      id: 'roads',
+      table: 'roads',
+      columns: ['name'],
+      idColumn: 'id',
+    });
+    expect(query).to.include(
+      `ST_AsMVT(q, 'roads', 4096, 'mvt_geometry', 'id')`,
+    );
+    expect(query).to.include(', t."name", t."id" FROM');
+    expect(fields).to.deep.equal({ name: 'String' });
+  });
+
+  it('describe the fields of the columns', async function () {
+    const { fields } = await prepare({ id: 'roads', table: 'roads' });
+    expect(fields).to.deep.equal({
+      id: 'Number',
+      name: 'String',
+      open: 'Boolean',
+    });
+  });
+
+  it('are rejected for missing columns', async function () {
+    await expectError(
+      () => prepare({ id: 'roads', table: 'roads', columns: ['width'] }),
+      /^Layer "roads" has no column "width"/,
+    );
+    await expectError(
+      () => prepare({ id: 'roads', table: 'roads', geometry: 'shape' }),
+      /^Layer "roads" has no geometry column "shape"/,
+    );
+  });
+});
+
+// runs against the database configured with the PG* environment variables, if any
+const database = Object.keys(process.env).some((name) => name.startsWith('PG'));
+
+(database ? describe : describe.skip)('PostGIS sources', function () {
+  const table = `tileserver_gl_test_${process.pid}`;
+  let source;
+
+  before(async function () {
+    const client = new pg.Client();
+    await client.connect();
+    try {
+      await client.query(
+        `CREATE TABLE ${table} (id integer, name text, geom geometry(Point, 4326))`,
+      );
+      await client.query(
+        `INSERT INTO ${table} VALUES (1, 'Zurich', ST_SetSRID(ST_MakePoint(8.54, 47.37), 4326))`,
+      );
+    } finally {
+      await client.end();
+    }
+    // the connection is configured with the environment variables as well
+    source = await openPostGISSource(undefined, {
+      layers: [{ id: 'places', table, idColumn: 'id' }],
+    });
+  });
+
+  after(async function () {
+    await source?.pool.query(`DROP TABLE IF EXISTS ${table}`);
+    await source?.close();
+  });
+
+  it('describe their layers', function () {
+    expect(source.getInfo().vector_layers).to.deep.equal([
+      {
+        id: 'places',
+        description: '',
+        minzoom: 0,
+        maxzoom: 14,
+        fields: { name: 'String' },
+      },
+    ]);
+  });
+
+  it('return the features of a tile', async function () {
+    const tile = await source.getTile(8, 134, 89);
+    const layer = new VectorTile(new Pbf(tile.data)).layers.places;
+    expect(layer.length).to.equal(1);
+    const feature = layer.feature(0);
+    expect(feature.id).to.equal(1);
+    expect(feature.properties).to.deep.equal({ name: 'Zurich' });
+  });
+
+  it('return no tile without features', async function () {
+    expect(await source.getTile(8, 0, 0)).to.equal(null);
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  createLayerJson,
+  getGeographicTileBounds,
+  getQuantizedMeshOptions,
+} from '../src/quantized_mesh.js';
+
+describe('Quantized-mesh tiles', function () {
+  it('have geographic bounds', function () {
+    expect(getGeographicTileBounds(0, 0, 0)).to.deep.equal([-180, -90, 0, 90]);
+    expect(getGeographicTileBounds(0, 1, 0)).to.deep.equal([0, -90, 180, 90]);
+    // rows are counted from the south
+    expect(getGeographicTileBounds(2, 4, 2)).to.deep.equal([0, 0, 45, 45]);
+    expect(getGeographicTileBounds(2, 7, 3)).to.deep.equal([135, 45, 180, 90]);
+  });
+
+  it('have options', function () {
+    const tileJSON = { maxzoom: 12, bounds: [8, 47, 9, 48] };
+    expect(getQuantizedMeshOptions(undefined, tileJSON)).to.deep.equal({
+      gridSize: 65,
+      maxzoom: 12,
+      bounds: [8, 47, 9, 48],
+    });
+    expect(
+      getQuantizedMeshOptions({ gridSize: 33, maxzoom: 14 }, { maxzoom: 12 }),
+    ).to.deep.equal({
+      gridSize: 33,
+      maxzoom: 14,
+      bounds: [-180, -90, 180, 90],
+    });
+    expect(getQuantizedMeshOptions(false, tileJSON)).to.equal(null);
+    expect(() => getQuantizedMeshOptions({ gridSize: 1 }, tileJSON)).to.throw(
+      /^Invalid quantizedMesh.gridSize/,
+    );
+  });
+
+  it('describe the available tiles', function () {
+    const layer = createLayerJson(
+      { name: 'Terrain', attribution: '© Terrain' },
+      { gridSize: 65, maxzoom: 2, bounds: [8, 47, 9, 48] },
+    );
+    expect(layer).to.include({
+      tilejson: '2.1.0',
+      name: 'Terrain',
+      description: '',
+      format: 'quantized-mesh-1.0',
+      attribution: '© Terrain',
+      scheme: 'tms',
+      projection: 'EPSG:4326',
+      minzoom: 0,
+      maxzoom: 2,
+    });
+    expect(layer.tiles).to.deep.equal(['{z}/{x}/{y}.terrain']);
+    expect(layer.extensions).to.deep.equal(['octvertexnormals']);
+    expect(layer.available).to.deep.equal([
+      [{ startX: 1, startY: 0, endX: 1, endY: 0 }],
+      [{ startX: 2, startY: 1, endX: 2, endY: 1 }],
+      [{ startX: 4, startY: 3, endX: 4, endY: 3 }],
+    ]);
+  });
+
+  it('cover the whole world without bounds', function () {
+    const layer = createLayerJson(
+      { name: 'World' },
+      getQuantizedMeshOptions({ maxzoom: 1 }, {}),
+    );
+    expect(layer.available).to.deep.equal([
+      [{ startX: 0, startY: 0, endX: 1, endY: 0 }],
+      [{ startX: 0, startY: 0, endX: 3, endY: 1 }],
+    ]);
+  });
+});
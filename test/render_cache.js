@@ -0,0 +1,234 @@
+import express from 'express';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { RenderCache, createPurgeHandler } from '../src/render_cache.js';
+import { createDataDir } from './support/data.js';
+
+const modified = 'Mon, 01 Jan 2024 00:00:00 GMT';
+
+const tileKey = function (cache, z, x, y, lastModified = modified) {
+  return cache.tileKey('style', lastModified, 256, 1, 'png', z, x, y);
+};
+
+const listFiles = async function (dir) {
+  const entries = await fsp.readdir(dir, { recursive: true });
+  const files = [];
+  for (const entry of entries) {
+    if ((await fsp.stat(path.join(dir, entry))).isFile()) {
+      files.push(entry.split(path.sep).join('/'));
+    }
+  }
+  return files.sort();
+};
+
+describe('Render cache', function () {
+  let dir;
+
+  beforeEach(async function () {
+    dir = await createDataDir();
+  });
+
+  afterEach(async function () {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  it('returns cached images', async function () {
+    const cache = new RenderCache({}, dir);
+    const key = tileKey(cache, 1, 0, 1);
+    expect(await cache.get(key)).to.equal(null);
+    await cache.set(key, Buffer.from('tile'));
+    expect((await cache.get(key)).toString()).to.equal('tile');
+    expect(await cache.get(tileKey(cache, 1, 1, 1))).to.equal(null);
+    expect(
+      await cache.get(tileKey(cache, 1, 0, 1, 'Tue, 02 Jan 2024 00:00:00 GMT')),
+    ).to.equal(null);
+  });
+
+  it('does not cache other formats', function () {
+    const cache = new RenderCache({}, dir);
+    expect(cache.tileKey('style', modified, 256, 1, 'pbf', 0, 0, 0)).to.equal(
+      null,
+    );
+    expect(cache.staticKey('style', modified, '/static', 'jpg')).to.include({
+      format: 'jpeg',
+    });
+  });
+
+  it('evicts the least recently used images', async function () {
+    const cache = new RenderCache({ memory: { maxItems: 2 } }, dir);
+    const keys = [0, 1, 2].map((x) => tileKey(cache, 2, x, 0));
+    await cache.set(keys[0], Buffer.from('0'));
+    await cache.set(keys[1], Buffer.from('1'));
+    await cache.get(keys[0]);
+    await cache.set(keys[2], Buffer.from('2'));
+    expect(await cache.get(keys[1])).to.equal(null);
+    expect((await cache.get(keys[0])).toString()).to.equal('0');
+    expect((await cache.get(keys[2])).toString()).to.equal('2');
+  });
+
+  it('evicts images beyond the memory size', async function () {
+    const cache = new RenderCache({ memory: { maxSize: 10 } }, dir);
+    const keys = [0, 1].map((x) => tileKey(cache, 2, x, 0));
+    await cache.set(keys[0], Buffer.alloc(6));
+    await cache.set(keys[1], Buffer.alloc(6));
+    expect(cache.size).to.equal(6);
+    expect(await cache.get(keys[0])).to.equal(null);
+    expect(await cache.get(keys[1])).to.have.length(6);
+  });
+
+  it('expires images after their time to live', async function () {
+    const cache = new RenderCache({ ttl: 60 }, dir);
+    const key = tileKey(cache, 0, 0, 0);
+    cache.remember(key, Buffer.from('old'), Date.now() - 61000);
+    expect(await cache.get(key)).to.equal(null);
+    cache.remember(key, Buffer.from('new'), Date.now() - 59000);
+    expect((await cache.get(key)).toString()).to.equal('new');
+    expect(await cache.get(key, 30)).to.equal(null);
+  });
+
+  it('reads images from the disk', async function () {
+    const config = { disk: { path: 'cache' } };
+    const previous = new RenderCache(config, dir);
+    await previous.set(tileKey(previous, 3, 4, 2), Buffer.from('tile'));
+    const cache = new RenderCache(config, dir);
+    const data = await cache.get(tileKey(cache, 3, 4, 2));
+    expect(data.toString()).to.equal('tile');
+  });
+
+  it('removes the images of older versions of a style from the disk', async function () {
+    const cache = new RenderCache({ disk: { path: 'cache' } }, dir);
+    const newer = 'Tue, 02 Jan 2024 00:00:00 GMT';
+    await cache.set(tileKey(cache, 0, 0, 0), Buffer.from('old'));
+    await cache.set(
+      cache.staticKey('style', modified, '/static/0,0,1/10x10.png', 'png'),
+      Buffer.from('old'),
+    );
+    await cache.set(
+      cache.tileKey('other', modified, 256, 1, 'png', 0, 0, 0),
+      Buffer.from('other'),
+    );
+    const oldFiles = await listFiles(path.join(dir, 'cache'));
+    expect(oldFiles).to.have.length(3);
+
+    await cache.set(tileKey(cache, 1, 0, 0, newer), Buffer.from('new'));
+    // images rendered with the previous version afterwards are not stored
+    await cache.set(tileKey(cache, 1, 1, 0), Buffer.from('old'));
+    const files = await listFiles(path.join(dir, 'cache'));
+    expect(files).to.deep.equal([
+      oldFiles.find((file) => file.startsWith('other/')),
+      tileKey(cache, 1, 0, 0, newer).file.split(path.sep).join('/'),
+    ]);
+  });
+
+  it('removes the images of other versions left by previous runs', async function () {
+    const config = { disk: { path: 'cache' } };
+    const previous = new RenderCache(config, dir);
+    await previous.set(tileKey(previous, 0, 0, 0), Buffer.from('old'));
+    const cache = new RenderCache(config, dir);
+    const key = tileKey(cache, 0, 0, 0, 'Tue, 02 Jan 2024 00:00:00 GMT');
+    await cache.set(key, Buffer.from('new'));
+    expect(await listFiles(path.join(dir, 'cache'))).to.deep.equal([
+      key.file.split(path.sep).join('/'),
+    ]);
+  });
+
+  for (const disk of [false, true]) {
+    describe(`purge (${disk ? 'disk' : 'memory'})`, function () {
+      let cache;
+
+      beforeEach(async function () {
+        cache = new RenderCache(disk ? { disk: { path: 'cache' } } : {}, dir);
+        // zoom 0, zoom 3 in Europe and in America, and a static image
+        await cache.set(tileKey(cache, 0, 0, 0), Buffer.from('a'));
+        await cache.set(tileKey(cache, 3, 4, 2), Buffer.from('b'));
+        await cache.set(tileKey(cache, 3, 1, 2), Buffer.from('c'));
+        await cache.set(
+          cache.staticKey('style', modified, '/static', 'png'),
+          Buffer.from('d'),
+        );
+      });
+
+      it('removes all images of a style', async function () {
+        expect(await cache.purge('style')).to.equal(4);
+        expect(await cache.get(tileKey(cache, 0, 0, 0))).to.equal(null);
+        expect(
+          await cache.get(cache.staticKey('style', modified, '/static', 'png')),
+        ).to.equal(null);
+        expect(await cache.purge('other')).to.equal(0);
+      });
+
+      it('removes the tiles of a zoom range', async function () {
+        expect(await cache.purge('style', { minzoom: 1, maxzoom: 3 })).to.equal(
+          2,
+        );
+        expect(await cache.get(tileKey(cache, 0, 0, 0))).to.not.equal(null);
+        expect(await cache.get(tileKey(cache, 3, 4, 2))).to.equal(null);
+      });
+
+      it('removes the tiles in a bbox', async function () {
+        expect(await cache.purge('style', { bbox: [5, 45, 10, 48] })).to.equal(
+          2,
+        );
+        expect(await cache.get(tileKey(cache, 3, 4, 2))).to.equal(null);
+        expect(await cache.get(tileKey(cache, 3, 1, 2))).to.not.equal(null);
+        expect(
+          await cache.get(cache.staticKey('style', modified, '/static', 'png')),
+        ).to.not.equal(null);
+      });
+    });
+  }
+
+  describe('purge endpoint', function () {
+    let purgeApp;
+
+    beforeEach(async function () {
+      const cache = new RenderCache({}, dir);
+      await cache.set(tileKey(cache, 0, 0, 0), Buffer.from('a'));
+      purgeApp = express();
+      purgeApp.delete(
+        '/:id/cache',
+        createPurgeHandler(cache, { style: {} }, 'secret'),
+      );
+    });
+
+    it('requires a token', function (done) {
+      supertest(purgeApp)
+        .delete('/style/cache')
+        .expect(401)
+        .expect('WWW-Authenticate', 'Bearer')
+        .end(done);
+    });
+
+    it('rejects other tokens', function (done) {
+      supertest(purgeApp)
+        .delete('/style/cache')
+        .set('Authorization', 'Bearer wrong')
+        .expect(403)
+        .end(done);
+    });
+
+    it('returns 404 for unknown styles', function (done) {
+      supertest(purgeApp)
+        .delete('/other/cache')
+        .set('Authorization', 'Bearer secret')
+        .expect(404)
+        .end(done);
+    });
+
+    it('rejects invalid filters', function (done) {
+      supertest(purgeApp)
+        .delete('/style/cache?bbox=1,2,3')
+        .set('Authorization', 'Bearer secret')
+        .expect(400)
+        .end(done);
+    });
+
+    it('returns the number of removed images', function (done) {
+      supertest(purgeApp)
+        .delete('/style/cache?maxzoom=2')
+        .set('Authorization', 'Bearer secret')
+        .expect(200, { removed: 1 })
+        .end(done);
+    });
+  });
+});
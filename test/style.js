@@ -10,6 +10,23 @@ const testIs = function (url, type, status) {
   );
 };
 
+const testNotModified = function (url) {
+  it(url + ' returns 304 for a matching If-None-Match', function (done) {
+    supertest(app)
+      .get(url)
+      .expect(200)
+      .expect('Last-Modified', /GMT$/)
+      .end(function (err, res) {
+        if (err) return done(err);
+        supertest(app)
+          .get(url)
+          .set('If-None-Match', res.headers['etag'])
+          .expect(304)
+          .end(done);
+      });
+  });
+};
+
 const prefix = 'test-style';
 
 describe('Styles', function () {
@@ -51,6 +68,12 @@ describe('Styles', function () {
     testIs('/styles/' + prefix + '/sprite/default.png', /image\/png/);
     testIs('/styles/' + prefix + '/sprite/default@2x.png', /image\/png/);
   });
+
+  describe('conditional requests', function () {
+    testNotModified('/styles/' + prefix + '/style.json');
+    testNotModified('/styles/' + prefix + '/sprite.png');
+    testNotModified('/fonts/Open Sans Bold/0-255.pbf');
+  });
 });
 
 describe('Fonts', function () {
@@ -0,0 +1,250 @@
+import express from 'express';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import util from 'node:util';
+import { writeArrayBuffer } from 'geotiff';
+import { zxyToTileId } from 'pmtiles';
+import sqlite3 from 'sqlite3';
+import { serve_data } from '../../src/serve_data.js';
+
+// Fixtures of the suites whose assertions depend on the content of the data (elevations,
+// tile sizes, modification times, ...), which the downloaded test_data cannot provide.
+// The files are generated into a temporary directory per suite and served by an app of
+// the data sources alone, no suite writes into test_data or starts another server.
+
+/**
+ * Creates a temporary directory for the data files generated by a test.
+ * @returns {Promise<string>} - The path of the directory.
+ */
+export function createDataDir() {
+  return fsp.mkdtemp(path.join(os.tmpdir(), 'tileserver-gl-test-'));
+}
+
+/**
+ * Creates an app serving data sources under `/data/` like the server does, for
+ * sources generated by the tests instead of the downloaded test data.
+ * @param {string} root - Directory of the data files.
+ * @param {object} data - The data sources by ID, like the `data` of the config.
+ * @param {object} [options] - Further options of the config, e.g. `sparse`.
+ * @returns {Promise<{app: express.Application, repo: object}>} - The app and its data sources.
+ */
+export async function createDataApp(root, data, options = {}) {
+  const repo = {};
+  const config = {
+    ...options,
+    paths: {
+      root,
+      mbtiles: root,
+      pmtiles: root,
+      xyz: root,
+      gpkg: root,
+      cog: root,
+      files: root,
+    },
+  };
+  const programOpts = { publicUrl: '/', verbose: 0 };
+  const app = express();
+  app.use('/data/', serve_data.init(config, repo, programOpts));
+  for (const [id, params] of Object.entries(data)) {
+    await serve_data.add(config, repo, params, id, programOpts);
+  }
+  return { app, repo };
+}
+
+/**
+ * Writes a file of the data directory, e.g. a tile of a tile directory.
+ * @param {string} root - Directory of the data files.
+ * @param {string} file - Path of the file in the directory, e.g. `tiles/0/0/0.png`.
+ * @param {Buffer|string} data - The content of the file.
+ * @param {Date} [mtime] - The modification time of the file.
+ * @returns {Promise<void>}
+ */
+export async function writeDataFile(root, file, data, mtime) {
+  const target = path.join(root, file);
+  await fsp.mkdir(path.dirname(target), { recursive: true });
+  await fsp.writeFile(target, data);
+  if (mtime) {
+    await fsp.utimes(target, mtime, mtime);
+  }
+}
+
+/**
+ * Parses a response body into a buffer, for supertest's `parse`.
+ * @param {object} res - The response stream.
+ * @param {(err: Error|null, body: Buffer) => void} callback - Receives the body.
+ * @returns {void}
+ */
+export function parseBuffer(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('error', callback);
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+/**
+ * Writes a GeoTIFF elevation model in geographic coordinates.
+ * @param {string} file - The path of the GeoTIFF.
+ * @param {object} [options] - The extent and heights of the model.
+ * @param {number[]} [options.bounds] - West, south, east and north edge. Default: 8, 47, 9, 48
+ * @param {number} [options.size] - Width and height in pixels. Default: 64
+ * @param {function(number, number): number} [options.elevation] - Returns the height in meters of a pixel
+ *   from its longitude and latitude. Default: 1000 m everywhere
+ * @returns {Promise<void>}
+ */
+export async function writeDEM(file, options = {}) {
+  const [west, south, east, north] = options.bounds ?? [8, 47, 9, 48];
+  const size = options.size ?? 64;
+  const elevation = options.elevation ?? (() => 1000);
+  const values = new Float32Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      values[row * size + col] = elevation(
+        west + ((col + 0.5) * (east - west)) / size,
+        north - ((row + 0.5) * (north - south)) / size,
+      );
+    }
+  }
+  const tiff = writeArrayBuffer(values, {
+    width: size,
+    height: size,
+    ModelPixelScale: [(east - west) / size, (north - south) / size, 0],
+    ModelTiepoint: [0, 0, 0, west, north, 0],
+    GTModelTypeGeoKey: 2,
+    GTRasterTypeGeoKey: 1,
+    GeographicTypeGeoKey: 4326,
+    BitsPerSample: [32],
+    SampleFormat: [3],
+  });
+  await fsp.writeFile(file, Buffer.from(tiff));
+}
+
+/**
+ * Writes an SQLite database, e.g. an MBTiles or GeoPackage file.
+ * @param {string} file - The path of the database.
+ * @param {Array<Array<string|number|Buffer|null>>} statements - The statements to run, each as
+ *   `[sql, ...params]`.
+ * @returns {Promise<void>}
+ */
+export async function writeDatabase(file, statements) {
+  const db = await new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(file, (err) =>
+      err ? reject(err) : resolve(database),
+    );
+  });
+  try {
+    const run = util.promisify(db.run.bind(db));
+    for (const [sql, ...params] of statements) {
+      await run(sql, ...params);
+    }
+  } finally {
+    await util.promisify(db.close.bind(db))();
+  }
+}
+
+/**
+ * Writes an MBTiles file.
+ * @param {string} file - The path of the MBTiles file.
+ * @param {object} metadata - The rows of the metadata table by name, e.g. `format`.
+ * @param {Array<{z: number, x: number, y: number, data: Buffer}>} tiles - The tiles (xyz scheme).
+ * @returns {Promise<void>}
+ */
+export function writeMBTiles(file, metadata, tiles) {
+  return writeDatabase(file, [
+    ['CREATE TABLE metadata (name TEXT, value TEXT)'],
+    [
+      'CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, ' +
+        'tile_row INTEGER, tile_data BLOB)',
+    ],
+    [
+      'CREATE UNIQUE INDEX tile_index ON tiles (zoom_level, tile_column, tile_row)',
+    ],
+    ...Object.entries(metadata).map(([name, value]) => [
+      'INSERT INTO metadata VALUES (?, ?)',
+      name,
+      String(value),
+    ]),
+    // MBTiles rows are counted from the south
+    ...tiles.map(({ z, x, y, data }) => [
+      'INSERT INTO tiles VALUES (?, ?, ?, ?)',
+      z,
+      x,
+      Math.pow(2, z) - 1 - y,
+      data,
+    ]),
+  ]);
+}
+
+/**
+ * Encodes unsigned integers as protobuf varints, as used by PMTiles directories.
+ * @param {number[]} values - The integers.
+ * @returns {Buffer} - The varints.
+ */
+const encodeVarints = function (values) {
+  const bytes = [];
+  for (let value of values) {
+    while (value >= 0x80) {
+      bytes.push((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Writes an uncompressed PMTiles (v3) file of png tiles with a single root directory.
+ * Equal tiles are not deduplicated, every tile gets its own entry.
+ * @param {string} file - The path of the PMTiles file.
+ * @param {Array<{z: number, x: number, y: number, data: Buffer}>} tiles - The tiles (xyz scheme).
+ * @returns {Promise<void>}
+ */
+export function writePMTiles(file, tiles) {
+  const entries = tiles
+    .map((tile) => ({ ...tile, tileId: zxyToTileId(tile.z, tile.x, tile.y) }))
+    .sort((a, b) => a.tileId - b.tileId);
+  // tile ids as deltas, run lengths, lengths and offsets (0: directly after the previous tile)
+  const directory = encodeVarints([
+    entries.length,
+    ...entries.map((entry, i) => entry.tileId - (entries[i - 1]?.tileId ?? 0)),
+    ...entries.map(() => 1),
+    ...entries.map((entry) => entry.data.length),
+    ...entries.map((entry, i) => (i === 0 ? 1 : 0)),
+  ]);
+  const metadata = Buffer.from('{}');
+  const data = Buffer.concat(entries.map((entry) => entry.data));
+  const zooms = entries.map((entry) => entry.z);
+
+  const header = Buffer.alloc(127);
+  header.write('PMTiles', 0, 'latin1');
+  header.writeUInt8(3, 7);
+  const sections = [
+    [127, directory.length],
+    [127 + directory.length, metadata.length],
+    [127 + directory.length + metadata.length, 0],
+    [127 + directory.length + metadata.length, data.length],
+  ];
+  sections.forEach(([offset, length], i) => {
+    header.writeBigUInt64LE(BigInt(offset), 8 + i * 16);
+    header.writeBigUInt64LE(BigInt(length), 16 + i * 16);
+  });
+  // addressed tiles, tile entries and tile contents
+  for (const offset of [72, 80, 88]) {
+    header.writeBigUInt64LE(BigInt(entries.length), offset);
+  }
+  header.writeUInt8(0, 96); // not clustered
+  header.writeUInt8(1, 97); // no internal compression
+  header.writeUInt8(1, 98); // no tile compression
+  header.writeUInt8(2, 99); // png
+  header.writeUInt8(Math.min(...zooms), 100);
+  header.writeUInt8(Math.max(...zooms), 101);
+  header.writeInt32LE(-1800000000, 102);
+  header.writeInt32LE(-850511287, 106);
+  header.writeInt32LE(1800000000, 110);
+  header.writeInt32LE(850511287, 114);
+  header.writeUInt8(Math.min(...zooms), 118);
+  return fsp.writeFile(
+    file,
+    Buffer.concat([header, directory, metadata, data]),
+  );
+}
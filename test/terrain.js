@@ -0,0 +1,911 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import polyline from '@mapbox/polyline';
+import { VectorTile } from '@mapbox/vector-tile';
+import Pbf from 'pbf';
+import sharp from 'sharp';
+import {
+  DemTileCache,
+  decodeElevation,
+  encodeElevation,
+} from '../src/terrain.js';
+import {
+  createDataApp,
+  createDataDir,
+  parseBuffer,
+  writeDEM,
+} from './support/data.js';
+
+// a line from 1250 m up to 1750 m on the incline, about 37.6 km long
+const line = [
+  [8.25, 47.5],
+  [8.75, 47.5],
+];
+
+/**
+ * Reads the pixels of the row at 47.5°N of the raster tile 7/67/44, as far as it
+ * covers the incline (8.44°E to 9°E).
+ * @param {Buffer} data - The image.
+ * @returns {Promise<number[][]>} - The RGBA values of the pixels.
+ */
+const readRow = async function (data) {
+  const y = 194;
+  const { data: pixels, info } = await sharp(data)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const row = [];
+  for (let x = 0; x < 50; x++) {
+    const offset = (y * info.width + x) * 4;
+    row.push([...pixels.subarray(offset, offset + 4)]);
+  }
+  return row;
+};
+
+/**
+ * Decodes the header and the vertices of a quantized-mesh tile.
+ * @param {Buffer} data - The tile.
+ * @returns {{minHeight: number, maxHeight: number, vertices: number[][], triangleCount: number}} - The
+ *   heights, the vertices as [u, v, height] with u and v from 0 to 1, and the number of triangles.
+ */
+const decodeQuantizedMesh = function (data) {
+  const minHeight = data.readFloatLE(24);
+  const maxHeight = data.readFloatLE(28);
+  const vertexCount = data.readUInt32LE(88);
+  const values = [[], [], []];
+  let offset = 92;
+  for (const list of values) {
+    let value = 0;
+    for (let i = 0; i < vertexCount; i++) {
+      const zigzag = data.readUInt16LE(offset);
+      value += (zigzag >> 1) ^ -(zigzag & 1);
+      list.push(value / 32767);
+      offset += 2;
+    }
+  }
+  const [us, vs, hs] = values;
+  return {
+    minHeight,
+    maxHeight,
+    vertices: us.map((u, i) => [
+      u,
+      vs.at(i),
+      minHeight + hs.at(i) * (maxHeight - minHeight),
+    ]),
+    triangleCount: data.readUInt32LE(offset),
+  };
+};
+
+const mean = function (values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+describe('Terrain of COG sources', function () {
+  let dir;
+  let dataApp;
+  let repo;
+
+  before(async function () {
+    dir = await createDataDir();
+    await writeDEM(path.join(dir, 'dem.tif'));
+    // rises from 1000 m at 8°E to 2000 m at 9°E
+    await writeDEM(path.join(dir, 'incline.tif'), {
+      elevation: (lon) => 1000 + 1000 * (lon - 8),
+    });
+    ({ app: dataApp, repo } = await createDataApp(dir, {
+      dem: { cog: 'dem.tif', encoding: 'terrarium' },
+      incline: {
+        cog: 'incline.tif',
+        encoding: 'terrarium',
+        contours: { thresholds: { 8: [100, 500] } },
+        quantizedMesh: { gridSize: 9, maxzoom: 9 },
+        // the terrarium encoding as a linear mapping
+        valueMapping: { channel: 'rgb', scale: 1 / 256, offset: -32768 },
+      },
+    }));
+  });
+
+  after(async function () {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs requests and records the tiles read from the source of `incline`.
+   * @param {() => Promise<void>} requests - The requests.
+   * @returns {Promise<string[]>} - The tiles read as `z/x/y`.
+   */
+  const recordReads = async function (requests) {
+    const { source } = repo.incline;
+    const reads = [];
+    const getTile = source.getTile;
+    source.getTile = function (z, x, y) {
+      reads.push(`${z}/${x}/${y}`);
+      return getTile.call(this, z, x, y);
+    };
+    try {
+      await requests();
+    } finally {
+      source.getTile = getTile;
+    }
+    return reads;
+  };
+
+  describe('Elevation', function () {
+    it('returns the interpolated elevation at a coordinate', function (done) {
+      supertest(dataApp)
+        .get('/data/dem/elevation/7/8.5/47.5?interpolation=bilinear')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({
+            encoding: 'terrarium',
+            format: 'png',
+            tile_size: 256,
+            z: 7,
+            interpolation: 'bilinear',
+          });
+          expect(res.body.elevation).to.be.closeTo(1000, 1);
+        })
+        .end(done);
+    });
+
+    it('returns the elevation of the pixel at a coordinate', function (done) {
+      supertest(dataApp)
+        .get('/data/dem/elevation/7/8.5/47.5')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.elevation).to.be.closeTo(1000, 1);
+        })
+        .end(done);
+    });
+
+    it('returns no elevation outside of the source', function (done) {
+      supertest(dataApp)
+        .get('/data/dem/elevation/7/20.5/47.5?interpolation=bilinear')
+        .expect(404)
+        .end(done);
+    });
+
+    it('interpolates between the pixels', async function () {
+      const elevations = [];
+      for (const lon of [8.3, 8.302, 8.62]) {
+        const res = await supertest(dataApp)
+          .get(`/data/incline/elevation/7/${lon}/47.5?interpolation=bilinear`)
+          .expect(200);
+        elevations.push(res.body.elevation);
+      }
+      // 2 m apart on the incline, but within one pixel of about 800 m
+      expect(elevations[1]).to.be.above(elevations[0]);
+      expect(elevations[0]).to.be.closeTo(1300, 10);
+      expect(elevations[2]).to.be.closeTo(1620, 10);
+    });
+
+    it('uses the tiles of the maxzoom if requested', async function () {
+      const url = '/data/incline/elevation/5/8.5/47.5?interpolation=bilinear';
+      const requested = await supertest(dataApp).get(url).expect(200);
+      // the source has no tiles below zoom 6
+      expect(requested.body).to.include({ z: 6, groundResolution: 1652.48 });
+      const maxzoom = await supertest(dataApp)
+        .get(`${url}&useMaxzoom=true`)
+        .expect(200);
+      expect(maxzoom.body).to.include({ z: 7, groundResolution: 826.24 });
+      expect(maxzoom.body.elevation).to.be.closeTo(1500, 10);
+    });
+
+    it('returns the same fields with both interpolations', async function () {
+      const url = '/data/dem/elevation/7/8.5/47.5';
+      const nearest = await supertest(dataApp).get(url).expect(200);
+      const bilinear = await supertest(dataApp)
+        .get(`${url}?interpolation=bilinear`)
+        .expect(200);
+      expect(Object.keys(bilinear.body).sort()).to.deep.equal(
+        Object.keys(nearest.body).sort(),
+      );
+      expect(bilinear.body).to.include({
+        long: '8.5000000',
+        lat: '47.5000000',
+      });
+      const { red, green, blue } = bilinear.body;
+      expect(decodeElevation(red, green, blue, 'terrarium')).to.be.closeTo(
+        bilinear.body.elevation,
+        0.01,
+      );
+    });
+
+    it('rejects interpolation for tiles', function (done) {
+      supertest(dataApp)
+        .get('/data/dem/elevation/7/67/44?interpolation=bilinear')
+        .expect(400)
+        .end(done);
+    });
+
+    it('rejects other interpolations', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/elevation/7/8.5/47.5?interpolation=cubic')
+        .expect(400)
+        .end(done);
+    });
+  });
+
+  describe('Elevation profiles', function () {
+    const profile = function (body) {
+      return supertest(dataApp)
+        .post('/data/incline/elevation/profile')
+        .send(body);
+    };
+
+    it('return the elevations along a line', function (done) {
+      profile({
+        geometry: { type: 'LineString', coordinates: line },
+        spacing: 5000,
+        interpolation: 'bilinear',
+      })
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({ zoom: 7, spacing: 5000, descent: 0 });
+          expect(res.body.length).to.be.closeTo(37603, 1);
+          expect(res.body.ascent).to.be.closeTo(500, 20);
+          const { profile } = res.body;
+          expect(profile).to.have.length(9);
+          expect(
+            profile.map(([distance]) => distance).slice(0, -1),
+          ).to.deep.equal([0, 5000, 10000, 15000, 20000, 25000, 30000, 35000]);
+          expect(profile[0][1]).to.be.closeTo(1250, 10);
+          expect(profile[8][0]).to.equal(res.body.length);
+          expect(profile[8][1]).to.be.closeTo(1750, 10);
+        })
+        .end(done);
+    });
+
+    it('read encoded polylines', function (done) {
+      const encoded = polyline.encode(line.map(([lon, lat]) => [lat, lon]));
+      profile({ polyline: encoded, spacing: 5000 })
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.length).to.be.closeTo(37603, 1);
+          expect(res.body.profile).to.have.length(9);
+          expect(res.body.profile[4][1]).to.be.closeTo(1500, 30);
+        })
+        .end(done);
+    });
+
+    it('clamp the requested zoom level to the source', function (done) {
+      // zoom 0 is below the minzoom 6 of the source, not a missing zoom level
+      profile({ geometry: { type: 'LineString', coordinates: line }, zoom: 0 })
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.zoom).to.equal(6);
+        })
+        .end(done);
+    });
+
+    it('have no elevations outside of the source', function (done) {
+      profile({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: [
+            [8.5, 47.5],
+            [9.5, 47.5],
+          ],
+        },
+        spacing: 20000,
+      })
+        .expect(200)
+        .expect(function (res) {
+          const elevations = res.body.profile.map(([, elevation]) => elevation);
+          expect(elevations[0]).to.be.closeTo(1500, 30);
+          expect(elevations[elevations.length - 1]).to.equal(null);
+        })
+        .end(done);
+    });
+
+    it('read bare GeoJSON LineStrings and sum up the descent', function (done) {
+      profile({
+        type: 'LineString',
+        coordinates: [...line].reverse(),
+        spacing: 5000,
+      })
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.ascent).to.equal(0);
+          expect(res.body.descent).to.be.closeTo(500, 20);
+          expect(res.body.profile[0][1]).to.be.closeTo(1750, 10);
+        })
+        .end(done);
+    });
+
+    it('are sampled at the resolution of the DEM by default', function (done) {
+      profile({ geometry: { type: 'LineString', coordinates: line } })
+        .expect(200)
+        .expect(function (res) {
+          // the size of a pixel of zoom 7 at 47.5°N
+          expect(res.body).to.include({ zoom: 7, spacing: 826.24 });
+          const distances = res.body.profile.map(([distance]) => distance);
+          expect(distances).to.have.length(47);
+          expect(distances.at(1)).to.equal(826.24);
+          expect(distances.at(-1)).to.equal(res.body.length);
+        })
+        .end(done);
+    });
+
+    it('are rejected for too many samples', function (done) {
+      profile({
+        geometry: { type: 'LineString', coordinates: line },
+        spacing: 1,
+      })
+        .expect(400, 'Too many samples, the maximum is 10000')
+        .end(done);
+    });
+
+    it('are rejected for invalid spacings', function (done) {
+      profile({
+        geometry: { type: 'LineString', coordinates: line },
+        spacing: -5,
+      })
+        .expect(400, 'Invalid spacing')
+        .end(done);
+    });
+
+    it('are rejected for invalid lines', function (done) {
+      profile({ type: 'Point', coordinates: [8.5, 47.5] })
+        .expect(400)
+        .end(done);
+    });
+  });
+
+  describe('Batch elevations', function () {
+    it('return the elevations of GeoJSON points', function (done) {
+      supertest(dataApp)
+        .post('/data/incline/elevation/batch?interpolation=bilinear')
+        .send({
+          type: 'FeatureCollection',
+          features: [...line, [20, 47.5]].map((coordinates) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates },
+          })),
+        })
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({ zoom: 7, count: 3 });
+          const [west, east, outside] = res.body.elevations;
+          expect(west).to.be.closeTo(1250, 10);
+          expect(east).to.be.closeTo(1750, 10);
+          expect(outside).to.equal(null);
+        })
+        .end(done);
+    });
+
+    it('return the elevations of CSV points', function (done) {
+      supertest(dataApp)
+        .post('/data/incline/elevation/batch?zoom=6')
+        .set('Content-Type', 'text/csv')
+        .send('lon,lat\n8.25,47.5\n8.75;47.5\n')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({ zoom: 6, count: 2 });
+          expect(res.body.elevations[0]).to.be.closeTo(1250, 20);
+          expect(res.body.elevations[1]).to.be.closeTo(1750, 20);
+        })
+        .end(done);
+    });
+
+    it('read every tile once when interpolating across tile edges', async function () {
+      const reads = await recordReads(async function () {
+        // on both sides of the edge between the columns 66 and 67 of zoom 7
+        const res = await supertest(dataApp)
+          .post('/data/incline/elevation/batch?interpolation=bilinear')
+          .send({
+            type: 'MultiPoint',
+            coordinates: [
+              [8.43, 47.5],
+              [8.445, 47.5],
+              [8.42, 47.5],
+              [8.45, 47.5],
+            ],
+          })
+          .expect(200);
+        expect(res.body.elevations).to.have.length(4);
+      });
+      expect(reads).to.include.members(['7/66/44', '7/67/44']);
+      expect(reads).to.have.length(new Set(reads).size);
+    });
+
+    it('clamp the requested zoom level to the source', function (done) {
+      supertest(dataApp)
+        .post('/data/incline/elevation/batch?zoom=0')
+        .send({ type: 'MultiPoint', coordinates: line })
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({ zoom: 6, count: 2 });
+        })
+        .end(done);
+    });
+
+    it('are rejected for invalid points', function (done) {
+      supertest(dataApp)
+        .post('/data/incline/elevation/batch')
+        .send({
+          type: 'MultiPoint',
+          coordinates: [
+            [8.5, 47.5],
+            [200, 47.5],
+          ],
+        })
+        .expect(400, 'Invalid coordinate at index 1')
+        .end(done);
+    });
+  });
+
+  describe('Contour lines', function () {
+    it('have a TileJSON', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/contours.json')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({
+            minzoom: 8,
+            maxzoom: 9,
+            format: 'pbf',
+          });
+          expect(res.body.tiles).to.deep.equal([
+            '/data/incline/contours/{z}/{x}/{y}.pbf',
+          ]);
+          expect(res.body.vector_layers[0].id).to.equal('contours');
+        })
+        .end(done);
+    });
+
+    it('follow the elevations of the source', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/contours/8/134/89.pbf')
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200)
+        .expect('Content-Type', 'application/x-protobuf')
+        .expect(function (res) {
+          const layer = new VectorTile(new Pbf(res.body)).layers.contours;
+          const lines = {};
+          for (let i = 0; i < layer.length; i++) {
+            const feature = layer.feature(i).toGeoJSON(134, 89, 8);
+            lines[feature.properties.elevation] = feature;
+          }
+          // the tile covers the incline from 8.44°E
+          expect(Object.keys(lines)).to.include.members([
+            '1500',
+            '1600',
+            '1900',
+          ]);
+          expect(lines[1400]).to.equal(undefined);
+          expect(lines[1500].properties.major).to.equal(true);
+          expect(lines[1600].properties.major).to.equal(false);
+          for (const [lon] of lines[1600].geometry.coordinates) {
+            expect(lon).to.be.closeTo(8.6, 0.02);
+          }
+        })
+        .end(done);
+    });
+
+    it('are not available above their maxzoom', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/contours/10/536/358.pbf')
+        .expect(404)
+        .end(done);
+    });
+  });
+
+  describe('Derived rasters', function () {
+    const getTile = function (url) {
+      return supertest(dataApp)
+        .get(url)
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200);
+    };
+
+    it('have a TileJSON passing on the query', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/hillshade.json?azimuth=90')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({
+            minzoom: 6,
+            maxzoom: 7,
+            format: 'png',
+          });
+          expect(res.body.tiles).to.deep.equal([
+            '/data/incline/hillshade/{z}/{x}/{y}.png?azimuth=90',
+          ]);
+        })
+        .end(done);
+    });
+
+    it('answer conditional requests without reading the source', async function () {
+      const url = '/data/incline/hillshade/7/67/44.png?azimuth=270';
+      const { headers } = await getTile(url);
+      const reads = await recordReads(async function () {
+        await supertest(dataApp)
+          .get(url)
+          .set('If-None-Match', headers.etag)
+          .expect(304);
+      });
+      expect(reads).to.deep.equal([]);
+      const other = await getTile(url.replace('270', '90'));
+      expect(other.headers.etag).to.not.equal(headers.etag);
+    });
+
+    it('shade the slopes facing the sun', async function () {
+      // the incline faces west
+      const lit = await getTile(
+        '/data/incline/hillshade/7/67/44.png?azimuth=270&exaggeration=100',
+      );
+      expect(lit.headers['content-type']).to.equal('image/png');
+      const shaded = await getTile(
+        '/data/incline/hillshade/7/67/44.png?azimuth=90&exaggeration=100',
+      );
+      const litRow = await readRow(lit.body);
+      const shadedRow = await readRow(shaded.body);
+      expect(mean(litRow.map(([red]) => red))).to.be.above(200);
+      expect(mean(shadedRow.map(([red]) => red))).to.be.below(120);
+      // east of the incline there is no data
+      const outside = await sharp(lit.body)
+        .extract({ left: 100, top: 194, width: 1, height: 1 })
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+      expect(outside[3]).to.equal(0);
+    });
+
+    it('color the slope', async function () {
+      const flat = await readRow(
+        (await getTile('/data/incline/slope/7/67/44.png')).body,
+      );
+      // less than 1° is nearly transparent
+      expect(Math.max(...flat.map(([, , , alpha]) => alpha))).to.be.below(40);
+      const { body, headers } = await getTile(
+        '/data/incline/slope/7/67/44.webp?exaggeration=100',
+      );
+      expect(headers['content-type']).to.equal('image/webp');
+      // around 45°, from orange over red to purple
+      for (const [, green, , alpha] of await readRow(body)) {
+        expect(green).to.be.below(64);
+        expect(alpha).to.equal(255);
+      }
+    });
+
+    it('color the direction of the slope', async function () {
+      const row = await readRow(
+        (await getTile('/data/incline/aspect/7/67/44.png')).body,
+      );
+      const sloped = row.filter(([, , , alpha]) => alpha > 0);
+      expect(sloped.length).to.be.above(25);
+      for (const pixel of sloped) {
+        // west is blue
+        expect(pixel).to.deep.equal([0, 0, 255, 255]);
+      }
+    });
+
+    it('are rejected for invalid parameters', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/hillshade/7/67/44.png?azimuth=400')
+        .expect(400, 'Invalid azimuth. Must be between 0 and 360.')
+        .end(done);
+    });
+  });
+
+  describe('Colorized tiles', function () {
+    const getRow = async function (url) {
+      const res = await supertest(dataApp)
+        .get(url)
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200);
+      return readRow(res.body);
+    };
+
+    it('have a TileJSON passing on the query', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/colorized.json?ramp=viridis')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.tiles).to.deep.equal([
+            '/data/incline/colorized/{z}/{x}/{y}.png?ramp=viridis',
+          ]);
+        })
+        .end(done);
+    });
+
+    it('map the elevations through the color ramp', async function () {
+      const elevations = (await getRow('/data/incline/7/67/44.png')).map(
+        ([red, green, blue]) => red * 256 + green + blue / 256 - 32768,
+      );
+      const row = await getRow(
+        '/data/incline/colorized/7/67/44.png?stops=1000:000000|2000:ffffff',
+      );
+      row.forEach(([red, green, blue, alpha], i) => {
+        const gray = ((elevations.at(i) - 1000) / 1000) * 255;
+        expect(red).to.be.closeTo(gray, 1);
+        expect([green, blue, alpha]).to.deep.equal([red, red, 255]);
+      });
+    });
+
+    it('map the elevations to classes', async function () {
+      const row = await getRow(
+        '/data/incline/colorized/7/67/44.png?stops=0:000000|1700:ffffff&mode=discrete',
+      );
+      const colors = row.map(([red]) => red);
+      // 1700 m at 8.7°E
+      expect(colors.slice(0, 15)).to.deep.equal(new Array(15).fill(0));
+      expect(colors.slice(-15)).to.deep.equal(new Array(15).fill(255));
+    });
+
+    it('answer conditional requests without reading the source', async function () {
+      const url = '/data/incline/colorized/7/67/44.png?ramp=viridis';
+      const res = await supertest(dataApp).get(url).expect(200);
+      const reads = await recordReads(async function () {
+        await supertest(dataApp)
+          .get(url)
+          .set('If-None-Match', res.headers.etag)
+          .expect(304);
+        // another color ramp is another tile
+        await supertest(dataApp)
+          .get(url.replace('viridis', 'grayscale'))
+          .set('If-None-Match', res.headers.etag)
+          .expect(200);
+      });
+      expect(reads).to.deep.equal(['7/67/44']);
+    });
+
+    it('are rejected for unknown color ramps', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/colorized/7/67/44.png?ramp=rainbow')
+        .expect(400, 'Unknown color ramp: rainbow')
+        .end(done);
+    });
+  });
+
+  describe('Encoding conversion', function () {
+    it('re-encodes the elevations', async function () {
+      const original = await supertest(dataApp)
+        .get('/data/incline/7/67/44.png')
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200);
+      const converted = await supertest(dataApp)
+        .get('/data/incline/7/67/44.png?encoding=mapbox')
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200)
+        .expect('Content-Type', 'image/png');
+      const elevations = (await readRow(original.body)).map(([r, g, b]) =>
+        decodeElevation(r, g, b, 'terrarium'),
+      );
+      const row = await readRow(converted.body);
+      row.forEach(([r, g, b, alpha], i) => {
+        expect(alpha).to.equal(255);
+        expect(decodeElevation(r, g, b, 'mapbox')).to.be.closeTo(
+          elevations.at(i),
+          0.05,
+        );
+      });
+      // pixels without data stay transparent
+      const outside = await sharp(converted.body)
+        .extract({ left: 100, top: 194, width: 1, height: 1 })
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+      expect(outside[3]).to.equal(0);
+    });
+
+    it('is advertised by the TileJSON', function (done) {
+      supertest(dataApp)
+        .get('/data/incline.json?encoding=mapbox')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.encoding).to.equal('mapbox');
+          expect(res.body.tiles).to.deep.equal([
+            '/data/incline/{z}/{x}/{y}.png?encoding=mapbox',
+          ]);
+        })
+        .end(done);
+    });
+
+    it('is rejected for unknown encodings', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/7/67/44.png?encoding=rgb')
+        .expect(400, 'Invalid encoding. Must be terrarium or mapbox.')
+        .end(done);
+    });
+  });
+
+  describe('Quantized-mesh tiles', function () {
+    it('have a layer.json', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/quantized-mesh/layer.json')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({ scheme: 'tms', maxzoom: 9 });
+          expect(res.body.available[9]).to.deep.equal([
+            { startX: 534, startY: 389, endX: 537, endY: 392 },
+          ]);
+        })
+        .end(done);
+    });
+
+    it('follow the elevations of the source', function (done) {
+      // 8.44°E to 8.79°E, 47.46°N to 47.81°N
+      supertest(dataApp)
+        .get('/data/incline/quantized-mesh/9/536/391.terrain')
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200)
+        .expect('Content-Type', 'application/vnd.quantized-mesh')
+        .expect(function (res) {
+          const mesh = decodeQuantizedMesh(res.body);
+          expect(mesh.minHeight).to.be.closeTo(1437.5, 20);
+          expect(mesh.maxHeight).to.be.closeTo(1789.1, 20);
+          expect(mesh.vertices).to.have.length(81);
+          expect(mesh.triangleCount).to.equal(128);
+          for (const [u, , height] of mesh.vertices) {
+            expect(height).to.be.closeTo(1437.5 + u * 351.6, 20);
+          }
+        })
+        .end(done);
+    });
+
+    it('include the requested extensions', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/quantized-mesh/9/536/391.terrain')
+        .set(
+          'Accept',
+          'application/vnd.quantized-mesh;extensions=octvertexnormals-watermask',
+        )
+        .buffer(true)
+        .parse(parseBuffer)
+        .expect(200)
+        .expect(
+          'Content-Type',
+          'application/vnd.quantized-mesh;extensions=octvertexnormals',
+        )
+        .expect(function (res) {
+          // extension header and two bytes per vertex at the end
+          const header = res.body.length - 81 * 2 - 5;
+          expect(res.body.readUInt8(header)).to.equal(1);
+          expect(res.body.readUInt32LE(header + 1)).to.equal(81 * 2);
+        })
+        .end(done);
+    });
+
+    it('are not available above their maxzoom', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/quantized-mesh/10/1072/782.terrain')
+        .expect(404)
+        .end(done);
+    });
+  });
+
+  describe('Pixel values', function () {
+    it('return the pixel at a coordinate', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/pixel/8.5/47.5')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({
+            long: 8.5,
+            lat: 47.5,
+            z: 7,
+            x: 67,
+            y: 44,
+            pixelX: 5,
+            pixelY: 194,
+          });
+          const [r, g, b, alpha] = res.body.rgba;
+          expect(alpha).to.equal(255);
+          expect(res.body.raw).to.equal(r * 65536 + g * 256 + b);
+          expect(res.body.value).to.equal(
+            decodeElevation(r, g, b, 'terrarium'),
+          );
+          expect(res.body.value).to.be.closeTo(1500, 20);
+        })
+        .end(done);
+    });
+
+    it('read the tiles of the requested zoom level', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/pixel/8.5/47.5?zoom=6')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body).to.include({ z: 6, x: 33, y: 22 });
+          expect(res.body.value).to.be.closeTo(1500, 20);
+        })
+        .end(done);
+    });
+
+    it('have no value without data', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/pixel/9.5/47.5')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.rgba[3]).to.equal(0);
+          expect(res.body.value).to.equal(null);
+        })
+        .end(done);
+    });
+
+    it('are rejected for invalid coordinates', function (done) {
+      supertest(dataApp)
+        .get('/data/incline/pixel/8.5/95')
+        .expect(400, 'Invalid lon/lat.')
+        .end(done);
+    });
+  });
+});
+
+describe('Terrain encodings', function () {
+  it('encode and decode elevations', function () {
+    for (const encoding of ['mapbox', 'terrarium']) {
+      for (const elevation of [-432.1, 0, 1602.5, 8848.8]) {
+        const [r, g, b] = encodeElevation(elevation, encoding);
+        expect(decodeElevation(r, g, b, encoding)).to.be.closeTo(
+          elevation,
+          0.05,
+        );
+      }
+    }
+    expect(encodeElevation(0, 'mapbox')).to.deep.equal([1, 134, 160]);
+    expect(encodeElevation(0, 'terrarium')).to.deep.equal([128, 0, 0]);
+  });
+
+  it('clamp elevations to the range of the encoding', function () {
+    expect(encodeElevation(-20000, 'mapbox')).to.deep.equal([0, 0, 0]);
+    expect(encodeElevation(-40000, 'terrarium')).to.deep.equal([0, 0, 0]);
+    expect(() => encodeElevation(0, 'rgb')).to.throw(
+      'Invalid terrain encoding: rgb',
+    );
+  });
+});
+
+describe('DEM tile caches', function () {
+  // flat DEM tiles of 2x2 pixels at 100 m, counting the tiles read from the source
+  const createCache = function () {
+    const reads = [];
+    const source = {
+      getTile: async function (z, x, y) {
+        reads.push(`${z}/${x}/${y}`);
+        return { data: Buffer.alloc(1), headers: {} };
+      },
+    };
+    const pixel = [...encodeElevation(100, 'terrarium'), 255];
+    const decode = async function () {
+      return {
+        width: 2,
+        height: 2,
+        data: Uint8Array.from({ length: 16 }, (_, i) => pixel.at(i % 4)),
+      };
+    };
+    const item = {
+      source,
+      sourceType: 'xyz',
+      tileJSON: { encoding: 'terrarium' },
+    };
+    return { dem: new DemTileCache(item, decode), reads };
+  };
+
+  it('read every tile once when interpolating across tile edges', async function () {
+    const { dem, reads } = createCache();
+    // on both sides of the edge between the tiles 2/1/1 and 2/2/1
+    const elevations = await dem.sampleMany(
+      [
+        [-0.1, 41],
+        [0.1, 41],
+        [-0.2, 41],
+      ],
+      2,
+      'bilinear',
+    );
+    for (const elevation of elevations) {
+      expect(elevation).to.be.closeTo(100, 0.01);
+    }
+    expect(reads).to.deep.equal(['2/1/1', '2/2/1']);
+    expect(dem.tiles.size).to.equal(0);
+  });
+});
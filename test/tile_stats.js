@@ -0,0 +1,271 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { getTileStats, listTiles, sampleTiles } from '../src/tile_stats.js';
+import {
+  createDataApp,
+  createDataDir,
+  writeMBTiles,
+  writePMTiles,
+} from './support/data.js';
+
+const sizes = [
+  { z: 0, x: 0, y: 0, data: Buffer.alloc(100) },
+  { z: 1, x: 0, y: 0, data: Buffer.alloc(10) },
+  { z: 1, x: 1, y: 0, data: Buffer.alloc(20) },
+  { z: 1, x: 1, y: 1, data: Buffer.alloc(40) },
+];
+
+describe('Tile statistics of MBTiles sources', function () {
+  let dir;
+  let dataApp;
+  let repo;
+
+  before(async function () {
+    dir = await createDataDir();
+    await writeMBTiles(
+      path.join(dir, 'sizes.mbtiles'),
+      { name: 'Sizes', format: 'png', minzoom: 0, maxzoom: 1 },
+      sizes,
+    );
+    ({ app: dataApp, repo } = await createDataApp(dir, {
+      sizes: { mbtiles: 'sizes.mbtiles' },
+    }));
+  });
+
+  after(async function () {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  it('count the tiles and their sizes by zoom level', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/stats')
+      .expect(200)
+      .expect(function (res) {
+        expect(res.body).to.deep.equal({
+          sourceType: 'mbtiles',
+          format: 'png',
+          count: 4,
+          totalBytes: 170,
+          zooms: [
+            {
+              zoom: 0,
+              count: 1,
+              totalBytes: 100,
+              minBytes: 100,
+              maxBytes: 100,
+              meanBytes: 100,
+              p50Bytes: 100,
+              p90Bytes: 100,
+              p95Bytes: 100,
+              p99Bytes: 100,
+            },
+            {
+              zoom: 1,
+              count: 3,
+              totalBytes: 70,
+              minBytes: 10,
+              maxBytes: 40,
+              meanBytes: 23,
+              p50Bytes: 20,
+              p90Bytes: 40,
+              p95Bytes: 40,
+              p99Bytes: 40,
+            },
+          ],
+        });
+      })
+      .end(done);
+  });
+
+  it('list the tiles of a zoom level by column from the south', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/coverage/1.geojson')
+      .expect(200)
+      .expect(function (res) {
+        expect(
+          res.body.features.map((feature) => feature.properties),
+        ).to.deep.equal([
+          { z: 1, x: 0, y: 0, size: 10 },
+          { z: 1, x: 1, y: 1, size: 40 },
+          { z: 1, x: 1, y: 0, size: 20 },
+        ]);
+        const tile = res.body.features.find(
+          ({ properties: { x, y } }) => x === 1 && y === 0,
+        );
+        // the north-east quarter of the world
+        expect(tile.geometry.coordinates[0][0]).to.deep.equal([0, 0]);
+      })
+      .end(done);
+  });
+
+  it('list the tiles of a minimum size', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/coverage/1.geojson?minSize=15')
+      .expect(200)
+      .expect(function (res) {
+        expect(
+          res.body.features.map(({ properties: { x, y } }) => [x, y]),
+        ).to.have.deep.members([
+          [1, 0],
+          [1, 1],
+        ]);
+      })
+      .end(done);
+  });
+
+  it('limit the listed tiles in index order', async function () {
+    const { source } = repo.sizes;
+    expect(await listTiles(source, 'mbtiles', 1, { limit: 2 })).to.deep.equal([
+      { x: 0, y: 0, size: 10 },
+      { x: 1, y: 1, size: 40 },
+    ]);
+    expect(
+      await listTiles(source, 'mbtiles', 1, { minSize: 15, limit: 1 }),
+    ).to.deep.equal([{ x: 1, y: 1, size: 40 }]);
+  });
+
+  it('reject zoom levels beyond the tile index', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/coverage/31.geojson')
+      .expect(400)
+      .end(done);
+  });
+
+  it('sample the tiles spread over the columns', async function () {
+    const { source } = repo.sizes;
+    expect(await sampleTiles(source, 'mbtiles', 1, 2)).to.deep.equal([
+      { x: 0, y: 0, size: 10 },
+      { x: 1, y: 1, size: 40 },
+    ]);
+    expect(await sampleTiles(source, 'mbtiles', 1, 8)).to.have.length(2);
+    expect(await sampleTiles(source, 'mbtiles', 2, 8)).to.have.length(0);
+  });
+
+  it('read the tile index from the file of the source', async function () {
+    const { source } = repo.sizes;
+    expect(source.filename).to.be.a('string');
+    const stats = await getTileStats({ filename: source.filename }, 'mbtiles');
+    expect(stats.count).to.equal(4);
+  });
+
+  it('fail without access to the tile index', async function () {
+    let error;
+    try {
+      await getTileStats({}, 'mbtiles');
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal(
+      'The tile index of the MBTiles source is not accessible',
+    );
+  });
+});
+
+describe('Tile statistics of PMTiles sources', function () {
+  let dir;
+  let dataApp;
+  let repo;
+
+  before(async function () {
+    dir = await createDataDir();
+    await writePMTiles(path.join(dir, 'sizes.pmtiles'), sizes);
+    ({ app: dataApp, repo } = await createDataApp(dir, {
+      sizes: { pmtiles: 'sizes.pmtiles' },
+    }));
+  });
+
+  after(async function () {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  it('count the tiles and their sizes by zoom level', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/stats')
+      .expect(200)
+      .expect(function (res) {
+        expect(res.body).to.include({
+          sourceType: 'pmtiles',
+          format: 'png',
+          count: 4,
+          totalBytes: 170,
+        });
+        expect(
+          res.body.zooms.map(({ zoom, count, totalBytes, p50Bytes }) => [
+            zoom,
+            count,
+            totalBytes,
+            p50Bytes,
+          ]),
+        ).to.deep.equal([
+          [0, 1, 100, 100],
+          [1, 3, 70, 20],
+        ]);
+      })
+      .end(done);
+  });
+
+  it('list the tiles of a zoom level along the Hilbert curve', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/coverage/1.geojson')
+      .expect(200)
+      .expect(function (res) {
+        expect(
+          res.body.features.map((feature) => feature.properties),
+        ).to.deep.equal([
+          { z: 1, x: 0, y: 0, size: 10 },
+          { z: 1, x: 1, y: 1, size: 40 },
+          { z: 1, x: 1, y: 0, size: 20 },
+        ]);
+      })
+      .end(done);
+  });
+
+  it('list the tiles of a minimum size', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/coverage/1.geojson?minSize=15')
+      .expect(200)
+      .expect(function (res) {
+        expect(
+          res.body.features.map(({ properties: { x, y } }) => [x, y]),
+        ).to.deep.equal([
+          [1, 1],
+          [1, 0],
+        ]);
+      })
+      .end(done);
+  });
+
+  it('limit the listed tiles in index order', async function () {
+    const { source } = repo.sizes;
+    expect(await listTiles(source, 'pmtiles', 1, { limit: 2 })).to.deep.equal([
+      { x: 0, y: 0, size: 10 },
+      { x: 1, y: 1, size: 40 },
+    ]);
+    expect(
+      await listTiles(source, 'pmtiles', 1, { minSize: 15, limit: 1 }),
+    ).to.deep.equal([{ x: 1, y: 1, size: 40 }]);
+  });
+
+  it('reject zoom levels beyond the tile index', function (done) {
+    supertest(dataApp)
+      .get('/data/sizes/coverage/27.geojson')
+      .expect(400)
+      .end(done);
+  });
+
+  it('read the tile index through the directory cache', function () {
+    expect(repo.sizes.source.cache.getDirectory).to.be.a('function');
+  });
+
+  it('fail without access to the tile index', async function () {
+    let error;
+    try {
+      await getTileStats({}, 'pmtiles');
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal(
+      'The tile index of the PMTiles source is not accessible',
+    );
+  });
+});
@@ -24,5 +24,377 @@ describe('Vector tiles', function () {
     testTile(prefix, 0, 0, 1, 404);
 
     testTile(prefix, 14, 0, 0, 204); // non existent tile (vector tiles default to 204)
+
+    it('vector tiles are not transcoded to raster formats', function (done) {
+      supertest(app)
+        .get('/data/' + prefix + '/0/0/0.webp')
+        .expect(404)
+        .end(done);
+    });
+  });
+});
+
+describe('Conditional requests', function () {
+  const path = '/data/' + prefix + '/0/0/0.pbf';
+  it(path + ' has ETag and Last-Modified headers', function (done) {
+    supertest(app)
+      .get(path)
+      .expect(200)
+      .expect('ETag', /^".+"$/)
+      .expect('Last-Modified', /GMT$/)
+      .end(done);
+  });
+
+  it(path + ' returns 304 for a matching If-None-Match', function (done) {
+    supertest(app)
+      .get(path)
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        supertest(app)
+          .get(path)
+          .set('If-None-Match', res.headers['etag'])
+          .expect(304)
+          .end(done);
+      });
+  });
+
+  it(path + ' returns 200 for a different If-None-Match', function (done) {
+    supertest(app)
+      .get(path)
+      .set('If-None-Match', '"outdated"')
+      .expect(200)
+      .end(done);
+  });
+});
+
+describe('Content encoding negotiation', function () {
+  const path = '/data/' + prefix + '/0/0/0.pbf';
+  const testEncoding = function (acceptEncoding, contentEncoding) {
+    it(
+      path + ' with Accept-Encoding "' + acceptEncoding + '"',
+      function (done) {
+        supertest(app)
+          .get(path)
+          .set('Accept-Encoding', acceptEncoding)
+          .expect(200)
+          .expect('Vary', /Accept-Encoding/)
+          .expect(function (res) {
+            expect(res.headers['content-encoding']).to.equal(contentEncoding);
+          })
+          .end(done);
+      },
+    );
+  };
+
+  testEncoding('gzip', 'gzip');
+  testEncoding('br', 'br');
+  testEncoding('gzip;q=1, br;q=0.5', 'gzip');
+  testEncoding('identity', undefined);
+});
+
+describe('Layer and property filtering', function () {
+  it('geojson contains only the requested layers and fields', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/0/0/0.geojson?layers=water&fields=class')
+      .expect(200)
+      .expect(function (res) {
+        expect(res.body.features.length).to.be.greaterThan(0);
+        for (const feature of res.body.features) {
+          expect(feature.properties.layer).to.be.equal('water');
+          expect(['class', 'layer']).to.include.members(
+            Object.keys(feature.properties),
+          );
+        }
+      })
+      .end(done);
+  });
+
+  it('pbf is smaller than the unfiltered tile', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/0/0/0.pbf')
+      .set('Accept-Encoding', 'identity')
+      .expect(200)
+      .end(function (err, full) {
+        if (err) return done(err);
+        supertest(app)
+          .get('/data/' + prefix + '/0/0/0.pbf?layers=water')
+          .set('Accept-Encoding', 'identity')
+          .expect(200)
+          .expect(function (res) {
+            expect(Number(res.headers['content-length'])).to.be.lessThan(
+              Number(full.headers['content-length']),
+            );
+          })
+          .end(done);
+      });
+  });
+});
+
+describe('Feature query', function () {
+  it('returns the water polygon containing a point in the ocean', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/query?lon=-30&lat=0&zoom=0&layers=water')
+      .expect(200)
+      .expect(function (res) {
+        expect(res.body.type).to.be.equal('FeatureCollection');
+        expect(res.body.features.length).to.be.greaterThan(0);
+        for (const feature of res.body.features) {
+          expect(feature.properties.layer).to.be.equal('water');
+          expect(feature.distance).to.be.equal(0);
+        }
+      })
+      .end(done);
+  });
+
+  it('is rejected without coordinates', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/query?lon=8.5')
+      .expect(400)
+      .end(done);
+  });
+
+  it('is rejected if the radius exceeds 3x3 tiles', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/query?lon=8.5&lat=47.3&zoom=5&radius=5000000')
+      .expect(400)
+      .end(done);
+  });
+});
+
+describe('Feature export', function () {
+  it('returns clipped features as GeoJSON', function (done) {
+    supertest(app)
+      .get(
+        '/data/' + prefix + '/features?bbox=-40,-10,-20,10&zoom=0&layers=water',
+      )
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+      .expect(function (res) {
+        expect(res.body.type).to.be.equal('FeatureCollection');
+        expect(res.body.features.length).to.be.greaterThan(0);
+        for (const feature of res.body.features) {
+          expect(feature.properties.layer).to.be.equal('water');
+        }
+      })
+      .end(done);
+  });
+
+  it('streams NDJSON with at most limit features', function (done) {
+    supertest(app)
+      .get(
+        '/data/' +
+          prefix +
+          '/features?bbox=-180,-85,180,85&zoom=0&format=ndjson&limit=2',
+      )
+      .buffer(true)
+      .expect(200)
+      .expect('Content-Type', /application\/x-ndjson/)
+      .expect(function (res) {
+        const lines = res.text.trim().split('\n');
+        expect(lines.length).to.be.equal(2);
+        expect(JSON.parse(lines[0]).type).to.be.equal('Feature');
+      })
+      .end(done);
+  });
+
+  it('is rejected without bbox', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/features')
+      .expect(400)
+      .end(done);
+  });
+});
+
+describe('Pixel query', function () {
+  it('is rejected for vector sources', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/pixel/8.5/47.3')
+      .expect(400)
+      .end(done);
+  });
+});
+
+describe('Elevation', function () {
+  it('is rejected for sources without terrain encoding', function (done) {
+    supertest(app)
+      .get(
+        '/data/' +
+          prefix +
+          '/elevation/10/8.5/47.3?interpolation=bilinear&useMaxzoom=true',
+      )
+      .expect(400)
+      .end(done);
+  });
+});
+
+describe('Terrain encoding conversion', function () {
+  it('is rejected for sources without terrain encoding', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/0/0/0.pbf?encoding=mapbox')
+      .expect(400)
+      .end(done);
+  });
+
+  it('is rejected for invalid encodings', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '.json?encoding=lerc')
+      .expect(400)
+      .end(done);
+  });
+});
+
+describe('Elevation profile', function () {
+  it('is rejected for sources without terrain encoding', function (done) {
+    supertest(app)
+      .post('/data/' + prefix + '/elevation/profile')
+      .send({
+        type: 'LineString',
+        coordinates: [
+          [8.5, 47.3],
+          [8.6, 47.4],
+        ],
+      })
+      .expect(400)
+      .end(done);
+  });
+
+  it('returns 404 for unknown sources', function (done) {
+    supertest(app)
+      .post('/data/non_existent/elevation/profile')
+      .send({ polyline: '_p~iF~ps|U_ulLnnqC' })
+      .expect(404)
+      .end(done);
+  });
+});
+
+describe('Elevation batch', function () {
+  it('is rejected for sources without terrain encoding', function (done) {
+    supertest(app)
+      .post('/data/' + prefix + '/elevation/batch')
+      .send({
+        type: 'MultiPoint',
+        coordinates: [
+          [8.5, 47.3],
+          [8.6, 47.4],
+        ],
+      })
+      .expect(400)
+      .end(done);
+  });
+
+  it('returns 404 for unknown sources', function (done) {
+    supertest(app)
+      .post('/data/non_existent/elevation/batch')
+      .set('Content-Type', 'text/csv')
+      .send('lon,lat\n8.5,47.3\n8.6,47.4')
+      .expect(404)
+      .end(done);
+  });
+});
+
+describe('Contour lines', function () {
+  it('are not available for sources without terrain encoding', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/contours/12/2176/1425.pbf')
+      .expect(404)
+      .end(done);
+  });
+
+  it('have no TileJSON for sources without terrain encoding', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/contours.json')
+      .expect(404)
+      .end(done);
+  });
+});
+
+describe('Terrain derived raster tiles', function () {
+  ['hillshade', 'slope', 'aspect'].forEach(function (product) {
+    it(
+      product + ' is not available for sources without terrain encoding',
+      function (done) {
+        supertest(app)
+          .get('/data/' + prefix + '/' + product + '/12/2176/1425.png')
+          .expect(404)
+          .end(done);
+      },
+    );
+  });
+});
+
+describe('Quantized-mesh tiles', function () {
+  it('are not available for vector sources', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/quantized-mesh/0/0/0.terrain')
+      .expect(404)
+      .end(done);
+  });
+
+  it('have no layer.json for vector sources', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/quantized-mesh/layer.json')
+      .expect(404)
+      .end(done);
+  });
+});
+
+describe('Colorized tiles', function () {
+  it('are not available for vector sources', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/colorized/0/0/0.png')
+      .expect(404)
+      .end(done);
+  });
+});
+
+describe('Tile statistics', function () {
+  it('are read from the tile index', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/stats')
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+      .expect(function (res) {
+        expect(res.body.format).to.be.equal('pbf');
+        expect(res.body.count).to.be.greaterThan(0);
+        expect(res.body.zooms[0].zoom).to.be.equal(0);
+        expect(res.body.zooms[0].count).to.be.equal(1);
+        const sum = res.body.zooms.reduce(
+          (total, zoom) => total + zoom.count,
+          0,
+        );
+        expect(sum).to.be.equal(res.body.count);
+      })
+      .end(done);
+  });
+
+  it('are not available for unknown sources', function (done) {
+    supertest(app).get('/data/non_existent/stats').expect(404).end(done);
+  });
+});
+
+describe('Tile coverage', function () {
+  it('contains the footprint of the tile at zoom 0', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/coverage/0.geojson')
+      .expect(200)
+      .expect('Content-Type', /application\/geo\+json/)
+      .expect(function (res) {
+        expect(res.body.type).to.be.equal('FeatureCollection');
+        expect(res.body.features.length).to.be.equal(1);
+        expect(res.body.features[0].properties).to.include({
+          z: 0,
+          x: 0,
+          y: 0,
+        });
+      })
+      .end(done);
+  });
+
+  it('is rejected for an invalid zoom', function (done) {
+    supertest(app)
+      .get('/data/' + prefix + '/coverage/abc.geojson')
+      .expect(400)
+      .end(done);
   });
 });
@@ -1,3 +1,7 @@
+import http from 'node:http';
+import pg from 'pg';
+import { serve_rendered } from '../src/serve_rendered.js';
+
 var testTile = function (
   prefix,
   tileSize = 256,
@@ -73,3 +77,127 @@ describe('Raster tiles', function () {
     testTile(prefix, 300, 0, 0, 0, 'png', 400);
   });
 });
+
+const GEOMETRY_TYPE = 90001;
+
+/**
+ * Adds a rendered style with a single source to a repository.
+ * @param {object} repo - The repository of rendered styles.
+ * @param {string} id - ID of the style and its source.
+ * @param {object} source - The source of the style.
+ * @param {object} layer - The layer of the style, without id and source.
+ * @param {object} dataInfo - The data source the source is resolved to.
+ * @returns {Promise<void>}
+ */
+const addStyle = function (repo, id, source, layer, dataInfo) {
+  const style = {
+    version: 8,
+    sources: { [id]: source },
+    layers: [{ ...layer, id, source: id }],
+  };
+  return serve_rendered.add(
+    {
+      paths: { root: process.cwd(), styles: process.cwd() },
+      minRendererPoolSizes: [1],
+      maxRendererPoolSizes: [1],
+    },
+    repo,
+    { style: `${id}.json` },
+    id,
+    { publicUrl: '/', verbose: 0 },
+    style,
+    () => dataInfo,
+  );
+};
+
+/**
+ * Renders the world at zoom 0 with a rendered style.
+ * @param {object} item - The rendered style.
+ * @returns {Promise<Buffer>} - The RGBA pixels.
+ */
+const renderWorld = function (item) {
+  const pool = item.map.renderers[1];
+  return new Promise((resolve, reject) => {
+    pool.acquire((err, renderer) => {
+      if (err) return reject(err);
+      const params = { zoom: 0, center: [0, 0], width: 256, height: 256 };
+      renderer.render(params, (err, data) => {
+        pool.release(renderer);
+        if (err) return reject(err);
+        resolve(data);
+      });
+    });
+  });
+};
+
+describe('Failing sources', function () {
+  const repo = {};
+  const poolQuery = pg.Pool.prototype.query;
+  let upstream;
+
+  before(async function () {
+    // tile service failing every request
+    upstream = http.createServer((req, res) => {
+      res.writeHead(503);
+      res.end();
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    await addStyle(
+      repo,
+      'failing',
+      { type: 'raster', url: 'http://{failing}', tileSize: 256 },
+      { type: 'raster' },
+      {
+        inputFile: `http://127.0.0.1:${upstream.address().port}/{z}/{x}/{y}.png`,
+        fileType: 'http',
+        cache: false,
+        sparse: true,
+      },
+    );
+
+    // a database describing a table of points, but failing every tile query
+    pg.Pool.prototype.query = async function (sql, params) {
+      if (params) {
+        throw new Error('Connection terminated unexpectedly');
+      } else if (sql.includes('pg_type')) {
+        return { rows: [{ oid: GEOMETRY_TYPE }] };
+      } else if (sql.includes('LIMIT 0')) {
+        return {
+          fields: [
+            { name: 'name', dataTypeID: 25 },
+            { name: 'geom', dataTypeID: GEOMETRY_TYPE },
+          ],
+        };
+      }
+      return { rows: [{ srid: 4326 }] };
+    };
+    await addStyle(
+      repo,
+      'places',
+      { type: 'vector', url: 'postgis://{places}' },
+      { type: 'circle', 'source-layer': 'places' },
+      {
+        inputFile: 'postgres://localhost/places',
+        fileType: 'postgis',
+        layers: [{ id: 'places', table: 'places' }],
+      },
+    );
+  });
+
+  after(function () {
+    serve_rendered.remove(repo, 'failing');
+    serve_rendered.remove(repo, 'places');
+    pg.Pool.prototype.query = poolQuery;
+    upstream.close();
+  });
+
+  it('still renders tiles whose source tiles cannot be fetched', async function () {
+    const data = await renderWorld(repo.failing);
+    expect(data.length).to.be.equal(256 * 256 * 4);
+  });
+
+  it('still renders tiles whose PostGIS queries fail', async function () {
+    const data = await renderWorld(repo.places);
+    expect(data.length).to.be.equal(256 * 256 * 4);
+  });
+});
@@ -0,0 +1,96 @@
+import fsp from 'node:fs/promises';
+import sharp from 'sharp';
+import {
+  createDataApp,
+  createDataDir,
+  parseBuffer,
+  writeDataFile,
+} from './support/data.js';
+
+describe('Raster tile transcoding', function () {
+  let dir;
+  let dataApp;
+
+  before(async function () {
+    dir = await createDataDir();
+    await writeDataFile(
+      dir,
+      'imagery/0/0/0.png',
+      await sharp({
+        create: { width: 256, height: 256, channels: 3, background: '#ff0000' },
+      })
+        .png()
+        .toBuffer(),
+    );
+    ({ app: dataApp } = await createDataApp(dir, {
+      imagery: { xyz: 'imagery' },
+      overzoomed: { xyz: 'imagery', overzoom: true },
+    }));
+  });
+
+  after(async function () {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  const getTile = function (format) {
+    return supertest(dataApp)
+      .get(`/data/imagery/0/0/0.${format}`)
+      .buffer(true)
+      .parse(parseBuffer)
+      .expect(200);
+  };
+
+  for (const [format, contentType, sharpFormat] of [
+    ['webp', 'image/webp', 'webp'],
+    ['jpg', 'image/jpeg', 'jpeg'],
+    ['jpeg', 'image/jpeg', 'jpeg'],
+  ]) {
+    it(`encodes png tiles as ${format}`, async function () {
+      const res = await getTile(format).expect('Content-Type', contentType);
+      const metadata = await sharp(res.body).metadata();
+      expect(metadata).to.include({
+        format: sharpFormat,
+        width: 256,
+        height: 256,
+      });
+      const { data } = await sharp(res.body)
+        .extract({ left: 128, top: 128, width: 1, height: 1 })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      expect(data[0]).to.be.above(240);
+      expect(data[1]).to.be.below(16);
+    });
+  }
+
+  it('has an ETag for every format', async function () {
+    const etags = [];
+    for (const format of ['png', 'webp', 'jpg']) {
+      const res = await getTile(format);
+      expect(res.headers.etag).to.be.a('string');
+      etags.push(res.headers.etag);
+    }
+    expect(new Set(etags).size).to.equal(3);
+    await supertest(dataApp)
+      .get('/data/imagery/0/0/0.webp')
+      .set('If-None-Match', etags.at(1))
+      .expect(304);
+    await supertest(dataApp)
+      .get('/data/imagery/0/0/0.jpg')
+      .set('If-None-Match', etags.at(1))
+      .expect(200);
+  });
+
+  it('overzooms raster tiles down to 8 pixels of their tile', async function () {
+    const res = await supertest(dataApp)
+      .get('/data/overzoomed/5/31/31.png')
+      .buffer(true)
+      .parse(parseBuffer)
+      .expect(200);
+    expect(await sharp(res.body).metadata()).to.include({
+      width: 256,
+      height: 256,
+    });
+    await supertest(dataApp).get('/data/overzoomed/6/63/63.png').expect(404);
+    await supertest(dataApp).get('/data/overzoomed/22/0/0.png').expect(404);
+  });
+});
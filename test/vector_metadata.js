@@ -0,0 +1,238 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { fromVectorTileJs } from '@maplibre/vt-pbf';
+import {
+  applyInferredMetadata,
+  getInferMetadataOptions,
+  isMetadataMissing,
+} from '../src/vector_metadata.js';
+import { createDataApp, createDataDir, writeMBTiles } from './support/data.js';
+
+const POINT = 1;
+const LINE = 2;
+
+/**
+ * Encodes a vector tile of extent 4096.
+ * @param {object} layers - The features of the layers by name, each with its `type`,
+ *   `properties` and a `geometry` as lists of [x, y] points in tile coordinates.
+ * @returns {Buffer} - The vector tile.
+ */
+const encodeTile = function (layers) {
+  const encoded = Object.entries(layers).map(([name, features]) => {
+    const encodedFeatures = features.map(({ type, properties, geometry }) => ({
+      type,
+      properties,
+      loadGeometry: () =>
+        geometry.map((line) => line.map(([x, y]) => ({ x, y }))),
+    }));
+    return [
+      name,
+      {
+        name,
+        version: 2,
+        extent: 4096,
+        length: features.length,
+        feature: (i) => encodedFeatures.at(i),
+      },
+    ];
+  });
+  return Buffer.from(fromVectorTileJs({ layers: Object.fromEntries(encoded) }));
+};
+
+const road = function (properties) {
+  return {
+    type: LINE,
+    properties,
+    geometry: [
+      [
+        [0, 0],
+        [4096, 4096],
+      ],
+    ],
+  };
+};
+
+describe('Inferred vector metadata', function () {
+  it('has options with defaults', function () {
+    expect(getInferMetadataOptions(undefined)).to.equal(null);
+    expect(getInferMetadataOptions(false)).to.equal(null);
+    expect(getInferMetadataOptions(true)).to.deep.equal({
+      mode: 'startup',
+      tilesPerZoom: 8,
+    });
+    expect(getInferMetadataOptions('background')).to.deep.equal({
+      mode: 'background',
+      tilesPerZoom: 8,
+    });
+    expect(getInferMetadataOptions({ tilesPerZoom: 20 })).to.deep.equal({
+      mode: 'startup',
+      tilesPerZoom: 20,
+    });
+  });
+
+  it('rejects invalid options', function () {
+    expect(() => getInferMetadataOptions('later')).to.throw(
+      /^Invalid inferMetadata.mode/,
+    );
+    expect(() => getInferMetadataOptions({ tilesPerZoom: 0 })).to.throw(
+      /^Invalid inferMetadata.tilesPerZoom/,
+    );
+    expect(() => getInferMetadataOptions({ tilesPerZoom: 1001 })).to.throw(
+      /^Invalid inferMetadata.tilesPerZoom/,
+    );
+  });
+
+  it('is only missing for vector sources with a tile index', function () {
+    const layers = [{ id: 'roads', fields: {} }];
+    expect(isMetadataMissing({ format: 'pbf' }, 'mbtiles')).to.equal(true);
+    expect(
+      isMetadataMissing({ format: 'pbf', vector_layers: layers }, 'pmtiles'),
+    ).to.equal(true);
+    expect(
+      isMetadataMissing(
+        { format: 'pbf', vector_layers: layers, tilestats: {} },
+        'mbtiles',
+      ),
+    ).to.equal(false);
+    expect(isMetadataMissing({ format: 'png' }, 'mbtiles')).to.equal(false);
+    expect(isMetadataMissing({ format: 'pbf' }, 'xyz')).to.equal(false);
+  });
+
+  it('keeps the existing metadata', function () {
+    const metadata = {
+      vector_layers: [{ id: 'inferred' }],
+      tilestats: { layerCount: 1 },
+    };
+    const tileJSON = { vector_layers: [{ id: 'roads' }] };
+    applyInferredMetadata(tileJSON, metadata);
+    expect(tileJSON).to.deep.equal({
+      vector_layers: [{ id: 'roads' }],
+      tilestats: { layerCount: 1 },
+    });
+    const empty = { vector_layers: [] };
+    applyInferredMetadata(empty, metadata);
+    expect(empty.vector_layers).to.deep.equal([{ id: 'inferred' }]);
+  });
+
+  describe('of MBTiles sources', function () {
+    let dir;
+    let dataApp;
+
+    before(async function () {
+      dir = await createDataDir();
+      await writeMBTiles(
+        path.join(dir, 'roads.mbtiles'),
+        { name: 'Roads', format: 'pbf', minzoom: 0, maxzoom: 1 },
+        [
+          {
+            z: 0,
+            x: 0,
+            y: 0,
+            data: encodeTile({ roads: [road({ name: 'Main', lanes: 2 })] }),
+          },
+          {
+            z: 1,
+            x: 0,
+            y: 0,
+            data: encodeTile({
+              roads: [road({ name: 'Side', lanes: 1, oneway: true })],
+            }),
+          },
+          {
+            z: 1,
+            x: 1,
+            y: 1,
+            data: zlib.gzipSync(
+              encodeTile({
+                places: [
+                  {
+                    type: POINT,
+                    properties: { name: 'Town' },
+                    geometry: [[[2048, 2048]]],
+                  },
+                ],
+              }),
+            ),
+          },
+        ],
+      );
+      ({ app: dataApp } = await createDataApp(dir, {
+        roads: { mbtiles: 'roads.mbtiles', inferMetadata: true },
+      }));
+    });
+
+    after(async function () {
+      await fsp.rm(dir, { recursive: true, force: true });
+    });
+
+    it('lists the layers of the sampled tiles', function (done) {
+      supertest(dataApp)
+        .get('/data/roads.json')
+        .expect(200)
+        .expect(function (res) {
+          expect(res.body.vector_layers).to.deep.equal([
+            {
+              id: 'roads',
+              description: '',
+              minzoom: 0,
+              maxzoom: 1,
+              fields: { name: 'String', lanes: 'Number', oneway: 'Boolean' },
+            },
+            {
+              id: 'places',
+              description: '',
+              minzoom: 1,
+              maxzoom: 1,
+              fields: { name: 'String' },
+            },
+          ]);
+        })
+        .end(done);
+    });
+
+    it('has the statistics of the sampled tiles', function (done) {
+      supertest(dataApp)
+        .get('/data/roads.json')
+        .expect(200)
+        .expect(function (res) {
+          const { tilestats } = res.body;
+          expect(tilestats.layerCount).to.equal(2);
+          expect(tilestats.layers.at(0)).to.deep.equal({
+            layer: 'roads',
+            count: 2,
+            geometry: 'LineString',
+            attributeCount: 3,
+            attributes: [
+              {
+                attribute: 'name',
+                count: 2,
+                type: 'string',
+                values: ['Main', 'Side'],
+              },
+              {
+                attribute: 'lanes',
+                count: 2,
+                type: 'number',
+                values: [2, 1],
+                min: 1,
+                max: 2,
+              },
+              {
+                attribute: 'oneway',
+                count: 1,
+                type: 'boolean',
+                values: [true],
+              },
+            ],
+          });
+          expect(tilestats.layers.at(1)).to.include({
+            layer: 'places',
+            count: 1,
+            geometry: 'Point',
+          });
+        })
+        .end(done);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { openXYZSource } from '../src/xyz_source.js';
+import {
+  createDataApp,
+  createDataDir,
+  parseBuffer,
+  writeDataFile,
+} from './support/data.js';
+
+describe('Tile directories', function () {
+  let dir;
+
+  before(async function () {
+    dir = await createDataDir();
+  });
+
+  after(async function () {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  it('are modified when their metadata.json is', async function () {
+    const directory = path.join(dir, 'modified');
+    await writeDataFile(directory, '0/0/0.png', 'a', new Date('2024-01-01'));
+    await writeDataFile(directory, '1/1/0.png', 'b', new Date('2024-09-01'));
+    await writeDataFile(
+      directory,
+      'metadata.json',
+      JSON.stringify({ format: 'png' }),
+      new Date('2024-06-01'),
+    );
+    const old = new Date('2023-01-01');
+    await fsp.utimes(directory, old, old);
+    const { app: dataApp } = await createDataApp(dir, {
+      modified: { xyz: 'modified' },
+    });
+    await supertest(dataApp)
+      .get('/data/modified/0/0/0.png')
+      .expect(200)
+      .expect('Last-Modified', 'Sat, 01 Jun 2024 00:00:00 GMT');
+  });
+
+  it('are modified again once their metadata.json is touched', async function () {
+    const directory = path.join(dir, 'touched');
+    await writeDataFile(directory, '0/0/0.png', 'a', new Date('2024-01-01'));
+    await writeDataFile(
+      directory,
+      'metadata.json',
+      '{}',
+      new Date('2024-01-01'),
+    );
+    const before = await openXYZSource(directory);
+    // tiles rewritten in place are not noticed
+    await writeDataFile(directory, '0/0/0.png', 'b', new Date('2024-06-01'));
+    expect((await openXYZSource(directory)).lastModified).to.deep.equal(
+      before.lastModified,
+    );
+    const touched = new Date('2024-06-01');
+    await fsp.utimes(path.join(directory, 'metadata.json'), touched, touched);
+    expect((await openXYZSource(directory)).lastModified).to.deep.equal(
+      touched,
+    );
+  });
+
+  it('are modified with their directory without a metadata.json', async function () {
+    const directory = path.join(dir, 'unlabelled');
+    await writeDataFile(directory, '0/0/0.png', 'a', new Date('2024-06-01'));
+    const old = new Date('2023-01-01');
+    await fsp.utimes(directory, old, old);
+    const { app: dataApp } = await createDataApp(dir, {
+      unlabelled: { xyz: 'unlabelled' },
+    });
+    await supertest(dataApp)
+      .get('/data/unlabelled/0/0/0.png')
+      .expect(200)
+      .expect('Last-Modified', 'Sun, 01 Jan 2023 00:00:00 GMT');
+  });
+
+  it('take the format and zoom levels from their files', async function () {
+    const directory = path.join(dir, 'detected');
+    await writeDataFile(directory, '2/1/1.webp', 'a');
+    await writeDataFile(directory, '4/3/3.webp', 'b');
+    const { app: dataApp } = await createDataApp(dir, {
+      detected: { xyz: 'detected' },
+    });
+    await supertest(dataApp)
+      .get('/data/detected.json')
+      .expect(200)
+      .expect(function (res) {
+        expect(res.body).to.include({ format: 'webp', minzoom: 2, maxzoom: 4 });
+      });
+  });
+
+  it('count the rows from the south with the tms scheme', async function () {
+    const directory = path.join(dir, 'tms');
+    await writeDataFile(directory, '1/0/1.png', 'north-west');
+    await writeDataFile(directory, '1/0/0.png', 'south-west');
+    const { app: dataApp } = await createDataApp(dir, {
+      tms: { xyz: 'tms', scheme: 'tms' },
+    });
+    await supertest(dataApp)
+      .get('/data/tms/1/0/0.png')
+      .buffer(true)
+      .parse(parseBuffer)
+      .expect(200)
+      .expect(function (res) {
+        expect(res.body.toString()).to.equal('north-west');
+      });
+    await supertest(dataApp)
+      .get('/data/tms/1/0/1.png')
+      .buffer(true)
+      .parse(parseBuffer)
+      .expect(200)
+      .expect(function (res) {
+        expect(res.body.toString()).to.equal('south-west');
+      });
+  });
+
+  it('reject unknown schemes', async function () {
+    let error;
+    try {
+      await openXYZSource(path.join(dir, 'tms'), { scheme: 'wmts' });
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal('Invalid scheme. Must be xyz or tms.');
+  });
+
+  it('detect gzipped vector tiles', async function () {
+    const directory = path.join(dir, 'gzipped');
+    await writeDataFile(directory, '0/0/0.pbf', zlib.gzipSync('compressed'));
+    await writeDataFile(directory, '1/0/0.pbf', 'plain');
+    const { repo } = await createDataApp(dir, {
+      gzipped: { xyz: 'gzipped' },
+    });
+    const { source } = repo.gzipped;
+    const compressed = await source.getTile(0, 0, 0);
+    expect(compressed.headers['Content-Encoding']).to.equal('gzip');
+    expect(zlib.gunzipSync(compressed.data).toString()).to.equal('compressed');
+    const plain = await source.getTile(1, 0, 0);
+    expect(plain.headers).to.not.have.property('Content-Encoding');
+    expect(plain.data.toString()).to.equal('plain');
+  });
+});